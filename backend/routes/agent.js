@@ -2,14 +2,37 @@
  * Agent Routes
  *
  * POST /api/agent/start      → kick off a new pipeline run
+ * POST /api/agent/resume/:id → continue an interrupted run from its last checkpoint
+ * POST /api/agent/approve/:id → approve / edit the plan of a run awaiting approval
+ * POST /api/agent/cancel/:id → abort a running (or awaiting-approval) run
  * GET  /api/agent/stream/:id → SSE stream for live updates
  * GET  /api/agent/status/:id → current run status (polling fallback)
  * GET  /api/agent/report/:id → retrieve stored report from Acontext Disk
+ * GET  /api/agent/events/:id → persisted SSE event history for a run
+ * GET  /api/agent/artifacts/:id → a stored screenshot (viewport, full page or evidence crop)
  */
 
 import express from 'express';
-import { startRun, getActiveRun } from '../services/agentOrchestrator.js';
-import { readReport } from '../services/acontextService.js';
+import {
+  startRun,
+  resumeRun,
+  approveRun,
+  cancelRun,
+  getActiveRun,
+  getRunEvents,
+  TERMINAL_STATUSES,
+  RESUMABLE_STATUSES,
+  CANCELLABLE_STATUSES,
+  APPROVAL_ACTIONS,
+  MAX_PORTFOLIO_SIZE,
+} from '../services/agentOrchestrator.js';
+import { readReport, getTaskBlocks } from '../services/acontextService.js';
+import { readArtifact, isArtifactId } from '../services/artifactStore.js';
+import { COMPETITOR_NAME_RE } from '../services/actionbookService.js';
+import { LLM_PROVIDERS } from '../services/llmProviders.js';
+import { OPPORTUNITY_FACTORS, isScoringWeights, resolveScoringWeights } from '../services/opportunityScoring.js';
+import { SCOUT_SOURCE_NAMES } from '../services/scoutSources.js';
+import { normaliseSubreddit, SUBREDDIT_NAME_RE } from '../services/subredditDiscovery.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
@@ -18,14 +41,75 @@ const router = express.Router();
 // POST /api/agent/start
 // ─────────────────────────────────────────────
 router.post('/start', async (req, res) => {
-  const { niche } = req.body;
+  const {
+    niche,
+    requireApproval = false,
+    minPosts,
+    maxScoutRetries,
+    llmProvider,
+    sources,
+    forumUrls,
+    pinSubreddits,
+    excludeSubreddits,
+    scoringWeights,
+    portfolioSize,
+  } = req.body;
 
   if (!niche || typeof niche !== 'string' || niche.trim().length < 3) {
     return res.status(400).json({ error: 'niche must be a string of at least 3 characters' });
   }
+  if (typeof requireApproval !== 'boolean') {
+    return res.status(400).json({ error: 'requireApproval must be a boolean' });
+  }
+  if (minPosts !== undefined && !(Number.isInteger(minPosts) && minPosts >= 1)) {
+    return res.status(400).json({ error: 'minPosts must be a positive integer' });
+  }
+  if (maxScoutRetries !== undefined && !(Number.isInteger(maxScoutRetries) && maxScoutRetries >= 0 && maxScoutRetries <= 5)) {
+    return res.status(400).json({ error: 'maxScoutRetries must be an integer between 0 and 5' });
+  }
+  if (llmProvider !== undefined && !LLM_PROVIDERS.includes(llmProvider)) {
+    return res.status(400).json({ error: `llmProvider must be one of: ${LLM_PROVIDERS.join(', ')}` });
+  }
+  if (sources !== undefined && !(Array.isArray(sources) && sources.length > 0 && sources.every((s) => SCOUT_SOURCE_NAMES.includes(s)))) {
+    return res.status(400).json({ error: `sources must be a non-empty array drawn from: ${SCOUT_SOURCE_NAMES.join(', ')}` });
+  }
+  if (forumUrls !== undefined && !(Array.isArray(forumUrls) && forumUrls.length <= 10 && forumUrls.every(isHttpUrl))) {
+    return res.status(400).json({ error: 'forumUrls must be an array of at most 10 http(s) URLs' });
+  }
+  const pins = parseSubreddits(pinSubreddits);
+  const excludes = parseSubreddits(excludeSubreddits);
+  if (!pins || !excludes) {
+    return res.status(400).json({ error: 'pinSubreddits and excludeSubreddits must be arrays of at most 10 subreddit names' });
+  }
+  if (pins.some((name) => excludes.includes(name))) {
+    return res.status(400).json({ error: 'A subreddit cannot be both pinned and excluded' });
+  }
+  if (scoringWeights !== undefined && !isScoringWeights(scoringWeights)) {
+    return res.status(400).json({ error: `scoringWeights must map factors (${OPPORTUNITY_FACTORS.join(', ')}) to non-negative numbers` });
+  }
+  if (portfolioSize !== undefined && !(Number.isInteger(portfolioSize) && portfolioSize >= 1 && portfolioSize <= MAX_PORTFOLIO_SIZE)) {
+    return res.status(400).json({ error: `portfolioSize must be an integer between 1 and ${MAX_PORTFOLIO_SIZE}` });
+  }
+  let weights;
+  try {
+    weights = resolveScoringWeights(scoringWeights);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
   try {
-    const runId = await startRun(niche.trim());
+    const runId = await startRun(niche.trim(), {
+      requireApproval,
+      minPosts,
+      maxScoutRetries,
+      llmProvider,
+      sources: sources ? [...new Set(sources)] : undefined,
+      forumUrls,
+      pinSubreddits: pins,
+      excludeSubreddits: excludes,
+      scoringWeights: weights,
+      portfolioSize,
+    });
     logger.info('Routes', `Run started: ${runId} for "${niche}"`);
     return res.status(202).json({ runId, niche: niche.trim(), message: 'Agent pipeline started' });
   } catch (err) {
@@ -34,6 +118,135 @@ router.post('/start', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────
+// POST /api/agent/resume/:runId
+// ─────────────────────────────────────────────
+router.post('/resume/:runId', async (req, res) => {
+  const { runId } = req.params;
+  const run = getActiveRun(runId);
+
+  if (!run) return res.status(404).json({ error: 'Run not found' });
+  if (!RESUMABLE_STATUSES.has(run.status)) {
+    return res.status(409).json({ error: `Run is ${run.status} — only interrupted or failed runs can be resumed` });
+  }
+
+  try {
+    const resumed = await resumeRun(runId);
+    if (!resumed) return res.status(409).json({ error: 'No checkpoint to resume from — start a new run instead' });
+
+    logger.info('Routes', `Run resumed: ${runId} from ${resumed.resumeFrom.join(', ')}`);
+    return res.status(202).json({ ...resumed, message: 'Agent pipeline resumed' });
+  } catch (err) {
+    logger.error('Routes', 'Failed to resume run', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/agent/approve/:runId
+// Body: { action: 'approve' | 'runner_up', gapKeyword?, competitors? }
+// competitors: [{ name, pricingUrl, featuresUrl?, backup? }]
+// ─────────────────────────────────────────────
+router.post('/approve/:runId', async (req, res) => {
+  const { runId } = req.params;
+  const { action = 'approve', gapKeyword, competitors } = req.body ?? {};
+
+  const run = getActiveRun(runId);
+  if (!run) return res.status(404).json({ error: 'Run not found' });
+  if (run.status !== 'awaiting_approval') {
+    return res.status(409).json({ error: `Run is ${run.status} — nothing to approve` });
+  }
+
+  if (!APPROVAL_ACTIONS.has(action)) {
+    return res.status(400).json({ error: `action must be one of: ${[...APPROVAL_ACTIONS].join(', ')}` });
+  }
+  if (gapKeyword !== undefined && (typeof gapKeyword !== 'string' || gapKeyword.trim().length === 0)) {
+    return res.status(400).json({ error: 'gapKeyword must be a non-empty string' });
+  }
+
+  const parsedCompetitors = competitors === undefined ? undefined : parseCompetitors(competitors);
+  if (parsedCompetitors === null) {
+    return res.status(400).json({ error: 'competitors must be a non-empty array of { name, pricingUrl, featuresUrl?, backup? } with http(s) URLs and names of at most 60 letters, digits, spaces or . , & \' + ( ) -' });
+  }
+
+  const accepted = await approveRun(runId, {
+    action,
+    ...(gapKeyword !== undefined ? { gapKeyword: gapKeyword.trim() } : {}),
+    ...(parsedCompetitors ? { competitors: parsedCompetitors } : {}),
+  });
+  if (!accepted) return res.status(409).json({ error: 'Run is no longer awaiting approval' });
+
+  logger.info('Routes', `Run approved: ${runId} (${action})`);
+  return res.status(202).json({ runId, action, message: 'Plan approved — validation continuing' });
+});
+
+// ─────────────────────────────────────────────
+// POST /api/agent/cancel/:runId
+// ─────────────────────────────────────────────
+router.post('/cancel/:runId', async (req, res) => {
+  const { runId } = req.params;
+  const run = getActiveRun(runId);
+
+  if (!run) return res.status(404).json({ error: 'Run not found' });
+  if (!CANCELLABLE_STATUSES.has(run.status)) {
+    return res.status(409).json({ error: `Run is ${run.status} — only running or awaiting-approval runs can be cancelled` });
+  }
+
+  try {
+    const cancelled = await cancelRun(runId);
+    if (!cancelled) return res.status(409).json({ error: 'Run is no longer cancellable' });
+
+    logger.info('Routes', `Run cancelled: ${runId}`);
+    return res.status(202).json({ runId, message: 'Cancellation requested' });
+  } catch (err) {
+    logger.error('Routes', 'Failed to cancel run', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Validate a pin/exclude subreddit list. Accepts "r/Name" or "Name" and
+ * returns de-duplicated lowercase names, [] when absent, or null when invalid.
+ */
+function parseSubreddits(list) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list) || list.length > 10) return null;
+  const names = list.map(normaliseSubreddit);
+  if (!names.every((name) => SUBREDDIT_NAME_RE.test(name))) return null;
+  return [...new Set(names)];
+}
+
+function isHttpUrl(u) {
+  try {
+    return ['http:', 'https:'].includes(new URL(u).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a user-edited competitor list into the shape checkCompetitorGap()
+ * expects. Returns null if any entry is unusable.
+ */
+function parseCompetitors(list) {
+  if (!Array.isArray(list) || list.length === 0) return null;
+
+  const parsed = [];
+  for (const c of list) {
+    if (!c || typeof c.name !== 'string' || !COMPETITOR_NAME_RE.test(c.name.trim()) || !isHttpUrl(c.pricingUrl)) return null;
+    if (c.featuresUrl !== undefined && !isHttpUrl(c.featuresUrl)) return null;
+    if (c.backup !== undefined && !isHttpUrl(c.backup)) return null;
+
+    parsed.push({
+      name: c.name.trim(),
+      pricingUrl: c.pricingUrl,
+      featuresUrl: c.featuresUrl ?? c.pricingUrl,
+      backup: c.backup ?? new URL(c.pricingUrl).origin,
+    });
+  }
+  return parsed;
+}
+
 // ─────────────────────────────────────────────
 // GET /api/agent/stream/:runId
 // Server-Sent Events — real-time pipeline updates
@@ -65,18 +278,31 @@ router.get('/stream/:runId', (req, res) => {
   // Forward pipeline events to this SSE connection
   const handler = (event) => {
     send(event);
-    if (event.type === 'done' || event.type === 'error') {
+    if (event.type === 'done' || event.type === 'error' || event.type === 'cancelled') {
       cleanup();
     }
   };
 
   run.emitter.on('event', handler);
 
-  // If run already completed, send the current report and close
-  if (run.status === 'complete' || run.status === 'error') {
+  // Parked at the approval checkpoint — replay the pending proposal
+  if (run.status === 'awaiting_approval' && run.approval) {
+    send({ type: 'awaiting_approval', runId, ...run.approval });
+  }
+
+  // If run already finished (or was interrupted by a restart), send the
+  // current report and close
+  if (TERMINAL_STATUSES.has(run.status)) {
     const report = readReport(run.sessionId);
     if (report) send({ type: 'report_ready', report });
-    send({ type: 'done', runId });
+    if (run.status === 'interrupted') {
+      send({ type: 'interrupted', runId, message: 'Run was interrupted by a backend restart' });
+    }
+    if (run.status === 'cancelled') {
+      send({ type: 'cancelled', runId, taskBlocks: getTaskBlocks(run.sessionId), message: 'Run was cancelled' });
+    } else {
+      send({ type: 'done', runId });
+    }
     cleanup();
     return;
   }
@@ -101,7 +327,14 @@ router.get('/status/:runId', (req, res) => {
     runId: req.params.runId,
     status: run.status,
     niche: run.niche,
+    sessionId: run.sessionId ?? null,
+    requireApproval: run.requireApproval ?? false,
+    llmProvider: run.llmProvider ?? null,
+    scoringWeights: run.scoringWeights ?? null,
+    portfolioSize: run.portfolioSize ?? 1,
+    llmRepairs: run.llmRepairs ?? [],
     startedAt: run.startedAt,
+    updatedAt: run.updatedAt ?? null,
   });
 });
 
@@ -118,4 +351,35 @@ router.get('/report/:runId', (req, res) => {
   return res.json(report);
 });
 
+// ─────────────────────────────────────────────
+// GET /api/agent/events/:runId
+// ─────────────────────────────────────────────
+router.get('/events/:runId', (req, res) => {
+  const run = getActiveRun(req.params.runId);
+  if (!run) return res.status(404).json({ error: 'Run not found' });
+
+  return res.json({ runId: req.params.runId, events: getRunEvents(req.params.runId) });
+});
+
+// ─────────────────────────────────────────────
+// GET /api/agent/artifacts/:artifactId
+// Artifacts are content-addressed, so a stored one never changes
+// ─────────────────────────────────────────────
+router.get('/artifacts/:artifactId', async (req, res) => {
+  if (!isArtifactId(req.params.artifactId)) return res.status(400).json({ error: 'Invalid artifact id' });
+
+  try {
+    const artifact = await readArtifact(req.params.artifactId);
+    if (!artifact) return res.status(404).json({ error: 'Artifact not found' });
+    if (artifact.redirect) return res.redirect(302, artifact.redirect);
+
+    res.set('Content-Type', artifact.mimeType);
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    return res.send(artifact.buffer);
+  } catch (err) {
+    logger.error('Routes', `Artifact ${req.params.artifactId} unavailable`, err);
+    return res.status(502).json({ error: 'Artifact storage unavailable' });
+  }
+});
+
 export default router;
@@ -0,0 +1,195 @@
+/**
+ * Watchlist Routes
+ *
+ * GET    /api/watchlist                         → watched competitors
+ * POST   /api/watchlist                         → watch a competitor
+ * GET    /api/watchlist/changes                 → recent changes across all competitors
+ * GET    /api/watchlist/:id                     → one competitor with its snapshot history
+ * DELETE /api/watchlist/:id                     → stop watching (drops the history)
+ * POST   /api/watchlist/:id/run                 → re-verify now instead of waiting for the schedule
+ * GET    /api/watchlist/:id/snapshots/:snapshot → one full snapshot, with page text and screenshot reference
+ * GET    /api/watchlist/:id/diff?from=&to=      → changes between any two snapshots
+ */
+
+import express from 'express';
+import {
+  listWatchItems,
+  getWatchItem,
+  addWatchItem,
+  removeWatchItem,
+  listSnapshots,
+  snapshotsByItem,
+  getSnapshot,
+  diffSnapshots,
+  runWatchCheck,
+  isCheckRunning,
+  DEFAULT_SCHEDULE,
+} from '../services/watchlist.js';
+import { COMPETITOR_NAME_RE } from '../services/actionbookService.js';
+import { isValidCron, nextCronTime } from '../utils/cron.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const MAX_CHECKLIST_ITEMS = 8;
+const RECENT_CHANGES_LIMIT = 50;
+
+function isHttpUrl(u) {
+  try {
+    return ['http:', 'https:'].includes(new URL(u).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * ["Free tier", { feature: "CSV export" }] → [{ id: 'free-tier', feature }].
+ * Returns [] when absent, null when invalid.
+ */
+function parseChecklist(list) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list) || list.length > MAX_CHECKLIST_ITEMS) return null;
+
+  const items = [];
+  for (const entry of list) {
+    const feature = typeof entry === 'string' ? entry : entry?.feature;
+    if (typeof feature !== 'string' || !feature.trim()) return null;
+    const id = (typeof entry === 'object' && entry.id) || feature.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if (!id || items.some((i) => i.id === id)) return null;
+    items.push({ id, feature: feature.trim() });
+  }
+  return items;
+}
+
+// ─────────────────────────────────────────────
+// GET /api/watchlist
+// ─────────────────────────────────────────────
+router.get('/', (_req, res) => {
+  return res.json({ items: listWatchItems(), defaultSchedule: DEFAULT_SCHEDULE });
+});
+
+// ─────────────────────────────────────────────
+// POST /api/watchlist
+// Body: { name, pricingUrl, featuresUrl?, backup?, checklist?, schedule?, niche? }
+// ─────────────────────────────────────────────
+router.post('/', (req, res) => {
+  const { name, pricingUrl, featuresUrl, backup, checklist, schedule, niche } = req.body ?? {};
+
+  if (typeof name !== 'string' || !COMPETITOR_NAME_RE.test(name.trim())) {
+    return res.status(400).json({ error: 'name must be at most 60 letters, digits, spaces or . , & \' + ( ) -' });
+  }
+  if (!isHttpUrl(pricingUrl)) {
+    return res.status(400).json({ error: 'pricingUrl must be an http(s) URL' });
+  }
+  if ((featuresUrl !== undefined && !isHttpUrl(featuresUrl)) || (backup !== undefined && !isHttpUrl(backup))) {
+    return res.status(400).json({ error: 'featuresUrl and backup must be http(s) URLs' });
+  }
+  const features = parseChecklist(checklist);
+  if (!features) {
+    return res.status(400).json({ error: `checklist must be an array of at most ${MAX_CHECKLIST_ITEMS} distinct feature names` });
+  }
+  if (schedule !== undefined && (typeof schedule !== 'string' || !isValidCron(schedule))) {
+    return res.status(400).json({ error: 'schedule must be a 5-field cron expression or @hourly / @daily / @weekly / @monthly' });
+  }
+  // Valid fields can still describe a date that never comes (0 0 31 2 *)
+  if (schedule !== undefined && !nextCronTime(schedule.trim(), new Date())) {
+    return res.status(400).json({ error: 'schedule never runs — no upcoming time matches it' });
+  }
+  if (niche !== undefined && typeof niche !== 'string') {
+    return res.status(400).json({ error: 'niche must be a string' });
+  }
+
+  const item = addWatchItem({
+    name: name.trim(),
+    pricingUrl,
+    featuresUrl,
+    backup,
+    checklist: features,
+    ...(schedule !== undefined ? { schedule: schedule.trim() } : {}),
+    niche: niche?.trim() || null,
+  });
+  return res.status(201).json({ item });
+});
+
+// ─────────────────────────────────────────────
+// GET /api/watchlist/changes
+// ─────────────────────────────────────────────
+router.get('/changes', (_req, res) => {
+  const snapshots = snapshotsByItem();
+  const changes = listWatchItems()
+    .flatMap((item) => (snapshots.get(item.id) ?? [])
+      .filter((s) => s.changes?.length)
+      .map((s) => ({ itemId: item.id, name: item.name, snapshotId: s.id, takenAt: s.takenAt, changes: s.changes })))
+    .sort((a, b) => b.takenAt.localeCompare(a.takenAt))
+    .slice(0, RECENT_CHANGES_LIMIT);
+  return res.json({ changes });
+});
+
+// ─────────────────────────────────────────────
+// GET /api/watchlist/:id
+// ─────────────────────────────────────────────
+router.get('/:id', (req, res) => {
+  const item = getWatchItem(req.params.id);
+  if (!item) return res.status(404).json({ error: 'Watch item not found' });
+  return res.json({ item, snapshots: listSnapshots(item.id) });
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/watchlist/:id
+// ─────────────────────────────────────────────
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!(await removeWatchItem(req.params.id))) return res.status(404).json({ error: 'Watch item not found' });
+    return res.status(204).end();
+  } catch (err) {
+    logger.error('Routes', 'Failed to remove watch item', err);
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/watchlist/:id/run
+// ─────────────────────────────────────────────
+router.post('/:id/run', (req, res) => {
+  const item = getWatchItem(req.params.id);
+  if (!item) return res.status(404).json({ error: 'Watch item not found' });
+  if (isCheckRunning(item.id)) return res.status(409).json({ error: `${item.name} is already being checked` });
+
+  // The check drives a browser for up to a couple of minutes — answer now
+  runWatchCheck(item.id).catch((err) => logger.error('Routes', `Watch check failed for ${item.name}`, err));
+  return res.status(202).json({ id: item.id, message: `Re-verifying ${item.name}` });
+});
+
+// ─────────────────────────────────────────────
+// GET /api/watchlist/:id/snapshots/:snapshotId
+// ─────────────────────────────────────────────
+router.get('/:id/snapshots/:snapshotId', (req, res) => {
+  const snapshot = getSnapshot(req.params.id, req.params.snapshotId);
+  if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+  return res.json({ snapshot });
+});
+
+// ─────────────────────────────────────────────
+// GET /api/watchlist/:id/diff?from=<snapshotId>&to=<snapshotId>
+// Defaults: to = latest snapshot, from = the one before it
+// ─────────────────────────────────────────────
+router.get('/:id/diff', (req, res) => {
+  const item = getWatchItem(req.params.id);
+  if (!item) return res.status(404).json({ error: 'Watch item not found' });
+
+  const history = listSnapshots(item.id);
+  const toId = req.query.to ?? history[0]?.id;
+  const to = toId && getSnapshot(item.id, String(toId));
+  if (!to) return res.status(404).json({ error: 'No snapshot to diff' });
+
+  const fromId = req.query.from ?? to.previousId;
+  const from = fromId ? getSnapshot(item.id, String(fromId)) : null;
+  if (fromId && !from) return res.status(404).json({ error: 'Snapshot not found' });
+  if (from && from.takenAt > to.takenAt) {
+    return res.status(400).json({ error: 'from must be older than to' });
+  }
+
+  return res.json({ from: from?.id ?? null, to: to.id, changes: diffSnapshots(from, to) });
+});
+
+export default router;
@@ -3,6 +3,9 @@ import express from 'express';
 import cors from 'cors';
 import { logger } from './utils/logger.js';
 import agentRoutes from './routes/agent.js';
+import watchlistRoutes from './routes/watchlist.js';
+import { markInterruptedRuns } from './services/agentOrchestrator.js';
+import { startWatchlistScheduler } from './services/watchlist.js';
 
 const PORT = process.env.PORT || 3001;
 const app = express();
@@ -12,7 +15,7 @@ const app = express();
 // ─────────────────────────────────────────────
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'DELETE'],
   allowedHeaders: ['Content-Type'],
 }));
 app.use(express.json());
@@ -27,6 +30,7 @@ app.use((req, _res, next) => {
 // Routes
 // ─────────────────────────────────────────────
 app.use('/api/agent', agentRoutes);
+app.use('/api/watchlist', watchlistRoutes);
 
 app.get('/health', (_req, res) => {
   res.json({ status: 'ok', time: new Date().toISOString() });
@@ -46,6 +50,13 @@ app.use((err, _req, res, _next) => {
 // ─────────────────────────────────────────────
 // Start
 // ─────────────────────────────────────────────
+
+// Runs that were mid-flight when the previous process died can't continue
+markInterruptedRuns();
+
+// Re-verify watched competitors on their schedules
+startWatchlistScheduler();
+
 app.listen(PORT, () => {
   logger.success('Server', `Backend running on http://localhost:${PORT}`);
   logger.info('Server', 'Required env vars: OPENAI_API_KEY, BRIGHTDATA_API_TOKEN, ACONTEXT_API_KEY, ACTIONBOOK_API_KEY');
@@ -10,23 +10,63 @@
  *   1. actionbook search "task description"  → returns list of available manuals
  *   2. actionbook get "action-id"            → returns full manual with selectors
  *   3. Puppeteer                             → executes the steps using those selectors
+ *                                              (manualInterpreter.js)
  *
  * This is the intended use case from ActionBook's docs:
  *   "Use Actionbook to understand and operate the web page. The agent will
  *    automatically use the CLI to fetch action manuals and execute browser ops."
  *
  * CLI invocation: `actionbook` (must be installed globally via npm i -g @actionbookdev/cli)
+ *
+ * Cancellation: every exported function takes a trailing `{ signal }` option.
+ * Aborting it kills in-flight CLI processes and closes the browser context.
+ *
+ * Parallelism: verifyAllCompetitors launches one Chromium per run and checks
+ * up to VALIDATE_CONCURRENCY competitors at once, each in its own browser
+ * context, each cut off after COMPETITOR_TIMEOUT_MS so one slow site can't
+ * stall the run.
+ *
+ * Screenshots: each check captures the pricing page's viewport (plus a small
+ * thumbnail), a full-page capture and element-level crops of the text that
+ * mentions each checklist feature. Inside checkCompetitorGap they are data
+ * URLs, so a recorded fixture is self-contained; recordedCompetitorGap saves
+ * them to the artifact store (artifactStore.js) and everything leaving this
+ * module — events and results — carries only artifact references.
  */
 
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
 import puppeteer from 'puppeteer';
 import { logger } from '../utils/logger.js';
-import { sleep } from '../utils/helpers.js';
+import { sleep, mapWithConcurrency } from '../utils/helpers.js';
+import { replayable, isReplaying } from '../utils/replay.js';
+import { runManualSteps } from './manualInterpreter.js';
+import { toArtifactRef } from './artifactStore.js';
 
-const execAsync = promisify(exec);
 const TAG = 'ActionBook';
 
+const VALIDATE_CONCURRENCY = Math.max(1, parseInt(process.env.VALIDATE_CONCURRENCY ?? '3', 10) || 3);
+const COMPETITOR_TIMEOUT_MS = parseInt(process.env.COMPETITOR_TIMEOUT_MS ?? '90000', 10) || 90_000;
+
+// Names that may reach the CLI and prompts — user-edited and watched
+// competitors are validated against this before they are stored or used
+export const COMPETITOR_NAME_RE = /^[\p{L}\p{N}][\p{L}\p{N} .,&'+()-]{0,59}$/u;
+
+const execCli = promisify(execFile);
+
+/**
+ * Run the ActionBook CLI through the record/replay harness. Arguments are
+ * passed to the binary directly (no shell), so a competitor name can never
+ * be interpreted as a command. Only the argument list identifies the
+ * fixture — the env carries the API key.
+ */
+function runActionbook(args, options) {
+  return replayable('exec', { cmd: ['actionbook', ...args].join(' ') }, async () => {
+    const { stdout, stderr } = await execCli('actionbook', args, options);
+    return { stdout, stderr };
+  }, { signal: options?.signal });
+}
+
 // ─────────────────────────────────────────────
 // CLI helpers
 // ─────────────────────────────────────────────
@@ -35,7 +75,7 @@ const TAG = 'ActionBook';
  * Search ActionBook's action manual registry for a given task.
  * Returns parsed JSON array of matching manuals.
  */
-export async function searchActionManual(task) {
+export async function searchActionManual(task, { signal } = {}) {
   logger.info(TAG, `Searching manuals for: "${task}"`);
 
   try {
@@ -44,11 +84,12 @@ export async function searchActionManual(task) {
       ...(process.env.ACTIONBOOK_API_KEY ? { ACTIONBOOK_API_KEY: process.env.ACTIONBOOK_API_KEY } : {}),
     };
 
-    const { stdout } = await execAsync(`actionbook search "${task}" --json`, { env, timeout: 15_000 });
+    const { stdout } = await runActionbook(['search', task, '--json'], { env, timeout: 15_000, signal });
     const manuals = JSON.parse(stdout.trim());
     logger.success(TAG, `Found ${manuals.length} manual(s) for "${task}"`);
     return manuals;
   } catch (err) {
+    signal?.throwIfAborted();
     logger.warn(TAG, `CLI search failed (continuing without manual): ${err.message}`);
     return [];
   }
@@ -57,7 +98,7 @@ export async function searchActionManual(task) {
 /**
  * Retrieve the full action manual by ID, including verified selectors.
  */
-export async function getActionManual(actionId) {
+export async function getActionManual(actionId, { signal } = {}) {
   logger.info(TAG, `Fetching manual: ${actionId}`);
 
   try {
@@ -66,11 +107,12 @@ export async function getActionManual(actionId) {
       ...(process.env.ACTIONBOOK_API_KEY ? { ACTIONBOOK_API_KEY: process.env.ACTIONBOOK_API_KEY } : {}),
     };
 
-    const { stdout } = await execAsync(`actionbook get "${actionId}" --json`, { env, timeout: 15_000 });
+    const { stdout } = await runActionbook(['get', String(actionId), '--json'], { env, timeout: 15_000, signal });
     const manual = JSON.parse(stdout.trim());
     logger.success(TAG, `Manual retrieved: ${actionId}`);
     return manual;
   } catch (err) {
+    signal?.throwIfAborted();
     logger.warn(TAG, `Manual fetch failed: ${err.message}`);
     return null;
   }
@@ -80,6 +122,13 @@ export async function getActionManual(actionId) {
 // Browser verification engine
 // ─────────────────────────────────────────────
 
+function launchBrowser() {
+  return puppeteer.launch({
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+  });
+}
+
 /**
  * Competitor gap check config.
  * ActionBook provides the selectors; Puppeteer executes them.
@@ -105,21 +154,124 @@ const COMPETITOR_TARGETS = [
   },
 ];
 
-const GAP_KEYWORDS = {
-  freeT: ['free plan', 'free tier', 'free forever', '$0/month', 'always free'],
-  shortForm: ['shorts', 'reels', 'tiktok', 'short-form video', 'vertical video'],
-  analytics: ['analytics dashboard', 'creator analytics', 'performance analytics', 'audience insights'],
-};
+// Page text kept per page for the feature judge (skill block 9)
+const PAGE_TEXT_MAX_CHARS = 8000;
+
+const VIEWPORT = { width: 1280, height: 800 };
+const THUMBNAIL_SCALE = 0.25;
+// Endless-scroll pages are cut off here rather than captured whole
+const FULL_PAGE_MAX_HEIGHT = 10_000;
+// An evidence crop is the feature's text with its surrounding row or card
+const EVIDENCE_CONTEXT_CHARS = 300;
+
+const toDataUrl = (buffer, mimeType) => `data:${mimeType};base64,${Buffer.from(buffer).toString('base64')}`;
+
+/**
+ * Viewport PNG, a JPEG thumbnail of the same view and a full-page PNG
+ * (capped at FULL_PAGE_MAX_HEIGHT), as data URLs. A failed full-page capture
+ * leaves fullPage null.
+ */
+async function capturePage(page, { signal, label }) {
+  const viewport = await page.screenshot({ type: 'png' });
+  const { x, y } = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+  const thumbnail = await page.screenshot({
+    type: 'jpeg',
+    quality: 50,
+    clip: { x, y, ...VIEWPORT, scale: THUMBNAIL_SCALE },
+  });
+
+  let fullPage = null;
+  try {
+    const height = await page.evaluate(() => document.documentElement.scrollHeight);
+    fullPage = await page.screenshot(height > FULL_PAGE_MAX_HEIGHT
+      ? { type: 'png', clip: { x: 0, y: 0, width: VIEWPORT.width, height: FULL_PAGE_MAX_HEIGHT } }
+      : { type: 'png', fullPage: true });
+  } catch (err) {
+    signal?.throwIfAborted();
+    logger.warn(TAG, `Full-page capture failed for ${label}: ${err.message}`);
+  }
+
+  return {
+    viewport: toDataUrl(viewport, 'image/png'),
+    thumbnail: toDataUrl(thumbnail, 'image/jpeg'),
+    fullPage: fullPage && toDataUrl(fullPage, 'image/png'),
+  };
+}
+
+/**
+ * The element that best shows `feature` on the page: the smallest visible
+ * element whose text contains the phrase (or, failing that, all its words),
+ * widened to its parent while that stays within EVIDENCE_CONTEXT_CHARS.
+ */
+function findEvidenceElement(page, feature) {
+  return page.evaluateHandle((phrase, maxChars) => {
+    const needle = phrase.toLowerCase();
+    const words = needle.split(/[^a-z0-9]+/).filter((w) => w.length > 2);
+    const matches = (text) => text.includes(needle) || (words.length > 0 && words.every((w) => text.includes(w)));
+
+    let best = null;
+    for (const el of document.body.querySelectorAll('*')) {
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'SVG'].includes(el.tagName.toUpperCase())) continue;
+      if (!matches((el.textContent ?? '').toLowerCase())) continue;
+      const text = (el.innerText ?? '').toLowerCase();
+      if (!text || text.length > maxChars || !matches(text)) continue;
+      const box = el.getBoundingClientRect();
+      if (box.width < 4 || box.height < 4) continue;
+      if (!best || text.length < best.length) best = { el, length: text.length };
+    }
+    if (!best) return null;
+
+    let el = best.el;
+    while (el.parentElement && el.parentElement !== document.body && (el.parentElement.innerText ?? '').length <= maxChars) {
+      el = el.parentElement;
+    }
+    return el;
+  }, feature, EVIDENCE_CONTEXT_CHARS);
+}
+
+/**
+ * Crop the evidence for each checklist feature not already in `evidence`,
+ * adding { feature, page, text, screenshot } entries keyed by feature id.
+ * Features with no matching text are left out.
+ */
+async function cropEvidence(page, checklist, evidence, { pageName, signal, label }) {
+  for (const { id, feature } of checklist) {
+    if (evidence[id]) continue;
+    let handle = null;
+    try {
+      handle = await findEvidenceElement(page, feature);
+      const element = handle.asElement();
+      if (!element) continue;
+      const text = (await element.evaluate((el) => el.innerText)).trim().replace(/\s+/g, ' ');
+      const crop = await element.screenshot({ type: 'png' });
+      evidence[id] = { feature, page: pageName, text, screenshot: toDataUrl(crop, 'image/png') };
+    } catch (err) {
+      signal?.throwIfAborted();
+      logger.warn(TAG, `Evidence crop for "${feature}" failed on ${label}: ${err.message}`);
+    } finally {
+      await handle?.dispose().catch(() => {});
+    }
+  }
+}
 
 /**
- * Check a single competitor for feature gaps.
- * Uses ActionBook manuals for verified selectors + Puppeteer for execution.
+ * Visit a single competitor's pricing and features pages and capture their
+ * text. Uses ActionBook manuals for verified selectors + Puppeteer for
+ * execution. Deciding which features are missing is left to
+ * judgeFeatureCoverage — the result carries `pageText` for it, and `gaps`
+ * stays empty until the judgements are applied with applyFeatureJudgements.
  *
  * @param {Object} competitor - { name, pricingUrl, featuresUrl, backup }
- * @param {string} targetKeyword - The gap keyword derived from the top pain point
  * @param {Function} emitEvent - SSE emitter for live browser feed
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {() => Promise<import('puppeteer').Browser>} [options.getBrowser] - shared
+ *        browser to open a context in; without it the check launches its own
+ * @param {Array<{ id: string, feature: string }>} [options.checklist] - features
+ *        to crop evidence for (see generateFeatureChecklist)
  */
-export async function checkCompetitorGap(competitor, targetKeyword, emitEvent) {
+export async function checkCompetitorGap(competitor, emitEvent, { signal, getBrowser, checklist = [] } = {}) {
+  signal?.throwIfAborted();
   logger.info(TAG, `Checking competitor: ${competitor.name}`);
 
   emitEvent('browser_action', {
@@ -129,8 +281,8 @@ export async function checkCompetitorGap(competitor, targetKeyword, emitEvent) {
   });
 
   // Step 1: Ask ActionBook for the pricing page manual
-  const manuals = await searchActionManual(`${competitor.name.toLowerCase()} pricing page navigation`);
-  const manual = manuals?.[0] ? await getActionManual(manuals[0].id) : null;
+  const manuals = await searchActionManual(`${competitor.name.toLowerCase()} pricing page navigation`, { signal });
+  const manual = manuals?.[0] ? await getActionManual(manuals[0].id, { signal }) : null;
 
   if (manual) {
     logger.info(TAG, `Using ActionBook manual: ${manual.id || manual.name}`);
@@ -142,21 +294,29 @@ export async function checkCompetitorGap(competitor, targetKeyword, emitEvent) {
     name: competitor.name,
     pricingUrl: competitor.pricingUrl,
     featuresUrl: competitor.featuresUrl,
-    manual: manual ? { id: manual.id, steps: manual.steps?.length ?? 0 } : null,
+    manual: manual ? { id: manual.id ?? manual.name ?? null, steps: manual.steps?.length ?? 0, trace: [] } : null,
     gaps: {},
+    pageText: { pricing: '', features: '' },
     screenshot: null,
+    thumbnail: null,
+    fullPageScreenshot: null,
+    evidence: {},
     success: false,
     notes: '',
   };
 
-  let browser;
+  let ownBrowser = null;
+  let context = null;
+  // Closing the context makes any pending page.goto / evaluate reject at once
+  const onAbort = () => (context ?? ownBrowser)?.close().catch(() => {});
+  signal?.addEventListener('abort', onAbort, { once: true });
+
   try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
-    });
-    const page = await browser.newPage();
-    await page.setViewport({ width: 1280, height: 800 });
+    const browser = getBrowser ? await getBrowser() : (ownBrowser = await launchBrowser());
+    signal?.throwIfAborted();
+    context = await browser.createBrowserContext();
+    const page = await context.newPage();
+    await page.setViewport(VIEWPORT);
     await page.setUserAgent(
       'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
     );
@@ -170,41 +330,66 @@ export async function checkCompetitorGap(competitor, targetKeyword, emitEvent) {
 
     try {
       await page.goto(competitor.pricingUrl, { waitUntil: 'domcontentloaded', timeout: 20_000 });
-      await sleep(2000);
+      await sleep(2000, signal);
     } catch {
+      signal?.throwIfAborted();
       await page.goto(competitor.backup, { waitUntil: 'domcontentloaded', timeout: 20_000 });
-      await sleep(2000);
+      await sleep(2000, signal);
     }
 
-    const pricingText = await page.evaluate(() => document.body.innerText.toLowerCase());
+    // ── ActionBook manual: toggles, accordions, compare-plans tables ──
+    let manualText = '';
+    if (manual?.steps?.length) {
+      emitEvent('browser_action', {
+        competitor: competitor.name,
+        action: 'manual',
+        message: `Running ActionBook manual ${result.manual.id ?? ''} (${manual.steps.length} steps)`,
+      });
 
-    // Check for free tier
-    const hasFreeTier = GAP_KEYWORDS.freeT.some((kw) => pricingText.includes(kw));
-    result.gaps.noFreeTier = !hasFreeTier;
+      const run = await runManualSteps(page, manual, {
+        baseUrl: competitor.pricingUrl,
+        signal,
+        onStep: (step) => emitEvent('browser_action', {
+          competitor: competitor.name,
+          action: step.status === 'ok' ? 'step' : 'step_failed',
+          message: `Step ${step.index + 1} ${step.action}${step.usedSelector ? ` ${step.usedSelector}` : ''}: ${step.status}${step.fallbackUsed ? ' (fallback selector)' : ''}${step.error ? ` — ${step.error}` : ''}`,
+          screenshot: step.screenshot ?? null,
+          data: { step: step.index, status: step.status },
+        }),
+      });
+
+      result.manual.trace = run.trace;
+      result.manual.succeeded = run.succeeded;
+      result.manual.failed = run.failed;
+      manualText = run.extracted.map((e) => e.text).join('\n');
+    }
+
+    // Manual extracts cover content innerText misses (hidden tabs, collapsed rows)
+    const pricingText = `${await page.evaluate(() => document.body.innerText)}\n${manualText}`;
+    result.pageText.pricing = pricingText.slice(0, PAGE_TEXT_MAX_CHARS);
 
     emitEvent('browser_action', {
       competitor: competitor.name,
       action: 'checked',
-      message: `Free tier: ${hasFreeTier ? '✓ Found' : '✗ Not found (GAP CONFIRMED)'}`,
-      data: { hasFreeTier },
+      message: `Read pricing page (${pricingText.length.toLocaleString()} chars)`,
     });
 
-    // Check for target keyword from pain point
-    const kw = targetKeyword?.toLowerCase() ?? '';
-    const hasTargetFeature = kw ? pricingText.includes(kw) : false;
-    result.gaps.missingTargetFeature = kw ? !hasTargetFeature : false;
-
     // Screenshot the pricing page
-    const screenshotBuffer = await page.screenshot({ type: 'png', fullPage: false });
-    result.screenshot = `data:image/png;base64,${screenshotBuffer.toString('base64')}`;
+    const shots = await capturePage(page, { signal, label: `${competitor.name} pricing page` });
+    result.screenshot = shots.viewport;
+    result.thumbnail = shots.thumbnail;
+    result.fullPageScreenshot = shots.fullPage;
 
     emitEvent('browser_action', {
       competitor: competitor.name,
       action: 'screenshot',
-      message: `Screenshot captured for ${competitor.name} pricing page`,
+      message: `Screenshot captured for ${competitor.name} pricing page${shots.fullPage ? ' (plus full page)' : ''}`,
       screenshot: result.screenshot,
+      thumbnail: result.thumbnail,
     });
 
+    await cropEvidence(page, checklist, result.evidence, { pageName: 'pricing', signal, label: `${competitor.name} pricing page` });
+
     // ── Features page ──────────────────────────────────────────
     emitEvent('browser_action', {
       competitor: competitor.name,
@@ -214,38 +399,35 @@ export async function checkCompetitorGap(competitor, targetKeyword, emitEvent) {
 
     try {
       await page.goto(competitor.featuresUrl, { waitUntil: 'domcontentloaded', timeout: 20_000 });
-      await sleep(1500);
-
-      const featuresText = await page.evaluate(() => document.body.innerText.toLowerCase());
-
-      // Check short-form video support
-      const hasShortForm = GAP_KEYWORDS.shortForm.some((kw) => featuresText.includes(kw));
-      result.gaps.noShortFormSupport = !hasShortForm;
+      await sleep(1500, signal);
 
-      // Check creator analytics
-      const hasAnalytics = GAP_KEYWORDS.analytics.some((kw) => featuresText.includes(kw));
-      result.gaps.noCreatorAnalytics = !hasAnalytics;
-
-      if (kw && !hasTargetFeature) {
-        const featurePresent = featuresText.includes(kw);
-        result.gaps.missingTargetFeature = !featurePresent;
-      }
+      const featuresText = await page.evaluate(() => document.body.innerText);
+      result.pageText.features = featuresText.slice(0, PAGE_TEXT_MAX_CHARS);
+      await cropEvidence(page, checklist, result.evidence, { pageName: 'features', signal, label: `${competitor.name} features page` });
 
       emitEvent('browser_action', {
         competitor: competitor.name,
         action: 'checked',
-        message: `Feature gaps identified for ${competitor.name}`,
-        data: result.gaps,
+        message: `Read features page (${featuresText.length.toLocaleString()} chars)`,
       });
     } catch (err) {
+      signal?.throwIfAborted();
       logger.warn(TAG, `Features page failed for ${competitor.name}: ${err.message}`);
     }
 
-    result.success = true;
-    result.notes = buildGapNotes(result.gaps, competitor.name, targetKeyword);
+    const cropped = Object.values(result.evidence);
+    if (cropped.length) {
+      emitEvent('browser_action', {
+        competitor: competitor.name,
+        action: 'evidence',
+        message: `Cropped evidence for ${cropped.length}/${checklist.length} feature(s): ${cropped.map((e) => e.feature).join(', ')}`,
+      });
+    }
 
-    logger.success(TAG, `Gap analysis complete for ${competitor.name}`);
+    result.success = true;
+    logger.success(TAG, `Pages captured for ${competitor.name}`);
   } catch (err) {
+    signal?.throwIfAborted();
     logger.error(TAG, `Browser check failed for ${competitor.name}`, err);
     result.notes = `Could not complete verification: ${err.message}`;
 
@@ -255,43 +437,185 @@ export async function checkCompetitorGap(competitor, targetKeyword, emitEvent) {
       message: `Verification failed — using scrape data instead`,
     });
   } finally {
-    if (browser) await browser.close();
+    signal?.removeEventListener('abort', onAbort);
+    if (context) await context.close().catch(() => {});
+    if (ownBrowser) await ownBrowser.close().catch(() => {});
   }
 
   return result;
 }
 
-function buildGapNotes(gaps, name, keyword) {
-  const found = [];
-  if (gaps.noFreeTier) found.push('No free tier detected');
-  if (gaps.noShortFormSupport) found.push('No short-form video support found');
-  if (gaps.noCreatorAnalytics) found.push('No creator analytics dashboard found');
-  if (gaps.missingTargetFeature && keyword) found.push(`No "${keyword}" feature found`);
-  return found.length ? `Gap(s) confirmed: ${found.join('; ')}.` : 'No major gaps detected on this competitor.';
+/**
+ * Store judgeFeatureCoverage's verdicts on a competitor result: `gaps`
+ * becomes { [featureId]: { feature, status, excerpt, reason } } and `notes`
+ * lists the features judged absent. A result whose verification already
+ * failed keeps its failure note.
+ */
+export function applyFeatureJudgements(result, judgements) {
+  result.gaps = judgements;
+  const absent = Object.values(judgements).filter((j) => j.status === 'absent').map((j) => j.feature);
+  const unclear = Object.values(judgements).filter((j) => j.status === 'unclear').length;
+
+  if (!result.success && result.notes) return result;
+  result.notes = absent.length
+    ? `Gap(s) confirmed: no ${absent.join('; no ')}.`
+    : 'No major gaps detected on this competitor.';
+  if (unclear) result.notes += ` ${unclear} feature(s) unclear from the page text.`;
+  return result;
 }
 
 /**
- * Run the full competitor verification loop.
+ * Verify every competitor, VALIDATE_CONCURRENCY at a time, on one shared browser.
  *
- * @param {string}   targetKeyword   - Gap keyword derived from the top pain point
  * @param {Function} emitEvent       - SSE emitter
  * @param {Array}    [competitors]   - Dynamic list from identifyCompetitors().
  *                                    Falls back to COMPETITOR_TARGETS when null/empty
  *                                    so the system degrades gracefully.
+ * @param {{ signal?: AbortSignal, checklist?: Array<{ id, feature }> }} [options]
+ *        checklist: features to crop evidence for on each competitor's pages
  */
-export async function verifyAllCompetitors(targetKeyword, emitEvent, competitors = null) {
+export async function verifyAllCompetitors(emitEvent, competitors = null, { signal, checklist = [] } = {}) {
   // Use dynamic competitors if provided and valid, otherwise fall back to defaults
   const targets =
     Array.isArray(competitors) && competitors.length > 0
       ? competitors
       : COMPETITOR_TARGETS;
 
-  const results = [];
-  for (const competitor of targets) {
-    const result = await checkCompetitorGap(competitor, targetKeyword, emitEvent);
-    results.push(result);
+  // One Chromium for the whole run, launched on first use (never, on replay)
+  let browserPromise = null;
+  const getBrowser = () => (browserPromise ??= launchBrowser());
+
+  logger.info(TAG, `Verifying ${targets.length} competitor(s), ${VALIDATE_CONCURRENCY} at a time`);
+  try {
+    return await mapWithConcurrency(targets, VALIDATE_CONCURRENCY, (competitor) =>
+      recordedCompetitorGap(competitor, emitEvent, { signal, getBrowser, checklist })
+    );
+  } finally {
+    if (browserPromise) await browserPromise.then((browser) => browser.close()).catch(() => {});
+  }
+}
+
+/**
+ * checkCompetitorGap with a deadline. A competitor that runs past
+ * COMPETITOR_TIMEOUT_MS has its context closed and comes back as an
+ * unsuccessful result; only a cancelled run propagates as an error.
+ */
+async function checkWithTimeout(competitor, emitEvent, { signal, getBrowser, checklist }) {
+  const timeout = AbortSignal.timeout(COMPETITOR_TIMEOUT_MS);
+  const combined = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+  try {
+    return await checkCompetitorGap(competitor, emitEvent, { signal: combined, getBrowser, checklist });
+  } catch (err) {
+    signal?.throwIfAborted();
+    if (!timeout.aborted) throw err;
+
+    const seconds = Math.round(COMPETITOR_TIMEOUT_MS / 1000);
+    logger.warn(TAG, `${competitor.name} timed out after ${seconds}s`);
+    emitEvent('browser_action', {
+      competitor: competitor.name,
+      action: 'error',
+      message: `Timed out after ${seconds}s — skipping ${competitor.name}`,
+    });
+    return {
+      name: competitor.name,
+      pricingUrl: competitor.pricingUrl,
+      featuresUrl: competitor.featuresUrl,
+      manual: null,
+      gaps: {},
+      pageText: { pricing: '', features: '' },
+      screenshot: null,
+      thumbnail: null,
+      fullPageScreenshot: null,
+      evidence: {},
+      success: false,
+      timedOut: true,
+      notes: `Could not complete verification: timed out after ${seconds}s`,
+    };
+  }
+}
+
+// ─────────────────────────────────────────────
+// Artifact references
+// ─────────────────────────────────────────────
+
+/**
+ * A browser_action event with its screenshot (and thumbnail) swapped for an
+ * artifact reference. Events without one pass through untouched.
+ */
+async function withEventArtifacts(data) {
+  if (!data.screenshot?.startsWith?.('data:')) return data;
+  const { screenshot, thumbnail, ...rest } = data;
+  const kind = rest.action === 'screenshot' ? 'viewport' : 'step';
+  const label = `${rest.competitor} ${kind === 'viewport' ? 'pricing page' : `step ${(rest.data?.step ?? 0) + 1}`}`;
+  return { ...rest, screenshot: await toArtifactRef(screenshot, { kind, label, thumbnail }) };
+}
+
+/**
+ * A competitor result with every captured data URL — viewport, full page,
+ * evidence crops and manual step screenshots — swapped for an artifact
+ * reference. The viewport's thumbnail moves onto its reference.
+ */
+async function withResultArtifacts(result) {
+  const { thumbnail, ...rest } = result;
+  const label = (what) => `${result.name} ${what}`;
+
+  const evidence = {};
+  for (const [id, entry] of Object.entries(rest.evidence ?? {})) {
+    evidence[id] = { ...entry, screenshot: await toArtifactRef(entry.screenshot, { kind: 'crop', label: label(entry.feature) }) };
+  }
+
+  return {
+    ...rest,
+    screenshot: await toArtifactRef(rest.screenshot, { kind: 'viewport', label: label('pricing page'), thumbnail }),
+    fullPageScreenshot: await toArtifactRef(rest.fullPageScreenshot, { kind: 'full_page', label: label('pricing page (full)') }),
+    evidence,
+    manual: rest.manual && {
+      ...rest.manual,
+      trace: await Promise.all((rest.manual.trace ?? []).map(async (step) => (step.screenshot
+        ? { ...step, screenshot: await toArtifactRef(step.screenshot, { kind: 'step', label: label(`step ${step.index + 1}`) }) }
+        : step))),
+    },
+  };
+}
+
+/**
+ * checkCompetitorGap through the record/replay harness. Puppeteer sessions
+ * can't be replayed call-by-call, so a whole competitor check is one fixture:
+ * its result plus every browser_action event it emitted, which are re-emitted
+ * on replay so the live feed looks the same.
+ *
+ * Fixtures keep the raw data URLs; screenshots become artifact references on
+ * the way out, live or replayed. Events are forwarded through a queue so they
+ * stay in order while their screenshots are saved.
+ */
+async function recordedCompetitorGap(competitor, emitEvent, { signal, getBrowser, checklist = [] } = {}) {
+  let forwarded = Promise.resolve();
+  const forward = (type, data) => {
+    forwarded = forwarded.then(async () => emitEvent(type, await withEventArtifacts(data)));
+  };
+
+  const { result, events } = await replayable('browser', {
+    competitor: competitor.name,
+    pricingUrl: competitor.pricingUrl,
+    featuresUrl: competitor.featuresUrl,
+    checklist: checklist.map((f) => f.feature),
+  }, async () => {
+    const events = [];
+    // Checks run in parallel — every event carries the competitor it belongs to
+    const result = await checkWithTimeout(competitor, (type, data) => {
+      const attributed = { ...data, competitor: competitor.name };
+      events.push({ type, data: attributed });
+      forward(type, attributed);
+    }, { signal, getBrowser, checklist });
+    return { result, events };
+  }, { signal });
+
+  if (isReplaying()) {
+    for (const { type, data } of events) forward(type, data);
   }
-  return results;
+  await forwarded;
+  return withResultArtifacts(result);
 }
 
 export { COMPETITOR_TARGETS };
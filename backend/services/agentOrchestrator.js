@@ -1,9 +1,24 @@
 /**
  * Agent Orchestrator — LangGraph StateGraph
  *
- * The pipeline is modelled as a directed StateGraph with 4 nodes:
+ * The pipeline is modelled as a directed StateGraph:
  *
- *   START → scoutNode → brainNode → validateNode → briefNode → END
+ *   START → scoutNode → brainNode → planNode → approvalNode → validateNode → briefNode → END
+ *              ↺ (retry)   ↘ insufficientNode → END
+ *
+ * scoutNode loops back on itself with LLM-broadened queries while it has
+ * fewer than minPosts posts, and gives up via insufficientNode once
+ * maxScoutRetries is exhausted.
+ *
+ * planNode proposes the competitors to check; approvalNode optionally pauses
+ * the run (LangGraph interrupt) so a human can approve or edit that plan
+ * before any browser time is spent.
+ *
+ * In portfolio mode (portfolioSize > 1) approval fans out instead: one
+ * opportunityNode per top problem (LangGraph Send) validates it and writes
+ * its brief, and portfolioNode compares them side by side:
+ *
+ *   … → approvalNode ⇉ opportunityNode × N → portfolioNode → END
  *
  * Each node:
  *   - Receives the full AgentState
@@ -16,19 +31,22 @@
  *   - Each node is independently testable
  *   - Conditional edges let us add retry/branch logic cleanly later
  *   - LangGraph's execution model handles errors per-node without killing the run
- *   - Easy to add human-in-the-loop checkpoints (state.interrupt) in future
+ *   - Human-in-the-loop checkpoints via interrupt() + Command({ resume })
  */
 
-import { StateGraph, Annotation, START, END } from '@langchain/langgraph';
+import { StateGraph, Annotation, Command, Send, START, END, interrupt } from '@langchain/langgraph';
 import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/logger.js';
+import { scrapeCompetitorPage, closeBrightData } from './brightDataService.js';
 import {
-  searchRedditPainPoints,
-  scrapeRedditPosts,
-  scrapeCompetitorPage,
-  closeBrightData,
-} from './brightDataService.js';
+  searchAllSources,
+  enrichPosts,
+  countBySource,
+  defaultScoutSources,
+  SOURCE_LABELS,
+} from './scoutSources.js';
+import { discoverSubreddits, crawlSubreddits, withoutExcluded } from './subredditDiscovery.js';
 import {
   createSession,
   storeMessage,
@@ -40,7 +58,11 @@ import {
   updateTaskBlock,
   getTaskBlocks,
 } from './acontextService.js';
-import { verifyAllCompetitors } from './actionbookService.js';
+import { verifyAllCompetitors, applyFeatureJudgements, COMPETITOR_TARGETS } from './actionbookService.js';
+import { resolveCompetitors } from './competitorResolver.js';
+import { buildQuoteCorpus, groundPainPoints, groundRankedProblem, summariseGrounding, getGroundingMode } from './quoteGrounding.js';
+import { clusterPainPoints } from './painPointClusters.js';
+import { scoreOpportunities, markSelected, resolveScoringWeights, competitorCoverage } from './opportunityScoring.js';
 import {
   cleanAndFilterPosts,
   extractPainPoints,
@@ -48,10 +70,29 @@ import {
   analyseCompetitorData,
   generateOpportunityBrief,
   identifyCompetitors,
+  broadenScoutQueries,
+  generateFeatureChecklist,
+  judgeFeatureCoverage,
+  extractPricingPlans,
+  describeRepair,
 } from './llmService.js';
+import { dedupeBy, mapWithConcurrency } from '../utils/helpers.js';
+import { resetReplaySequence } from '../utils/replay.js';
+import { getRunStore } from './runStore.js';
+import { getCheckpointer } from './checkpointStore.js';
 
 const TAG = 'Orchestrator(LangGraph)';
 
+// Scout retry policy — overridable per run via startRun options
+const SCOUT_MIN_POSTS = Number(process.env.SCOUT_MIN_POSTS) || 5;
+const SCOUT_MAX_RETRIES = Number(process.env.SCOUT_MAX_RETRIES ?? 2);
+
+// Portfolio mode — how many opportunities get their own validation and brief
+// (1 = the single top problem), and how many of them run at once
+export const MAX_PORTFOLIO_SIZE = 5;
+const PORTFOLIO_SIZE = Math.min(MAX_PORTFOLIO_SIZE, Math.max(1, Number(process.env.PORTFOLIO_SIZE) || 1));
+const PORTFOLIO_CONCURRENCY = Math.max(1, Number(process.env.PORTFOLIO_CONCURRENCY) || 2);
+
 // ─────────────────────────────────────────────
 // Emitter side-channel registry
 //
@@ -67,6 +108,35 @@ function getEmit(runId) {
   return emitRegistry.get(runId) ?? (() => {});
 }
 
+// Same pattern for cancellation: one AbortController per executing run.
+// Nodes pass getSignal(runId) to every service call so POST /cancel/:runId
+// can abort fetches, LLM requests, CLI processes and browsers mid-flight.
+const abortRegistry = new Map(); // runId → AbortController
+
+function getSignal(runId) {
+  return abortRegistry.get(runId)?.signal ?? new AbortController().signal;
+}
+
+/**
+ * Options for skill block calls: the run's AbortSignal and LLM provider, plus
+ * a collector for schema repairs. Nodes return `llm.repairs` as `llmRepairs`
+ * so the run records which skill blocks needed their output re-asked.
+ */
+function llmOptions(state) {
+  const emit = getEmit(state.runId);
+  const repairs = [];
+  return {
+    signal: getSignal(state.runId),
+    provider: state.llmProvider ?? undefined,
+    repairs,
+    onRepair: (repair) => {
+      const entry = { ...repair, at: new Date().toISOString() };
+      repairs.push(entry);
+      emit('llm_repair', { ...entry, message: describeRepair(repair) });
+    },
+  };
+}
+
 // ─────────────────────────────────────────────
 // 1. Define the LangGraph State
 //
@@ -81,64 +151,154 @@ const AgentState = Annotation.Root({
   niche:     Annotation({ reducer: (_, v) => v, default: () => '' }),
   sessionId: Annotation({ reducer: (_, v) => v, default: () => '' }),
   spaceId:   Annotation({ reducer: (_, v) => v, default: () => null }),
+  requireApproval: Annotation({ reducer: (_, v) => v, default: () => false }),
+  llmProvider:     Annotation({ reducer: (_, v) => v, default: () => null }),
+  scoringWeights:  Annotation({ reducer: (_, v) => v, default: () => null }),
+  portfolioSize:   Annotation({ reducer: (_, v) => v, default: () => PORTFOLIO_SIZE }),
 
   // ── Scout phase (Bright Data) ─────────────────────
   searchResults: Annotation({ reducer: (_, v) => v, default: () => [] }),
   rawPosts:      Annotation({ reducer: (_, v) => v, default: () => [] }),
+  scoutQueries:  Annotation({ reducer: (_, v) => v, default: () => [] }),
+  scoutAttempt:  Annotation({ reducer: (_, v) => v, default: () => 0 }),
+  scoutSources:  Annotation({ reducer: (_, v) => v, default: () => defaultScoutSources() }),
+  forumUrls:     Annotation({ reducer: (_, v) => v, default: () => [] }),
+  pinSubreddits:     Annotation({ reducer: (_, v) => v, default: () => [] }),
+  excludeSubreddits: Annotation({ reducer: (_, v) => v, default: () => [] }),
+  subreddits:        Annotation({ reducer: (_, v) => v, default: () => [] }),
+  minPosts:        Annotation({ reducer: (_, v) => v, default: () => SCOUT_MIN_POSTS }),
+  maxScoutRetries: Annotation({ reducer: (_, v) => v, default: () => SCOUT_MAX_RETRIES }),
 
   // ── Brain phase (Acontext + LLM) ──────────────────
   painPoints:  Annotation({ reducer: (_, v) => v, default: () => [] }),
   topProblem:  Annotation({ reducer: (_, v) => v, default: () => null }),
+  quoteGrounding: Annotation({ reducer: (_, v) => v, default: () => null }),
+  painPointClusters: Annotation({ reducer: (_, v) => v, default: () => null }),
+  opportunityScores: Annotation({ reducer: (_, v) => v, default: () => null }),
+
+  // ── Plan phase (LLM, optionally human-approved) ───
+  competitors: Annotation({ reducer: (_, v) => v, default: () => null }),
 
   // ── Validate phase (ActionBook + Puppeteer + LLM) ──
+  featureChecklist:  Annotation({ reducer: (_, v) => v, default: () => [] }),
   competitorResults: Annotation({ reducer: (_, v) => v, default: () => [] }),
   gapAnalysis:       Annotation({ reducer: (_, v) => v, default: () => null }),
 
   // ── Brief phase (LLM) ─────────────────────────────
   opportunityBrief: Annotation({ reducer: (_, v) => v, default: () => null }),
 
+  // ── Portfolio mode (one entry per fanned-out opportunity, by rank) ──
+  portfolio: Annotation({
+    reducer: (acc, v) => [...acc.filter((o) => !v.some((n) => n.rank === o.rank)), ...v].sort((a, b) => a.rank - b.rank),
+    default: () => [],
+  }),
+
+  // ── Outcome (null = normal completion) ────────────
+  outcome: Annotation({ reducer: (_, v) => v, default: () => null }),
+
   // ── Error tracking ───────────────────────────────
   errors: Annotation({
     reducer: (acc, v) => [...acc, ...v],
     default: () => [],
   }),
+
+  // Skill blocks whose output failed schema validation and was re-asked
+  llmRepairs: Annotation({
+    reducer: (acc, v) => [...acc, ...v],
+    default: () => [],
+  }),
 });
 
 // ─────────────────────────────────────────────
-// 2. Node: scoutNode — Bright Data
-//    Searches Reddit, scrapes posts, cleans data
+// 2. Node: scoutNode — scout sources (Reddit, HN, app stores, forums)
+//    Searches every selected source, enriches posts, cleans data
 // ─────────────────────────────────────────────
 async function scoutNode(state) {
-  const { niche, sessionId, runId } = state;
+  const { niche, sessionId, runId, scoutSources, forumUrls, pinSubreddits, excludeSubreddits } = state;
   const emit = getEmit(runId);
-  logger.phase('SCOUT');
-  emit('phase_start', { phase: 'scout', message: 'Phase 1: Scouting Reddit for pain points…' });
+  const signal = getSignal(runId);
+  const attempt = state.scoutAttempt + 1;
+  logger.phase(attempt === 1 ? 'SCOUT' : `SCOUT (retry ${attempt - 1})`);
 
   let searchResults = [];
-  let rawPosts = [];
+  let rawPosts = state.rawPosts;
+  let scoutQueries = state.scoutQueries;
+  let subreddits = state.subreddits;
   const errors = [];
 
   try {
-    searchResults = await searchRedditPainPoints(niche);
+    // First pass searches the niche as typed; retries ask the LLM for
+    // broader or synonym phrasings that haven't been tried yet.
+    let queries = [niche];
+    if (attempt === 1) {
+      const labels = scoutSources.map((s) => SOURCE_LABELS[s] ?? s).join(', ');
+      emit('phase_start', { phase: 'scout', message: `Phase 1: Scouting ${labels} for pain points…` });
+    } else {
+      queries = await broadenScoutQueries(niche, scoutQueries, llmOptions(state));
+      emit('scout_retry', {
+        phase: 'scout',
+        attempt,
+        queries,
+        message: `Only ${rawPosts.length} posts found — retrying with broader queries: ${queries.join(', ')}`,
+      });
+    }
+    scoutQueries = [...scoutQueries, ...queries];
+
+    for (const query of queries) {
+      searchResults.push(...await searchAllSources(query, { sources: scoutSources, forumUrls, signal }));
+    }
+    searchResults = withoutExcluded(searchResults, excludeSubreddits);
+
+    // Targeted crawl: rank subreddits from subreddit search plus where the
+    // global hits landed, then read their top and new listings
+    if (scoutSources.includes('reddit')) {
+      if (subreddits.length === 0) {
+        subreddits = await discoverSubreddits(queries[0], {
+          seedPosts: searchResults.filter((r) => r.source === 'reddit'),
+          pinned: pinSubreddits,
+          excluded: excludeSubreddits,
+          signal,
+        });
+        emit('subreddits_selected', {
+          subreddits,
+          message: subreddits.length
+            ? `Targeting ${subreddits.map((s) => `r/${s.name}${s.pinned ? ' (pinned)' : ''}`).join(', ')}`
+            : 'No dedicated subreddits found — using global Reddit search only',
+        });
+      }
+      // Targeted posts go first so they survive the enrichment cap
+      if (subreddits.length > 0) {
+        searchResults = [...await crawlSubreddits(subreddits, queries, { signal }), ...searchResults];
+      }
+    }
+    searchResults = dedupeBy(searchResults, (r) => r.url);
+    const bySource = countBySource(searchResults);
     emit('search_complete', {
       count: searchResults.length,
-      message: `Bright Data found ${searchResults.length} Reddit URLs`,
+      bySource,
+      message: `Found ${searchResults.length} posts (${formatSourceCounts(bySource)})`,
       urls: searchResults.slice(0, 5).map((r) => r.url),
     });
 
-    rawPosts = await scrapeRedditPosts(searchResults, 15);
+    const scraped = await enrichPosts(searchResults, { signal });
     emit('scrape_complete', {
-      count: rawPosts.length,
-      message: `Scraped ${rawPosts.length} Reddit posts`,
-      preview: rawPosts.slice(0, 3).map((p) => ({ url: p.url, snippet: p.snippet?.slice(0, 120) })),
+      count: scraped.length,
+      bySource: countBySource(scraped),
+      message: `Collected ${scraped.length} posts with content`,
+      preview: scraped.slice(0, 3).map((p) => ({ url: p.url, source: p.source, snippet: p.snippet?.slice(0, 120) })),
     });
 
+    // Keep everything earlier attempts found
+    rawPosts = dedupeBy([...rawPosts, ...scraped], (p) => p.url);
+
     // Filter for signal quality
-    const filtered = await cleanAndFilterPosts(rawPosts, niche);
+    const filtered = await cleanAndFilterPosts(rawPosts, niche, llmOptions(state));
     rawPosts = filtered.length >= 5 ? filtered : rawPosts;
 
-    await storeMessage(sessionId, 'assistant', `[SCOUT] Scraped ${rawPosts.length} posts for niche "${niche}"`);
+    await storeMessage(sessionId, 'assistant', `[SCOUT] Collected ${rawPosts.length} posts for niche "${niche}" (attempt ${attempt}): ${formatSourceCounts(countBySource(rawPosts))}`);
+    await writeReport(sessionId, { sources: countBySource(rawPosts), subreddits });
   } catch (err) {
+    signal.throwIfAborted();
     logger.error(TAG, 'Scout node error', err);
     errors.push({ phase: 'scout', message: err.message });
     emit('phase_warning', { phase: 'scout', message: `Scout degraded: ${err.message}` });
@@ -151,29 +311,97 @@ async function scoutNode(state) {
 
   emit('phase_complete', { phase: 'scout', message: `Scout complete — ${rawPosts.length} posts collected` });
 
-  return { searchResults, rawPosts, errors };
+  return { searchResults, rawPosts, scoutQueries, scoutAttempt: attempt, subreddits, errors };
+}
+
+// "Reddit 12 · Hacker News 4" for log lines
+function formatSourceCounts(counts) {
+  return Object.entries(counts).map(([source, n]) => `${SOURCE_LABELS[source] ?? source} ${n}`).join(' · ') || 'none';
+}
+
+/**
+ * Conditional edge after scout: continue with enough posts, otherwise retry
+ * scouting with broader queries until maxScoutRetries is exhausted.
+ */
+function routeAfterScout(state) {
+  const { rawPosts, minPosts, scoutAttempt, maxScoutRetries } = state;
+  if (rawPosts.length >= minPosts) return 'brain';
+  if (scoutAttempt <= maxScoutRetries) return 'scout';
+  return 'insufficient';
+}
+
+// ─────────────────────────────────────────────
+// 2b. Node: insufficientNode
+//     Ends the run cleanly when scouting never reached minPosts, instead of
+//     letting brain/brief fabricate pain points from near-empty input.
+// ─────────────────────────────────────────────
+async function insufficientNode(state) {
+  const { niche, sessionId, rawPosts, minPosts, scoutAttempt, scoutQueries, runId } = state;
+  const emit = getEmit(runId);
+
+  const message = `Insufficient evidence: found ${rawPosts.length} post(s) for "${niche}" after ${scoutAttempt} attempt(s) — at least ${minPosts} are needed for a reliable brief.`;
+  logger.warn(TAG, message);
+
+  for (const block of getTaskBlocks(sessionId)) updateTaskBlock(sessionId, block.id, 'skipped');
+  emit('insufficient_evidence', {
+    postsFound: rawPosts.length,
+    minPosts,
+    attempts: scoutAttempt,
+    queries: scoutQueries,
+    taskBlocks: getTaskBlocks(sessionId),
+    message,
+  });
+
+  await storeMessage(sessionId, 'assistant', `[SCOUT] ${message}`);
+  await writeReport(sessionId, {
+    status: 'insufficient_evidence',
+    outcome: { type: 'insufficient_evidence', postsFound: rawPosts.length, minPosts, attempts: scoutAttempt, queries: scoutQueries, message },
+    completedAt: new Date().toISOString(),
+    taskBlocks: getTaskBlocks(sessionId),
+  });
+
+  return { outcome: 'insufficient_evidence' };
 }
 
 // ─────────────────────────────────────────────
 // 3. Node: brainNode — Acontext + LLM
-//    Extracts pain points, ranks, writes to Disk
+//    Extracts pain points, grounds their quotes in the scouted posts, clusters
+//    them to measure frequency, ranks the clusters, scores the ranked
+//    candidates and keeps the best-scoring one, writes to Disk
 // ─────────────────────────────────────────────
 async function brainNode(state) {
   const { niche, sessionId, rawPosts, runId } = state;
   const emit = getEmit(runId);
+  const signal = getSignal(runId);
   logger.phase('BRAIN');
   emit('phase_start', { phase: 'brain', message: 'Phase 2: Analysing pain points and identifying top problem…' });
 
   let painPoints = [];
   let topProblem = null;
+  let quoteGrounding = null;
+  let painPointClusters = null;
+  let opportunityScores = null;
   const errors = [];
+  const llm = llmOptions(state);
 
   try {
     // Task Block 1
     updateTaskBlock(sessionId, 'extract_pain_points', 'running');
     emit('task_update', { taskId: 'extract_pain_points', status: 'running' });
 
-    painPoints = await extractPainPoints(rawPosts, niche);
+    // Every quote the LLM cites is checked against the posts it was given
+    const groundingMode = getGroundingMode();
+    const corpus = buildQuoteCorpus(rawPosts);
+    const extracted = groundPainPoints(await extractPainPoints(rawPosts, niche, {
+      ...llm,
+      onBatch: ({ batch, batches, count }) => batches > 1 && emit('extraction_progress', {
+        batch,
+        batches,
+        count,
+        message: `Extraction batch ${batch}/${batches}: ${count} pain point(s)`,
+      }),
+    }), corpus, { mode: groundingMode });
+    painPoints = extracted.painPoints;
 
     updateTaskBlock(sessionId, 'extract_pain_points', 'complete');
     emit('task_update', { taskId: 'extract_pain_points', status: 'complete' });
@@ -189,7 +417,30 @@ async function brainNode(state) {
     updateTaskBlock(sessionId, 'rank_and_select', 'running');
     emit('task_update', { taskId: 'rank_and_select', status: 'running' });
 
-    topProblem = await rankAndSelectProblem(painPoints, niche);
+    // Similar pain points are grouped so frequency is counted, not guessed
+    painPointClusters = await clusterPainPoints(painPoints, rawPosts, llm);
+    emit('pain_points_clustered', {
+      count: painPointClusters.clusters.length,
+      method: painPointClusters.method,
+      message: `${painPoints.length} pain point(s) grouped into ${painPointClusters.clusters.length} cluster(s) (${painPointClusters.method})`,
+    });
+
+    const ranked = groundRankedProblem(await rankAndSelectProblem(painPointClusters.clusters, niche, llm), corpus, { mode: groundingMode });
+
+    // The model proposes candidates; the scoring function picks between them
+    const weights = state.scoringWeights ?? resolveScoringWeights();
+    topProblem = selectByScore(ranked.topProblem, scoreOpportunities(ranked.topProblem, painPointClusters.clusters, { weights }));
+    opportunityScores = markSelected(scoreOpportunities(topProblem, painPointClusters.clusters, { weights }), topProblem);
+    emitOpportunityScores(emit, opportunityScores);
+    quoteGrounding = summariseGrounding(groundingMode, extracted.stats, ranked.stats);
+    emit('quote_grounding', {
+      ...quoteGrounding,
+      message: quoteGrounding.checked
+        ? `${quoteGrounding.verified}/${quoteGrounding.checked} quote(s) found in the scouted posts`
+          + `${quoteGrounding.corrected ? `, ${quoteGrounding.corrected} re-attributed` : ''}`
+          + `${quoteGrounding.unverified ? `, ${quoteGrounding.unverified} ${groundingMode === 'drop' ? 'dropped' : 'unverified'}` : ''}`
+        : 'No quotes to check',
+    });
 
     updateTaskBlock(sessionId, 'rank_and_select', 'complete');
     emit('task_update', { taskId: 'rank_and_select', status: 'complete' });
@@ -197,12 +448,14 @@ async function brainNode(state) {
       problem: topProblem?.top_problem,
       frequency: topProblem?.frequency_score,
       severity: topProblem?.severity_score,
+      score: topProblem?.opportunity_score,
       keyword: topProblem?.gap_keyword,
     });
 
     await storeMessage(sessionId, 'assistant', `[BRAIN] Top problem: "${topProblem?.top_problem}". Gap keyword: "${topProblem?.gap_keyword}"`);
-    await writeReport(sessionId, { topProblem });
+    await writeReport(sessionId, { topProblem, quoteGrounding, painPointClusters: reportClusters(painPointClusters), opportunityScores });
   } catch (err) {
+    signal.throwIfAborted();
     logger.error(TAG, 'Brain node error', err);
     errors.push({ phase: 'brain', message: err.message });
     updateTaskBlock(sessionId, 'extract_pain_points', 'error');
@@ -212,69 +465,363 @@ async function brainNode(state) {
 
   emit('phase_complete', { phase: 'brain', message: 'Brain complete — top problem identified' });
 
-  return { painPoints, topProblem, errors };
+  return { painPoints, topProblem, quoteGrounding, painPointClusters, opportunityScores, errors, llmRepairs: llm.repairs };
+}
+
+/**
+ * Re-order the ranking's candidates by opportunity score and make the best
+ * one the top problem. When that isn't the model's own pick, its narrative
+ * why_this_wins is replaced by the score comparison.
+ */
+function selectByScore(topProblem, scoring) {
+  const ranked = topProblem?.ranked_pain_points;
+  const best = scoring.rows[0];
+  if (!best || best.score === null) return topProblem;
+  if (!ranked?.length) return { ...topProblem, opportunity_score: best.score };
+
+  const ordered = {
+    ...topProblem,
+    ranked_pain_points: scoring.rows.map((row) => ({ ...ranked[row.candidate], opportunity_score: row.score })),
+  };
+  if (best.candidate === 0) return { ...ordered, opportunity_score: best.score };
+
+  logger.info(TAG, `Opportunity score prefers "${best.problem}" over the model's pick "${topProblem.top_problem}"`);
+  return {
+    ...withRankedProblem(ordered, ordered.ranked_pain_points[0], 'opportunity_score'),
+    runner_up: ordered.ranked_pain_points[1]?.problem ?? null,
+    why_this_wins: scoring.explanation,
+  };
+}
+
+function emitOpportunityScores(emit, scoring) {
+  emit('opportunity_scored', {
+    rows: scoring.rows.map(({ rank, problem, score, selected }) => ({ rank, problem, score, selected })),
+    message: scoring.explanation ?? 'No candidate could be scored',
+  });
+}
+
+/**
+ * Clusters as stored on the report — members are already in painPoints, so
+ * each keeps only its members' problem statements and citations.
+ */
+function reportClusters(painPointClusters) {
+  if (!painPointClusters) return null;
+  return {
+    method: painPointClusters.method,
+    clusters: painPointClusters.clusters.map(({ members, ...cluster }) => ({
+      ...cluster,
+      members: members.map(({ problem, source_url }) => ({ problem, source_url })),
+    })),
+  };
 }
 
 // ─────────────────────────────────────────────
-// 4. Node: validateNode — ActionBook + Puppeteer + LLM
-//    Navigates competitors, takes screenshots, confirms gap
+// 4a. Node: planNode — LLM
+//     Identifies niche-specific competitors to verify
 // ─────────────────────────────────────────────
-async function validateNode(state) {
-  const { niche, sessionId, topProblem, runId } = state;
+async function planNode(state) {
+  const { niche, topProblem, runId } = state;
   const emit = getEmit(runId);
-  logger.phase('VALIDATE');
-  emit('phase_start', { phase: 'validate', message: 'Phase 3: Verifying competitor gaps with ActionBook…' });
 
-  updateTaskBlock(sessionId, 'verify_competitor_gaps', 'running');
-  emit('task_update', { taskId: 'verify_competitor_gaps', status: 'running' });
-
-  let competitorResults = [];
-  let gapAnalysis = null;
-  const errors = [];
+  // Niche-specific competitors replace the hardcoded Buffer/Later/Notion list
+  // with products that are actually relevant to the niche the user typed in.
+  emit('phase_log', {
+    phase: 'validate',
+    message: `Identifying real competitors for "${niche}" niche…`,
+  });
 
-  try {
-    const targetKeyword = topProblem?.gap_keyword ?? '';
+  const llm = llmOptions(state);
+  const competitors = await identifyCompetitors(niche, topProblem, llm);
 
-    // ── Identify niche-specific competitors via LLM ───────────────────────
-    // This replaces the hardcoded Buffer/Later/Notion list with products that
-    // are actually relevant to the niche the user typed in.
+  if (competitors) {
+    emit('competitors_identified', {
+      competitors: competitors.map((c) => c.name),
+      message: `Competitors identified: ${competitors.map((c) => c.name).join(', ')}`,
+    });
+  } else {
     emit('phase_log', {
       phase: 'validate',
-      message: `Identifying real competitors for "${niche}" niche…`,
+      message: 'Competitor identification failed — using default competitors as fallback',
     });
+  }
 
-    const dynamicCompetitors = await identifyCompetitors(niche, topProblem);
+  return { competitors, llmRepairs: llm.repairs };
+}
 
-    if (dynamicCompetitors) {
-      emit('competitors_identified', {
-        competitors: dynamicCompetitors.map((c) => c.name),
-        message: `Competitors identified: ${dynamicCompetitors.map((c) => c.name).join(', ')}`,
-      });
-    } else {
-      emit('phase_log', {
-        phase: 'validate',
-        message: 'Competitor identification failed — using default competitors as fallback',
-      });
+// ─────────────────────────────────────────────
+// 4b. Node: approvalNode — human-in-the-loop checkpoint
+//     When requireApproval is set, pauses the run until the user approves,
+//     edits, or swaps in the runner-up problem via POST /approve/:runId.
+//
+//     interrupt() throws on the first pass (the run parks with status
+//     awaiting_approval); on resume LangGraph re-enters this node and
+//     interrupt() returns the user's decision instead.
+// ─────────────────────────────────────────────
+async function approvalNode(state) {
+  const { niche, sessionId, painPoints, topProblem, competitors, requireApproval, runId } = state;
+  if (!requireApproval) return {};
+
+  const decision = interrupt({
+    painPoints,
+    rankedPainPoints: topProblem?.ranked_pain_points ?? [],
+    topProblem,
+    gapKeyword: topProblem?.gap_keyword ?? '',
+    competitors: competitors ?? [],
+    runnerUp: runnerUpOf(topProblem),
+  });
+
+  const emit = getEmit(runId);
+  const llm = llmOptions(state);
+  let nextProblem = topProblem;
+  let nextCompetitors = competitors;
+
+  if (decision?.action === 'runner_up') {
+    const runnerUp = runnerUpOf(topProblem);
+    if (runnerUp) {
+      nextProblem = withRankedProblem(topProblem, runnerUp, 'user_runner_up');
+      // The proposed competitors were chosen for the old problem
+      if (!decision.competitors) nextCompetitors = await identifyCompetitors(niche, nextProblem, llm);
     }
+  }
+
+  if (decision?.gapKeyword) nextProblem = { ...nextProblem, gap_keyword: decision.gapKeyword };
+  if (decision?.competitors) nextCompetitors = decision.competitors;
+
+  emit('approval_applied', {
+    action: decision?.action ?? 'approve',
+    problem: nextProblem?.top_problem,
+    keyword: nextProblem?.gap_keyword,
+    competitors: (nextCompetitors ?? []).map((c) => c.name),
+    message: `Plan approved — validating "${nextProblem?.gap_keyword}" against ${(nextCompetitors ?? []).length || 'default'} competitors`,
+  });
+
+  await storeMessage(sessionId, 'user', `[APPROVAL] ${decision?.action ?? 'approve'}: keyword "${nextProblem?.gap_keyword}", competitors ${(nextCompetitors ?? []).map((c) => c.name).join(', ') || 'default'}`);
+  const opportunityScores = markSelected(state.opportunityScores, nextProblem);
+  await writeReport(sessionId, { topProblem: nextProblem, opportunityScores });
+
+  return { topProblem: nextProblem, competitors: nextCompetitors, opportunityScores, llmRepairs: llm.repairs };
+}
+
+/**
+ * `topProblem` with one of its ranked_pain_points promoted to the top; the
+ * previous top problem becomes the runner-up.
+ */
+function withRankedProblem(topProblem, entry, selectedBy) {
+  return {
+    ...topProblem,
+    top_problem: entry.problem,
+    gap_keyword: entry.gap_keyword ?? topProblem?.gap_keyword,
+    supporting_quotes: entry.supporting_quotes ?? [],
+    cluster_id: entry.cluster_id,
+    frequency_score: entry.frequency_score,
+    metrics: entry.metrics,
+    opportunity_score: entry.opportunity_score,
+    runner_up: topProblem?.top_problem,
+    selected_by: selectedBy,
+  };
+}
+
+/**
+ * Second-ranked problem (by opportunity score) from rankAndSelectProblem, or
+ * null if the model did not return a ranked list.
+ */
+function runnerUpOf(topProblem) {
+  return topProblem?.ranked_pain_points?.[1] ?? null;
+}
+
+// ─────────────────────────────────────────────
+// 4. Node: validateNode — ActionBook + Puppeteer + LLM
+//    Builds a feature checklist from the top problem, verifies competitor
+//    URLs, navigates the verified competitors, takes screenshots, judges each competitor's pages against the checklist,
+//    extracts their pricing plans, confirms gap
+// ─────────────────────────────────────────────
+
+// Competitors judged and priced at once
+const JUDGE_CONCURRENCY = 3;
+
+/**
+ * Result for a competitor whose pricing page couldn't be verified — it gets
+ * no browser check and stays out of gap confirmation.
+ */
+function unverifiedResult(competitor) {
+  return {
+    name: competitor.name,
+    pricingUrl: competitor.pricingUrl,
+    featuresUrl: competitor.featuresUrl,
+    manual: null,
+    gaps: {},
+    pageText: { pricing: '', features: '' },
+    screenshot: null,
+    fullPageScreenshot: null,
+    evidence: {},
+    success: false,
+    notes: 'Pricing page could not be verified — excluded from gap confirmation.',
+  };
+}
+
+// The resolver's candidate log, minus anything bulky
+const resolutionSummary = ({ pricing, features }) => ({
+  pricing: { url: pricing.url, source: pricing.source, tried: pricing.tried },
+  features: { url: features.url, source: features.source, tried: features.tried },
+});
+
+/**
+ * Every screenshot reference in the results, for the report's receipts:
+ * the pricing page (viewport and full page) and the evidence crops.
+ */
+function reportScreenshots(competitorResults) {
+  return competitorResults.flatMap((c) => [
+    c.screenshot && { name: c.name, kind: 'viewport', label: 'Pricing page', screenshot: c.screenshot },
+    c.fullPageScreenshot && { name: c.name, kind: 'full_page', label: 'Full pricing page', screenshot: c.fullPageScreenshot },
+    ...Object.entries(c.evidence ?? {}).filter(([, e]) => e.screenshot).map(([id, e]) => ({
+      name: c.name,
+      kind: 'crop',
+      label: e.feature,
+      featureId: id,
+      text: e.text,
+      screenshot: e.screenshot,
+    })),
+  ].filter(Boolean));
+}
+
+/**
+ * Validate one problem against its competitors: build its feature checklist,
+ * verify each competitor's URLs, check the verified ones in the browser (Bright
+ * Data as a fallback), judge their pages against the checklist, read their
+ * pricing plans and confirm or reject the gap.
+ *
+ * Shared by validateNode and the portfolio's per-opportunity fan-out, so it
+ * leaves task blocks and the report to its caller. Throws on failure.
+ *
+ * @returns {Promise<{ featureChecklist, competitorResults, gapAnalysis }>}
+ */
+async function validateProblem(state, topProblem, competitors, { emit, signal, llm }) {
+  const featureChecklist = await generateFeatureChecklist(state.niche, topProblem, llm);
+  emit('feature_checklist', {
+    features: featureChecklist,
+    message: `Checking ${featureChecklist.length} feature(s): ${featureChecklist.map((f) => f.feature).join(', ')}`,
+  });
+
+  // Check every pricing / features URL before the browser trusts it
+  const targets = competitors?.length ? competitors : COMPETITOR_TARGETS;
+  const resolved = await resolveCompetitors(targets, {
+    signal,
+    onResolved: (c) => emit('browser_action', {
+      competitor: c.name,
+      action: c.verified ? 'resolved' : 'unverified',
+      message: c.verified
+        ? `Pricing page verified (${c.resolution.pricing.source}): ${c.pricingUrl}`
+        : `No verifiable pricing page after ${c.resolution.pricing.tried.length} candidate(s) — excluded from gap confirmation`,
+    }),
+  });
 
-    competitorResults = await verifyAllCompetitors(targetKeyword, (type, data) => {
+  const verifiedTargets = resolved.filter((c) => c.verified);
+  const browserResults = verifiedTargets.length
+    ? await verifyAllCompetitors((type, data) => {
       emit(type, data);
-    }, dynamicCompetitors);
-
-    // Bright Data fallback for any competitor Puppeteer couldn't access
-    for (const result of competitorResults) {
-      if (!result.success && !result.notes) {
-        emit('browser_action', {
-          competitor: result.name,
-          action: 'fallback',
-          message: `Falling back to Bright Data scrape for ${result.name}`,
-        });
-        const scraped = await scrapeCompetitorPage(result.pricingUrl);
-        if (scraped.success) result.scrapedContent = scraped.content.slice(0, 1000);
+    }, verifiedTargets, { signal, checklist: featureChecklist })
+    : [];
+
+  const competitorResults = resolved.map((c) => ({
+    ...(c.verified ? browserResults[verifiedTargets.indexOf(c)] : unverifiedResult(c)),
+    verified: c.verified,
+    resolution: resolutionSummary(c.resolution),
+  }));
+
+  // Bright Data fallback for any verified competitor Puppeteer couldn't
+  // access. The scraped pricing page stands in for the browser's page text.
+  for (const result of competitorResults) {
+    if (result.verified && !result.success && !result.pageText?.pricing) {
+      emit('browser_action', {
+        competitor: result.name,
+        action: 'fallback',
+        message: `Falling back to Bright Data scrape for ${result.name}`,
+      });
+      const scraped = await scrapeCompetitorPage(result.pricingUrl, { signal });
+      if (scraped.success) {
+        result.scrapedContent = scraped.content.slice(0, 1000);
+        result.pageText = { pricing: scraped.content.slice(0, 8000), features: '' };
       }
     }
+  }
+
+  // Judge every competitor's captured text against the checklist and read
+  // its pricing plans
+  await mapWithConcurrency(competitorResults.filter((r) => r.verified), JUDGE_CONCURRENCY, async (result) => {
+    const pageText = [result.pageText?.pricing, result.pageText?.features].filter(Boolean).join('\n\n');
+    const [judgements, plans] = await Promise.all([
+      judgeFeatureCoverage(result.name, pageText, featureChecklist, llm),
+      extractPricingPlans(result.name, result.pageText?.pricing, llm),
+    ]);
+    applyFeatureJudgements(result, judgements);
+    result.plans = plans;
+    if (plans.length) {
+      emit('browser_action', {
+        competitor: result.name,
+        action: 'pricing',
+        message: `${result.name}: ${plans.length} pricing plan(s) — ${plans.map((p) => p.name).join(', ')}`,
+        data: { plans },
+      });
+    }
+
+    const absent = Object.values(judgements).filter((j) => j.status === 'absent').length;
+    emit('browser_action', {
+      competitor: result.name,
+      action: 'judged',
+      message: `${result.name}: ${absent}/${featureChecklist.length} checklist feature(s) missing`,
+      data: { gaps: judgements },
+    });
+  });
+
+  // Only verified competitors can confirm a gap
+  const verifiedResults = competitorResults.filter((r) => r.verified);
+  const verifiedNames = new Set(verifiedResults.map((r) => r.name));
+  let gapAnalysis;
+  if (verifiedResults.length) {
+    gapAnalysis = await analyseCompetitorData(verifiedResults, topProblem, llm);
+    gapAnalysis.competitors_missing_feature = gapAnalysis.competitors_missing_feature?.filter((name) => verifiedNames.has(name));
+  } else {
+    gapAnalysis = { gap_confirmed: false, confidence: 'low', gap_summary: 'No competitor pricing page could be verified, so no gap can be confirmed.' };
+  }
+  gapAnalysis.unverified_competitors = competitorResults.filter((r) => !r.verified).map((r) => r.name);
+
+  return { featureChecklist, competitorResults, gapAnalysis };
+}
+
+// Screenshots are already artifact references; only the raw page text the
+// judge has already read is too bulky for the report
+const storableResults = (competitorResults) => competitorResults.map(({ pageText, ...rest }) => rest);
+
+async function validateNode(state) {
+  const { sessionId, topProblem, competitors, runId } = state;
+  const emit = getEmit(runId);
+  const signal = getSignal(runId);
+  logger.phase('VALIDATE');
+  emit('phase_start', { phase: 'validate', message: 'Phase 3: Verifying competitor gaps with ActionBook…' });
 
-    gapAnalysis = await analyseCompetitorData(competitorResults, topProblem);
+  updateTaskBlock(sessionId, 'verify_competitor_gaps', 'running');
+  emit('task_update', { taskId: 'verify_competitor_gaps', status: 'running' });
+
+  let competitorResults = [];
+  let featureChecklist = [];
+  let gapAnalysis = null;
+  let { opportunityScores } = state;
+  const errors = [];
+  const llm = llmOptions(state);
+
+  try {
+    ({ featureChecklist, competitorResults, gapAnalysis } = await validateProblem(state, topProblem, competitors, { emit, signal, llm }));
+
+    // Competitor coverage is only known now — it shows on the validated problem's
+    // row, and only moves scores once every candidate has it
+    const coverage = competitorCoverage(competitorResults);
+    if (opportunityScores && coverage && topProblem?.cluster_id) {
+      opportunityScores = markSelected(scoreOpportunities(topProblem, state.painPointClusters?.clusters, {
+        weights: opportunityScores.weights,
+        coverage: { [topProblem.cluster_id]: coverage },
+      }), topProblem);
+      emitOpportunityScores(emit, opportunityScores);
+    }
 
     updateTaskBlock(sessionId, 'verify_competitor_gaps', 'complete');
     emit('task_update', { taskId: 'verify_competitor_gaps', status: 'complete' });
@@ -285,11 +832,10 @@ async function validateNode(state) {
       competitorsMissing: gapAnalysis?.competitors_missing_feature,
     });
 
-    // Strip base64 screenshots from the session message (too large)
-    const storableResults = competitorResults.map(({ screenshot, ...rest }) => rest);
     await storeMessage(sessionId, 'assistant', `[VALIDATE] Gap confirmed: ${gapAnalysis?.gap_confirmed}. ${gapAnalysis?.gap_summary?.slice(0, 200)}`);
-    await writeReport(sessionId, { competitorResults: storableResults, gapAnalysis });
+    await writeReport(sessionId, { featureChecklist, competitorResults: storableResults(competitorResults), gapAnalysis, opportunityScores });
   } catch (err) {
+    signal.throwIfAborted();
     logger.error(TAG, 'Validate node error', err);
     errors.push({ phase: 'validate', message: err.message });
     updateTaskBlock(sessionId, 'verify_competitor_gaps', 'error');
@@ -299,7 +845,7 @@ async function validateNode(state) {
 
   emit('phase_complete', { phase: 'validate', message: 'Validation complete — evidence collected' });
 
-  return { competitorResults, gapAnalysis, errors };
+  return { featureChecklist, competitorResults, gapAnalysis, opportunityScores, errors, llmRepairs: llm.repairs };
 }
 
 // ─────────────────────────────────────────────
@@ -308,6 +854,7 @@ async function validateNode(state) {
 async function briefNode(state) {
   const { niche, sessionId, painPoints, topProblem, gapAnalysis, competitorResults, runId } = state;
   const emit = getEmit(runId);
+  const signal = getSignal(runId);
   logger.phase('BRIEF');
   emit('phase_start', { phase: 'brief', message: 'Phase 4: Generating Opportunity Brief…' });
 
@@ -316,6 +863,7 @@ async function briefNode(state) {
 
   let opportunityBrief = null;
   const errors = [];
+  const llm = llmOptions(state);
 
   try {
     opportunityBrief = await generateOpportunityBrief(
@@ -323,7 +871,8 @@ async function briefNode(state) {
       topProblem,
       gapAnalysis,
       competitorResults,
-      painPoints
+      painPoints,
+      llm
     );
 
     updateTaskBlock(sessionId, 'generate_opportunity_brief', 'complete');
@@ -338,6 +887,7 @@ async function briefNode(state) {
       status: 'complete',
       completedAt: new Date().toISOString(),
       taskBlocks: getTaskBlocks(sessionId),
+      llmRepairs: [...state.llmRepairs, ...llm.repairs],
     });
 
     await storeMessage(sessionId, 'assistant', `[BRIEF] Opportunity Brief: "${opportunityBrief.headline}"`);
@@ -346,61 +896,406 @@ async function briefNode(state) {
 
     emit('report_ready', {
       report: fullReport,
-      screenshots: competitorResults.map((c) => ({ name: c.name, screenshot: c.screenshot })),
+      screenshots: reportScreenshots(competitorResults),
       message: 'Market Gap Report is ready!',
     });
 
     logger.success(TAG, `Pipeline complete: "${opportunityBrief.headline}"`);
   } catch (err) {
+    signal.throwIfAborted();
     logger.error(TAG, 'Brief node error', err);
     errors.push({ phase: 'brief', message: err.message });
     updateTaskBlock(sessionId, 'generate_opportunity_brief', 'error');
     emit('phase_warning', { phase: 'brief', message: `Brief generation failed: ${err.message}` });
   }
 
-  return { opportunityBrief, errors };
+  return { opportunityBrief, errors, llmRepairs: llm.repairs };
+}
+
+// ─────────────────────────────────────────────
+// 5b. Portfolio mode — fan out per opportunity
+//     With portfolioSize > 1 the approved top problem and the next-best
+//     candidates (by opportunity score) each get competitors, validation and
+//     a brief. approval fans out with Send — one opportunityNode per problem,
+//     PORTFOLIO_CONCURRENCY at a time — and portfolioNode fans back in.
+// ─────────────────────────────────────────────
+
+const sameProblem = (entry, topProblem) => (entry.cluster_id && topProblem.cluster_id
+  ? entry.cluster_id === topProblem.cluster_id
+  : entry.problem === topProblem.top_problem);
+
+/**
+ * A ranked_pain_points entry as a problem of its own, shaped like topProblem.
+ */
+const problemFromCandidate = (entry) => ({
+  top_problem: entry.problem,
+  gap_keyword: entry.gap_keyword,
+  supporting_quotes: entry.supporting_quotes ?? [],
+  cluster_id: entry.cluster_id,
+  frequency_score: entry.frequency_score,
+  metrics: entry.metrics,
+  opportunity_score: entry.opportunity_score,
+  selected_by: 'portfolio',
+});
+
+/**
+ * The run's portfolio: the (possibly user-edited) top problem, then the
+ * best-scored candidates that aren't it, up to portfolioSize.
+ */
+function portfolioProblems(state) {
+  const { topProblem, portfolioSize } = state;
+  if (!topProblem) return [];
+  const others = (topProblem.ranked_pain_points ?? [])
+    .filter((entry) => !sameProblem(entry, topProblem))
+    .map(problemFromCandidate);
+  return [topProblem, ...others].slice(0, portfolioSize);
+}
+
+function routeAfterApproval(state) {
+  const problems = portfolioProblems(state);
+  if (problems.length < 2) return 'validate';
+
+  const { runId, niche, sessionId, llmProvider, painPoints, competitors } = state;
+  return problems.map((problem, i) => new Send('opportunity', {
+    runId,
+    niche,
+    sessionId,
+    llmProvider,
+    painPoints,
+    // The lead keeps the competitors the plan (and any approver) settled on
+    competitors: i === 0 ? competitors : null,
+    opportunity: { rank: i + 1, of: problems.length, problem },
+  }));
+}
+
+/**
+ * One opportunity of the portfolio: identify its competitors, validate it and
+ * write its brief. Its events carry `opportunity` (the rank); failures are
+ * recorded on the entry rather than failing the other opportunities.
+ */
+async function opportunityNode(state) {
+  const { niche, sessionId, painPoints, runId, opportunity: { rank, of, problem } } = state;
+  const runEmit = getEmit(runId);
+  const emit = (type, data) => runEmit(type, { ...data, opportunity: rank });
+  const signal = getSignal(runId);
+  const llm = llmOptions(state);
+  const errors = [];
+
+  if (rank === 1) {
+    logger.phase('VALIDATE');
+    runEmit('phase_start', { phase: 'validate', message: `Phase 3: Validating ${of} opportunities side by side…` });
+    updateTaskBlock(sessionId, 'verify_competitor_gaps', 'running');
+    runEmit('task_update', { taskId: 'verify_competitor_gaps', status: 'running' });
+  }
+  emit('opportunity_started', {
+    problem: problem.top_problem,
+    keyword: problem.gap_keyword,
+    message: `Opportunity #${rank}: "${problem.top_problem}"`,
+  });
+
+  const entry = { rank, problem, competitors: [], featureChecklist: [], competitorResults: [], gapAnalysis: null, coverage: null, opportunityBrief: null };
+  try {
+    const competitors = rank === 1 ? state.competitors : await identifyCompetitors(niche, problem, llm);
+    const { featureChecklist, competitorResults, gapAnalysis } = await validateProblem(state, problem, competitors, { emit, signal, llm });
+    Object.assign(entry, {
+      competitors: competitorResults.map((r) => r.name),
+      featureChecklist,
+      competitorResults: storableResults(competitorResults),
+      gapAnalysis,
+      coverage: competitorCoverage(competitorResults),
+    });
+    emit('opportunity_validated', {
+      gapConfirmed: gapAnalysis.gap_confirmed,
+      confidence: gapAnalysis.confidence,
+      message: `Opportunity #${rank}: gap ${gapAnalysis.gap_confirmed ? 'CONFIRMED' : 'not confirmed'} (${gapAnalysis.confidence} confidence)`,
+    });
+
+    entry.opportunityBrief = await generateOpportunityBrief(niche, problem, gapAnalysis, competitorResults, painPoints, llm);
+    emit('opportunity_ready', {
+      headline: entry.opportunityBrief.headline,
+      message: `Opportunity #${rank} brief: "${entry.opportunityBrief.headline}"`,
+    });
+    await storeMessage(sessionId, 'assistant', `[PORTFOLIO #${rank}] Gap confirmed: ${gapAnalysis.gap_confirmed}. Brief: "${entry.opportunityBrief.headline}"`);
+  } catch (err) {
+    signal.throwIfAborted();
+    logger.error(TAG, `Opportunity #${rank} error`, err);
+    entry.error = err.message;
+    errors.push({ phase: `opportunity_${rank}`, message: err.message });
+    emit('phase_warning', { phase: 'validate', message: `Opportunity #${rank} degraded: ${err.message}` });
+  }
+
+  return { portfolio: [entry], errors, llmRepairs: llm.repairs };
+}
+
+/**
+ * Side-by-side rows for the report, in portfolio order.
+ */
+function comparePortfolio(portfolio, opportunityScores) {
+  const scoreOf = (problem) => opportunityScores?.rows.find((row) => (problem.cluster_id
+    ? row.cluster_id === problem.cluster_id
+    : row.problem === problem.top_problem))?.score ?? problem.opportunity_score ?? null;
+
+  return portfolio.map(({ rank, problem, competitorResults, gapAnalysis, coverage, opportunityBrief, error }) => ({
+    rank,
+    problem: problem.top_problem,
+    gap_keyword: problem.gap_keyword,
+    opportunity_score: scoreOf(problem),
+    mentions: problem.metrics?.mentions ?? null,
+    competitors_verified: competitorResults.filter((r) => r.verified).length,
+    features_missing: coverage ? coverage.judged - coverage.offered : null,
+    features_judged: coverage?.judged ?? null,
+    gap_confirmed: gapAnalysis?.gap_confirmed ?? false,
+    confidence: gapAnalysis?.confidence ?? null,
+    competitors_missing_feature: gapAnalysis?.competitors_missing_feature ?? [],
+    headline: opportunityBrief?.headline ?? null,
+    validation_confidence: opportunityBrief?.validation_confidence ?? null,
+    ...(error ? { error } : {}),
+  }));
+}
+
+/**
+ * Fan-in: re-score every candidate now that each validated one has a
+ * competitor coverage, compare the opportunities and write the final report.
+ * The first opportunity with a brief fills the report's single-opportunity
+ * fields, so everything that reads one brief keeps working.
+ */
+async function portfolioNode(state) {
+  const { sessionId, topProblem, portfolio, runId } = state;
+  const emit = getEmit(runId);
+
+  emit('phase_complete', { phase: 'validate', message: 'Validation complete — evidence collected for every opportunity' });
+  logger.phase('BRIEF');
+  emit('phase_start', { phase: 'brief', message: `Phase 4: Comparing ${portfolio.length} opportunities…` });
+
+  let { opportunityScores } = state;
+  const coverage = Object.fromEntries(portfolio
+    .filter((o) => o.problem.cluster_id && o.coverage)
+    .map((o) => [o.problem.cluster_id, o.coverage]));
+  if (opportunityScores && Object.keys(coverage).length) {
+    opportunityScores = markSelected(scoreOpportunities(topProblem, state.painPointClusters?.clusters, {
+      weights: opportunityScores.weights,
+      coverage,
+    }), topProblem);
+    emitOpportunityScores(emit, opportunityScores);
+  }
+
+  const portfolioComparison = comparePortfolio(portfolio, opportunityScores);
+  const lead = portfolio.find((o) => o.opportunityBrief) ?? null;
+  const briefed = portfolio.filter((o) => o.opportunityBrief).length;
+
+  updateTaskBlock(sessionId, 'verify_competitor_gaps', portfolio.some((o) => o.gapAnalysis) ? 'complete' : 'error');
+  emit('task_update', { taskId: 'verify_competitor_gaps', status: portfolio.some((o) => o.gapAnalysis) ? 'complete' : 'error' });
+  updateTaskBlock(sessionId, 'generate_opportunity_brief', lead ? 'complete' : 'error');
+  emit('task_update', { taskId: 'generate_opportunity_brief', status: lead ? 'complete' : 'error' });
+
+  const errors = [];
+  if (!lead) {
+    errors.push({ phase: 'brief', message: 'No opportunity in the portfolio produced a brief' });
+    emit('phase_warning', { phase: 'brief', message: 'Brief generation failed for every opportunity' });
+    await writeReport(sessionId, { portfolio, portfolioComparison, opportunityScores });
+    return { opportunityScores, errors };
+  }
+
+  await flushAndSummarise(sessionId);
+  await writeReport(sessionId, {
+    featureChecklist: lead.featureChecklist,
+    competitorResults: lead.competitorResults,
+    gapAnalysis: lead.gapAnalysis,
+    opportunityBrief: lead.opportunityBrief,
+    portfolio,
+    portfolioComparison,
+    opportunityScores,
+    status: 'complete',
+    completedAt: new Date().toISOString(),
+    taskBlocks: getTaskBlocks(sessionId),
+    llmRepairs: state.llmRepairs,
+  });
+
+  emit('report_ready', {
+    report: readReport(sessionId),
+    screenshots: portfolio.flatMap((o) => reportScreenshots(o.competitorResults).map((shot) => ({ ...shot, opportunity: o.rank }))),
+    message: `Portfolio of ${briefed} opportunit${briefed === 1 ? 'y' : 'ies'} is ready!`,
+  });
+  emit('phase_complete', { phase: 'brief', message: `${briefed}/${portfolio.length} opportunity brief(s) written` });
+  logger.success(TAG, `Portfolio complete: ${portfolioComparison.map((row) => `#${row.rank} ${row.gap_confirmed ? '✓' : '✗'}`).join(', ')}`);
+
+  return {
+    featureChecklist: lead.featureChecklist,
+    competitorResults: lead.competitorResults,
+    gapAnalysis: lead.gapAnalysis,
+    opportunityBrief: lead.opportunityBrief,
+    opportunityScores,
+    errors,
+  };
 }
 
 // ─────────────────────────────────────────────
 // 6. Compile the StateGraph
-//    START → scout → brain → validate → brief → END
+//    START → scout → brain → plan → approval → validate → brief → END
+//    scout → scout (retry) | insufficient → END
+//    approval ⇉ opportunity × N → compare → END   (portfolio mode)
+//
+// The checkpointer snapshots state after every node into the run store,
+// keyed by runId, so an interrupted run can resume from the next node.
+// Threads are pruned or deleted once a run stops (settleCheckpoints).
 // ─────────────────────────────────────────────
 const graph = new StateGraph(AgentState)
   .addNode('scout',    scoutNode)
+  .addNode('insufficient', insufficientNode)
   .addNode('brain',    brainNode)
+  .addNode('plan',     planNode)
+  .addNode('approval', approvalNode)
   .addNode('validate', validateNode)
   .addNode('brief',    briefNode)
   .addEdge(START,      'scout')
-  .addEdge('scout',    'brain')
-  .addEdge('brain',    'validate')
+  .addConditionalEdges('scout', routeAfterScout, ['brain', 'scout', 'insufficient'])
+  .addEdge('insufficient', END)
+  .addEdge('brain',    'plan')
+  .addNode('opportunity', opportunityNode)
+  .addNode('compare',     portfolioNode)
+  .addEdge('plan',     'approval')
+  .addConditionalEdges('approval', routeAfterApproval, ['validate', 'opportunity'])
   .addEdge('validate', 'brief')
   .addEdge('brief',    END)
-  .compile();
+  .addEdge('opportunity', 'compare')
+  .addEdge('compare',     END)
+  .compile({ checkpointer: getCheckpointer() });
+
+// One checkpoint thread per run; maxConcurrency caps the portfolio fan-out.
+// Sync durability: a node's checkpoint is saved before the next node starts,
+// so a crash never loses a node that already finished.
+const graphConfig = (runId) => ({ configurable: { thread_id: runId }, maxConcurrency: PORTFOLIO_CONCURRENCY, durability: 'sync' });
 
 // ─────────────────────────────────────────────
 // 7. Public API
 // ─────────────────────────────────────────────
 
-// Active run registry — keyed by runId
+// Active run registry — keyed by runId.
+// Holds the live EventEmitter for each run; the serialisable part of every
+// entry is mirrored to the run store so it survives a restart.
 const activeRuns = new Map();
 
+// Statuses after which a run will emit no further events
+export const TERMINAL_STATUSES = new Set(['complete', 'complete_with_warnings', 'insufficient_evidence', 'cancelled', 'error', 'interrupted']);
+
+// Statuses a run can be resumed from via its last checkpoint
+export const RESUMABLE_STATUSES = new Set(['error', 'interrupted']);
+
+// Statuses that POST /cancel/:runId can stop
+export const CANCELLABLE_STATUSES = new Set(['running', 'awaiting_approval']);
+
+// Decisions accepted at the human-in-the-loop approval checkpoint
+export const APPROVAL_ACTIONS = new Set(['approve', 'runner_up']);
+
+/**
+ * Tidy a run's checkpoint thread once it stops with `status`: pruned to the
+ * latest checkpoint while it can still be resumed, deleted otherwise.
+ */
+function settleCheckpoints(runId, status) {
+  return getCheckpointer().finishThread(runId, { resumable: RESUMABLE_STATUSES.has(status) });
+}
+
+/**
+ * Merge a patch into a run's metadata, both in memory and in the run store.
+ */
+function updateRun(runId, patch) {
+  const { emitter, ...current } = activeRuns.get(runId) ?? {};
+  const next = { ...current, ...patch, updatedAt: new Date().toISOString() };
+  getRunStore().put('runs', runId, next);
+  activeRuns.set(runId, { ...next, emitter: emitter ?? new EventEmitter() });
+  return activeRuns.get(runId);
+}
+
+/**
+ * Look up a run by id. Runs from a previous process are rehydrated from the
+ * run store with a fresh (idle) emitter so SSE and report routes keep working.
+ */
 export function getActiveRun(runId) {
+  if (activeRuns.has(runId)) return activeRuns.get(runId);
+
+  let stored = null;
+  try {
+    stored = getRunStore().get('runs', runId);
+  } catch {
+    return undefined; // malformed id
+  }
+  if (!stored) return undefined;
+
+  activeRuns.set(runId, { ...stored, emitter: new EventEmitter() });
   return activeRuns.get(runId);
 }
 
+/**
+ * Full persisted SSE event history for a run.
+ */
+export function getRunEvents(runId) {
+  return getRunStore().readEvents(runId);
+}
+
+/**
+ * Flag runs left in `running` by a previous process as interrupted.
+ * Called once at boot — those runs have no live graph behind them any more.
+ */
+export function markInterruptedRuns() {
+  const store = getRunStore();
+  const stale = store.list('runs').filter((run) => run.status === 'running');
+
+  for (const run of stale) {
+    const interruptedAt = new Date().toISOString();
+    store.put('runs', run.runId, { ...run, status: 'interrupted', interruptedAt, updatedAt: interruptedAt });
+    store.appendEvent(run.runId, {
+      type: 'interrupted',
+      runId: run.runId,
+      timestamp: interruptedAt,
+      message: 'Backend restarted while this run was in progress',
+    });
+    settleCheckpoints(run.runId, 'interrupted');
+  }
+
+  if (stale.length) logger.warn(TAG, `Marked ${stale.length} run(s) as interrupted after restart`);
+  return stale.length;
+}
+
 /**
  * Start a new agent run.
  * Initialises Acontext context, then invokes the compiled LangGraph.
  * Returns runId immediately; the graph runs asynchronously.
+ *
+ * @param {string} niche
+ * @param {Object}  [options]
+ * @param {boolean} [options.requireApproval] - pause for human approval before validation
+ * @param {number}  [options.minPosts]        - posts needed before scout stops retrying
+ * @param {number}  [options.maxScoutRetries] - broadened scout retries before giving up
+ * @param {string}  [options.llmProvider]     - LLM provider for this run (default: LLM_PROVIDER)
+ * @param {Object}  [options.scoringWeights]  - resolved opportunity-score weights (resolveScoringWeights)
+ * @param {number}  [options.portfolioSize]   - opportunities validated and briefed (default: PORTFOLIO_SIZE)
+ * @param {string[]} [options.sources]        - scout sources (default: SCOUT_SOURCES)
+ * @param {string[]} [options.forumUrls]      - forum pages for the forum source
+ * @param {string[]} [options.pinSubreddits]     - subreddits always crawled
+ * @param {string[]} [options.excludeSubreddits] - subreddits never crawled or cited
  */
-export async function startRun(niche) {
+export async function startRun(niche, options = {}) {
   const runId = uuidv4();
+  resetReplaySequence(); // record/replay fixtures are numbered from each run's start
   const emitter = new EventEmitter();
+  const runOptions = {
+    requireApproval: Boolean(options.requireApproval),
+    minPosts: options.minPosts ?? SCOUT_MIN_POSTS,
+    maxScoutRetries: options.maxScoutRetries ?? SCOUT_MAX_RETRIES,
+    llmProvider: options.llmProvider ?? null,
+    scoringWeights: options.scoringWeights ?? resolveScoringWeights(),
+    portfolioSize: options.portfolioSize ?? PORTFOLIO_SIZE,
+    scoutSources: options.sources ?? defaultScoutSources(),
+    forumUrls: options.forumUrls ?? [],
+    pinSubreddits: options.pinSubreddits ?? [],
+    excludeSubreddits: options.excludeSubreddits ?? [],
+  };
 
-  activeRuns.set(runId, { emitter, status: 'running', niche, startedAt: new Date().toISOString() });
+  activeRuns.set(runId, { emitter });
+  updateRun(runId, { runId, status: 'running', niche, ...runOptions, startedAt: new Date().toISOString() });
 
   // Fire-and-forget — the SSE stream carries all updates
-  runGraph(runId, niche, emitter).catch((err) => {
+  runGraph(runId, niche, emitter, runOptions).catch((err) => {
     logger.error(TAG, `Unhandled graph error for run ${runId}`, err);
     emitter.emit('event', { type: 'error', message: err.message });
     emitter.emit('event', { type: 'done', runId });
@@ -409,28 +1304,168 @@ export async function startRun(niche) {
   return runId;
 }
 
-async function runGraph(runId, niche, emitter) {
-  // Convenience: wrap emitter.emit so nodes receive a simple (type, data) function
-  const emit = (type, data = {}) => {
-    emitter.emit('event', { type, runId, timestamp: new Date().toISOString(), ...data });
+/**
+ * Resume an interrupted or failed run from its last LangGraph checkpoint.
+ * Completed nodes are not re-run — their persisted output (rawPosts,
+ * painPoints, topProblem, …) is loaded from the checkpoint instead.
+ *
+ * Returns { runId, resumeFrom } or null when there is nothing to resume.
+ */
+export async function resumeRun(runId) {
+  const run = getActiveRun(runId);
+  if (!run) return null;
+
+  const snapshot = await graph.getState(graphConfig(runId));
+  // A node that failed after an approval still holds the approver's decision
+  // as a pending write, so getState() leaves it out of `next` — its recorded
+  // error is what marks it unfinished
+  const failed = (snapshot?.tasks ?? []).filter((task) => task.error).map((task) => task.name);
+  const resumeFrom = [...new Set([...(snapshot?.next ?? []), ...failed])];
+  if (resumeFrom.length === 0) return null;
+
+  updateRun(runId, {
+    status: 'running',
+    resumedAt: new Date().toISOString(),
+    resumeCount: (run.resumeCount ?? 0) + 1,
+  });
+
+  const { emitter } = activeRuns.get(runId);
+  resumeGraph(runId, resumeFrom, emitter).catch((err) => {
+    logger.error(TAG, `Unhandled resume error for run ${runId}`, err);
+    emitter.emit('event', { type: 'error', message: err.message });
+    emitter.emit('event', { type: 'done', runId });
+  });
+
+  return { runId, resumeFrom: [...resumeFrom] };
+}
+
+/**
+ * Continue a run parked at the approval checkpoint.
+ *
+ * @param {string} runId
+ * @param {Object} decision
+ * @param {'approve'|'runner_up'} decision.action - keep the top problem or swap in the runner-up
+ * @param {string} [decision.gapKeyword]          - replacement gap keyword
+ * @param {Array}  [decision.competitors]         - replacement competitor list
+ * Returns false if the run is not awaiting approval.
+ */
+export async function approveRun(runId, decision) {
+  const run = getActiveRun(runId);
+  if (run?.status !== 'awaiting_approval') return false;
+
+  updateRun(runId, { status: 'running', approval: null, approvedAt: new Date().toISOString() });
+
+  const { emitter } = activeRuns.get(runId);
+  const emit = createRunEmit(runId, emitter);
+
+  executeGraph(runId, emit, async () => {
+    emit('approval_received', { action: decision.action, message: `Approval received (${decision.action}) — continuing to validation` });
+    return new Command({ resume: decision });
+  }).catch((err) => {
+    logger.error(TAG, `Unhandled approval error for run ${runId}`, err);
+    emitter.emit('event', { type: 'error', message: err.message });
+    emitter.emit('event', { type: 'done', runId });
+  });
+
+  return true;
+}
+
+/**
+ * Cancel a run. A run that is executing has its AbortSignal fired — browsers,
+ * fetches, CLI processes and LLM requests are torn down and executeGraph
+ * records the cancellation. A run parked at the approval checkpoint has no
+ * live work, so it is finalised directly.
+ *
+ * Returns false if the run is not in a cancellable state.
+ */
+export async function cancelRun(runId) {
+  const run = getActiveRun(runId);
+  if (!CANCELLABLE_STATUSES.has(run?.status)) return false;
+
+  const controller = abortRegistry.get(runId);
+  if (controller) {
+    logger.warn(TAG, `Cancelling run ${runId}`);
+    controller.abort(new Error('Run cancelled by user'));
+    return true;
+  }
+
+  await finaliseCancelledRun(runId, createRunEmit(runId, run.emitter));
+  return true;
+}
+
+/**
+ * Mark unfinished task blocks as cancelled, persist the final status and
+ * emit the terminal `cancelled` event.
+ */
+async function finaliseCancelledRun(runId, emit) {
+  const { sessionId } = activeRuns.get(runId) ?? {};
+
+  for (const block of getTaskBlocks(sessionId)) {
+    if (block.status === 'pending' || block.status === 'running') updateTaskBlock(sessionId, block.id, 'cancelled');
+  }
+
+  const cancelledAt = new Date().toISOString();
+  updateRun(runId, { status: 'cancelled', cancelledAt, approval: null });
+  await settleCheckpoints(runId, 'cancelled');
+
+  if (sessionId) {
+    await writeReport(sessionId, { status: 'cancelled', cancelledAt, taskBlocks: getTaskBlocks(sessionId) })
+      .catch((err) => logger.warn(TAG, `Could not record cancellation on Disk: ${err.message}`));
+  }
+
+  emit('cancelled', {
+    runId,
+    taskBlocks: getTaskBlocks(sessionId),
+    message: 'Run cancelled — in-flight browser, network and LLM work was aborted',
+  });
+  logger.warn(TAG, `Run ${runId} cancelled`);
+}
+
+/**
+ * Strip bulky payloads before an event goes into the persisted history.
+ * The report is already stored on its own; screenshots are artifact
+ * references, but their inline thumbnails are left to the live stream.
+ */
+function toStoredEvent({ report, ...rest }) {
+  const unthumbnailed = (ref) => {
+    if (!ref) return ref;
+    const { thumbnail, ...slim } = ref;
+    return slim;
+  };
+  return {
+    ...rest,
+    ...(rest.screenshot ? { screenshot: unthumbnailed(rest.screenshot) } : {}),
+    ...(rest.screenshots ? { screenshots: rest.screenshots.map((s) => ({ ...s, screenshot: unthumbnailed(s.screenshot) })) } : {}),
   };
+}
 
-  let session = null;
-  let space = null;
+/**
+ * Build the (type, data) emit function for a run.
+ * Every event is also appended to the run's persisted history.
+ */
+function createRunEmit(runId, emitter) {
+  return (type, data = {}) => {
+    const event = { type, runId, timestamp: new Date().toISOString(), ...data };
+    try {
+      getRunStore().appendEvent(runId, toStoredEvent(event));
+    } catch (err) {
+      logger.warn(TAG, `Could not persist ${type} event: ${err.message}`);
+    }
+    emitter.emit('event', event);
+  };
+}
 
-  try {
-    emit('run_start', { niche, message: `Agent starting for niche: "${niche}"` });
+async function runGraph(runId, niche, emitter, runOptions) {
+  const emit = createRunEmit(runId, emitter);
 
-    // ── Register emit in side-channel so nodes can fire SSE events ───────
-    // Functions are not JSON-serialisable and must never live in LangGraph
-    // state — the graph normalises state as OpenAI messages and will throw
-    // "failed to normalize openai message" if a function is present.
-    emitRegistry.set(runId, emit);
+  await executeGraph(runId, emit, async () => {
+    emit('run_start', { niche, message: `Agent starting for niche: "${niche}"` });
 
     // ── Bootstrap Acontext context before graph starts ──────────────────
-    session = await createSession(niche);
-    space = await createLearningSpace(niche, session.id);
+    const session = await createSession(niche);
+    const space = await createLearningSpace(niche, session.id);
     initTaskBlocks(session.id);
+    updateRun(runId, { sessionId: session.id, spaceId: space?.id ?? null });
 
     emit('session_created', {
       sessionId: session.id,
@@ -446,38 +1481,106 @@ async function runGraph(runId, niche, emitter) {
       status: 'running',
     });
 
-    // ── Invoke the compiled LangGraph ────────────────────────────────────
     // Only plain serialisable values are passed in state.
-    // Nodes retrieve their emitter via emitRegistry.get(runId).
-    const finalState = await graph.invoke({
+    return {
       runId,
       niche,
       sessionId: session.id,
       spaceId: space?.id ?? null,
+      ...runOptions,
+    };
+  });
+}
+
+async function resumeGraph(runId, resumeFrom, emitter) {
+  const emit = createRunEmit(runId, emitter);
+
+  await executeGraph(runId, emit, async () => {
+    const { niche, sessionId, spaceId } = activeRuns.get(runId);
+    emit('run_resumed', {
+      niche,
+      sessionId,
+      spaceId,
+      resumeFrom,
+      taskBlocks: getTaskBlocks(sessionId),
+      message: `Resuming run from "${resumeFrom.join(', ')}"`,
     });
 
+    // A null input tells LangGraph to continue from the latest checkpoint
+    return null;
+  });
+}
+
+/**
+ * Invoke the compiled graph for a run and record its outcome.
+ * `prepare` runs inside the error boundary and returns the graph input.
+ */
+async function executeGraph(runId, emit, prepare) {
+  const controller = new AbortController();
+  abortRegistry.set(runId, controller);
+
+  try {
+    // ── Register emit in side-channel so nodes can fire SSE events ───────
+    // Functions are not JSON-serialisable and must never live in LangGraph
+    // state — the graph normalises state as OpenAI messages and will throw
+    // "failed to normalize openai message" if a function is present.
+    emitRegistry.set(runId, emit);
+
+    const input = await prepare();
+
+    // ── Invoke the compiled LangGraph ────────────────────────────────────
+    // Nodes retrieve their emitter via emitRegistry.get(runId) and their
+    // AbortSignal via abortRegistry.get(runId).
+    const finalState = await graph.invoke(input, { ...graphConfig(runId), signal: controller.signal });
+
+    // ── Paused at an interrupt() — park the run until the user decides ───
+    const snapshot = await graph.getState(graphConfig(runId));
+    const pending = snapshot.tasks?.flatMap((t) => t.interrupts ?? []) ?? [];
+    if (pending.length > 0) {
+      const approval = pending[0].value;
+      updateRun(runId, { status: 'awaiting_approval', approval });
+      emit('awaiting_approval', {
+        ...approval,
+        message: 'Review the proposed plan — approve, edit, or pick the runner-up to continue',
+      });
+      logger.info(TAG, `Run ${runId} awaiting approval`);
+      return;
+    }
+
     logger.success(TAG, `Graph completed for run ${runId}`);
 
-    activeRuns.set(runId, {
-      ...activeRuns.get(runId),
-      status: finalState.errors?.length ? 'complete_with_warnings' : 'complete',
-      sessionId: session.id,
+    const insufficient = finalState.outcome === 'insufficient_evidence';
+    const run = updateRun(runId, {
+      status: insufficient
+        ? 'insufficient_evidence'
+        : finalState.errors?.length ? 'complete_with_warnings' : 'complete',
+      completedAt: new Date().toISOString(),
+      llmRepairs: finalState.llmRepairs ?? [],
     });
+    await settleCheckpoints(runId, run.status);
 
     emit('done', {
       runId,
-      sessionId: session.id,
-      message: 'Agent run complete',
+      sessionId: finalState.sessionId,
+      outcome: finalState.outcome,
+      message: insufficient ? 'Agent run ended — insufficient evidence' : 'Agent run complete',
       warnings: finalState.errors?.length ?? 0,
-      durationMs: Date.now() - new Date(activeRuns.get(runId)?.startedAt).getTime(),
+      llmRepairs: finalState.llmRepairs?.length ?? 0,
+      durationMs: Date.now() - new Date(run.startedAt).getTime(),
     });
   } catch (err) {
+    if (controller.signal.aborted) {
+      await finaliseCancelledRun(runId, emit);
+      return;
+    }
     logger.error(TAG, `Graph fatal error for ${runId}`, err);
+    updateRun(runId, { status: 'error', error: err.message });
+    await settleCheckpoints(runId, 'error');
     emit('error', { message: err.message });
     emit('done', { runId, message: 'Run ended with errors' });
-    activeRuns.set(runId, { ...activeRuns.get(runId), status: 'error' });
   } finally {
     emitRegistry.delete(runId); // cleanup: functions must not linger in memory
+    abortRegistry.delete(runId);
     await closeBrightData().catch(() => {});
   }
 }
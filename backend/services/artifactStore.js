@@ -0,0 +1,172 @@
+/**
+ * Artifact Store — screenshots kept out of SSE events, reports and memory
+ *
+ * The browser captures PNG/JPEG screenshots as data URLs. Before they leave
+ * actionbookService they are saved here and replaced by a small reference:
+ *
+ *   { id, url, mimeType, size, kind, label, thumbnail? }
+ *
+ * `url` is served by GET /api/agent/artifacts/:id; `thumbnail` is an optional
+ * ~320px JPEG data URL, small enough to ride along in the event stream.
+ *
+ * Ids are a hash of the bytes, so saving the same capture twice (live event,
+ * then the competitor result) stores it once.
+ *
+ * Backends, selected by ARTIFACT_STORE:
+ *   disk     (default) → files under ARTIFACT_DIR (default data/artifacts)
+ *   acontext           → uploaded to an Acontext Disk; the default when
+ *                        ACONTEXT_API_KEY is set. A failed upload falls back
+ *                        to local disk so the capture isn't lost.
+ *
+ * Either way the artifact's metadata lives in the run store ("artifacts").
+ * Replayed runs always use local disk — they must not touch the network.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { isReplaying } from '../utils/replay.js';
+import { getRunStore } from './runStore.js';
+import { uploadArtifact, getArtifactUrl, deleteUploadedArtifact } from './acontextService.js';
+
+const TAG = 'Artifacts';
+
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const COLLECTION = 'artifacts';
+const BACKENDS = ['disk', 'acontext'];
+
+const ARTIFACT_ID_RE = /^[a-f0-9]{32}$/;
+const DATA_URL_RE = /^data:(image\/(?:png|jpeg|webp));base64,(.+)$/s;
+const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+const artifactDir = () => path.resolve(BACKEND_DIR, process.env.ARTIFACT_DIR || 'data/artifacts');
+
+function getBackend() {
+  const kind = (process.env.ARTIFACT_STORE || (process.env.ACONTEXT_API_KEY ? 'acontext' : 'disk')).toLowerCase();
+  if (!BACKENDS.includes(kind)) throw new Error(`Unknown ARTIFACT_STORE "${kind}" — expected one of: ${BACKENDS.join(', ')}`);
+  return kind === 'acontext' && isReplaying() ? 'disk' : kind;
+}
+
+export const isArtifactId = (id) => typeof id === 'string' && ARTIFACT_ID_RE.test(id);
+
+const artifactUrl = (id) => `/api/agent/artifacts/${id}`;
+
+function writeToDisk(id, buffer) {
+  const dir = artifactDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, id);
+  if (fs.existsSync(file)) return;
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, buffer);
+  fs.renameSync(tmp, file);
+}
+
+// ─────────────────────────────────────────────
+// Save
+// ─────────────────────────────────────────────
+
+/**
+ * Store an image data URL and return a reference to it.
+ *
+ * @param {string} dataUrl - data:image/(png|jpeg|webp);base64,…
+ * @param {{ kind?: string, label?: string, thumbnail?: string|null }} [meta]
+ *        kind: viewport | full_page | crop | step
+ * @returns {Promise<{ id, url, mimeType, size, kind, label, thumbnail? }>}
+ */
+export async function saveArtifact(dataUrl, { kind = 'screenshot', label = '', thumbnail = null } = {}) {
+  const match = typeof dataUrl === 'string' ? dataUrl.match(DATA_URL_RE) : null;
+  if (!match) throw new Error('Artifacts must be base64 image data URLs');
+
+  const [, mimeType, base64] = match;
+  const buffer = Buffer.from(base64, 'base64');
+  const id = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+  const ref = { id, url: artifactUrl(id), mimeType, size: buffer.length, kind, label, ...(thumbnail ? { thumbnail } : {}) };
+
+  const store = getRunStore();
+  if (store.get(COLLECTION, id)) return ref;
+
+  const record = { id, mimeType, size: buffer.length, kind, label, backend: 'disk', createdAt: new Date().toISOString() };
+  if (getBackend() === 'acontext') {
+    try {
+      record.acontext = await uploadArtifact(`${id}.${EXTENSIONS[mimeType]}`, buffer, mimeType, { kind, label });
+      record.backend = 'acontext';
+    } catch (err) {
+      logger.warn(TAG, `Acontext upload failed for ${label || id} — keeping it on local disk: ${err.message}`);
+    }
+  }
+  if (record.backend === 'disk') writeToDisk(id, buffer);
+
+  store.put(COLLECTION, id, record);
+  return ref;
+}
+
+/**
+ * saveArtifact for capture paths: a failed save costs the screenshot, not the
+ * check. Returns null for a missing or unsaveable capture.
+ */
+export async function toArtifactRef(dataUrl, meta) {
+  if (!dataUrl) return null;
+  try {
+    return await saveArtifact(dataUrl, meta);
+  } catch (err) {
+    logger.warn(TAG, `Could not store ${meta?.label || 'screenshot'}: ${err.message}`);
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Read
+// ─────────────────────────────────────────────
+
+/**
+ * Resolve an artifact for serving.
+ *
+ * @returns {Promise<null | { mimeType: string, buffer?: Buffer, redirect?: string }>}
+ *          null when the id is unknown or its bytes are gone
+ */
+export async function readArtifact(id) {
+  if (!isArtifactId(id)) return null;
+  const record = getRunStore().get(COLLECTION, id);
+  if (!record) return null;
+
+  if (record.backend === 'acontext') {
+    const redirect = await getArtifactUrl(record.acontext);
+    return redirect ? { mimeType: record.mimeType, redirect } : null;
+  }
+
+  try {
+    return { mimeType: record.mimeType, buffer: fs.readFileSync(path.join(artifactDir(), id)) };
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.warn(TAG, `Unreadable artifact ${id}: ${err.message}`);
+    return null;
+  }
+}
+
+// ─────────────────────────────────────────────
+// Delete
+// ─────────────────────────────────────────────
+
+/**
+ * Delete an artifact's bytes and metadata. Ids are content hashes, so the
+ * caller must know nothing else still references the id. A failed remote
+ * delete is logged and the metadata dropped anyway.
+ *
+ * @returns {Promise<boolean>} false when the id is unknown
+ */
+export async function deleteArtifact(id) {
+  if (!isArtifactId(id)) return false;
+  const store = getRunStore();
+  const record = store.get(COLLECTION, id);
+  if (!record) return false;
+
+  if (record.backend === 'acontext') {
+    await deleteUploadedArtifact(record.acontext)
+      .catch((err) => logger.warn(TAG, `Could not delete artifact ${id} from Acontext: ${err.message}`));
+  } else {
+    fs.rmSync(path.join(artifactDir(), id), { force: true });
+  }
+  store.delete(COLLECTION, id);
+  return true;
+}
@@ -16,10 +16,18 @@
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
 import { logger } from '../utils/logger.js';
-import { truncate } from '../utils/helpers.js';
+import { truncate, fromUnixTime, mapWithConcurrency } from '../utils/helpers.js';
+import { replayable } from '../utils/replay.js';
+import { httpFetch } from '../utils/httpClient.js';
+import { harvestRedditThread, formatComment, REDDIT_MORE_EXPANSIONS, REDDIT_AUTHOR_LOOKUPS } from './redditComments.js';
 
 const TAG = 'BrightData';
 
+// Every public scout function takes a trailing `options` object whose
+// `signal` (AbortSignal) cancels in-flight fetches and MCP tool calls.
+// Per-item catch blocks re-throw once the signal has fired so a cancelled
+// run stops instead of falling through to the next strategy.
+
 /**
  * Tool groups to enable on the remote MCP server.
  * Covers all scraping, social, research, and browser capabilities.
@@ -39,10 +47,15 @@ const MCP_GROUPS = [
 // Reddit Public JSON API — Primary Scout Strategy
 //
 // Reddit exposes a public search endpoint that returns clean JSON.
-// No auth token, no proxy zone, no rate-limit issues for light usage.
+// No auth token, no proxy zone. Requests go through utils/httpClient.js, which
+// paces them per host, backs off on 429 / x-ratelimit-* and caches responses.
 // Docs: https://www.reddit.com/dev/api/#GET_search
 // ─────────────────────────────────────────────
 
+// A search page holds at most 100 posts; pages per query bound the requests
+const REDDIT_SEARCH_PAGE_SIZE = 100;
+const REDDIT_SEARCH_PAGES = Math.max(1, parseInt(process.env.REDDIT_SEARCH_PAGES ?? '3', 10) || 3);
+
 /**
  * Search Reddit's public JSON API for pain-point posts about a niche.
  *
@@ -55,11 +68,15 @@ const MCP_GROUPS = [
  *   - `t=year`     → last 12 months — recent, relevant pain points only
  *   - score >= 3   → filter throwaway posts; real pain posts get upvotes
  *
+ * Each query is paged (100 posts a page, REDDIT_SEARCH_PAGES pages at most)
+ * until `maxPosts` unique posts are in hand.
+ *
  * @param {string} niche - The market niche to search
  * @param {number} maxPosts - Max posts to return (default 25)
+ * @param {{ signal?: AbortSignal }} [options]
  * @returns {Promise<Array<{url, title, snippet, content}>>}
  */
-export async function searchRedditJSON(niche, maxPosts = 25) {
+export async function searchRedditJSON(niche, maxPosts = 25, { signal } = {}) {
   // Use quoted niche + pain signal terms — quotes force exact match of the niche
   const queries = [
     `"${niche}" problem OR frustrated OR struggling self:1`,
@@ -76,53 +93,58 @@ export async function searchRedditJSON(niche, maxPosts = 25) {
   const results = [];
 
   for (const query of queries) {
-    if (results.length >= maxPosts) break;
+    let after = null;
+    for (let page = 0; page < REDDIT_SEARCH_PAGES && results.length < maxPosts; page++) {
+      signal?.throwIfAborted();
 
-    // type=self → text posts only (have selftext body, not just external links)
-    const searchUrl = `https://www.reddit.com/search.json?q=${encodeURIComponent(query)}&sort=top&t=year&limit=25&type=self`;
-    logger.info(TAG, `Reddit JSON API query: "${query}"`);
-
-    try {
-      const res = await fetch(searchUrl, { headers: REDDIT_HEADERS });
-
-      if (!res.ok) {
-        logger.warn(TAG, `Reddit JSON API HTTP ${res.status} for: "${query}"`);
-        continue;
-      }
+      // type=self → text posts only (have selftext body, not just external links)
+      const searchUrl = `https://www.reddit.com/search.json?q=${encodeURIComponent(query)}&sort=top&t=year&limit=${REDDIT_SEARCH_PAGE_SIZE}&type=self${after ? `&after=${after}` : ''}`;
+      logger.info(TAG, `Reddit JSON API query: "${query}"${page ? ` (page ${page + 1})` : ''}`);
 
-      const data = await res.json();
-      const children = data?.data?.children ?? [];
-
-      let added = 0;
-      for (const { data: post } of children) {
-        if (!post?.permalink) continue;
+      try {
+        const res = await httpFetch(searchUrl, { headers: REDDIT_HEADERS, signal });
 
-        // Skip low-signal posts: deleted, removed, or very low score
-        if (post.score < 3) continue;
-        if (post.selftext === '[deleted]' || post.selftext === '[removed]') continue;
+        if (!res.ok) {
+          logger.warn(TAG, `Reddit JSON API HTTP ${res.status} for: "${query}"`);
+          break;
+        }
 
-        const postUrl = `https://www.reddit.com${post.permalink}`.split('?')[0];
-        if (seen.has(postUrl)) continue;
-        seen.add(postUrl);
+        const data = await res.json();
+        const children = data?.data?.children ?? [];
+
+        let added = 0;
+        for (const { data: post } of children) {
+          if (!post?.permalink) continue;
+
+          // Skip low-signal posts: deleted, removed, or very low score
+          if (post.score < 3) continue;
+          if (post.selftext === '[deleted]' || post.selftext === '[removed]') continue;
+
+          const postUrl = `https://www.reddit.com${post.permalink}`.split('?')[0];
+          if (seen.has(postUrl)) continue;
+          seen.add(postUrl);
+
+          results.push({
+            url: postUrl,
+            title: post.title ?? '',
+            snippet: truncate((post.selftext ?? '').trim(), 300),
+            content: truncate((post.selftext ?? '').trim(), 2000),
+            score: post.score,
+            subreddit: post.subreddit,
+            num_comments: post.num_comments,
+            created_at: fromUnixTime(post.created_utc),
+          });
+          added++;
+        }
 
-        results.push({
-          url: postUrl,
-          title: post.title ?? '',
-          snippet: truncate((post.selftext ?? '').trim(), 300),
-          content: truncate((post.selftext ?? '').trim(), 2000),
-          score: post.score,
-          subreddit: post.subreddit,
-          num_comments: post.num_comments,
-        });
-        added++;
+        logger.success(TAG, `Reddit JSON API: ${added} new posts (total ${results.length}) for "${query}"`);
+        after = data?.data?.after;
+        if (!after) break;
+      } catch (err) {
+        signal?.throwIfAborted();
+        logger.warn(TAG, `Reddit JSON API failed for "${query}": ${err.message}`);
+        break;
       }
-
-      logger.success(TAG, `Reddit JSON API: ${added} new posts (total ${results.length}) for "${query}"`);
-
-      // Polite delay between requests — Reddit allows ~60 req/min unauthenticated
-      if (results.length < maxPosts) await new Promise((r) => setTimeout(r, 600));
-    } catch (err) {
-      logger.warn(TAG, `Reddit JSON API failed for "${query}": ${err.message}`);
     }
   }
 
@@ -170,6 +192,27 @@ async function getClient() {
   return _client;
 }
 
+/**
+ * Call a Bright Data MCP tool. Goes through the record/replay harness, and
+ * only connects the client when a real call is made — replayed runs never
+ * need BRIGHTDATA_API_TOKEN.
+ */
+async function callTool(params, signal) {
+  return replayable('mcp', params, async () => {
+    const client = await getClient();
+    return client.callTool(params, undefined, { signal });
+  }, { signal });
+}
+
+/**
+ * Call any Bright Data MCP tool by name and return its raw text content.
+ * Used by the scout source adapters (e.g. the app_stores group).
+ */
+export async function callBrightDataTool(name, args, { signal } = {}) {
+  const result = await callTool({ name, arguments: args }, signal);
+  return result.content?.[0]?.text ?? '';
+}
+
 /**
  * Search the web using Bright Data's search_engine tool.
  *
@@ -181,21 +224,19 @@ async function getClient() {
  *
  * Returns an array of { url, title, snippet } objects.
  */
-export async function searchWeb(query, maxResults = 10, page = 0) {
+export async function searchWeb(query, maxResults = 10, page = 0, { signal } = {}) {
   logger.info(TAG, `Searching (page ${page}): "${query}"`);
 
-  const client = await getClient();
-
   let result;
   try {
-    result = await client.callTool({
+    result = await callTool({
       name: 'search_engine',
       arguments: {
         query,
         engine: 'google',
         ...(page > 0 ? { cursor: String(page) } : {}),
       },
-    });
+    }, signal);
   } catch (err) {
     logger.error(TAG, `Bright Data search_engine failed: "${query}"`, err);
     throw err;
@@ -249,15 +290,13 @@ export async function searchWeb(query, maxResults = 10, page = 0) {
  * Scrape a URL and return its content as clean Markdown.
  * Bright Data's Web Unlocker handles JS rendering, CAPTCHAs, and bot detection.
  */
-export async function scrapeUrl(url) {
+export async function scrapeUrl(url, { signal } = {}) {
   logger.info(TAG, `Scraping: ${url}`);
 
-  const client = await getClient();
-
-  const result = await client.callTool({
+  const result = await callTool({
     name: 'scrape_as_markdown',
     arguments: { url },
-  });
+  }, signal);
 
   const content = result.content?.[0]?.text ?? '';
 
@@ -281,7 +320,7 @@ export async function scrapeUrl(url) {
  *
  * We use this as a secondary enrichment pass; primary is search_engine below.
  */
-export async function searchRedditDirect(niche, maxUrls = 15) {
+export async function searchRedditDirect(niche, maxUrls = 15, { signal } = {}) {
   const q = encodeURIComponent(niche.trim());
 
   const redditSearchUrls = [
@@ -298,9 +337,10 @@ export async function searchRedditDirect(niche, maxUrls = 15) {
 
   for (const searchUrl of redditSearchUrls) {
     if (results.length >= maxUrls) break;
+    signal?.throwIfAborted();
     try {
       logger.info(TAG, `Direct Reddit scrape: ${searchUrl}`);
-      const markdown = await scrapeUrl(searchUrl);
+      const markdown = await scrapeUrl(searchUrl, { signal });
 
       // Extract [title](url) pairs first — preserves title
       const linkMatches = [...markdown.matchAll(/\[([^\]]{5,})\]\((https?:\/\/(?:www\.)?reddit\.com\/r\/[^)]+\/comments\/[^)]+)\)/g)];
@@ -324,6 +364,7 @@ export async function searchRedditDirect(niche, maxUrls = 15) {
 
       logger.info(TAG, `Direct scrape: ${results.length} posts so far`);
     } catch (err) {
+      signal?.throwIfAborted();
       logger.warn(TAG, `Direct Reddit scrape failed (${searchUrl}): ${err.message}`);
     }
   }
@@ -340,11 +381,10 @@ export async function searchRedditDirect(niche, maxUrls = 15) {
  *
  * @param {string} niche - The niche/topic to search
  * @param {number} maxPosts - Maximum number of posts to return
+ * @param {{ signal?: AbortSignal }} [options]
  * @returns {Promise<Array<{url, title, snippet, content}>>}
  */
-export async function searchRedditWithWebData(niche, maxPosts = 15) {
-  const client = await getClient();
-
+export async function searchRedditWithWebData(niche, maxPosts = 15, { signal } = {}) {
   const queries = [
     `${niche} problem frustrating struggling`,
     `${niche} wish annoying hate`,
@@ -356,9 +396,10 @@ export async function searchRedditWithWebData(niche, maxPosts = 15) {
 
   for (const query of queries) {
     if (results.length >= maxPosts) break;
+    signal?.throwIfAborted();
     try {
       logger.info(TAG, `web_data_reddit_posts query: "${query}"`);
-      const result = await client.callTool({
+      const result = await callTool({
         name: 'web_data_reddit_posts',
         arguments: {
           query,
@@ -366,7 +407,7 @@ export async function searchRedditWithWebData(niche, maxPosts = 15) {
           sort_by: 'relevance',
           count: 10,
         },
-      });
+      }, signal);
 
       const raw = result.content?.[0]?.text ?? '';
       logger.info(TAG, `web_data_reddit_posts raw (${raw.length} chars): ${raw.slice(0, 300)}`);
@@ -398,6 +439,7 @@ export async function searchRedditWithWebData(niche, maxPosts = 15) {
 
       logger.info(TAG, `web_data_reddit_posts: ${results.length} posts so far`);
     } catch (err) {
+      signal?.throwIfAborted();
       logger.warn(TAG, `web_data_reddit_posts failed for "${query}": ${err.message}`);
     }
   }
@@ -413,8 +455,12 @@ export async function searchRedditWithWebData(niche, maxPosts = 15) {
  *   1. Bright Data web_data_reddit_posts — structured Reddit tool (if zone exists)
  *   2. Bright Data search_engine (Google site:reddit.com) — if zone exists
  *   3. Bright Data scrape_as_markdown on Reddit search page — last resort
+ *
+ * @param {string} niche
+ * @param {{ signal?: AbortSignal, maxPosts?: number }} [options] - maxPosts caps
+ *        the Reddit JSON API search (default 25)
  */
-export async function searchRedditPainPoints(niche) {
+export async function searchRedditPainPoints(niche, { signal, maxPosts = 25 } = {}) {
   logger.info(TAG, `Scouting Reddit for niche: "${niche}"`);
 
   if (!niche || niche.trim().length === 0) {
@@ -428,13 +474,14 @@ export async function searchRedditPainPoints(niche) {
   // ── Strategy 0: Reddit public JSON API (primary — no Bright Data needed) ──
   logger.info(TAG, `Strategy 0: Reddit JSON API for "${n}"`);
   try {
-    const jsonPosts = await searchRedditJSON(n, 25);
+    const jsonPosts = await searchRedditJSON(n, maxPosts, { signal });
     if (jsonPosts.length > 0) {
       allResults.push(...jsonPosts);
       logger.success(TAG, `Strategy 0 yielded ${jsonPosts.length} posts — skipping Bright Data`);
       // Skip all Bright Data strategies — we already have enough signal
     }
   } catch (err) {
+    signal?.throwIfAborted();
     logger.warn(TAG, `Strategy 0 failed: ${err.message}`);
   }
 
@@ -442,7 +489,7 @@ export async function searchRedditPainPoints(niche) {
   if (allResults.length < 10) {
     logger.info(TAG, `Strategy 1: web_data_reddit_posts for "${n}"`);
     try {
-      const nativePosts = await searchRedditWithWebData(n, 15);
+      const nativePosts = await searchRedditWithWebData(n, 15, { signal });
       if (nativePosts.length > 0) {
         allResults.push(...nativePosts);
         logger.success(TAG, `Strategy 1 yielded ${nativePosts.length} posts`);
@@ -450,6 +497,7 @@ export async function searchRedditPainPoints(niche) {
         logger.warn(TAG, `Strategy 1 returned 0 posts — zone likely missing`);
       }
     } catch (err) {
+      signal?.throwIfAborted();
       logger.warn(TAG, `Strategy 1 failed: ${err.message}`);
     }
   }
@@ -466,7 +514,7 @@ export async function searchRedditPainPoints(niche) {
     for (const query of googleQueries) {
       for (const page of [0, 1]) {
         try {
-          const hits = await searchWeb(query, 10, page);
+          const hits = await searchWeb(query, 10, page, { signal });
           const redditHits = hits.filter((r) => r.url?.includes('reddit.com/r/'));
           if (redditHits.length > 0) {
             allResults.push(...redditHits);
@@ -474,6 +522,7 @@ export async function searchRedditPainPoints(niche) {
           }
           if (page === 0 && redditHits.length === 0) break;
         } catch (err) {
+          signal?.throwIfAborted();
           logger.warn(TAG, `Google query failed: "${query}" p${page} — ${err.message}`);
         }
       }
@@ -485,10 +534,11 @@ export async function searchRedditPainPoints(niche) {
   if (allResults.length < 10) {
     logger.info(TAG, `Strategy 3: Direct Reddit scrape for "${n}"`);
     try {
-      const direct = await searchRedditDirect(n, 15);
+      const direct = await searchRedditDirect(n, 15, { signal });
       allResults.push(...direct);
       logger.info(TAG, `Direct scrape added ${direct.length} posts`);
     } catch (err) {
+      signal?.throwIfAborted();
       logger.warn(TAG, `Direct Reddit scrape threw: ${err.message}`);
     }
   }
@@ -513,107 +563,125 @@ export async function searchRedditPainPoints(niche) {
   return unique;
 }
 
-/**
- * Fetch full post content + top 5 comments from Reddit's own JSON API.
- *
- * Reddit exposes every post as `<url>.json` — returns post data and a comment
- * tree. No auth required. This is the richest source of signal for pain points
- * because comments often contain the most explicit frustrations.
- *
- * @param {string} postUrl - Full Reddit post URL
- * @returns {Promise<string>} - Combined title + selftext + top comments
- */
-async function fetchRedditPostJSON(postUrl) {
-  const jsonUrl = postUrl.replace(/\/?$/, '.json');
-
-  const res = await fetch(jsonUrl, {
-    headers: {
-      'User-Agent': 'MarketGapAgent/1.0 (hackathon research tool)',
-      'Accept': 'application/json',
-    },
-  });
+// Thread content budget: post body plus harvested comments, best first
+const REDDIT_THREAD_MAX_CHARS = 6000;
 
-  if (!res.ok) throw new Error(`Reddit post JSON HTTP ${res.status}`);
+// Threads fetched at once by scrapeRedditPosts (httpFetch still caps each host)
+const REDDIT_SCRAPE_CONCURRENCY = 4;
 
-  const [listingData, commentsData] = await res.json();
-  const post = listingData?.data?.children?.[0]?.data;
+// Reddit's unauthenticated API allows on the order of 100 requests per ten
+// minutes, and one thread costs its .json request plus up to
+// REDDIT_MORE_EXPANSIONS + REDDIT_AUTHOR_LOOKUPS more (13 by default).
+// REDDIT_REQUEST_BUDGET caps what one enrichment pass spends.
+const REDDIT_REQUEST_BUDGET = Math.max(1, parseInt(process.env.REDDIT_REQUEST_BUDGET ?? '200', 10) || 200);
 
-  if (!post) throw new Error('No post data in response');
+/**
+ * Share the request budget across `count` threads: as many threads as it
+ * affords get their .json request, and what's left is split evenly between
+ * them — "more" expansions first, then author lookups.
+ */
+function planThreadRequests(count, budget = REDDIT_REQUEST_BUDGET) {
+  const fetched = Math.min(count, budget);
+  let spare = budget - fetched;
+  const share = (max) => {
+    const n = fetched ? Math.min(max, Math.floor(spare / fetched)) : 0;
+    spare -= n * fetched;
+    return n;
+  };
+  return { fetched, moreExpansions: share(REDDIT_MORE_EXPANSIONS), authorLookups: share(REDDIT_AUTHOR_LOOKUPS) };
+}
 
-  // Collect top comments — richest pain point signal
-  const topComments = (commentsData?.data?.children ?? [])
-    .slice(0, 8)
-    .map((c) => c?.data?.body)
-    .filter((b) => b && b !== '[deleted]' && b !== '[removed]' && b.length > 20)
-    .join('\n\n---\n\n');
+/**
+ * Fetch a post and its comment tree (redditComments.js) and render both as
+ * prompt content. Each comment is prefixed with its permalink so pain points
+ * can cite the exact comment; the comment objects travel along on the post.
+ *
+ * @param {string} postUrl - Full Reddit post URL
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ content: string, comments: Array }>}
+ */
+async function fetchRedditThread(postUrl, { signal, moreExpansions, authorLookups } = {}) {
+  const { post, comments } = await harvestRedditThread(postUrl, { signal, moreExpansions, authorLookups });
 
   const parts = [
     `Title: ${post.title ?? ''}`,
-    post.selftext ? `Post body: ${post.selftext}` : '',
-    topComments ? `Top comments:\n${topComments}` : '',
+    post.selftext && !['[deleted]', '[removed]'].includes(post.selftext) ? `Post body: ${post.selftext}` : '',
+    comments.length ? `Comments:\n\n${comments.map(formatComment).join('\n\n')}` : '',
   ].filter(Boolean);
 
-  return parts.join('\n\n');
+  return {
+    content: truncate(parts.join('\n\n'), REDDIT_THREAD_MAX_CHARS),
+    comments,
+    stats: { score: post.score, num_comments: post.num_comments, created_at: fromUnixTime(post.created_utc) },
+  };
 }
 
 /**
  * Enrich a set of Reddit posts with full content.
  *
  * Priority per post:
- *   1. Use existing content if already meaningful (from searchRedditJSON)
- *   2. Enrich via Reddit's own .json endpoint (post body + top comments)
- *   3. Fall back to Bright Data scrape_as_markdown (if zone exists)
+ *   1. Reddit's own .json endpoint — post body plus the harvested comment
+ *      tree, even when search already returned the selftext (the sharpest
+ *      pain is usually in the replies)
+ *   2. Existing content from searchRedditJSON, if the thread fetch failed
+ *   3. Bright Data scrape_as_markdown (if zone exists)
  *   4. Last resort: use snippet from search result
  *
- * The key bug this fixes: previously the content fetched by searchRedditJSON
- * was silently discarded here, then overwritten with Bright Data error strings.
+ * Step 1 is spent from REDDIT_REQUEST_BUDGET in input order: posts past what
+ * the budget affords start at step 2, and a large pass gets fewer comment
+ * expansions and author lookups per thread.
  */
-export async function scrapeRedditPosts(urls, maxUrls = 15) {
+export async function scrapeRedditPosts(urls, maxUrls = 15, { signal } = {}) {
   const capped = urls.slice(0, maxUrls);
-  const posts = [];
+  const { fetched, moreExpansions, authorLookups } = planThreadRequests(capped.length);
+  if (fetched < capped.length || moreExpansions < REDDIT_MORE_EXPANSIONS || authorLookups < REDDIT_AUTHOR_LOOKUPS) {
+    logger.info(TAG, `Reddit request budget ${REDDIT_REQUEST_BUDGET}: ${fetched}/${capped.length} thread(s) fetched, ${moreExpansions} expansion(s) and ${authorLookups} author lookup(s) each`);
+  }
+
+  // httpFetch paces each host, so threads can be fetched side by side
+  const enriched = await mapWithConcurrency(capped, REDDIT_SCRAPE_CONCURRENCY, async (post, i) => {
+    const { url, title, snippet, content: existingContent } = post;
+    signal?.throwIfAborted();
 
-  for (const { url, title, snippet, content: existingContent } of capped) {
+    // ── 1. Reddit .json: post body + comment tree ────────────────────────
+    if (i < fetched) {
+      try {
+        const { content, comments, stats } = await fetchRedditThread(url, { signal, moreExpansions, authorLookups });
+        logger.success(TAG, `Reddit .json enriched ${content.length} chars (${comments.length} comments) from ${url}`);
+        // The thread's own score/age — SERP results arrive without them
+        return { ...post, ...stats, content, comments };
+      } catch (err) {
+        signal?.throwIfAborted();
+        logger.warn(TAG, `Reddit .json failed for ${url}: ${err.message}`);
+      }
+    }
 
-    // ── 1. Already have good content (from Reddit JSON API search) ────────
+    // ── 2. Content already fetched by the Reddit JSON search ─────────────
     const isGoodContent = existingContent
       && existingContent.length > 80
       && !existingContent.includes('execution failed');
 
     if (isGoodContent) {
       logger.info(TAG, `Using pre-fetched content (${existingContent.length} chars) for ${url}`);
-      posts.push({ url, title, snippet, content: truncate(existingContent, 2000) });
-      continue;
-    }
-
-    // ── 2. Enrich via Reddit's own .json endpoint (post + top comments) ───
-    try {
-      const content = await fetchRedditPostJSON(url);
-      logger.success(TAG, `Reddit .json enriched ${content.length} chars from ${url}`);
-      posts.push({ url, title, snippet, content: truncate(content, 2000) });
-      // Polite delay between individual post fetches
-      await new Promise((r) => setTimeout(r, 400));
-      continue;
-    } catch (err) {
-      logger.warn(TAG, `Reddit .json failed for ${url}: ${err.message}`);
+      return { ...post, content: truncate(existingContent, 2000) };
     }
 
     // ── 3. Bright Data fallback (only if zone exists) ─────────────────────
     try {
-      const content = await scrapeUrl(url);
+      const content = await scrapeUrl(url, { signal });
       if (content && content.length > 100 && !content.includes('execution failed')) {
-        posts.push({ url, title, snippet, content: truncate(content, 2000) });
-        continue;
+        return { ...post, content: truncate(content, 2000) };
       }
     } catch (err) {
+      signal?.throwIfAborted();
       logger.warn(TAG, `Bright Data scrape failed for ${url}: ${err.message}`);
     }
 
     // ── 4. Snippet-only fallback — at least preserve the title + summary ──
-    if (title || snippet) {
-      posts.push({ url, title, snippet, content: `${title}\n\n${snippet}`.trim() });
-    }
-  }
+    return title || snippet ? { ...post, content: `${title}\n\n${snippet}`.trim() } : null;
+  });
 
+  const posts = enriched.filter(Boolean);
   logger.success(TAG, `scrapeRedditPosts: ${posts.length}/${capped.length} posts enriched`);
   return posts;
 }
@@ -621,11 +689,12 @@ export async function scrapeRedditPosts(urls, maxUrls = 15) {
 /**
  * Scrape a competitor page for gap analysis.
  */
-export async function scrapeCompetitorPage(url) {
+export async function scrapeCompetitorPage(url, { signal } = {}) {
   try {
-    const content = await scrapeUrl(url);
+    const content = await scrapeUrl(url, { signal });
     return { url, content: truncate(content, 3000), success: true };
   } catch (err) {
+    signal?.throwIfAborted();
     logger.warn(TAG, `Competitor scrape failed for ${url}: ${err.message}`);
     return { url, content: '', success: false, error: err.message };
   }
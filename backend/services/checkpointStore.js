@@ -0,0 +1,166 @@
+/**
+ * Checkpoint Store — durable LangGraph checkpointer
+ *
+ * LangGraph's MemorySaver keeps every checkpoint in process memory, which is
+ * exactly what we lose on a crash. This saver reuses MemorySaver's lookup
+ * logic but appends each checkpoint and each batch of pending writes to a
+ * per-thread log in the run store as it is saved, and lazily replays a
+ * thread's log the first time the thread is read.
+ *
+ * Threads are keyed by runId (`configurable.thread_id`), so the thread's log
+ * in the `checkpoints` collection holds everything needed to resume that run
+ * from the node after the last one that completed. Once a run ends for good
+ * its thread is deleted; a run that can still be resumed is pruned to its
+ * latest checkpoint (see finishThread).
+ *
+ * Log entries:
+ *   ['checkpoint', ns, id, checkpoint, metadata, parentId]
+ *   ['writes', writesKey, { [innerKey]: [taskId, channel, value] }]
+ */
+
+import { MemorySaver } from '@langchain/langgraph';
+import { logger } from '../utils/logger.js';
+import { getRunStore } from './runStore.js';
+
+const TAG = 'Checkpoints';
+const COLLECTION = 'checkpoints';
+
+// Serialised checkpoint values are UTF-8 JSON bytes; the run store holds JSON,
+// so keep them as strings on disk (loadsTyped('json', …) accepts either form).
+const toText = (bytes) => (typeof bytes === 'string' ? bytes : Buffer.from(bytes).toString('utf8'));
+
+// MemorySaver keys pending writes by JSON.stringify([threadId, ns, checkpointId])
+const writesKey = (threadId, ns, checkpointId) => JSON.stringify([threadId, ns, checkpointId]);
+const writesKeyThread = (key) => JSON.parse(key)[0];
+
+class RunStoreSaver extends MemorySaver {
+  constructor() {
+    super();
+    this.loadedThreads = new Set();
+  }
+
+  /** Replay a thread's checkpoint log into MemorySaver's maps. */
+  hydrate(threadId) {
+    if (!threadId || this.loadedThreads.has(threadId)) return;
+    this.loadedThreads.add(threadId);
+
+    const entries = getRunStore().readLog(COLLECTION, threadId);
+    if (!entries.length) return;
+
+    for (const [kind, ...rest] of entries) {
+      if (kind === 'checkpoint') {
+        const [ns, id, checkpoint, metadata, parentId] = rest;
+        this.storage[threadId] ??= Object.create(null);
+        this.storage[threadId][ns] ??= Object.create(null);
+        this.storage[threadId][ns][id] = [checkpoint, metadata, parentId ?? undefined];
+      } else if (kind === 'writes') {
+        const [key, writes] = rest;
+        this.writes[key] = Object.assign(this.writes[key] ?? Object.create(null), writes);
+      }
+    }
+    logger.info(TAG, `Loaded ${entries.length} checkpoint entries for thread ${threadId}`);
+  }
+
+  /** Log entries that rebuild a thread's current checkpoints and writes. */
+  entriesFor(threadId) {
+    const entries = [];
+    for (const [ns, checkpoints] of Object.entries(this.storage[threadId] ?? {})) {
+      for (const [id, [checkpoint, metadata, parentId]] of Object.entries(checkpoints)) {
+        entries.push(['checkpoint', ns, id, toText(checkpoint), toText(metadata), parentId ?? null]);
+      }
+    }
+    for (const [key, writes] of Object.entries(this.writes)) {
+      if (writesKeyThread(key) !== threadId) continue;
+      entries.push(['writes', key, Object.fromEntries(Object.entries(writes)
+        .map(([inner, [taskId, channel, value]]) => [inner, [taskId, channel, toText(value)]]))]);
+    }
+    return entries;
+  }
+
+  async getTuple(config) {
+    this.hydrate(config.configurable?.thread_id);
+    return super.getTuple(config);
+  }
+
+  async *list(config, options) {
+    this.hydrate(config.configurable?.thread_id);
+    yield* super.list(config, options);
+  }
+
+  async put(config, checkpoint, metadata) {
+    const threadId = config.configurable?.thread_id;
+    this.hydrate(threadId);
+    const next = await super.put(config, checkpoint, metadata);
+
+    const { checkpoint_ns: ns, checkpoint_id: id } = next.configurable;
+    const [saved, savedMetadata, parentId] = this.storage[threadId][ns][id];
+    getRunStore().appendLog(COLLECTION, threadId, ['checkpoint', ns, id, toText(saved), toText(savedMetadata), parentId ?? null]);
+    return next;
+  }
+
+  async putWrites(config, writes, taskId) {
+    const threadId = config.configurable?.thread_id;
+    this.hydrate(threadId);
+    const key = writesKey(threadId, config.configurable?.checkpoint_ns, config.configurable?.checkpoint_id);
+    const before = { ...this.writes[key] };
+    await super.putWrites(config, writes, taskId);
+
+    // Only what this call added or replaced
+    const added = Object.entries(this.writes[key] ?? {}).filter(([inner, entry]) => before[inner] !== entry);
+    if (!added.length) return;
+    getRunStore().appendLog(COLLECTION, threadId, ['writes', key, Object.fromEntries(added
+      .map(([inner, [task, channel, value]]) => [inner, [task, channel, toText(value)]]))]);
+  }
+
+  async deleteThread(threadId) {
+    await super.deleteThread(threadId);
+    this.loadedThreads.delete(threadId);
+    getRunStore().deleteLog(COLLECTION, threadId);
+  }
+
+  /**
+   * Drop everything but each namespace's latest checkpoint and its pending
+   * writes — all a resume reads — and compact the thread's log to match.
+   */
+  async pruneThread(threadId) {
+    this.hydrate(threadId);
+    const namespaces = this.storage[threadId];
+    if (!namespaces) return;
+
+    const kept = new Set();
+    for (const [ns, checkpoints] of Object.entries(namespaces)) {
+      // Checkpoint ids are time-ordered (uuid6), the same order getTuple uses
+      const [latest, ...older] = Object.keys(checkpoints).sort((a, b) => b.localeCompare(a));
+      for (const id of older) delete checkpoints[id];
+      if (latest) kept.add(writesKey(threadId, ns, latest));
+    }
+    for (const key of Object.keys(this.writes)) {
+      if (writesKeyThread(key) === threadId && !kept.has(key)) delete this.writes[key];
+    }
+
+    getRunStore().writeLog(COLLECTION, threadId, this.entriesFor(threadId));
+  }
+
+  /**
+   * Tidy a thread once its run stops: a run that can be resumed keeps only
+   * its latest checkpoint, any other run's thread is deleted.
+   */
+  async finishThread(threadId, { resumable }) {
+    try {
+      if (resumable) await this.pruneThread(threadId);
+      else await this.deleteThread(threadId);
+    } catch (err) {
+      logger.warn(TAG, `Could not ${resumable ? 'prune' : 'delete'} checkpoints for thread ${threadId}: ${err.message}`);
+    }
+  }
+}
+
+let _saver = null;
+
+/**
+ * Process-wide checkpointer backed by the run store.
+ */
+export function getCheckpointer() {
+  if (!_saver) _saver = new RunStoreSaver();
+  return _saver;
+}
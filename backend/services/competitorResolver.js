@@ -0,0 +1,297 @@
+/**
+ * Competitor Resolver — check competitor URLs before the browser visits them
+ *
+ * identifyCompetitors() asks the LLM for each competitor's pricing and
+ * features URLs, and those guesses are often dead. A 404 page has no pricing
+ * and no features, so judging it would "confirm" every gap. The resolver
+ * verifies each page first and looks for the real one when the guess fails:
+ *
+ *   1. the guessed URL
+ *   2. links on the homepage whose path or text looks like pricing / features
+ *   3. the site's sitemap.xml (one level of sitemap index)
+ *   4. a web search for "<name> pricing" / "<name> features", keeping results
+ *      on the competitor's own domain
+ *
+ * A page counts as verified when it answers 2xx, isn't a soft 404 ("Page not
+ * found" with a 200), and — for pricing — shows prices or plans in its
+ * visible text. Probes use GET rather than HEAD: plenty of sites answer HEAD
+ * with 403 / 405, and a soft 404 only shows in the body.
+ *
+ * A competitor whose pricing page can't be verified comes back with
+ * `verified: false`; validateNode skips its browser check and keeps it out of
+ * gap confirmation. A missing features page only falls back to the pricing
+ * page — it doesn't make the competitor unverified.
+ *
+ * Config:
+ *   RESOLVER_TIMEOUT_MS (default 10000) — per-probe deadline
+ */
+
+import { logger } from '../utils/logger.js';
+import { mapWithConcurrency, htmlToText } from '../utils/helpers.js';
+import { httpFetch } from '../utils/httpClient.js';
+import { searchWeb } from './brightDataService.js';
+
+const TAG = 'Resolver';
+
+const PROBE_TIMEOUT_MS = parseInt(process.env.RESOLVER_TIMEOUT_MS ?? '10000', 10) || 10_000;
+const RESOLVE_CONCURRENCY = 3;
+const MAX_CANDIDATES = 4; // per discovery step
+const MAX_CHILD_SITEMAPS = 3;
+
+const PROBE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+};
+
+const PAGE_KINDS = {
+  pricing: {
+    path: /\/(pricing|plans?|prices?|buy|upgrade)(\/|$|[?#.-])/i,
+    text: /^\s*(pricing|plans( & pricing)?|prices)\s*$/i,
+    query: 'pricing',
+  },
+  features: {
+    path: /\/(features?|product|tour|how-it-works|platform)(\/|$|[?#.-])/i,
+    text: /^\s*(features|product|tour|how it works|platform)\s*$/i,
+    query: 'features',
+  },
+};
+
+// "Page not found" served with a 200
+const SOFT_404_RE = /<title[^>]*>[^<]*(404|not found|page (doesn['’]t|does not) exist|no longer available)[^<]*<\/title>/i;
+
+// A pricing page shows prices or plans in its visible text. The word
+// "pricing" alone doesn't count — nearly every page has it in the nav.
+const PRICING_SIGNAL_RE = /([$€£¥]\s?\d|\d\s?(usd|eur|gbp)\b|\/\s?(mo|month|yr|year)\b|per (user|seat|month|year)|billed (monthly|annually|yearly)|free (plan|tier|forever)|\b(starter|basic|pro|premium|team|business|enterprise) plan\b)/i;
+
+// Visible text of a page's <body> (the whole page when there is no body tag)
+const bodyText = (html) => htmlToText(html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html);
+
+// ─────────────────────────────────────────────
+// Probing
+// ─────────────────────────────────────────────
+
+/**
+ * GET a page with a deadline. Resolves to { ok, status, html, reason } and
+ * never throws, except when the run itself is cancelled.
+ */
+async function fetchPage(url, signal) {
+  const timeout = AbortSignal.timeout(PROBE_TIMEOUT_MS);
+  try {
+    const res = await httpFetch(url, {
+      headers: PROBE_HEADERS,
+      redirect: 'follow',
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+    const html = res.ok ? await res.text() : '';
+    if (!res.ok) await res.body?.cancel();
+    return { ok: res.ok, status: res.status, html, reason: res.ok ? null : `HTTP ${res.status}` };
+  } catch (err) {
+    signal?.throwIfAborted();
+    return { ok: false, status: null, html: '', reason: timeout.aborted ? 'timed out' : err.message };
+  }
+}
+
+/**
+ * Is `url` a real page of the given kind? Returns { ok, status, reason }.
+ */
+async function probePage(url, kind, signal) {
+  const page = await fetchPage(url, signal);
+  if (!page.ok) return page;
+  if (SOFT_404_RE.test(page.html)) return { ok: false, status: page.status, reason: 'soft 404' };
+  if (kind === 'pricing' && !PRICING_SIGNAL_RE.test(bodyText(page.html))) {
+    return { ok: false, status: page.status, reason: 'no prices or plans on the page' };
+  }
+  return { ok: true, status: page.status, reason: null };
+}
+
+// ─────────────────────────────────────────────
+// Discovery
+// ─────────────────────────────────────────────
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+// "www.buffer.com" → "buffer.com"
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+};
+
+// One host is the other or a subdomain of it (buffer.com ↔ app.buffer.com).
+// Comparing whole hosts keeps foo.co.uk and bar.co.uk apart without a
+// public-suffix list.
+const sameSite = (a, b) => Boolean(a && b) && (a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`));
+
+/**
+ * Same-site links from the homepage whose path or anchor text matches the
+ * page kind, in page order.
+ */
+function linksFromHomepage(html, origin, kind) {
+  const { path, text } = PAGE_KINDS[kind];
+  const site = hostOf(origin);
+  const found = [];
+
+  for (const [, href, inner] of html.matchAll(/<a\b[^>]*\bhref=["']([^"'#]+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    let url;
+    try {
+      url = new URL(href, origin);
+    } catch {
+      continue;
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || !sameSite(hostOf(url.href), site)) continue;
+
+    const label = inner.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
+    if (path.test(url.pathname) || text.test(label)) found.push(url.href.split('#')[0]);
+  }
+  return [...new Set(found)];
+}
+
+/**
+ * Page URLs from sitemap.xml that match the page kind. Follows up to
+ * MAX_CHILD_SITEMAPS children of a sitemap index.
+ */
+async function linksFromSitemap(origin, kind, signal) {
+  const { path } = PAGE_KINDS[kind];
+  const locs = (xml) => [...xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)].map((m) => m[1]);
+
+  const root = await fetchPage(`${origin}/sitemap.xml`, signal);
+  if (!root.ok) return [];
+
+  let urls = locs(root.html);
+  if (/<sitemapindex/i.test(root.html)) {
+    const children = urls.slice(0, MAX_CHILD_SITEMAPS);
+    urls = [];
+    for (const child of children) {
+      const page = await fetchPage(child, signal);
+      if (page.ok) urls.push(...locs(page.html));
+    }
+  }
+
+  const matches = (u) => {
+    try {
+      return path.test(new URL(u, origin).pathname);
+    } catch {
+      return false;
+    }
+  };
+
+  return urls
+    .filter(matches)
+    // The shortest path is usually the canonical page (/pricing over /pricing/enterprise-faq)
+    .sort((a, b) => a.length - b.length);
+}
+
+// Search results on the competitor's own site, or — when the homepage is
+// unknown — on a domain that carries the competitor's name
+async function linksFromSearch(name, origin, kind, signal) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const site = origin ? hostOf(origin) : null;
+
+  try {
+    const results = await searchWeb(`${name} ${PAGE_KINDS[kind].query}`, 10, 0, { signal });
+    return results
+      .map((r) => r.url)
+      .filter((u) => {
+        const host = hostOf(u);
+        return host && (site ? sameSite(host, site) : host.replace(/[^a-z0-9]/g, '').includes(slug));
+      });
+  } catch (err) {
+    signal?.throwIfAborted();
+    logger.warn(TAG, `Search for ${name} ${kind} failed: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * First verified candidate, trying each discovery step in turn.
+ * Returns { url, source, tried } — url is null when nothing verified.
+ */
+async function resolvePage(competitor, kind, guess, homepage, signal) {
+  const tried = [];
+  const seen = new Set();
+
+  const tryAll = async (urls, source) => {
+    for (const url of urls.slice(0, MAX_CANDIDATES)) {
+      if (seen.has(url)) continue;
+      seen.add(url);
+      const probe = await probePage(url, kind, signal);
+      tried.push({ url, source, ok: probe.ok, reason: probe.reason });
+      if (probe.ok) return url;
+    }
+    return null;
+  };
+
+  const origin = homepage.ok ? homepage.origin : null;
+
+  const found =
+    (guess && (await tryAll([guess], 'guess'))) ||
+    (origin && (await tryAll(linksFromHomepage(homepage.html, origin, kind), 'homepage'))) ||
+    (origin && (await tryAll(await linksFromSitemap(origin, kind, signal), 'sitemap'))) ||
+    (await tryAll(await linksFromSearch(competitor.name, origin, kind, signal), 'search'));
+
+  return { url: found, source: found ? tried.at(-1).source : null, tried };
+}
+
+// ─────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────
+
+/**
+ * Verify one competitor's pricing and features URLs, discovering the real
+ * pages when the guesses fail.
+ *
+ * @param {Object} competitor - { name, pricingUrl, featuresUrl, backup }
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Object>} the competitor with corrected URLs plus
+ *          `verified` and `resolution: { pricing, features }`, each
+ *          { url, source: guess|homepage|sitemap|search|null, tried[] }
+ */
+export async function resolveCompetitor(competitor, { signal } = {}) {
+  const origin = originOf(competitor.pricingUrl) ?? originOf(competitor.backup);
+  const homepage = origin ? { origin, ...(await fetchPage(origin, signal)) } : { ok: false, html: '' };
+
+  const pricing = await resolvePage(competitor, 'pricing', competitor.pricingUrl, homepage, signal);
+  const verified = Boolean(pricing.url);
+
+  // An unverified competitor is never visited, so its features page doesn't matter
+  const features = verified
+    ? await resolvePage(competitor, 'features', competitor.featuresUrl, homepage, signal)
+    : { url: null, source: null, tried: [] };
+
+  const pricingUrl = pricing.url ?? competitor.pricingUrl;
+
+  if (verified) {
+    logger.success(TAG, `${competitor.name}: pricing ${pricing.url} (${pricing.source})`);
+  } else {
+    logger.warn(TAG, `${competitor.name}: no verifiable pricing page after ${pricing.tried.length} candidate(s)`);
+  }
+
+  return {
+    ...competitor,
+    pricingUrl,
+    featuresUrl: features.url ?? pricingUrl,
+    backup: homepage.ok ? origin : competitor.backup,
+    verified,
+    resolution: { pricing, features },
+  };
+}
+
+/**
+ * resolveCompetitor for a whole list, RESOLVE_CONCURRENCY at a time.
+ * `onResolved` is called with each competitor as soon as it is resolved.
+ */
+export async function resolveCompetitors(competitors, { signal, onResolved } = {}) {
+  return mapWithConcurrency(competitors, RESOLVE_CONCURRENCY, async (competitor) => {
+    const resolved = await resolveCompetitor(competitor, { signal });
+    onResolved?.(resolved);
+    return resolved;
+  });
+}
@@ -0,0 +1,231 @@
+/**
+ * LLM Providers — pluggable chat-completion backends
+ *
+ * Every provider exposes the same shape so llmService.js never knows which
+ * vendor is answering:
+ *
+ *   complete({ system, user, model, maxTokens, json, signal }) → Promise<string>
+ *
+ * With `json: true` the provider must return a single JSON object — through a
+ * native JSON mode where the API has one, otherwise through the prompt.
+ *
+ * Providers with an embeddings API also expose
+ *
+ *   embed({ texts, model, signal }) → Promise<number[][]>
+ *
+ * with the model from embeddingModel(). Anthropic has no embeddings endpoint,
+ * so callers must handle a provider without `embed`.
+ *
+ * Providers:
+ *   openai    → OpenAI Chat Completions (OPENAI_API_KEY)
+ *   azure     → Azure OpenAI deployments (AZURE_OPENAI_*)
+ *   anthropic → Anthropic Messages API over fetch (ANTHROPIC_API_KEY)
+ *   local     → any OpenAI-compatible local server — Ollama, llama.cpp
+ *               `llama-server`, LM Studio — for offline development
+ *
+ * The default provider comes from LLM_PROVIDER; a run can override it. Models
+ * resolve per skill block via LLM_SKILL_MODELS (see resolveModel()).
+ */
+
+import OpenAI, { AzureOpenAI } from 'openai';
+import { logger } from '../utils/logger.js';
+
+const TAG = 'LLM';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Providers without a native JSON mode get this appended to the system prompt
+const JSON_ONLY_INSTRUCTION = '\n\nRespond with a single valid JSON object and nothing else — no prose, no markdown fences.';
+
+// ─────────────────────────────────────────────
+// OpenAI-compatible providers (openai, azure, local)
+// ─────────────────────────────────────────────
+
+function createOpenAICompatibleProvider(name, { createClient, defaultModel, embeddingModel }) {
+  let _client = null;
+
+  return {
+    name,
+    defaultModel,
+    embeddingModel,
+
+    async embed({ texts, model, signal }) {
+      if (!_client) _client = createClient();
+      const response = await _client.embeddings.create({ model, input: texts }, { signal });
+      return [...response.data].sort((a, b) => a.index - b.index).map((d) => d.embedding);
+    },
+
+    async complete({ system, user, model, maxTokens, json = true, signal }) {
+      if (!_client) _client = createClient();
+      const response = await _client.chat.completions.create({
+        model,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user },
+        ],
+      }, { signal });
+      return response.choices[0]?.message?.content ?? '';
+    },
+  };
+}
+
+// ─────────────────────────────────────────────
+// Anthropic (Messages API — no SDK dependency)
+// ─────────────────────────────────────────────
+
+function createAnthropicProvider() {
+  return {
+    name: 'anthropic',
+    defaultModel: () => process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+
+    async complete({ system, user, model, maxTokens, json = true, signal }) {
+      const apiKey = process.env.ANTHROPIC_API_KEY;
+      if (!apiKey) throw new Error('ANTHROPIC_API_KEY is not set in .env');
+
+      const res = await fetch(process.env.ANTHROPIC_API_URL || ANTHROPIC_API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          system: json ? system + JSON_ONLY_INSTRUCTION : system,
+          messages: [{ role: 'user', content: user }],
+        }),
+        signal,
+      });
+
+      if (!res.ok) {
+        const detail = await res.text().catch(() => '');
+        throw new Error(`Anthropic API ${res.status}: ${detail.slice(0, 300)}`);
+      }
+
+      const body = await res.json();
+      return (body.content ?? [])
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+    },
+  };
+}
+
+// ─────────────────────────────────────────────
+// Registry
+// ─────────────────────────────────────────────
+
+const PROVIDER_FACTORIES = {
+  openai: () => createOpenAICompatibleProvider('openai', {
+    defaultModel: () => process.env.OPENAI_MODEL || 'gpt-4o',
+    embeddingModel: () => process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+    createClient: () => {
+      if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is not set in .env');
+      return new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    },
+  }),
+
+  azure: () => createOpenAICompatibleProvider('azure', {
+    // Azure routes by deployment name, which takes the place of the model
+    defaultModel: () => process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4o',
+    embeddingModel: () => process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || 'text-embedding-3-small',
+    createClient: () => {
+      if (!process.env.AZURE_OPENAI_API_KEY || !process.env.AZURE_OPENAI_ENDPOINT) {
+        throw new Error('AZURE_OPENAI_API_KEY and AZURE_OPENAI_ENDPOINT must be set in .env');
+      }
+      return new AzureOpenAI({
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      });
+    },
+  }),
+
+  anthropic: () => createAnthropicProvider(),
+
+  // Ollama and llama.cpp both accept response_format: { type: 'json_object' }
+  local: () => createOpenAICompatibleProvider('local', {
+    defaultModel: () => process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    embeddingModel: () => process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text',
+    createClient: () => new OpenAI({
+      baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local', // the SDK insists on a key; local servers ignore it
+    }),
+  }),
+};
+
+export const LLM_PROVIDERS = Object.freeze(Object.keys(PROVIDER_FACTORIES));
+
+const _providers = new Map();
+
+export function getDefaultProviderName() {
+  return (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+}
+
+/**
+ * Return the provider with the given name (default: LLM_PROVIDER), creating
+ * it on first use.
+ */
+export function getLLMProvider(name = getDefaultProviderName()) {
+  const key = name.toLowerCase();
+  if (_providers.has(key)) return _providers.get(key);
+
+  const factory = PROVIDER_FACTORIES[key];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" — expected one of: ${LLM_PROVIDERS.join(', ')}`);
+  }
+
+  const provider = factory();
+  _providers.set(key, provider);
+  logger.info(TAG, `Using ${key} provider`);
+  return provider;
+}
+
+// ─────────────────────────────────────────────
+// Per-skill model selection
+// ─────────────────────────────────────────────
+
+let _skillModels = null;
+
+/**
+ * LLM_SKILL_MODELS is a JSON object of skill block → model, e.g.
+ *   {"cleanAndFilterPosts":"gpt-4o-mini","generateOpportunityBrief":"anthropic:claude-sonnet-4-5"}
+ *
+ * A bare model name belongs to the default provider; "provider:model" scopes
+ * the entry to that provider. Entries never switch a run's provider — they
+ * only pick the model when the run is already using that provider.
+ */
+function getSkillModels() {
+  if (_skillModels) return _skillModels;
+  _skillModels = {};
+
+  const raw = process.env.LLM_SKILL_MODELS;
+  if (!raw) return _skillModels;
+
+  try {
+    for (const [skill, spec] of Object.entries(JSON.parse(raw))) {
+      if (typeof spec !== 'string' || !spec) continue;
+      const sep = spec.indexOf(':');
+      const scoped = sep > 0 && LLM_PROVIDERS.includes(spec.slice(0, sep).toLowerCase());
+      _skillModels[skill] = scoped
+        ? { provider: spec.slice(0, sep).toLowerCase(), model: spec.slice(sep + 1) }
+        : { provider: getDefaultProviderName(), model: spec };
+    }
+  } catch (err) {
+    logger.warn(TAG, `Ignoring unparseable LLM_SKILL_MODELS: ${err.message}`);
+  }
+  return _skillModels;
+}
+
+/**
+ * Pick the model a skill block should use on the given provider.
+ */
+export function resolveModel(provider, skill) {
+  const entry = getSkillModels()[skill];
+  if (entry && entry.provider === provider.name) return entry.model;
+  return provider.defaultModel();
+}
@@ -1,64 +1,252 @@
 /**
- * LLM Service — OpenAI API
+ * LLM Service — provider-agnostic skill blocks
  *
  * All reasoning calls are isolated here. Each function is a named Skill Block
  * in our agent architecture — they are the reusable prompt templates that
  * Acontext distills into long-term skills after a successful run.
  *
  * Skill Blocks:
- *   extractPainPoints       → parse raw Reddit content → structured pain points
- *   rankAndSelectProblem    → rank by frequency/severity → top problem
+ *   extractPainPoints       → parse scouted posts (Reddit, HN, reviews, forums) → structured pain points
+ *   rankAndSelectProblem    → rank pain-point clusters by measured frequency/severity → top problem
  *   analyseCompetitorData   → interpret browser results → gap confirmation
  *   generateOpportunityBrief → synthesise everything → final report
+ *   broadenScoutQueries     → propose broader/synonym niche queries when scouting is thin
+ *   generateFeatureChecklist → top problem → features a competitor must have to solve it
+ *   judgeFeatureCoverage    → competitor page text × checklist → present/absent/unclear + excerpt
+ *   extractPricingPlans     → competitor pricing page text → structured plans
+ *
+ * Every skill block takes a trailing `options` object:
+ *   options.signal   → AbortSignal forwarded to the API call so cancelled runs stop billing
+ *   options.provider → LLM provider for this run (default: LLM_PROVIDER, see llmProviders.js)
+ *   options.onRepair → called with { skill, attempts, repaired, errors } whenever an
+ *                      output failed its schema and the model was re-asked
+ *
+ * Skill blocks 1–5 and 8–10 validate their output against skillSchemas.js. An invalid
+ * response is sent back to the model together with the validation errors, up
+ * to LLM_REPAIR_RETRIES times (default 2), before the block falls back.
+ *
+ * extractPainPoints and cleanAndFilterPosts are map-reduce: posts are split
+ * into batches that fit a prompt budget, batches run EXTRACTION_CONCURRENCY
+ * at a time (default 3), and the per-batch results are merged.
  */
 
-import OpenAI from 'openai';
 import { logger } from '../utils/logger.js';
-import { extractJson, safeJsonParse } from '../utils/helpers.js';
+import { extractJson, safeJsonParse, truncate, urlKey, mapWithConcurrency } from '../utils/helpers.js';
+import { validateSchema } from '../utils/schema.js';
+import { replayable } from '../utils/replay.js';
+import { getLLMProvider, resolveModel } from './llmProviders.js';
+import {
+  PAIN_POINTS_SCHEMA,
+  PAIN_POINT_SCHEMA,
+  RANKING_SCHEMA,
+  GAP_ANALYSIS_SCHEMA,
+  BRIEF_SCHEMA,
+  COMPETITORS_SCHEMA,
+  FEATURE_CHECKLIST_SCHEMA,
+  FEATURE_JUDGEMENTS_SCHEMA,
+  PRICING_PLANS_SCHEMA,
+} from './skillSchemas.js';
+
+const TAG = 'LLM';
+
+const LLM_REPAIR_RETRIES = Number(process.env.LLM_REPAIR_RETRIES ?? 2);
+// Only claims repairs were tried when they were
+const AFTER_REPAIRS = LLM_REPAIR_RETRIES > 0 ? ' after repair attempts' : '';
 
-const TAG = 'LLM(OpenAI)';
-let _client = null;
+/**
+ * Core wrapper — routes a skill block's prompt to the run's provider with JSON
+ * output enforced. The model is resolved per skill (LLM_SKILL_MODELS).
+ */
+async function callLLM(skill, systemPrompt, userContent, maxTokens = 2000, { signal, provider: providerName } = {}) {
+  const provider = getLLMProvider(providerName);
+  const model = resolveModel(provider, skill);
+  logger.info(TAG, `${skill} → ${provider.name}/${model}`);
 
-function getClient() {
-  if (_client) return _client;
-  if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is not set in .env');
-  _client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  return _client;
+  const request = { system: systemPrompt, user: userContent, model, maxTokens, json: true };
+  return replayable('llm', { provider: provider.name, ...request }, () => provider.complete({ ...request, signal }), { signal });
 }
 
 /**
- * Core wrapper — gpt-4o with JSON mode enforced for structured outputs.
+ * callLLM + schema validation. When the response doesn't parse or fails the
+ * schema, the model is re-asked with its previous answer and the exact
+ * validation errors, up to LLM_REPAIR_RETRIES times.
+ *
+ * Never throws on invalid output — returns { data, errors } with the last
+ * parsed response so each skill block can salvage or fall back as it sees fit.
  */
-async function callGPT(systemPrompt, userContent, maxTokens = 2000) {
-  const client = getClient();
-  const response = await client.chat.completions.create({
-    model: 'gpt-4o',
-    max_tokens: maxTokens,
-    response_format: { type: 'json_object' },
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userContent },
-    ],
-  });
-  return response.choices[0].message.content ?? '';
+async function callStructured(skill, schema, systemPrompt, userContent, maxTokens, options = {}) {
+  let prompt = userContent;
+  let firstErrors = null;
+  let data = null;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= LLM_REPAIR_RETRIES; attempt++) {
+    const raw = await callLLM(skill, systemPrompt, prompt, maxTokens, options);
+    data = safeJsonParse(raw) ?? extractJson(raw);
+    errors = data === null ? ['response is not valid JSON'] : validateSchema(schema, data);
+
+    if (errors.length === 0) {
+      if (attempt > 0) {
+        const repair = { skill, attempts: attempt, repaired: true, errors: firstErrors };
+        logger.success(TAG, describeRepair(repair));
+        options.onRepair?.(repair);
+      }
+      return { data, errors };
+    }
+
+    firstErrors ??= errors.slice(0, 10);
+    logger.warn(TAG, `${skill}: output failed validation (${errors.length} error(s)): ${errors.slice(0, 3).join('; ')}`);
+
+    prompt = `${userContent}
+
+Your previous response was:
+${raw.slice(0, 4000)}
+
+It failed validation with these errors:
+${errors.slice(0, 20).map((e) => `- ${e}`).join('\n')}
+
+Return the complete corrected JSON object.`;
+  }
+
+  options.onRepair?.({ skill, attempts: LLM_REPAIR_RETRIES, repaired: false, errors: firstErrors });
+  return { data, errors };
+}
+
+/**
+ * One-line summary of an onRepair report for logs and the run's event stream.
+ * With LLM_REPAIR_RETRIES=0 nothing was re-asked, so it says so.
+ */
+export function describeRepair({ skill, attempts, repaired }) {
+  if (repaired) return `${skill}: invalid output repaired after ${attempts} retr${attempts === 1 ? 'y' : 'ies'}`;
+  if (attempts === 0) return `${skill}: output invalid and repairs are off — using fallback`;
+  return `${skill}: output still invalid after ${attempts} repair attempt${attempts === 1 ? '' : 's'} — using fallback`;
+}
+
+// ─────────────────────────────────────────────
+// Embeddings (not a skill block — no prompt, no schema)
+// ─────────────────────────────────────────────
+
+/**
+ * Embed `texts` with the run's provider, one vector per text. Returns null
+ * instead of throwing when the provider has no embeddings API (anthropic) or
+ * the call fails, so callers can fall back to lexical similarity.
+ */
+export async function embedTexts(texts, { signal, provider: providerName } = {}) {
+  const provider = getLLMProvider(providerName);
+  if (!provider.embed || !texts.length) return null;
+
+  const model = provider.embeddingModel();
+  logger.info(TAG, `embed ${texts.length} text(s) → ${provider.name}/${model}`);
+  try {
+    return await replayable('llm', { provider: provider.name, op: 'embed', model, texts }, () => provider.embed({ texts, model, signal }), { signal });
+  } catch (err) {
+    signal?.throwIfAborted();
+    logger.warn(TAG, `Embeddings unavailable from ${provider.name}/${model}: ${err.message}`);
+    return null;
+  }
 }
 
 // ─────────────────────────────────────────────
 // SKILL BLOCK 1: Extract Pain Points
 // ─────────────────────────────────────────────
 
-export async function extractPainPoints(rawPosts, niche) {
+// Posts per extraction prompt are capped by an estimated token budget (~4
+// chars per token) so large scouts neither overflow the context window nor
+// truncate the output array
+const EXTRACTION_BATCH_TOKENS = Math.max(1000, Number(process.env.EXTRACTION_BATCH_TOKENS) || 12_000);
+const EXTRACTION_CONCURRENCY = Math.max(1, Number(process.env.EXTRACTION_CONCURRENCY) || 3);
+const CHARS_PER_TOKEN = 4;
+
+const INTENSITY_RANK = { high: 3, medium: 2, low: 1 };
+
+const postBlock = (p, i) => `--- POST ${i + 1} [${p.source ?? 'reddit'}] (${p.url}) ---\n${p.content || p.snippet}`;
+
+/**
+ * Split formatted post blocks into batches whose text fits `budgetTokens`.
+ * A single post over budget is truncated to fit and sent on its own.
+ *
+ * @param {string[]} blocks
+ * @param {number}   budgetTokens
+ * @returns {string[][]}
+ */
+export function batchByTokens(blocks, budgetTokens = EXTRACTION_BATCH_TOKENS) {
+  const budgetChars = budgetTokens * CHARS_PER_TOKEN;
+  const batches = [];
+  let current = [];
+  let used = 0;
+
+  for (const block of blocks) {
+    const text = truncate(block, budgetChars);
+    if (current.length && used + text.length > budgetChars) {
+      batches.push(current);
+      current = [];
+      used = 0;
+    }
+    current.push(text);
+    used += text.length + 2;
+  }
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+const normaliseText = (text) => String(text ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Merge per-batch pain points: the same quote cited from the same source is
+ * one pain point (kept at its highest intensity). Different citations of a
+ * similar problem stay separate — clusterPainPoints groups and counts those.
+ */
+export function mergePainPoints(batches) {
+  const merged = new Map();
+  for (const p of batches.flat()) {
+    const key = `${urlKey(p.source_url)}|${normaliseText(p.verbatim_quote) || normaliseText(p.problem)}`;
+    const seen = merged.get(key);
+    if (!seen) merged.set(key, p);
+    else if ((INTENSITY_RANK[p.intensity] ?? 0) > (INTENSITY_RANK[seen.intensity] ?? 0)) merged.set(key, { ...seen, intensity: p.intensity });
+  }
+  return [...merged.values()];
+}
+
+async function extractBatch(system, niche, blocks, options) {
+  const user = `Niche: "${niche}"\n\nPosts:\n\n${blocks.join('\n\n')}`;
+  const { data, errors } = await callStructured('extractPainPoints', PAIN_POINTS_SCHEMA, system, user, 3000, options);
+
+  if (!Array.isArray(data?.pain_points)) {
+    logger.warn(TAG, `No usable pain_points array${AFTER_REPAIRS}`);
+    return [];
+  }
+
+  // Keep the individually valid entries rather than dropping the whole batch
+  return errors.length === 0
+    ? data.pain_points
+    : data.pain_points.filter((p) => validateSchema(PAIN_POINT_SCHEMA, p).length === 0);
+}
+
+/**
+ * Extract structured pain points from the scouted posts, map-reduce style:
+ * one extraction per batch of posts (batchByTokens), merged and deduplicated
+ * (mergePainPoints). A failed batch is skipped with a warning; the block only
+ * throws when every batch failed.
+ *
+ * @param {Array}  rawPosts
+ * @param {string} niche
+ * @param {Object} [options] - skill block options, plus
+ *                             `onBatch({ batch, batches, count })` after each batch
+ * @returns {Promise<Array>} pain points tagged with the `source` they cite
+ */
+export async function extractPainPoints(rawPosts, niche, options = {}) {
   logger.info(TAG, 'Skill Block 1: extractPainPoints');
 
-  // OpenAI JSON mode requires a root object — we wrap the array under "pain_points"
+  // JSON mode requires a root object — we wrap the array under "pain_points"
   const system = `You are a product research analyst specialising in identifying unmet market needs.
-Extract pain points, frustrations, and unmet needs from Reddit posts.
+Extract pain points, frustrations, and unmet needs from posts collected from Reddit, Hacker News, app store reviews and product forums.
 
 Rules:
 - Extract ONLY genuine complaints, frustrations, or wish-list items
 - Skip posts about resolved problems or existing solutions
 - Ignore sidebar content, ads, and off-topic comments
 - Each pain point must be specific and actionable
+- When the quote comes from a comment marked [COMMENT <url> …], cite that comment URL as source_url, not the post URL
 
 Return a JSON object with key "pain_points" containing an array:
 {
@@ -66,42 +254,72 @@ Return a JSON object with key "pain_points" containing an array:
     {
       "problem": "short description of the pain point",
       "verbatim_quote": "exact words from the post",
-      "source_url": "reddit URL",
+      "source_url": "the URL of the comment or post it came from, exactly as given",
       "intensity": "high|medium|low",
       "category": "workflow|cost|discovery|collaboration|other"
     }
   ]
 }`;
 
-  const postsText = rawPosts
-    .map((p, i) => `--- POST ${i + 1} (${p.url}) ---\n${p.content || p.snippet}`)
-    .join('\n\n');
-
-  const user = `Niche: "${niche}"\n\nReddit posts:\n\n${postsText}`;
-
-  const raw = await callGPT(system, user, 3000);
-  const parsed = safeJsonParse(raw);
-
-  if (!parsed?.pain_points || !Array.isArray(parsed.pain_points)) {
-    logger.warn(TAG, 'Unexpected format — trying extractJson fallback');
-    return extractJson(raw) ?? [];
-  }
-
-  logger.success(TAG, `Extracted ${parsed.pain_points.length} pain points`);
-  return parsed.pain_points;
+  const batches = batchByTokens(rawPosts.map(postBlock));
+  if (batches.length > 1) logger.info(TAG, `extractPainPoints: ${rawPosts.length} posts in ${batches.length} batches`);
+
+  let failed = 0;
+  let lastError = null;
+  const results = await mapWithConcurrency(batches, EXTRACTION_CONCURRENCY, async (blocks, i) => {
+    try {
+      const points = await extractBatch(system, niche, blocks, options);
+      options.onBatch?.({ batch: i + 1, batches: batches.length, count: points.length });
+      return points;
+    } catch (err) {
+      options.signal?.throwIfAborted();
+      logger.warn(TAG, `extractPainPoints batch ${i + 1}/${batches.length} failed: ${err.message}`);
+      failed++;
+      lastError = err;
+      return [];
+    }
+  });
+  if (batches.length && failed === batches.length) throw lastError;
+
+  // Tag each pain point with the source of the post (or comment) it cites
+  const sourceByUrl = new Map(rawPosts.flatMap((p) => [
+    [p.url, p.source ?? 'reddit'],
+    ...(p.comments ?? []).map((c) => [c.url, p.source ?? 'reddit']),
+  ]));
+  const extracted = results.flat().length;
+  const painPoints = mergePainPoints(results)
+    .map((p) => ({ ...p, source: sourceByUrl.get(p.source_url) ?? p.source ?? 'unknown' }));
+
+  logger.success(TAG, `Extracted ${painPoints.length} pain points${extracted > painPoints.length ? ` (${extracted - painPoints.length} duplicate(s) merged)` : ''}`);
+  return painPoints;
 }
 
 // ─────────────────────────────────────────────
 // SKILL BLOCK 2: Rank & Select Top Problem
 // ─────────────────────────────────────────────
 
-export async function rankAndSelectProblem(painPoints, niche) {
+/**
+ * Pick the best opportunity among the run's pain-point clusters
+ * (painPointClusters.js). Frequency is measured, not judged: the model sees
+ * each cluster's mention/post/upvote counts, names the cluster it picked, and
+ * frequency_score is derived from that cluster's mentions.
+ *
+ * @param {Array}  clusters - from clusterPainPoints
+ * @param {string} niche
+ * @returns {Promise<Object|null>} the ranking, with `metrics` from the chosen
+ *          cluster on the top problem and on each ranked pain point
+ */
+export async function rankAndSelectProblem(clusters, niche, options = {}) {
   logger.info(TAG, 'Skill Block 2: rankAndSelectProblem');
 
-  const system = `You are a startup product strategist. Analyse pain points and identify the single best market opportunity.
+  const system = `You are a startup product strategist. Analyse clustered pain points and identify the single best market opportunity.
+
+Each cluster groups pain points that describe the same problem. Its "metrics" are measured from the scouted posts:
+mentions (pain points in the cluster), posts and comments cited, their summed upvotes, and the subreddits they come from.
+Treat those numbers as the frequency signal — do not estimate frequency yourself.
 
 Ranking criteria:
-1. Frequency — how many posts mention this?
+1. Frequency — the cluster's measured mentions, upvotes and spread
 2. Intensity — how frustrated are users?
 3. Market size — how many people face this?
 4. Solution gap — how absent are current solutions?
@@ -110,38 +328,87 @@ Ranking criteria:
 Return a JSON object:
 {
   "top_problem": "one sentence description",
-  "frequency_score": 1-10,
+  "cluster_id": "id of the cluster the top problem comes from",
   "severity_score": 1-10,
   "market_size_estimate": "description",
   "gap_keyword": "2-3 word search term to verify gap in competitors",
   "supporting_quotes": [{ "text": "...", "source": "..." }],
   "why_this_wins": "2-3 sentences",
-  "runner_up": "one sentence on second-best problem"
-}`;
+  "runner_up": "one sentence on second-best problem",
+  "ranked_pain_points": [
+    { "problem": "one sentence", "cluster_id": "c1", "gap_keyword": "2-3 word search term", "score": 1-10, "supporting_quotes": [{ "text": "...", "source": "..." }] }
+  ]
+}
+
+"ranked_pain_points" lists up to 5 distinct problems, best first — the first entry is the top problem and the second is the runner-up.
+Supporting quotes must come from the clusters' members, with their source_url as the source.`;
 
-  const user = `Niche: "${niche}"\n\nPain points:\n${JSON.stringify(painPoints, null, 2)}`;
+  const clusterInput = clusters.map((c) => ({
+    id: c.id,
+    problem: c.problem,
+    category: c.category,
+    intensity: c.intensity,
+    metrics: c.metrics,
+    members: c.members.map(({ problem, verbatim_quote, source_url, intensity }) => ({ problem, verbatim_quote, source_url, intensity })),
+  }));
+  const user = `Niche: "${niche}"\n\nPain-point clusters:\n${JSON.stringify(clusterInput, null, 2)}`;
 
-  const raw = await callGPT(system, user, 1500);
-  const parsed = safeJsonParse(raw);
+  const { data, errors } = await callStructured('rankAndSelectProblem', RANKING_SCHEMA, system, user, 1500, options);
 
-  if (!parsed?.top_problem) {
-    logger.warn(TAG, 'Ranking returned unexpected format');
+  if (errors.length > 0) {
+    logger.warn(TAG, `Ranking failed validation${AFTER_REPAIRS}`);
     return null;
   }
 
-  logger.success(TAG, `Top problem: "${parsed.top_problem}"`);
-  return parsed;
+  const ranking = withMeasuredFrequency(data, clusters);
+  logger.success(TAG, `Top problem: "${ranking.top_problem}" (frequency ${ranking.frequency_score ?? 'unmeasured'})`);
+  return ranking;
+}
+
+/**
+ * Replace the ranking's frequency with the chosen clusters' measurements:
+ * frequency_score is a cluster's mentions relative to the most-mentioned
+ * cluster, on the same 1–10 scale as severity.
+ */
+function withMeasuredFrequency(ranking, clusters) {
+  const byId = new Map(clusters.map((c) => [c.id, c]));
+  const most = Math.max(1, ...clusters.map((c) => c.metrics.mentions));
+
+  const measured = (clusterId) => {
+    if (!clusterId) return {};
+    const cluster = byId.get(clusterId);
+    if (!cluster) {
+      logger.warn(TAG, `Ranking cited unknown cluster "${clusterId}" — frequency left unmeasured`);
+      return {};
+    }
+    return {
+      frequency_score: Math.max(1, Math.round((10 * cluster.metrics.mentions) / most)),
+      metrics: cluster.metrics,
+    };
+  };
+
+  // The model's own frequency_score, if it volunteered one, never survives
+  const { frequency_score: _guessed, ...rest } = ranking;
+  return {
+    ...rest,
+    ...measured(ranking.cluster_id),
+    ...(Array.isArray(ranking.ranked_pain_points) ? {
+      ranked_pain_points: ranking.ranked_pain_points.map((p) => ({ ...p, ...measured(p.cluster_id) })),
+    } : {}),
+  };
 }
 
 // ─────────────────────────────────────────────
 // SKILL BLOCK 3: Analyse Competitor Gap Data
 // ─────────────────────────────────────────────
 
-export async function analyseCompetitorData(competitorResults, topProblem) {
+export async function analyseCompetitorData(competitorResults, topProblem, options = {}) {
   logger.info(TAG, 'Skill Block 3: analyseCompetitorData');
 
   const system = `You are a competitive intelligence analyst. Interpret browser automation results from competitor websites to determine whether a market gap is confirmed.
 
+Each competitor's "gaps" maps a checklist feature to a judgement of its pages: "absent" means the feature is not offered, "present" means it is (with a supporting excerpt), and "unclear" is no evidence either way — never count unclear as missing.
+
 Return a JSON object:
 {
   "gap_confirmed": true,
@@ -152,11 +419,14 @@ Return a JSON object:
   "market_entry_angle": "how to position against these competitors"
 }`;
 
-  // Strip screenshots and truncate scraped content to prevent context overflow.
-  // Screenshots are base64 and can be hundreds of KB each. Notes + scrapedContent
-  // from Puppeteer can also be many KB — cap at 800 chars per competitor.
-  const safeResults = competitorResults.map(({ screenshot, scrapedContent, notes, ...rest }) => ({
+  // Strip screenshot references and truncate scraped content to prevent context
+  // overflow. Notes + scrapedContent from Puppeteer can be many KB — cap at 800
+  // chars per competitor. The manual's step trace carries screenshots too; only
+  // its tally matters here. Evidence crops repeat what the judge put in `gaps`.
+  const safeResults = competitorResults.map(({ screenshot, fullPageScreenshot, evidence, scrapedContent, notes, manual, pageText, plans, resolution, ...rest }) => ({
     ...rest,
+    plans: plans?.length ? formatPlans(plans) : undefined,
+    manual: manual ? { id: manual.id, steps: manual.steps, succeeded: manual.succeeded, failed: manual.failed } : null,
     notes: typeof notes === 'string' ? notes.slice(0, 800) : notes,
     ...(scrapedContent ? { scrapedContent: scrapedContent.slice(0, 800) } : {}),
   }));
@@ -165,18 +435,22 @@ Return a JSON object:
 
   logger.info(TAG, `analyseCompetitorData payload: ~${Math.round(user.length / 4)} tokens estimated`);
 
-  const raw = await callGPT(system, user, 1000);
-  const parsed = safeJsonParse(raw);
+  const { data, errors } = await callStructured('analyseCompetitorData', GAP_ANALYSIS_SCHEMA, system, user, 1000, options);
 
-  logger.success(TAG, `Gap confirmed: ${parsed?.gap_confirmed}`);
-  return parsed ?? { gap_confirmed: false, confidence: 'low', gap_summary: 'Analysis inconclusive.' };
+  if (errors.length > 0) {
+    logger.warn(TAG, 'Gap analysis failed validation — reporting as inconclusive');
+    return { gap_confirmed: false, confidence: 'low', gap_summary: 'Analysis inconclusive.' };
+  }
+
+  logger.success(TAG, `Gap confirmed: ${data.gap_confirmed}`);
+  return data;
 }
 
 // ─────────────────────────────────────────────
 // SKILL BLOCK 4: Generate Opportunity Brief
 // ─────────────────────────────────────────────
 
-export async function generateOpportunityBrief(niche, topProblem, gapAnalysis, competitorResults, painPoints) {
+export async function generateOpportunityBrief(niche, topProblem, gapAnalysis, competitorResults, painPoints, options = {}) {
   logger.info(TAG, 'Skill Block 4: generateOpportunityBrief');
 
   const system = `You are a startup idea synthesiser. Create a compelling, investor-ready opportunity brief using real market research data. Be specific — use the actual data provided.
@@ -191,25 +465,27 @@ Return a JSON object:
   "competitor_landscape": [{ "name": "...", "weakness": "..." }],
   "mvp_features": [{ "feature": "...", "why": "...", "priority": "must-have|nice-to-have" }],
   "go_to_market_angle": "2-3 sentences on how to acquire first 100 users",
+  "pricing_positioning": "2-3 sentences on where to price against the competitor plans, quoting their actual prices",
   "suggested_name": "a catchy product name",
   "one_liner": "YC-style one-sentence pitch",
   "validation_confidence": "high|medium|low",
   "next_steps": ["step 1", "step 2", "step 3"]
 }`;
 
+  // Quotes that couldn't be found in the scouted posts (quoteGrounding.js) stay out of the brief
   const user = `
 Niche: "${niche}"
 Top Problem: ${JSON.stringify(topProblem)}
 Gap Analysis: ${JSON.stringify(gapAnalysis)}
 Competitors Checked: ${competitorResults.map((c) => c.name).join(', ')}
 Competitor Notes: ${competitorResults.map((c) => `${c.name}: ${c.notes}`).join(' | ')}
-Sample Pain Points: ${JSON.stringify(painPoints.slice(0, 5))}`;
+Competitor Pricing: ${competitorResults.filter((c) => c.plans?.length).map((c) => `${c.name}: ${formatPlans(c.plans)}`).join(' | ') || 'not captured — do not invent prices'}
+Sample Pain Points: ${JSON.stringify(painPoints.filter((p) => p.grounding?.verified !== false).slice(0, 5))}`;
 
-  const raw = await callGPT(system, user, 2500);
-  const parsed = safeJsonParse(raw);
+  const { data, errors } = await callStructured('generateOpportunityBrief', BRIEF_SCHEMA, system, user, 2500, options);
 
-  if (!parsed?.headline) {
-    logger.warn(TAG, 'Brief missing headline — returning degraded brief');
+  if (errors.length > 0) {
+    logger.warn(TAG, 'Brief failed validation — returning degraded brief');
     return {
       headline: `Market gap identified in ${niche}`,
       problem_statement: topProblem?.top_problem ?? 'See pain points.',
@@ -219,8 +495,8 @@ Sample Pain Points: ${JSON.stringify(painPoints.slice(0, 5))}`;
     };
   }
 
-  logger.success(TAG, `Brief: "${parsed.headline}"`);
-  return parsed;
+  logger.success(TAG, `Brief: "${data.headline}"`);
+  return data;
 }
 
 // ─────────────────────────────────────────────
@@ -228,7 +504,7 @@ Sample Pain Points: ${JSON.stringify(painPoints.slice(0, 5))}`;
 // ─────────────────────────────────────────────
 
 /**
- * Ask GPT-4o to identify the top 3 direct competitors for the given niche
+ * Ask the LLM to identify the top 3 direct competitors for the given niche
  * and top problem. Returns a competitor config array compatible with the
  * checkCompetitorGap() function signature.
  *
@@ -237,9 +513,10 @@ Sample Pain Points: ${JSON.stringify(painPoints.slice(0, 5))}`;
  *
  * @param {string} niche
  * @param {Object|null} topProblem - { top_problem, gap_keyword }
+ * @param {{ signal?: AbortSignal }} [options]
  * @returns {Array<{ name, pricingUrl, featuresUrl, backup }>|null}
  */
-export async function identifyCompetitors(niche, topProblem) {
+export async function identifyCompetitors(niche, topProblem, options = {}) {
   logger.info(TAG, 'Skill Block 5: identifyCompetitors');
 
   const system = `You are a competitive intelligence researcher.
@@ -268,18 +545,16 @@ Top Problem: "${topProblem?.top_problem ?? 'not yet identified'}"
 Gap Keyword: "${topProblem?.gap_keyword ?? ''}"`;
 
   try {
-    const raw = await callGPT(system, user, 800);
-    const parsed = safeJsonParse(raw);
+    const { data } = await callStructured('identifyCompetitors', COMPETITORS_SCHEMA, system, user, 800, options);
 
-    if (!parsed?.competitors || !Array.isArray(parsed.competitors) || parsed.competitors.length === 0) {
+    if (!Array.isArray(data?.competitors) || data.competitors.length === 0) {
       logger.warn(TAG, 'identifyCompetitors: unexpected format — falling back to defaults');
       return null;
     }
 
-    // Ensure every entry has the required fields (guard against partial GPT output)
-    const valid = parsed.competitors.filter(
-      (c) => c.name && c.pricingUrl && c.featuresUrl
-    );
+    // Keep the entries that pass the schema even if others did not
+    const itemSchema = COMPETITORS_SCHEMA.properties.competitors.items;
+    const valid = data.competitors.filter((c) => validateSchema(itemSchema, c).length === 0);
 
     if (valid.length === 0) {
       logger.warn(TAG, 'identifyCompetitors: all entries missing required fields');
@@ -289,6 +564,7 @@ Gap Keyword: "${topProblem?.gap_keyword ?? ''}"`;
     logger.success(TAG, `Identified competitors: ${valid.map((c) => c.name).join(', ')}`);
     return valid;
   } catch (err) {
+    options.signal?.throwIfAborted();
     logger.warn(TAG, `identifyCompetitors failed (non-fatal): ${err.message}`);
     return null;
   }
@@ -298,29 +574,293 @@ Gap Keyword: "${topProblem?.gap_keyword ?? ''}"`;
 // SKILL BLOCK 6: Clean and filter raw posts
 // ─────────────────────────────────────────────
 
+// keep_urls must fit the 600-token answer, so posts are filtered this many at a time
+const CLEAN_BATCH_SIZE = 25;
+
 /**
  * Clean raw post list before Acontext storage.
- * Returns only posts containing genuine problem signals.
+ * Returns only posts containing genuine problem signals. A batch whose
+ * answer fails (or doesn't parse) keeps all of its posts.
  */
-export async function cleanAndFilterPosts(rawPosts, niche) {
+export async function cleanAndFilterPosts(rawPosts, niche, options = {}) {
   logger.info(TAG, 'Cleaning raw post data…');
 
   // JSON mode requires a root object
-  const system = `Filter Reddit posts. Keep only those expressing a problem, frustration, or unmet need related to the niche.
+  const system = `Filter scouted posts (Reddit, Hacker News, app reviews, forums). Keep only those expressing a problem, frustration, or unmet need related to the niche.
 Return a JSON object: { "keep_urls": ["url1", "url2", ...] }`;
 
-  const user = `Niche: "${niche}"\nPosts:\n${rawPosts.map((p) => `${p.url}: ${p.snippet}`).join('\n')}`;
+  const batches = [];
+  for (let i = 0; i < rawPosts.length; i += CLEAN_BATCH_SIZE) batches.push(rawPosts.slice(i, i + CLEAN_BATCH_SIZE));
+
+  const kept = await mapWithConcurrency(batches, EXTRACTION_CONCURRENCY, async (posts) => {
+    const user = `Niche: "${niche}"\nPosts:\n${posts.map((p) => `[${p.source ?? 'reddit'}] ${p.url}: ${p.snippet}`).join('\n')}`;
+    try {
+      const raw = await callLLM('cleanAndFilterPosts', system, user, 600, options);
+      const parsed = safeJsonParse(raw);
+      if (Array.isArray(parsed?.keep_urls)) return posts.filter((p) => parsed.keep_urls.includes(p.url));
+    } catch (err) {
+      options.signal?.throwIfAborted();
+      logger.warn(TAG, `Post cleaning failed (non-critical): ${err.message}`);
+    }
+    return posts;
+  });
+
+  const filtered = kept.flat();
+  return filtered.length >= 5 ? filtered : rawPosts;
+}
+
+// ─────────────────────────────────────────────
+// SKILL BLOCK 7: Broaden scout queries
+// ─────────────────────────────────────────────
+
+/**
+ * Propose broader or synonym phrasings of the niche when a scout pass turned
+ * up too few posts. Never repeats a query that has already been tried.
+ *
+ * @param {string}   niche
+ * @param {string[]} triedQueries - niche phrasings already searched
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<string[]>} up to 3 new queries (falls back to the bare niche words)
+ */
+export async function broadenScoutQueries(niche, triedQueries = [], options = {}) {
+  logger.info(TAG, 'Skill Block 7: broadenScoutQueries');
+
+  const system = `You help a researcher find Reddit discussions about a market niche.
+The searches tried so far returned too few posts. Propose up to 3 alternative search phrases that people in this niche would actually use on Reddit: broader categories, synonyms, role names, or the tools they use.
+
+Rules:
+- Each phrase is 1-4 words, no quotes or boolean operators
+- Do not repeat any already-tried phrase
+- Stay on the same audience — don't drift to a different niche
+
+Return a JSON object: { "queries": ["phrase 1", "phrase 2", "phrase 3"] }`;
+
+  const user = `Niche: "${niche}"\nAlready tried: ${JSON.stringify(triedQueries)}`;
+
+  const tried = new Set(triedQueries.map((q) => q.toLowerCase().trim()));
 
   try {
-    const raw = await callGPT(system, user, 600);
+    const raw = await callLLM('broadenScoutQueries', system, user, 300, options);
     const parsed = safeJsonParse(raw);
-    if (Array.isArray(parsed?.keep_urls)) {
-      const filtered = rawPosts.filter((p) => parsed.keep_urls.includes(p.url));
-      return filtered.length >= 5 ? filtered : rawPosts;
+    const queries = (Array.isArray(parsed?.queries) ? parsed.queries : [])
+      .filter((q) => typeof q === 'string' && q.trim().length > 1)
+      .map((q) => q.trim())
+      .filter((q) => !tried.has(q.toLowerCase()))
+      .slice(0, 3);
+
+    if (queries.length > 0) {
+      logger.success(TAG, `Broadened queries: ${queries.join(', ')}`);
+      return queries;
     }
   } catch (err) {
-    logger.warn(TAG, `Post cleaning failed (non-critical): ${err.message}`);
+    options.signal?.throwIfAborted();
+    logger.warn(TAG, `broadenScoutQueries failed (non-critical): ${err.message}`);
+  }
+
+  // Fallback: search the individual niche words that haven't been tried
+  return niche.split(/\s+/).filter((w) => w.length > 3 && !tried.has(w.toLowerCase())).slice(0, 2);
+}
+
+// ─────────────────────────────────────────────
+// SKILL BLOCK 8: Generate feature checklist
+// ─────────────────────────────────────────────
+
+// Judged page text budget per competitor (pricing + features pages)
+const JUDGE_TEXT_MAX_CHARS = 12_000;
+
+/**
+ * Turn the top problem into the concrete features a product would need to
+ * solve it — the checklist every competitor is judged against. Falls back to
+ * a single item built from gap_keyword.
+ */
+export async function generateFeatureChecklist(niche, topProblem, options = {}) {
+  logger.info(TAG, 'Skill Block 8: generateFeatureChecklist');
+
+  const fallback = topProblem?.gap_keyword
+    ? [{ id: 'target-feature', feature: topProblem.gap_keyword, why: 'Gap keyword from the top problem' }]
+    : [];
+
+  const system = `You are a product analyst preparing a competitor audit.
+Given a niche and the top user problem, list the 4-6 concrete product capabilities a tool would need to solve that problem.
+
+Rules:
+- Each feature must be checkable on a competitor's pricing or features page
+- Be specific to this niche and problem — no generic items like "good UX" or "fast"
+- Include pricing-related items (e.g. a free tier, per-seat pricing) only when the problem is about cost
+- id is a short kebab-case slug
+
+Return a JSON object:
+{
+  "features": [
+    { "id": "bulk-csv-export", "feature": "Bulk export of episodes to CSV", "why": "users complain they can't get data out" }
+  ]
+}`;
+
+  const user = `Niche: "${niche}"
+Top Problem: "${topProblem?.top_problem ?? ''}"
+Gap Keyword: "${topProblem?.gap_keyword ?? ''}"
+Why it matters: ${topProblem?.why_this_wins ?? 'n/a'}`;
+
+  try {
+    const { data } = await callStructured('generateFeatureChecklist', FEATURE_CHECKLIST_SCHEMA, system, user, 600, options);
+    const itemSchema = FEATURE_CHECKLIST_SCHEMA.properties.features.items;
+    const features = (Array.isArray(data?.features) ? data.features : [])
+      .filter((f) => validateSchema(itemSchema, f).length === 0)
+      .slice(0, 8);
+
+    if (features.length > 0) {
+      logger.success(TAG, `Feature checklist: ${features.map((f) => f.id).join(', ')}`);
+      return features;
+    }
+    logger.warn(TAG, 'generateFeatureChecklist: no usable features — falling back to gap keyword');
+  } catch (err) {
+    options.signal?.throwIfAborted();
+    logger.warn(TAG, `generateFeatureChecklist failed (non-fatal): ${err.message}`);
+  }
+  return fallback;
+}
+
+// ─────────────────────────────────────────────
+// SKILL BLOCK 9: Judge feature coverage
+// ─────────────────────────────────────────────
+
+/**
+ * Judge a competitor's page text against the feature checklist.
+ *
+ * Returns { [featureId]: { feature, status, excerpt, reason } } where status
+ * is present | absent | unclear and excerpt is the supporting text from the
+ * page. With no page text, or when judging fails, every item is unclear.
+ */
+export async function judgeFeatureCoverage(competitorName, pageText, checklist, options = {}) {
+  logger.info(TAG, `Skill Block 9: judgeFeatureCoverage (${competitorName})`);
+
+  const unclear = (reason) => Object.fromEntries(checklist.map((f) => [f.id, { feature: f.feature, status: 'unclear', excerpt: '', reason }]));
+
+  if (checklist.length === 0) return {};
+  if (!pageText?.trim()) return unclear('No page text captured');
+
+  const system = `You audit a competitor's website text against a feature checklist.
+For every checklist item decide:
+- "present": the text clearly offers this capability (an equivalent feature under another name counts)
+- "absent": the text is a substantial pricing/features listing and this capability is not offered, or is explicitly excluded
+- "unclear": the text is too thin, off-topic, or ambiguous to tell
+
+Rules:
+- excerpt is copied verbatim from the text (max 200 characters) — the words that support your decision; empty string for absent/unclear when nothing relevant exists
+- Judge meaning, not keywords
+- Return one judgement per checklist id
+
+Return a JSON object:
+{
+  "judgements": [
+    { "id": "checklist-id", "status": "present|absent|unclear", "excerpt": "verbatim text", "reason": "one short sentence" }
+  ]
+}`;
+
+  const user = `Competitor: ${competitorName}
+Checklist:
+${checklist.map((f) => `- ${f.id}: ${f.feature}`).join('\n')}
+
+Page text:
+${pageText.slice(0, JUDGE_TEXT_MAX_CHARS)}`;
+
+  try {
+    const { data } = await callStructured('judgeFeatureCoverage', FEATURE_JUDGEMENTS_SCHEMA, system, user, 1200, options);
+    const itemSchema = FEATURE_JUDGEMENTS_SCHEMA.properties.judgements.items;
+    const byId = new Map(
+      (Array.isArray(data?.judgements) ? data.judgements : [])
+        .filter((j) => validateSchema(itemSchema, j).length === 0)
+        .map((j) => [j.id, j])
+    );
+
+    return Object.fromEntries(checklist.map((f) => {
+      const j = byId.get(f.id);
+      return [f.id, j
+        ? { feature: f.feature, status: j.status, excerpt: (j.excerpt ?? '').slice(0, 200), reason: j.reason ?? '' }
+        : { feature: f.feature, status: 'unclear', excerpt: '', reason: 'Not judged' }];
+    }));
+  } catch (err) {
+    options.signal?.throwIfAborted();
+    logger.warn(TAG, `judgeFeatureCoverage failed for ${competitorName} (non-fatal): ${err.message}`);
+    return unclear(`Judging failed: ${err.message}`);
   }
+}
 
-  return rawPosts;
+// ─────────────────────────────────────────────
+// SKILL BLOCK 10: Extract pricing plans
+// ─────────────────────────────────────────────
+
+// Pricing page text budget per competitor
+const PRICING_TEXT_MAX_CHARS = 8000;
+
+/**
+ * Turn a competitor's rendered pricing page into structured plans:
+ * [{ name, monthly_price, annual_price, currency, limits[], features[] }].
+ * Prices are numbers; annual_price is the yearly total; null means the plan
+ * has no listed price in that billing period ("Contact sales", monthly-only).
+ * Returns [] when there is no text or nothing plan-shaped in it.
+ */
+export async function extractPricingPlans(competitorName, pricingText, options = {}) {
+  logger.info(TAG, `Skill Block 10: extractPricingPlans (${competitorName})`);
+  if (!pricingText?.trim()) return [];
+
+  const system = `You extract pricing plans from the text of a SaaS pricing page.
+
+Rules:
+- One entry per plan the page offers (Free, Starter, Pro, Enterprise…); skip add-ons
+- monthly_price: price per month when billed monthly; 0 for a free plan; null if not shown or "contact sales"
+- annual_price: total per year when billed annually — if the page says "$8/mo billed annually", annual_price is 96; null if not shown
+- currency: ISO code (USD, EUR, GBP…) inferred from the symbol
+- limits: seat, usage or quota limits as short phrases copied from the page ("3 users", "10 hours of uploads/month")
+- features: up to 8 headline features listed for that plan, short phrases copied from the page
+- Never invent plans or prices that the text does not show; return an empty list if the text has no pricing
+
+Return a JSON object:
+{
+  "plans": [
+    { "name": "Pro", "monthly_price": 12, "annual_price": 120, "currency": "USD", "limits": ["5 users"], "features": ["Custom domains"] }
+  ]
+}`;
+
+  const user = `Competitor: ${competitorName}
+
+Pricing page text:
+${pricingText.slice(0, PRICING_TEXT_MAX_CHARS)}`;
+
+  try {
+    const { data } = await callStructured('extractPricingPlans', PRICING_PLANS_SCHEMA, system, user, 1500, options);
+    const itemSchema = PRICING_PLANS_SCHEMA.properties.plans.items;
+    const plans = (Array.isArray(data?.plans) ? data.plans : [])
+      .filter((p) => validateSchema(itemSchema, p).length === 0)
+      .slice(0, 8)
+      .map((p) => ({
+        name: p.name,
+        monthly_price: p.monthly_price,
+        annual_price: p.annual_price,
+        currency: (p.currency || 'USD').toUpperCase(),
+        limits: (p.limits ?? []).slice(0, 5),
+        features: (p.features ?? []).slice(0, 8),
+      }));
+
+    logger.success(TAG, `${competitorName}: ${plans.length} pricing plan(s)`);
+    return plans;
+  } catch (err) {
+    options.signal?.throwIfAborted();
+    logger.warn(TAG, `extractPricingPlans failed for ${competitorName} (non-fatal): ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * "Free 0 USD/mo; Pro 12 USD/mo (120 USD/yr), 5 users" — compact plan list
+ * for prompts.
+ */
+function formatPlans(plans) {
+  const amount = (value, currency, period) => (value === null ? null : `${value} ${currency}/${period}`);
+  return plans.map((p) => {
+    const monthly = amount(p.monthly_price, p.currency, 'mo');
+    const annual = amount(p.annual_price, p.currency, 'yr');
+    const price = monthly && annual ? `${monthly} (${annual})` : monthly ?? annual ?? 'price on request';
+    return [`${p.name} ${price}`, ...p.limits.slice(0, 2)].join(', ');
+  }).join('; ');
 }
@@ -0,0 +1,121 @@
+/**
+ * Local Acontext — file-backed stand-in for the Acontext SDK
+ *
+ * Implements the slice of the AcontextClient API that acontextService.js
+ * uses, on top of the run store, so the whole pipeline runs without an
+ * ACONTEXT_API_KEY (local development, CI, offline demos):
+ *
+ *   sessions.create / storeMessage / getMessages / flush / getSessionSummary
+ *   learningSpaces.create / learn / listSkills
+ *
+ * Summaries and skills are derived locally from the stored messages — there
+ * is no background extraction agent, so they are plainer than the real thing.
+ *
+ * Collections: acontext-sessions, acontext-spaces (see runStore.js). A
+ * session's messages are an append-only log in acontext-messages, so storing
+ * one never rewrites the ones before it.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getRunStore } from './runStore.js';
+
+const SESSIONS = 'acontext-sessions';
+const SPACES = 'acontext-spaces';
+const MESSAGES = 'acontext-messages';
+
+// Pipeline messages are tagged "[SCOUT] …", "[BRAIN] …", "[BRIEF] …"
+const PHASE_TAG_RE = /^\[([A-Z_]+)\]\s*/;
+
+function requireRecord(collection, id, label) {
+  const record = getRunStore().get(collection, id);
+  if (!record) throw new Error(`Local Acontext: ${label} ${id} not found`);
+  return record;
+}
+
+/**
+ * One line per pipeline phase, taken from the latest tagged message of each.
+ * Report mirrors ([DISK:…]) are skipped — they are data, not progress.
+ */
+function summarise(messages) {
+  const latest = new Map();
+  for (const { content } of messages) {
+    const tag = typeof content === 'string' && content.match(PHASE_TAG_RE)?.[1];
+    if (tag) latest.set(tag, content.replace(PHASE_TAG_RE, ''));
+  }
+  if (latest.size === 0) return `${messages.length} message(s) stored; no pipeline progress recorded yet.`;
+  return [...latest].map(([tag, text]) => `${tag}: ${text.slice(0, 200)}`).join('\n');
+}
+
+/**
+ * Create a client with the same surface as `new AcontextClient(...)`.
+ */
+export function createLocalAcontextClient() {
+  const store = getRunStore();
+  const messagesOf = (sessionId) => store.readLog(MESSAGES, sessionId);
+
+  const sessions = {
+    async create() {
+      const session = { id: uuidv4(), createdAt: new Date().toISOString(), flushedAt: null };
+      store.put(SESSIONS, session.id, session);
+      return { id: session.id, createdAt: session.createdAt };
+    },
+
+    async storeMessage(sessionId, blob) {
+      requireRecord(SESSIONS, sessionId, 'session');
+      const message = { ...blob, createdAt: new Date().toISOString() };
+      store.appendLog(MESSAGES, sessionId, message);
+      return message;
+    },
+
+    async getMessages(sessionId) {
+      requireRecord(SESSIONS, sessionId, 'session');
+      return { items: messagesOf(sessionId) };
+    },
+
+    async flush(sessionId) {
+      const session = requireRecord(SESSIONS, sessionId, 'session');
+      session.flushedAt = new Date().toISOString();
+      session.summary = summarise(messagesOf(sessionId));
+      store.put(SESSIONS, sessionId, session);
+      return { status: 'ok' };
+    },
+
+    async getSessionSummary(sessionId) {
+      const session = requireRecord(SESSIONS, sessionId, 'session');
+      return session.summary ?? summarise(messagesOf(sessionId));
+    },
+  };
+
+  const learningSpaces = {
+    async create() {
+      const space = { id: uuidv4(), createdAt: new Date().toISOString(), sessionIds: [] };
+      store.put(SPACES, space.id, space);
+      return { id: space.id, createdAt: space.createdAt };
+    },
+
+    async learn(spaceId, { sessionId }) {
+      const space = requireRecord(SPACES, spaceId, 'learning space');
+      if (!space.sessionIds.includes(sessionId)) space.sessionIds.push(sessionId);
+      store.put(SPACES, spaceId, space);
+      return { spaceId, sessionId };
+    },
+
+    // A session becomes a skill once it reached the brief — i.e. a full run
+    async listSkills(spaceId) {
+      const space = requireRecord(SPACES, spaceId, 'learning space');
+      return space.sessionIds
+        .map((id) => store.get(SESSIONS, id))
+        .filter(Boolean)
+        .map((session) => ({ session, messages: messagesOf(session.id) }))
+        .filter(({ messages }) => messages.some((m) => String(m.content).startsWith('[BRIEF]')))
+        .map(({ session, messages }) => ({
+          id: session.id,
+          name: `market-gap-run-${session.id.slice(0, 8)}`,
+          description: summarise(messages),
+          createdAt: session.flushedAt ?? session.createdAt,
+        }));
+    },
+  };
+
+  return { sessions, learningSpaces };
+}
@@ -0,0 +1,231 @@
+/**
+ * ActionBook Manual Interpreter — runs a manual's steps in Puppeteer
+ *
+ * An ActionBook manual is a list of steps with verified selectors. The
+ * interpreter executes them on an open page so the gap check can reach
+ * content that plain innerText misses: monthly/annual pricing toggles,
+ * collapsed feature accordions, "compare plans" tables.
+ *
+ * Supported step actions (aliases in brackets):
+ *
+ *   navigate [goto, open]               { url }               — relative URLs resolve against the page
+ *   click    [tap, press]               { selector }
+ *   wait     [wait_for, waitForSelector] { selector } | { ms }
+ *   expand   [expand_all, open_all]     { selector }           — clicks every match (accordions, "show more")
+ *   extract  [read, get_text, scrape]   { selector }           — innerText of every match
+ *
+ * Stale selectors: each step tries its selector, then any `fallbacks` /
+ * `alternatives` the manual lists, then a visible-text match on the step's
+ * `text` / `label`. A step that still finds nothing is recorded as failed
+ * and the run moves on — a manual is a head start, never a requirement.
+ * After MAX_CONSECUTIVE_FAILURES failures in a row the manual is treated as
+ * stale and its remaining steps are skipped, leaving the plain page read.
+ *
+ * Every step lands in the trace as { index, action, selector, status,
+ * usedSelector, ms, error?, screenshot? }, with a viewport screenshot after
+ * each step that changes the page (navigate, click, expand), up to
+ * MANUAL_MAX_SCREENSHOTS per manual.
+ */
+
+import { logger } from '../utils/logger.js';
+import { sleep, truncate } from '../utils/helpers.js';
+
+const TAG = 'ManualInterpreter';
+
+const STEP_TIMEOUT_MS = 5000;
+const SETTLE_MS = 800;
+const MAX_EXPAND_CLICKS = 20;
+const MAX_STEPS = 25;
+const MAX_CONSECUTIVE_FAILURES = 3;
+const MAX_SCREENSHOTS = parseInt(process.env.MANUAL_MAX_SCREENSHOTS ?? '4', 10) || 0;
+
+const ACTION_ALIASES = {
+  navigate: 'navigate', goto: 'navigate', open: 'navigate',
+  click: 'click', tap: 'click', press: 'click',
+  wait: 'wait', wait_for: 'wait', waitforselector: 'wait', wait_for_selector: 'wait',
+  expand: 'expand', expand_all: 'expand', open_all: 'expand',
+  extract: 'extract', read: 'extract', get_text: 'extract', scrape: 'extract',
+};
+
+// Steps after which the page looks different enough to be worth a receipt
+const PAGE_CHANGING = new Set(['navigate', 'click', 'expand']);
+
+/**
+ * Normalise whatever shape a manual step comes in. Returns null for steps
+ * the interpreter doesn't understand.
+ */
+function normaliseStep(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const name = String(raw.action ?? raw.type ?? raw.op ?? raw.command ?? '').toLowerCase().replace(/[\s-]+/g, '_');
+  const action = ACTION_ALIASES[name];
+  if (!action) return null;
+
+  return {
+    action,
+    selector: raw.selector ?? raw.css ?? raw.target ?? null,
+    fallbacks: [raw.fallbacks, raw.alternatives, raw.fallback_selectors].flat().filter((s) => typeof s === 'string'),
+    text: raw.text ?? raw.label ?? null,
+    url: raw.url ?? raw.href ?? null,
+    ms: Number(raw.ms ?? raw.duration ?? 0) || 0,
+    description: raw.description ?? raw.name ?? null,
+  };
+}
+
+/**
+ * Candidate selectors for a step: the manual's own, its fallbacks, then a
+ * Puppeteer text selector on the step's label.
+ */
+function candidatesFor(step) {
+  return [
+    step.selector,
+    ...step.fallbacks,
+    step.text ? `::-p-text(${step.text})` : null,
+  ].filter(Boolean);
+}
+
+/**
+ * First candidate that matches a visible element within the step timeout
+ * (split across the candidates), or null.
+ */
+async function resolveSelector(page, step) {
+  const candidates = candidatesFor(step);
+  const perCandidate = Math.max(1000, Math.floor(STEP_TIMEOUT_MS / Math.max(1, candidates.length)));
+
+  for (const selector of candidates) {
+    try {
+      await page.waitForSelector(selector, { visible: true, timeout: perCandidate });
+      return selector;
+    } catch {
+      logger.info(TAG, `Selector not found: ${selector}`);
+    }
+  }
+  return null;
+}
+
+async function runStep(page, step, { baseUrl, extracted, signal }) {
+  switch (step.action) {
+    case 'navigate': {
+      const url = new URL(step.url, page.url() || baseUrl).href;
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 20_000 });
+      await sleep(SETTLE_MS, signal);
+      return { usedSelector: null, detail: url };
+    }
+
+    case 'wait': {
+      if (!step.selector && !step.text) {
+        await sleep(Math.min(step.ms || SETTLE_MS, 10_000), signal);
+        return { usedSelector: null };
+      }
+      const used = await resolveSelector(page, step);
+      if (!used) throw new Error('selector not found');
+      return { usedSelector: used };
+    }
+
+    case 'click': {
+      const used = await resolveSelector(page, step);
+      if (!used) throw new Error('selector not found');
+      await page.click(used);
+      await sleep(SETTLE_MS, signal);
+      return { usedSelector: used };
+    }
+
+    case 'expand': {
+      const used = await resolveSelector(page, step);
+      if (!used) throw new Error('selector not found');
+      const handles = (await page.$$(used)).slice(0, MAX_EXPAND_CLICKS);
+      let clicked = 0;
+      for (const handle of handles) {
+        signal?.throwIfAborted();
+        try {
+          await handle.click();
+          clicked++;
+        } catch {
+          // Hidden or detached after an earlier click — skip it
+        }
+      }
+      await sleep(SETTLE_MS, signal);
+      return { usedSelector: used, detail: `expanded ${clicked}/${handles.length}` };
+    }
+
+    case 'extract': {
+      const used = await resolveSelector(page, step);
+      if (!used) throw new Error('selector not found');
+      const texts = await page.$$eval(used, (els) => els.map((el) => el.innerText.trim()).filter(Boolean));
+      if (texts.length === 0) throw new Error('selector matched no text');
+      extracted.push({ selector: used, text: texts.join('\n') });
+      return { usedSelector: used, detail: `${texts.length} element(s)` };
+    }
+
+    default:
+      throw new Error(`unsupported action ${step.action}`);
+  }
+}
+
+/**
+ * Execute a manual on an open page.
+ *
+ * @param {import('puppeteer').Page} page
+ * @param {Object} manual - ActionBook manual ({ id, steps: [...] })
+ * @param {Object} [options]
+ * @param {string}   [options.baseUrl]  - resolves relative navigate URLs
+ * @param {Function} [options.onStep]   - called with each trace entry as it completes
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ trace: Array, extracted: Array<{selector, text}>, succeeded: number, failed: number }>}
+ */
+export async function runManualSteps(page, manual, { baseUrl, onStep, signal } = {}) {
+  const rawSteps = Array.isArray(manual?.steps) ? manual.steps.slice(0, MAX_STEPS) : [];
+  const trace = [];
+  const extracted = [];
+  let screenshots = 0;
+  let failuresInARow = 0;
+
+  for (const [index, raw] of rawSteps.entries()) {
+    signal?.throwIfAborted();
+    const step = failuresInARow < MAX_CONSECUTIVE_FAILURES ? normaliseStep(raw) : null;
+    const started = Date.now();
+
+    const entry = {
+      index,
+      action: step?.action ?? String(raw?.action ?? raw?.type ?? 'unknown'),
+      description: step?.description ?? null,
+      selector: step?.selector ?? null,
+      usedSelector: null,
+      status: 'skipped',
+      ms: 0,
+    };
+
+    if (step) {
+      try {
+        const { usedSelector, detail } = await runStep(page, step, { baseUrl, extracted, signal });
+        entry.status = 'ok';
+        failuresInARow = 0;
+        entry.usedSelector = usedSelector;
+        entry.fallbackUsed = Boolean(usedSelector && step.selector && usedSelector !== step.selector);
+        if (detail) entry.detail = detail;
+
+        if (PAGE_CHANGING.has(step.action) && screenshots < MAX_SCREENSHOTS) {
+          const shot = await page.screenshot({ type: 'jpeg', quality: 60, fullPage: false });
+          entry.screenshot = `data:image/jpeg;base64,${shot.toString('base64')}`;
+          screenshots++;
+        }
+      } catch (err) {
+        signal?.throwIfAborted();
+        entry.status = 'failed';
+        entry.error = truncate(err.message, 200);
+        failuresInARow++;
+      }
+    } else {
+      entry.error = failuresInARow >= MAX_CONSECUTIVE_FAILURES ? 'manual looks stale — step not attempted' : 'unsupported step';
+    }
+
+    entry.ms = Date.now() - started;
+    trace.push(entry);
+    onStep?.(entry);
+  }
+
+  const succeeded = trace.filter((t) => t.status === 'ok').length;
+  const failed = trace.filter((t) => t.status === 'failed').length;
+  logger.info(TAG, `Manual ${manual?.id ?? '?'}: ${succeeded} ok, ${failed} failed, ${trace.length - succeeded - failed} skipped`);
+
+  return { trace, extracted, succeeded, failed };
+}
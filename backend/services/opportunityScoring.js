@@ -0,0 +1,252 @@
+/**
+ * Opportunity Scoring — an explicit, auditable score for each candidate problem
+ *
+ * rankAndSelectProblem proposes up to five candidate problems, each tied to a
+ * pain-point cluster. Instead of taking the model's pick, every candidate is
+ * scored from measured inputs, and the highest score becomes the top problem.
+ * Each factor is normalised to 0–1:
+ *
+ *   frequency           → cluster mentions ÷ the most-mentioned cluster
+ *   engagement          → log(upvotes + replies) ÷ the most-engaged cluster
+ *   intensity           → mean member intensity (high 1, medium 0.5, low 0)
+ *   recency             → 0.5 ^ (median thread age ÷ OPPORTUNITY_RECENCY_HALF_LIFE_DAYS)
+ *   willingness_to_pay  → share of members that talk about paying, prices or budgets
+ *   competitor_coverage → 1 − share of checklist features verified competitors
+ *                         already offer (only known once a problem is validated)
+ *
+ * The score is the weighted mean of the factors that could be measured, on a
+ * 0–100 scale; each factor's `contribution` is its share of those points, so
+ * a row's contributions add up to its score. A factor that can't be measured
+ * for a candidate (no dated threads) is left out of that candidate's mean
+ * rather than counted as zero. Competitor coverage is scored only once every
+ * candidate has it; until then a validated candidate's coverage is shown
+ * with a null contribution, so no row is averaged over an extra factor.
+ *
+ * Weights are relative — they needn't sum to 1. Defaults come from
+ * OPPORTUNITY_WEIGHTS (JSON, partial); a run overrides them with
+ * `scoringWeights` on POST /api/agent/start.
+ *
+ * Config:
+ *   OPPORTUNITY_WEIGHTS                  (default see DEFAULT_WEIGHTS)
+ *   OPPORTUNITY_RECENCY_HALF_LIFE_DAYS   (default 180)
+ */
+
+import { logger } from '../utils/logger.js';
+import { safeJsonParse } from '../utils/helpers.js';
+
+const TAG = 'Scoring';
+
+const DEFAULT_WEIGHTS = Object.freeze({
+  frequency: 0.25,
+  engagement: 0.15,
+  intensity: 0.2,
+  recency: 0.1,
+  willingness_to_pay: 0.15,
+  competitor_coverage: 0.15,
+});
+
+export const OPPORTUNITY_FACTORS = Object.freeze(Object.keys(DEFAULT_WEIGHTS));
+
+const RECENCY_HALF_LIFE_DAYS = parseFloat(process.env.OPPORTUNITY_RECENCY_HALF_LIFE_DAYS ?? '180') || 180;
+
+const INTENSITY_VALUE = { high: 1, medium: 0.5, low: 0 };
+
+const WILLINGNESS_TO_PAY_RE = /\b(?:(?:would|'d|happy to|willing to|gladly|ready to) pay|pay(?:ing)? for|take my money|worth (?:paying|the money)|shut up and take|too expensive|overpriced|pricing|per (?:month|seat|user)|subscription|budget|paid (?:plan|tier|tool|version|app)|upgrade to pro)\b|[$€£]\s?\d/i;
+
+/**
+ * Whether `weights` is a valid (partial) weight override: known factors,
+ * finite non-negative numbers.
+ */
+export function isScoringWeights(weights) {
+  return Boolean(weights) && typeof weights === 'object' && !Array.isArray(weights)
+    && Object.entries(weights).every(([factor, w]) => OPPORTUNITY_FACTORS.includes(factor) && Number.isFinite(w) && w >= 0);
+}
+
+/**
+ * Defaults merged with OPPORTUNITY_WEIGHTS. An invalid env value is ignored
+ * with a warning rather than failing every run.
+ */
+export function defaultScoringWeights() {
+  const configured = process.env.OPPORTUNITY_WEIGHTS ? safeJsonParse(process.env.OPPORTUNITY_WEIGHTS) : {};
+  if (!isScoringWeights(configured)) {
+    logger.warn(TAG, `Ignoring invalid OPPORTUNITY_WEIGHTS — expected a JSON object of ${OPPORTUNITY_FACTORS.join(', ')} → non-negative numbers`);
+    return { ...DEFAULT_WEIGHTS };
+  }
+  return { ...DEFAULT_WEIGHTS, ...configured };
+}
+
+/**
+ * The weights a run scores with: defaults, then the run's overrides.
+ * Throws when every weight ends up zero — nothing could be ranked.
+ */
+export function resolveScoringWeights(overrides = {}) {
+  const weights = { ...defaultScoringWeights(), ...overrides };
+  if (!Object.values(weights).some((w) => w > 0)) throw new Error('At least one scoring weight must be greater than zero');
+  return weights;
+}
+
+// ─────────────────────────────────────────────
+// Factors
+// ─────────────────────────────────────────────
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+const factor = (value, detail) => ({ value: value === null ? null : round(Math.min(1, Math.max(0, value))), detail });
+
+function measureFactors(cluster, clusters, coverage) {
+  if (!cluster) {
+    return Object.fromEntries(OPPORTUNITY_FACTORS.map((name) => [name, factor(null, 'no cluster to measure')]));
+  }
+  const { metrics, members } = cluster;
+
+  const mostMentions = Math.max(1, ...clusters.map((c) => c.metrics.mentions));
+  const engagementOf = (m) => Math.log1p(m.upvotes + (m.replies ?? 0));
+  const mostEngagement = Math.max(...clusters.map((c) => engagementOf(c.metrics)));
+
+  const intensities = members.map((p) => INTENSITY_VALUE[p.intensity]).filter((v) => v !== undefined);
+  const paying = members.filter((p) => WILLINGNESS_TO_PAY_RE.test(`${p.problem ?? ''} ${p.verbatim_quote ?? ''}`)).length;
+
+  return {
+    frequency: factor(metrics.mentions / mostMentions, `${metrics.mentions} mention(s) across ${metrics.posts} post(s) and ${metrics.comments} comment(s)`),
+    engagement: factor(
+      mostEngagement > 0 ? engagementOf(metrics) / mostEngagement : 0,
+      `${metrics.upvotes} upvote(s), ${metrics.replies ?? 0} repl${metrics.replies === 1 ? 'y' : 'ies'}`,
+    ),
+    intensity: factor(
+      intensities.length ? intensities.reduce((a, b) => a + b, 0) / intensities.length : null,
+      intensities.length ? `${members.filter((p) => p.intensity === 'high').length}/${members.length} high intensity` : 'no intensity labels',
+    ),
+    recency: factor(
+      metrics.ageDays == null ? null : 0.5 ** (metrics.ageDays / RECENCY_HALF_LIFE_DAYS),
+      metrics.ageDays == null ? 'threads not dated' : `median thread ${metrics.ageDays} day(s) old`,
+    ),
+    willingness_to_pay: factor(paying / members.length, `${paying}/${members.length} mention paying, prices or budgets`),
+    competitor_coverage: factor(
+      coverage ? (coverage.judged ? 1 - coverage.offered / coverage.judged : null) : null,
+      coverage ? `${coverage.offered}/${coverage.judged} checklist feature judgement(s) offered by competitors` : 'not validated',
+    ),
+  };
+}
+
+/**
+ * How much of a feature checklist the verified competitors already cover:
+ * { offered, judged } over every present/absent judgement (unclear ones
+ * don't count), or null when nothing was judged.
+ */
+export function competitorCoverage(competitorResults = []) {
+  const judgements = competitorResults
+    .filter((r) => r.verified)
+    .flatMap((r) => Object.values(r.gaps ?? {}))
+    .filter((j) => j.status === 'present' || j.status === 'absent');
+  if (!judgements.length) return null;
+  return { offered: judgements.filter((j) => j.status === 'present').length, judged: judgements.length };
+}
+
+// ─────────────────────────────────────────────
+// Scoring
+// ─────────────────────────────────────────────
+
+/**
+ * Candidates are the ranking's ranked_pain_points; a ranking without that
+ * list has its top problem as the only candidate.
+ */
+function candidatesOf(topProblem) {
+  if (topProblem?.ranked_pain_points?.length) return topProblem.ranked_pain_points;
+  if (!topProblem) return [];
+  return [{ problem: topProblem.top_problem, cluster_id: topProblem.cluster_id, gap_keyword: topProblem.gap_keyword }];
+}
+
+function scoreRow(factors, weights, unscored) {
+  const measured = OPPORTUNITY_FACTORS.filter((name) => factors[name].value !== null && weights[name] > 0 && !unscored.has(name));
+  const totalWeight = measured.reduce((sum, name) => sum + weights[name], 0);
+
+  const breakdown = Object.fromEntries(OPPORTUNITY_FACTORS.map((name) => {
+    const { value, detail } = factors[name];
+    const counted = measured.includes(name);
+    return [name, {
+      value,
+      weight: weights[name],
+      contribution: counted ? round((100 * weights[name] * value) / totalWeight, 1) : null,
+      detail: unscored.has(name) && value !== null ? `${detail} — not scored until every candidate is validated` : detail,
+    }];
+  }));
+
+  const score = measured.length
+    ? round(measured.reduce((sum, name) => sum + (100 * weights[name] * factors[name].value) / totalWeight, 0), 1)
+    : null;
+  return { score, factors: breakdown };
+}
+
+/**
+ * Why the first row outscored the second, in terms of per-factor points.
+ */
+function explainRanking(rows) {
+  const [first, second] = rows;
+  if (!first || first.score === null) return null;
+  if (!second || second.score === null) return `"${first.problem}" is the only candidate that could be scored (${first.score}).`;
+
+  const diffs = OPPORTUNITY_FACTORS
+    .map((name) => ({ name, diff: round((first.factors[name].contribution ?? 0) - (second.factors[name].contribution ?? 0), 1) }))
+    .filter((d) => d.diff !== 0)
+    .sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff));
+  const label = (name) => name.replace(/_/g, ' ');
+  const ahead = diffs.filter((d) => d.diff > 0).map((d) => `${label(d.name)} (+${d.diff})`);
+  const behind = diffs.filter((d) => d.diff < 0).map((d) => `${label(d.name)} (${d.diff})`);
+
+  return `"${first.problem}" scored ${first.score} vs ${second.score} for "${second.problem}"`
+    + (ahead.length ? `: ahead on ${ahead.join(', ')}` : '')
+    + (behind.length ? `${ahead.length ? ';' : ':'} behind on ${behind.join(', ')}` : '')
+    + '.';
+}
+
+/**
+ * Score every candidate problem in a ranking.
+ *
+ * @param {Object} topProblem - rankAndSelectProblem output
+ * @param {Array}  clusters   - clusterPainPoints clusters (full members)
+ * @param {Object} [options]
+ * @param {Object} [options.weights]  - resolved weights (resolveScoringWeights)
+ * @param {Object} [options.coverage] - cluster id → competitorCoverage() for validated candidates
+ * @returns {{ weights: Object, rows: Array<{ rank, candidate, cluster_id, problem, gap_keyword,
+ *             score, factors, selected }>, explanation: string|null }}
+ *          rows best first; `candidate` is the index into ranked_pain_points and
+ *          `selected` marks the candidate that is the run's top problem
+ */
+export function scoreOpportunities(topProblem, clusters = [], { weights = resolveScoringWeights(), coverage = {} } = {}) {
+  const byId = new Map(clusters.map((c) => [c.id, c]));
+  const candidates = candidatesOf(topProblem).map((entry) => ({
+    entry,
+    factors: measureFactors(byId.get(entry.cluster_id), clusters, coverage[entry.cluster_id]),
+  }));
+  const unscored = new Set(candidates.some((c) => c.factors.competitor_coverage.value === null) ? ['competitor_coverage'] : []);
+
+  const rows = candidates.map(({ entry, factors }, candidate) => ({
+    candidate,
+    cluster_id: entry.cluster_id ?? null,
+    problem: entry.problem,
+    gap_keyword: entry.gap_keyword,
+    ...scoreRow(factors, weights, unscored),
+  }))
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.candidate - b.candidate)
+    .map((row, i) => ({ rank: i + 1, ...row, selected: false }));
+
+  return { weights, rows, explanation: explainRanking(rows) };
+}
+
+/**
+ * Mark which row is the run's top problem — by cluster, falling back to the
+ * problem text for candidates the ranking didn't tie to a cluster.
+ */
+export function markSelected(scoring, topProblem) {
+  if (!scoring) return scoring;
+  const isSelected = (row) => (topProblem?.cluster_id ? row.cluster_id === topProblem.cluster_id : row.problem === topProblem?.top_problem);
+  let marked = false;
+  return {
+    ...scoring,
+    rows: scoring.rows.map((row) => {
+      const selected = !marked && isSelected(row);
+      marked ||= selected;
+      return { ...row, selected };
+    }),
+  };
+}
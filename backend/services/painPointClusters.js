@@ -0,0 +1,256 @@
+/**
+ * Pain-Point Clusters — measured frequency between extraction and ranking
+ *
+ * extractPainPoints returns one entry per complaint it reads, so the same
+ * problem phrased five ways arrives as five pain points. This stage groups
+ * semantically similar pain points and counts what was actually scouted for
+ * each group, so ranking works from measured numbers instead of a guessed
+ * frequency_score:
+ *
+ *   mentions    → pain points in the cluster
+ *   posts       → distinct posts cited
+ *   comments    → distinct comments cited
+ *   upvotes     → summed score of those posts and comments (each counted once)
+ *   replies     → summed comment counts of the cited posts
+ *   ageDays     → median age of the cited threads, when the source dates them
+ *   subreddits  → distinct subreddits the citations come from
+ *   sources     → citations per scout source (reddit, hackernews, …)
+ *
+ * Similarity comes from the run's LLM provider's embeddings when it has them
+ * (embedTexts), or from TF-IDF vectors over the pain point text otherwise —
+ * the lexical path needs no network, so offline runs still cluster.
+ * Clustering is a single greedy pass: each pain point, most intense first,
+ * joins the cluster whose centroid it is most similar to, if that clears
+ * the threshold, or starts a new one.
+ *
+ * Config:
+ *   PAIN_POINT_CLUSTERING          (default auto) — auto | embeddings | lexical
+ *   CLUSTER_EMBEDDING_SIMILARITY   (default 0.75) — cosine needed to join a cluster
+ *   CLUSTER_LEXICAL_SIMILARITY     (default 0.3)
+ */
+
+import { logger } from '../utils/logger.js';
+import { urlKey } from '../utils/helpers.js';
+import { embedTexts } from './llmService.js';
+
+const TAG = 'Clusters';
+
+const METHODS = ['auto', 'embeddings', 'lexical'];
+const EMBEDDING_SIMILARITY = parseFloat(process.env.CLUSTER_EMBEDDING_SIMILARITY ?? '0.75') || 0.75;
+const LEXICAL_SIMILARITY = parseFloat(process.env.CLUSTER_LEXICAL_SIMILARITY ?? '0.3') || 0.3;
+
+// The quote adds vocabulary, but the problem statement says what the pain is
+const QUOTE_WEIGHT = 0.5;
+
+const INTENSITY_RANK = { high: 3, medium: 2, low: 1 };
+
+const STOPWORDS = new Set(`a about after all also an and any are as at be been being but by can cannot could
+did do does doing don't for from get gets getting had has have having how i i'm if in into is it it's its
+just like make makes me more most my no not of on one or other our out over own really so some such than
+that the their them then there these they this those to too up us very want was way we were what when
+where which while who why will with without would you your`.split(/\s+/));
+
+export function getClusteringMethod() {
+  const method = (process.env.PAIN_POINT_CLUSTERING || 'auto').toLowerCase();
+  if (!METHODS.includes(method)) throw new Error(`Unknown PAIN_POINT_CLUSTERING "${method}" — expected one of: ${METHODS.join(', ')}`);
+  return method;
+}
+
+// ─────────────────────────────────────────────
+// Vectors
+// ─────────────────────────────────────────────
+
+const pointText = (p) => [p.problem, p.verbatim_quote].filter(Boolean).join(' — ');
+
+// Crude suffix stripping — enough for "exports" / "exporting" / "exported" to meet
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word.replace(/(?:ing|ed|es|s)$/, '');
+}
+
+function terms(text) {
+  return (String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+(?:'[\p{L}]+)*/gu) ?? [])
+    .filter((w) => w.length > 1 && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+// Vectors are sparse — dimension → weight, zeros left out — so a lexical
+// vector costs its own terms rather than the whole run's vocabulary
+function normalise(vector) {
+  let squares = 0;
+  for (const v of vector.values()) squares += v * v;
+  const length = Math.sqrt(squares);
+  return length ? new Map([...vector].map(([d, v]) => [d, v / length])) : vector;
+}
+
+function dot(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let sum = 0;
+  for (const [d, v] of small) sum += v * (large.get(d) ?? 0);
+  return sum;
+}
+
+// Adds `b` into `a` in place
+function add(a, b) {
+  for (const [d, v] of b) a.set(d, (a.get(d) ?? 0) + v);
+  return a;
+}
+
+const fromDense = (values) => new Map(values.flatMap((v, d) => (v ? [[d, v]] : [])));
+
+/**
+ * TF-IDF vectors over the pain points' problem text (and, at QUOTE_WEIGHT,
+ * their quotes), unit length so a dot product is the cosine.
+ */
+function lexicalVectors(painPoints) {
+  const docs = painPoints.map((p) => {
+    const counts = new Map();
+    for (const t of terms(p.problem)) counts.set(t, (counts.get(t) ?? 0) + 1);
+    for (const t of terms(p.verbatim_quote)) counts.set(t, (counts.get(t) ?? 0) + QUOTE_WEIGHT);
+    return counts;
+  });
+
+  const documentFrequency = new Map();
+  for (const counts of docs) {
+    for (const t of counts.keys()) documentFrequency.set(t, (documentFrequency.get(t) ?? 0) + 1);
+  }
+  const idf = (t) => Math.log((1 + docs.length) / (1 + documentFrequency.get(t))) + 1;
+
+  return docs.map((counts) => normalise(new Map([...counts].map(([t, count]) => [t, count * idf(t)]))));
+}
+
+async function buildVectors(painPoints, method, options) {
+  if (method !== 'lexical') {
+    const embeddings = await embedTexts(painPoints.map(pointText), options);
+    if (embeddings?.length === painPoints.length) {
+      return { method: 'embeddings', vectors: embeddings.map((e) => normalise(fromDense(e))), threshold: EMBEDDING_SIMILARITY };
+    }
+    if (method === 'embeddings') logger.warn(TAG, 'Embeddings unavailable — clustering lexically instead');
+  }
+  return { method: 'lexical', vectors: lexicalVectors(painPoints), threshold: LEXICAL_SIMILARITY };
+}
+
+// ─────────────────────────────────────────────
+// Measured counts
+// ─────────────────────────────────────────────
+
+const subredditOf = (post) => post?.subreddit ?? post?.url?.match(/reddit\.com\/r\/([^/]+)/i)?.[1] ?? null;
+
+/**
+ * url → { kind: 'post'|'comment', url, score, replies, createdAt, source,
+ * subreddit } for every scouted post and harvested comment. A comment is
+ * dated by its thread.
+ */
+function indexCitations(rawPosts) {
+  const index = new Map();
+  for (const post of rawPosts) {
+    const thread = { source: post.source ?? 'reddit', subreddit: subredditOf(post), createdAt: post.created_at ?? null };
+    if (post.url) index.set(urlKey(post.url), { kind: 'post', url: post.url, score: post.score ?? 0, replies: post.num_comments ?? 0, ...thread });
+    for (const c of post.comments ?? []) {
+      if (c.url) index.set(urlKey(c.url), { kind: 'comment', url: c.url, score: c.score ?? 0, replies: 0, ...thread });
+    }
+  }
+  return index;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function measure(members, citations) {
+  const cited = new Map();
+  for (const p of members) {
+    const citation = citations.get(urlKey(p.source_url));
+    if (citation) cited.set(urlKey(citation.url), citation);
+  }
+
+  const all = [...cited.values()];
+  const sources = {};
+  for (const c of all) sources[c.source] = (sources[c.source] ?? 0) + 1;
+  const ages = all
+    .map((c) => Date.parse(c.createdAt))
+    .filter(Number.isFinite)
+    .map((t) => Math.max(0, (Date.now() - t) / 86_400_000));
+  const ageDays = median(ages);
+
+  return {
+    mentions: members.length,
+    posts: all.filter((c) => c.kind === 'post').length,
+    comments: all.filter((c) => c.kind === 'comment').length,
+    upvotes: all.reduce((sum, c) => sum + Math.max(0, c.score), 0),
+    replies: all.reduce((sum, c) => sum + c.replies, 0),
+    ageDays: ageDays === null ? null : Math.round(ageDays),
+    subreddits: [...new Set(all.map((c) => c.subreddit).filter(Boolean))],
+    sources,
+  };
+}
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  for (const v of values.filter(Boolean)) counts.set(v, (counts.get(v) ?? 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+};
+
+// ─────────────────────────────────────────────
+// Clustering
+// ─────────────────────────────────────────────
+
+/**
+ * Group similar pain points and measure each group.
+ *
+ * @param {Array}  painPoints - from extractPainPoints (after quote grounding)
+ * @param {Array}  rawPosts   - the scouted posts the pain points cite
+ * @param {Object} [options]  - llmService options (signal, provider) plus
+ *                              `method`: auto | embeddings | lexical
+ * @returns {Promise<{ method: string, clusters: Array<{
+ *   id: string, problem: string, category: string|null, intensity: string|null,
+ *   members: Array, metrics: Object }> }>} clusters sorted by mentions, then upvotes
+ */
+export async function clusterPainPoints(painPoints, rawPosts, { method = getClusteringMethod(), ...options } = {}) {
+  if (!painPoints.length) return { method: 'none', clusters: [] };
+
+  const { method: used, vectors, threshold } = await buildVectors(painPoints, method, options);
+
+  // Most intense first, so a cluster's first member — its seed — is a strong statement of it
+  const order = painPoints
+    .map((p, i) => i)
+    .sort((a, b) => (INTENSITY_RANK[painPoints[b].intensity] ?? 0) - (INTENSITY_RANK[painPoints[a].intensity] ?? 0));
+
+  // Each group keeps its unit-length centroid, refreshed only when it grows
+  const groups = [];
+  for (const i of order) {
+    let best = null;
+    for (const group of groups) {
+      const similarity = dot(vectors[i], group.centroid);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) best = { group, similarity };
+    }
+    if (best) {
+      best.group.indices.push(i);
+      best.group.centroid = normalise(add(best.group.sum, vectors[i]));
+    } else {
+      groups.push({ indices: [i], sum: new Map(vectors[i]), centroid: vectors[i] });
+    }
+  }
+
+  const citations = indexCitations(rawPosts);
+  const clusters = groups.map(({ indices, centroid }) => {
+    // The member nearest the centroid states the cluster's problem
+    const representative = indices.reduce((a, b) => (dot(vectors[b], centroid) > dot(vectors[a], centroid) ? b : a));
+    const members = indices.map((i) => painPoints[i]);
+    return {
+      problem: painPoints[representative].problem,
+      category: mostCommon(members.map((p) => p.category)),
+      intensity: members.map((p) => p.intensity).sort((a, b) => (INTENSITY_RANK[b] ?? 0) - (INTENSITY_RANK[a] ?? 0))[0] ?? null,
+      members,
+      metrics: measure(members, citations),
+    };
+  })
+    .sort((a, b) => b.metrics.mentions - a.metrics.mentions || b.metrics.upvotes - a.metrics.upvotes)
+    .map((cluster, i) => ({ id: `c${i + 1}`, ...cluster }));
+
+  logger.success(TAG, `${painPoints.length} pain point(s) → ${clusters.length} cluster(s) (${used})`);
+  return { method: used, clusters };
+}
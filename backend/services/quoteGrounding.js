@@ -0,0 +1,273 @@
+/**
+ * Quote Grounding — check that the quotes the LLM cites exist in what we scraped
+ *
+ * extractPainPoints asks for a `verbatim_quote` and the `source_url` it came
+ * from; rankAndSelectProblem picks `supporting_quotes`. Models paraphrase,
+ * stitch sentences together and cite the wrong post. This pass fuzzy-matches
+ * every quote against the scouted posts and comments:
+ *
+ *   1. the cited post or comment — a match there is verified as cited. When
+ *      the quote is really in one of that post's comments, the URL is
+ *      narrowed to the comment
+ *   2. every other post and comment — a match elsewhere is verified and its
+ *      URL corrected (the original goes to `grounding.cited_url`)
+ *   3. no match — the quote is unverified: flagged, or dropped in drop mode
+ *
+ * Matching compares word tokens after folding case, curly quotes and
+ * punctuation, so whitespace and typography never fail a quote. A quote is
+ * found when some window of the source, a little longer than the quote,
+ * contains at least QUOTE_MATCH_THRESHOLD of its words. Quotes shorter than
+ * MIN_FUZZY_WORDS words must appear exactly.
+ *
+ * Every checked quote gets a `grounding` object:
+ *   { verified, score, url, corrected, cited_url? }
+ *
+ * Config:
+ *   QUOTE_GROUNDING       (default flag) — flag: keep unverified quotes, marked
+ *                                          drop: remove them (a pain point whose
+ *                                          quote can't be found goes with it)
+ *   QUOTE_MATCH_THRESHOLD (default 0.85) — share of a quote's words that must match
+ */
+
+import { logger } from '../utils/logger.js';
+import { urlKey } from '../utils/helpers.js';
+
+const TAG = 'Grounding';
+
+const MODES = ['flag', 'drop'];
+const MATCH_THRESHOLD = Math.min(1, Math.max(0.5, parseFloat(process.env.QUOTE_MATCH_THRESHOLD ?? '0.85') || 0.85));
+const MIN_FUZZY_WORDS = 4;
+// A window may be this much longer than the quote — room for elided words
+const WINDOW_SLACK = 1.25;
+
+export function getGroundingMode() {
+  const mode = (process.env.QUOTE_GROUNDING || 'flag').toLowerCase();
+  if (!MODES.includes(mode)) throw new Error(`Unknown QUOTE_GROUNDING "${mode}" — expected one of: ${MODES.join(', ')}`);
+  return mode;
+}
+
+// ─────────────────────────────────────────────
+// Matching
+// ─────────────────────────────────────────────
+
+function tokenize(text) {
+  return String(text ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[‘’‛′]/g, "'")
+    .replace(/&amp;/g, '&')
+    .match(/[\p{L}\p{N}]+(?:'[\p{L}]+)*/gu) ?? [];
+}
+
+const isUrl = (value) => typeof value === 'string' && /^https?:\/\//i.test(value.trim());
+
+/**
+ * Share of the quote's words found in the best window of the document, 0–1.
+ * An exact run of the quote's words scores 1.
+ */
+function matchScore(quoteTokens, doc) {
+  if (!quoteTokens.length || !doc.tokens.length) return 0;
+
+  // Cheap reject: most of the quote's distinct words must occur somewhere
+  const distinct = [...new Set(quoteTokens)];
+  if (distinct.filter((t) => doc.vocabulary.has(t)).length / distinct.length < MATCH_THRESHOLD) return 0;
+
+  const joined = ` ${quoteTokens.join(' ')} `;
+  if (doc.joined.includes(joined)) return 1;
+  if (quoteTokens.length < MIN_FUZZY_WORDS) return 0;
+
+  const needed = new Map();
+  for (const t of quoteTokens) needed.set(t, (needed.get(t) ?? 0) + 1);
+
+  const size = Math.ceil(quoteTokens.length * WINDOW_SLACK);
+  let best = 0;
+  for (let start = 0; start < doc.tokens.length; start++) {
+    if (!needed.has(doc.tokens[start])) continue;
+    const remaining = new Map(needed);
+    let hits = 0;
+    for (const t of doc.tokens.slice(start, start + size)) {
+      const left = remaining.get(t);
+      if (left) {
+        remaining.set(t, left - 1);
+        hits++;
+      }
+    }
+    best = Math.max(best, hits / quoteTokens.length);
+    if (best === 1) break;
+  }
+  return best;
+}
+
+/**
+ * Index the scouted posts and their comments for matching. A post's text
+ * includes whatever comments were folded into its content; each comment is
+ * also its own document so a quote can be pinned to it.
+ */
+export function buildQuoteCorpus(rawPosts = []) {
+  const docs = [];
+  const byUrl = new Map();
+
+  const add = (url, text, parentUrl = null) => {
+    const tokens = tokenize(text);
+    if (!url || !tokens.length) return;
+    const doc = { url, parentUrl, tokens, joined: ` ${tokens.join(' ')} `, vocabulary: new Set(tokens) };
+    docs.push(doc);
+    if (!byUrl.has(urlKey(url))) byUrl.set(urlKey(url), doc);
+  };
+
+  for (const post of rawPosts) {
+    add(post.url, [post.title, post.content || post.snippet].filter(Boolean).join('\n'));
+    for (const comment of post.comments ?? []) add(comment.url, comment.body, post.url);
+  }
+  return { docs, byUrl };
+}
+
+/**
+ * Ground one quote against the corpus.
+ *
+ * @param {string} text        - the quote
+ * @param {string} [citedUrl]  - where the model says it came from; non-URLs are ignored
+ * @param {{ docs, byUrl }} corpus - from buildQuoteCorpus
+ * @returns {{ verified: boolean, score: number, url: string|null, corrected: boolean, cited_url?: string }}
+ */
+export function groundQuote(text, citedUrl, corpus) {
+  const quoteTokens = tokenize(text);
+  const round = (n) => Math.round(n * 100) / 100;
+  // Free-text sources ("r/saas") aren't citations — only a URL can be wrong
+  const citation = isUrl(citedUrl) ? citedUrl : null;
+  const cited = citation ? corpus.byUrl.get(urlKey(citation)) : null;
+
+  if (cited) {
+    const score = matchScore(quoteTokens, cited);
+    if (score >= MATCH_THRESHOLD) {
+      // Found in the cited post — pin it to one of that post's comments if it's there
+      const comment = cited.parentUrl ? null : corpus.docs.find((d) => urlKey(d.parentUrl) === urlKey(cited.url) && matchScore(quoteTokens, d) >= score);
+      return comment
+        ? { verified: true, score: round(score), url: comment.url, corrected: true, cited_url: citedUrl }
+        : { verified: true, score: round(score), url: cited.url, corrected: false };
+    }
+  }
+
+  // Comments are more specific than the post they belong to, so they win ties
+  let best = { doc: null, score: 0 };
+  for (const doc of corpus.docs) {
+    if (doc === cited) continue;
+    const score = matchScore(quoteTokens, doc);
+    if (score > best.score || (score === best.score && score > 0 && doc.parentUrl && !best.doc?.parentUrl)) best = { doc, score };
+    if (best.score === 1 && best.doc.parentUrl) break;
+  }
+
+  if (best.score >= MATCH_THRESHOLD) {
+    return {
+      verified: true,
+      score: round(best.score),
+      url: best.doc.url,
+      corrected: Boolean(citation),
+      ...(citation ? { cited_url: citation } : {}),
+    };
+  }
+  return { verified: false, score: round(Math.max(best.score, cited ? matchScore(quoteTokens, cited) : 0)), url: null, corrected: false };
+}
+
+// ─────────────────────────────────────────────
+// Skill block outputs
+// ─────────────────────────────────────────────
+
+const emptyStats = () => ({ checked: 0, verified: 0, corrected: 0, unverified: 0, dropped: 0 });
+
+function tally(stats, grounding, dropped) {
+  stats.checked++;
+  if (grounding.verified) stats.verified++;
+  else stats.unverified++;
+  if (grounding.corrected) stats.corrected++;
+  if (dropped) stats.dropped++;
+}
+
+/**
+ * Ground every pain point's verbatim_quote. A verified quote's source_url
+ * becomes the URL it was found at; pain points without a quote pass through.
+ *
+ * @returns {{ painPoints: Array, stats: Object }}
+ */
+export function groundPainPoints(painPoints, corpus, { mode = getGroundingMode() } = {}) {
+  const stats = emptyStats();
+  const kept = [];
+
+  for (const point of painPoints) {
+    if (!point.verbatim_quote?.trim()) {
+      kept.push(point);
+      continue;
+    }
+    const grounding = groundQuote(point.verbatim_quote, point.source_url, corpus);
+    const drop = !grounding.verified && mode === 'drop';
+    tally(stats, grounding, drop);
+    if (drop) continue;
+    kept.push({ ...point, ...(grounding.url ? { source_url: grounding.url } : {}), grounding });
+  }
+  return { painPoints: kept, stats };
+}
+
+/**
+ * Ground a ranked problem's supporting_quotes. `source` is free text — a URL
+ * is treated as the citation; a verified quote gains the `url` it was found at.
+ */
+function groundQuoteList(quotes, corpus, mode, stats) {
+  if (!Array.isArray(quotes)) return quotes;
+  const kept = [];
+  for (const quote of quotes) {
+    const grounding = groundQuote(quote.text, quote.source, corpus);
+    const drop = !grounding.verified && mode === 'drop';
+    tally(stats, grounding, drop);
+    if (drop) continue;
+    kept.push({
+      ...quote,
+      ...(grounding.url ? { url: grounding.url } : {}),
+      ...(grounding.corrected && isUrl(quote.source) ? { source: grounding.url } : {}),
+      grounding,
+    });
+  }
+  return kept;
+}
+
+/**
+ * Ground rankAndSelectProblem's output: the top problem's supporting_quotes
+ * and those of every ranked pain point (the runner-up can become the top
+ * problem at approval).
+ *
+ * @returns {{ topProblem: Object|null, stats: Object }}
+ */
+export function groundRankedProblem(topProblem, corpus, { mode = getGroundingMode() } = {}) {
+  const stats = emptyStats();
+  if (!topProblem) return { topProblem, stats };
+
+  return {
+    topProblem: {
+      ...topProblem,
+      supporting_quotes: groundQuoteList(topProblem.supporting_quotes, corpus, mode, stats),
+      ...(Array.isArray(topProblem.ranked_pain_points) ? {
+        ranked_pain_points: topProblem.ranked_pain_points.map((p) => ({
+          ...p,
+          supporting_quotes: groundQuoteList(p.supporting_quotes, corpus, mode, stats),
+        })),
+      } : {}),
+    },
+    stats,
+  };
+}
+
+/**
+ * Add up grounding stats into the per-run summary stored on the report:
+ *   { mode, checked, verified, corrected, unverified, dropped, rate }
+ * `rate` is verified / checked, or null when nothing was quoted.
+ */
+export function summariseGrounding(mode, ...parts) {
+  const total = emptyStats();
+  for (const part of parts) {
+    for (const key of Object.keys(total)) total[key] += part[key] ?? 0;
+  }
+  const rate = total.checked ? Math.round((total.verified / total.checked) * 100) / 100 : null;
+  if (total.unverified) {
+    logger.warn(TAG, `${total.unverified}/${total.checked} quote(s) not found in the scouted posts (${mode === 'drop' ? 'dropped' : 'flagged'})`);
+  }
+  return { mode, ...total, rate };
+}
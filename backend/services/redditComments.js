@@ -0,0 +1,221 @@
+/**
+ * Reddit Comment Harvester — full comment trees from Reddit's public JSON API
+ *
+ * `<post>.json` returns the post plus a comment tree that Reddit cuts short in
+ * two ways: replies below the requested depth, and "more" stubs standing in
+ * for siblings it didn't load. The harvester walks the tree to
+ * REDDIT_COMMENT_DEPTH, expands "more" stubs through /api/morechildren, and
+ * keeps every comment as its own piece of evidence:
+ *
+ *   { id, url, body, score, author, authorAgeDays, depth, parentId }
+ *
+ * `url` is the comment's permalink, so a pain point can cite the exact reply
+ * it came from instead of the thread. Author age (days since the account was
+ * created) comes from /user/<name>/about.json, looked up for the highest-scored
+ * kept comments and cached for the life of the process.
+ *
+ * Config:
+ *   REDDIT_COMMENT_DEPTH       (default 4)  — reply levels to walk below the post
+ *   REDDIT_COMMENT_MAX         (default 25) — comments kept per post, best first
+ *   REDDIT_MORE_EXPANSIONS     (default 2)  — /api/morechildren calls per post
+ *   REDDIT_AUTHOR_LOOKUPS      (default 10) — author-age lookups per post, 0 disables
+ */
+
+import { logger } from '../utils/logger.js';
+import { httpGetJSON } from '../utils/httpClient.js';
+
+const TAG = 'RedditComments';
+
+const REDDIT_ORIGIN = 'https://www.reddit.com';
+const REDDIT_HEADERS = {
+  'User-Agent': 'MarketGapAgent/1.0 (hackathon research tool)',
+  'Accept': 'application/json',
+};
+
+// /api/morechildren accepts at most 100 ids per call
+const MORE_CHILDREN_BATCH = 100;
+const MIN_COMMENT_LENGTH = 20;
+
+const intFromEnv = (name, fallback) => {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+export const REDDIT_COMMENT_DEPTH = intFromEnv('REDDIT_COMMENT_DEPTH', 4);
+export const REDDIT_COMMENT_MAX = intFromEnv('REDDIT_COMMENT_MAX', 25);
+export const REDDIT_MORE_EXPANSIONS = intFromEnv('REDDIT_MORE_EXPANSIONS', 2);
+export const REDDIT_AUTHOR_LOOKUPS = intFromEnv('REDDIT_AUTHOR_LOOKUPS', 10);
+
+const authorAgeCache = new Map(); // username → days, or null when unknown
+
+// ─────────────────────────────────────────────
+// Fetch helpers
+// ─────────────────────────────────────────────
+
+// Account ages barely move — keep author lookups cached for a day
+const AUTHOR_CACHE_TTL = 86400;
+
+const getJSON = (url, signal, cacheTtl) => httpGetJSON(url, { headers: REDDIT_HEADERS, signal, cacheTtl });
+
+const isRemoved = (body) => !body || body === '[deleted]' || body === '[removed]';
+
+function toComment(data, depth) {
+  return {
+    id: data.id,
+    url: `${REDDIT_ORIGIN}${data.permalink}`.split('?')[0],
+    body: data.body.trim(),
+    score: data.score ?? 0,
+    author: data.author && data.author !== '[deleted]' ? data.author : null,
+    authorAgeDays: null,
+    depth,
+    parentId: data.parent_id ?? null,
+  };
+}
+
+// ─────────────────────────────────────────────
+// Tree walk
+// ─────────────────────────────────────────────
+
+/**
+ * Flatten a Listing of t1/more things. Comments go to `comments`, "more"
+ * stubs with ids to load go to `stubs`. Depth-limit stubs ("continue this
+ * thread", count 0 and no ids) are dropped — maxDepth already bounds the walk.
+ */
+function walkListing(listing, depth, maxDepth, comments, stubs) {
+  for (const { kind, data } of listing?.data?.children ?? []) {
+    if (kind === 'more') {
+      const ids = (data?.children ?? []).filter((id) => id && id !== '_');
+      if (ids.length > 0) stubs.push(...ids);
+      continue;
+    }
+    if (kind !== 't1' || !data) continue;
+
+    if (!isRemoved(data.body) && data.body.length > MIN_COMMENT_LENGTH) {
+      comments.push(toComment(data, depth));
+    }
+    if (depth < maxDepth && data.replies) {
+      walkListing(data.replies, depth + 1, maxDepth, comments, stubs);
+    }
+  }
+}
+
+/**
+ * Load "more" stubs. morechildren returns a flat list with parent ids, so
+ * depth is reconstructed from the comments already collected.
+ */
+async function expandMoreStubs(postId, stubIds, comments, { maxDepth, maxCalls, signal }) {
+  const depthById = new Map(comments.map((c) => [`t1_${c.id}`, c.depth]));
+  depthById.set(`t3_${postId}`, -1);
+
+  let calls = 0;
+  for (let i = 0; i < stubIds.length && calls < maxCalls; i += MORE_CHILDREN_BATCH, calls++) {
+    signal?.throwIfAborted();
+    const ids = stubIds.slice(i, i + MORE_CHILDREN_BATCH);
+    const url = `${REDDIT_ORIGIN}/api/morechildren.json?api_type=json&raw_json=1&limit_children=false`
+      + `&link_id=t3_${postId}&depth=${maxDepth + 1}&children=${ids.join(',')}`;
+
+    try {
+      const things = (await getJSON(url, signal))?.json?.data?.things ?? [];
+      for (const { kind, data } of things) {
+        if (kind !== 't1' || !data) continue;
+        const depth = (depthById.get(data.parent_id) ?? 0) + 1;
+        depthById.set(`t1_${data.id}`, depth);
+        if (depth <= maxDepth && !isRemoved(data.body) && data.body.length > MIN_COMMENT_LENGTH) {
+          comments.push(toComment(data, depth));
+        }
+      }
+    } catch (err) {
+      signal?.throwIfAborted();
+      logger.warn(TAG, `morechildren failed for t3_${postId}: ${err.message}`);
+      break;
+    }
+  }
+  return calls;
+}
+
+/**
+ * Days since each author's account was created, for up to `maxLookups`
+ * uncached authors. Unknown (suspended, deleted, over budget, lookup
+ * failed) stays null.
+ */
+async function attachAuthorAges(comments, maxLookups, signal) {
+  let lookups = 0;
+
+  for (const comment of comments) {
+    const { author } = comment;
+    if (!author) continue;
+
+    if (!authorAgeCache.has(author)) {
+      if (lookups >= maxLookups) continue;
+      lookups++;
+      try {
+        const about = await getJSON(`${REDDIT_ORIGIN}/user/${encodeURIComponent(author)}/about.json`, signal, AUTHOR_CACHE_TTL);
+        const created = about?.data?.created_utc;
+        authorAgeCache.set(author, created ? Math.floor((Date.now() / 1000 - created) / 86400) : null);
+      } catch (err) {
+        signal?.throwIfAborted();
+        logger.warn(TAG, `Author lookup failed for u/${author}: ${err.message}`);
+        authorAgeCache.set(author, null);
+      }
+    }
+    comment.authorAgeDays = authorAgeCache.get(author);
+  }
+}
+
+// ─────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────
+
+/**
+ * Fetch a Reddit post with its comment tree.
+ *
+ * @param {string} postUrl - Full Reddit post URL
+ * @param {Object} [options]
+ * @param {number} [options.depth]       - reply levels below top-level comments
+ * @param {number} [options.maxComments] - comments kept, highest score first
+ * @param {number} [options.moreExpansions] - /api/morechildren calls allowed
+ * @param {number} [options.authorLookups]  - author-age lookups allowed
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ post: Object, comments: Array }>}
+ */
+export async function harvestRedditThread(postUrl, {
+  depth = REDDIT_COMMENT_DEPTH,
+  maxComments = REDDIT_COMMENT_MAX,
+  moreExpansions = REDDIT_MORE_EXPANSIONS,
+  authorLookups = REDDIT_AUTHOR_LOOKUPS,
+  signal,
+} = {}) {
+  const jsonUrl = `${postUrl.replace(/\/?$/, '.json')}?limit=500&raw_json=1&depth=${depth + 1}`;
+  const [listingData, commentsData] = await getJSON(jsonUrl, signal);
+
+  const post = listingData?.data?.children?.[0]?.data;
+  if (!post) throw new Error('No post data in response');
+
+  const comments = [];
+  const stubs = [];
+  walkListing(commentsData, 0, depth, comments, stubs);
+
+  let expansions = 0;
+  if (stubs.length > 0 && moreExpansions > 0) {
+    expansions = await expandMoreStubs(post.id, stubs, comments, { maxDepth: depth, maxCalls: moreExpansions, signal });
+  }
+
+  const kept = comments.sort((a, b) => b.score - a.score).slice(0, maxComments);
+  await attachAuthorAges(kept, authorLookups, signal);
+
+  logger.info(TAG, `Harvested ${kept.length}/${comments.length} comments from ${postUrl} (${stubs.length} more-stub ids, ${expansions} expansion(s))`);
+  return { post, comments: kept };
+}
+
+/**
+ * Render a harvested comment for an LLM prompt, URL first so the model can
+ * cite it as source_url.
+ */
+export function formatComment(comment) {
+  const meta = [
+    `score ${comment.score}`,
+    comment.depth > 0 ? `reply depth ${comment.depth}` : 'top-level',
+    comment.authorAgeDays !== null ? `author account ${comment.authorAgeDays}d old` : null,
+  ].filter(Boolean).join(' · ');
+  return `[COMMENT ${comment.url} · ${meta}]\n${comment.body}`;
+}
@@ -0,0 +1,207 @@
+/**
+ * Run Store — durable persistence for pipeline runs
+ *
+ * Everything the backend needs to answer `/api/agent/*` after a restart lives
+ * here instead of in per-module Maps:
+ *
+ *   runs     → run metadata (status, niche, sessionId, timestamps)
+ *   reports  → the Market Gap Report, keyed by Acontext sessionId
+ *   tasks    → task block state, keyed by Acontext sessionId
+ *   events   → append-only SSE event history, keyed by runId
+ *
+ * Besides records, any collection can hold append-only logs (appendLog /
+ * readLog): one JSON line per entry, so a growing history costs one write
+ * per entry instead of a rewrite of the whole record. The event history is
+ * the `events` log.
+ *
+ * Backends are pluggable via RUN_STORE:
+ *   json   (default) → one JSON file per record under RUN_STORE_DIR (./data)
+ *   memory           → process-local Maps; nothing survives a restart
+ *
+ * All operations are synchronous so existing sync callers (readReport,
+ * getActiveRun, getTaskBlocks) keep their signatures. Writes go to a temp file
+ * and are renamed into place so a crash mid-write never leaves a torn record.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+
+const TAG = 'RunStore';
+
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Record ids become file names — keep them to a safe character set
+const SAFE_ID_RE = /^[A-Za-z0-9._-]+$/;
+
+function assertSafeId(id) {
+  if (typeof id !== 'string' || !SAFE_ID_RE.test(id) || id.startsWith('.')) {
+    throw new Error(`Invalid run store id: ${JSON.stringify(id)}`);
+  }
+}
+
+// ─────────────────────────────────────────────
+// Backend: JSON files on local disk
+// ─────────────────────────────────────────────
+
+function createJsonFileStore(rootDir) {
+  const dirFor = (collection) => {
+    assertSafeId(collection);
+    const dir = path.join(rootDir, collection);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  };
+
+  const writeAtomic = (file, text) => {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, text);
+    fs.renameSync(tmp, file);
+  };
+
+  return {
+    name: 'json',
+
+    get(collection, id) {
+      assertSafeId(id);
+      const file = path.join(dirFor(collection), `${id}.json`);
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') logger.warn(TAG, `Unreadable record ${collection}/${id}: ${err.message}`);
+        return null;
+      }
+    },
+
+    put(collection, id, value) {
+      assertSafeId(id);
+      writeAtomic(path.join(dirFor(collection), `${id}.json`), JSON.stringify(value));
+      return value;
+    },
+
+    delete(collection, id) {
+      assertSafeId(id);
+      fs.rmSync(path.join(dirFor(collection), `${id}.json`), { force: true });
+    },
+
+    list(collection) {
+      return fs.readdirSync(dirFor(collection))
+        .filter((f) => f.endsWith('.json'))
+        .map((f) => this.get(collection, f.slice(0, -'.json'.length)))
+        .filter(Boolean);
+    },
+
+    appendLog(collection, id, entry) {
+      assertSafeId(id);
+      fs.appendFileSync(path.join(dirFor(collection), `${id}.jsonl`), `${JSON.stringify(entry)}\n`);
+    },
+
+    readLog(collection, id) {
+      assertSafeId(id);
+      try {
+        return fs.readFileSync(path.join(dirFor(collection), `${id}.jsonl`), 'utf8')
+          .split('\n')
+          .filter(Boolean)
+          .map((line) => JSON.parse(line));
+      } catch {
+        return [];
+      }
+    },
+
+    // Replace a whole log at once (compaction)
+    writeLog(collection, id, entries) {
+      assertSafeId(id);
+      writeAtomic(path.join(dirFor(collection), `${id}.jsonl`), entries.map((e) => `${JSON.stringify(e)}\n`).join(''));
+    },
+
+    deleteLog(collection, id) {
+      assertSafeId(id);
+      fs.rmSync(path.join(dirFor(collection), `${id}.jsonl`), { force: true });
+    },
+
+    appendEvent(runId, event) {
+      this.appendLog('events', runId, event);
+    },
+
+    readEvents(runId) {
+      return this.readLog('events', runId);
+    },
+  };
+}
+
+// ─────────────────────────────────────────────
+// Backend: in-memory (tests, throwaway demos)
+// ─────────────────────────────────────────────
+
+function createMemoryStore() {
+  const collections = new Map();
+  const logs = new Map();
+
+  const bucket = (collection) => {
+    if (!collections.has(collection)) collections.set(collection, new Map());
+    return collections.get(collection);
+  };
+  const logKey = (collection, id) => `${collection}/${id}`;
+
+  // Clone on the way in and out so callers can't mutate stored records
+  const clone = (v) => (v === undefined ? null : JSON.parse(JSON.stringify(v)));
+
+  return {
+    name: 'memory',
+    get: (collection, id) => clone(bucket(collection).get(id)),
+    put: (collection, id, value) => {
+      bucket(collection).set(id, clone(value));
+      return value;
+    },
+    delete: (collection, id) => {
+      bucket(collection).delete(id);
+    },
+    list: (collection) => [...bucket(collection).values()].map(clone),
+    appendLog: (collection, id, entry) => {
+      const key = logKey(collection, id);
+      if (!logs.has(key)) logs.set(key, []);
+      logs.get(key).push(clone(entry));
+    },
+    readLog: (collection, id) => clone(logs.get(logKey(collection, id)) ?? []),
+    writeLog: (collection, id, entries) => {
+      logs.set(logKey(collection, id), clone(entries));
+    },
+    deleteLog: (collection, id) => {
+      logs.delete(logKey(collection, id));
+    },
+    appendEvent(runId, event) {
+      this.appendLog('events', runId, event);
+    },
+    readEvents(runId) {
+      return this.readLog('events', runId);
+    },
+  };
+}
+
+// ─────────────────────────────────────────────
+// Backend selection
+// ─────────────────────────────────────────────
+
+const STORE_FACTORIES = {
+  json: () => createJsonFileStore(path.resolve(BACKEND_DIR, process.env.RUN_STORE_DIR || 'data')),
+  memory: () => createMemoryStore(),
+};
+
+let _store = null;
+
+/**
+ * Return the process-wide run store, creating it on first use.
+ */
+export function getRunStore() {
+  if (_store) return _store;
+
+  const kind = (process.env.RUN_STORE || 'json').toLowerCase();
+  const factory = STORE_FACTORIES[kind];
+  if (!factory) {
+    throw new Error(`Unknown RUN_STORE "${kind}" — expected one of: ${Object.keys(STORE_FACTORIES).join(', ')}`);
+  }
+
+  _store = factory();
+  logger.success(TAG, `Using ${_store.name} run store`);
+  return _store;
+}
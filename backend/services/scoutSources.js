@@ -0,0 +1,328 @@
+/**
+ * Scout Sources — pluggable pain-point sources for the scout phase
+ *
+ * Every source is an adapter with the same shape:
+ *
+ *   {
+ *     name:    'hackernews',
+ *     label:   'Hacker News',
+ *     search:  (query, ctx) → Promise<Post[]>   // ctx: { signal, forumUrls }
+ *     enrich?: (posts, ctx) → Promise<Post[]>   // optional full-content pass
+ *   }
+ *
+ * and returns posts normalised to one shape, whatever the origin:
+ *
+ *   { url, title, content, snippet, score, source }
+ *
+ * plus `num_comments` and `created_at` (ISO) where the origin reports them.
+ *
+ * Adapters:
+ *   reddit     → Reddit JSON API + Bright Data fallbacks (brightDataService.js)
+ *   hackernews → HN Algolia search API (stories + comments, no key needed)
+ *   appstore   → Bright Data app_stores tools on Google Play / App Store pages
+ *   forum      → generic product forums from SCOUT_FORUM_URLS or the run's
+ *                forumUrls; "{query}" in a URL is replaced with the query
+ *
+ * A source that isn't configured (no Bright Data token, no forum URLs)
+ * returns nothing rather than failing the scout phase.
+ */
+
+import { logger } from '../utils/logger.js';
+import { truncate, htmlToText, safeJsonParse, dedupeBy } from '../utils/helpers.js';
+import { httpFetch } from '../utils/httpClient.js';
+import {
+  searchRedditPainPoints,
+  scrapeRedditPosts,
+  searchWeb,
+  scrapeUrl,
+  callBrightDataTool,
+} from './brightDataService.js';
+
+const TAG = 'ScoutSources';
+
+// Words that mark a comment, review or forum paragraph as a complaint
+export const PAIN_SIGNAL_RE = /\b(problem|issue|frustrat\w*|struggl\w*|wish|annoy\w*|hate|broken|missing|pain|difficult|can'?t|cannot|doesn'?t|sucks|terrible|awful|expensive|confusing|bug\w*|slow|useless|lacks?)\b/i;
+
+// Reddit posts kept per search query, and threads enriched (body + comment
+// tree) per scout pass — pain-point extraction batches posts, so this can run
+// into the hundreds. Enrichment requests are capped by REDDIT_REQUEST_BUDGET.
+const REDDIT_MAX_THREADS = Math.max(1, Number(process.env.REDDIT_MAX_THREADS) || 100);
+
+const HN_SEARCH_URL = 'https://hn.algolia.com/api/v1/search';
+const HN_MAX_HITS = 12;
+
+const APP_STORE_TOOLS = [
+  { site: 'play.google.com/store/apps/details', tool: 'web_data_google_play_store' },
+  { site: 'apps.apple.com', tool: 'web_data_apple_app_store' },
+];
+const APPS_PER_STORE = 2;
+const REVIEWS_PER_APP = 5;
+
+const FORUM_MAX_PARAGRAPHS = 8;
+
+// ─────────────────────────────────────────────
+// Reddit
+// ─────────────────────────────────────────────
+
+const reddit = {
+  name: 'reddit',
+  label: 'Reddit',
+
+  async search(query, { signal }) {
+    const results = await searchRedditPainPoints(query, { signal, maxPosts: REDDIT_MAX_THREADS });
+    return results.map((r) => ({ ...r, score: r.score ?? 0, source: 'reddit' }));
+  },
+
+  // Fetch bodies and full comment trees (redditComments.js), even when search returned selftext
+  enrich(posts, { signal }) {
+    return scrapeRedditPosts(posts, REDDIT_MAX_THREADS, { signal });
+  },
+};
+
+// ─────────────────────────────────────────────
+// Hacker News (Algolia search API)
+// ─────────────────────────────────────────────
+
+const hackernews = {
+  name: 'hackernews',
+  label: 'Hacker News',
+
+  async search(query, { signal }) {
+    const posts = [];
+
+    for (const tags of ['comment', 'story']) {
+      signal?.throwIfAborted();
+      const url = `${HN_SEARCH_URL}?query=${encodeURIComponent(query)}&tags=${tags}&hitsPerPage=50`;
+
+      try {
+        const res = await httpFetch(url, { headers: { Accept: 'application/json' }, signal });
+        if (!res.ok) {
+          logger.warn(TAG, `HN Algolia HTTP ${res.status} for "${query}" (${tags})`);
+          continue;
+        }
+
+        const { hits = [] } = await res.json();
+        for (const hit of hits) {
+          const text = htmlToText(hit.comment_text ?? hit.story_text ?? '');
+          const title = hit.title ?? hit.story_title ?? '';
+          if (!PAIN_SIGNAL_RE.test(`${title} ${text}`)) continue;
+
+          posts.push({
+            url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
+            title,
+            snippet: truncate(text || title, 300),
+            content: truncate([title, text].filter(Boolean).join('\n\n'), 2000),
+            score: hit.points ?? 0,
+            num_comments: hit.num_comments ?? undefined,
+            created_at: hit.created_at ?? null,
+            source: 'hackernews',
+          });
+        }
+      } catch (err) {
+        signal?.throwIfAborted();
+        logger.warn(TAG, `HN Algolia failed for "${query}" (${tags}): ${err.message}`);
+      }
+    }
+
+    const top = posts.sort((a, b) => b.score - a.score).slice(0, HN_MAX_HITS);
+    logger.success(TAG, `Hacker News: ${top.length} complaint(s) for "${query}"`);
+    return top;
+  },
+};
+
+// ─────────────────────────────────────────────
+// App store reviews (Bright Data app_stores group)
+// ─────────────────────────────────────────────
+
+/**
+ * Pull review objects out of a web_data_* response. The payload is a JSON
+ * array of app records whose reviews field name varies between stores.
+ */
+function extractReviews(raw) {
+  const parsed = safeJsonParse(raw);
+  const apps = Array.isArray(parsed) ? parsed : parsed ? [parsed] : [];
+
+  return apps.flatMap((app) => {
+    const reviews = app?.reviews ?? app?.top_reviews ?? app?.review_list ?? [];
+    return (Array.isArray(reviews) ? reviews : []).map((r) => ({
+      appTitle: app.title ?? app.app_title ?? app.name ?? '',
+      text: String(r.review ?? r.content ?? r.text ?? r.review_text ?? '').trim(),
+      rating: Number(r.review_rating ?? r.rating ?? r.stars ?? r.score ?? NaN),
+      helpful: Number(r.helpful_count ?? r.thumbs_up ?? r.vote_count ?? 0) || 0,
+    }));
+  });
+}
+
+const appstore = {
+  name: 'appstore',
+  label: 'App Store',
+
+  async search(query, { signal }) {
+    if (!process.env.BRIGHTDATA_API_TOKEN) return [];
+    const posts = [];
+
+    for (const { site, tool } of APP_STORE_TOOLS) {
+      signal?.throwIfAborted();
+      try {
+        const apps = (await searchWeb(`site:${site} ${query}`, 10, 0, { signal }))
+          .filter((r) => r.url.includes(site))
+          .slice(0, APPS_PER_STORE);
+
+        for (const app of apps) {
+          const reviews = extractReviews(await callBrightDataTool(tool, { url: app.url }, { signal }))
+            // Critical reviews only — 1–3 stars, or unrated text with a complaint in it
+            .filter((r) => r.text.length > 30 && (r.rating <= 3 || (Number.isNaN(r.rating) && PAIN_SIGNAL_RE.test(r.text))))
+            .slice(0, REVIEWS_PER_APP);
+
+          reviews.forEach((r, i) => posts.push({
+            url: `${app.url}#review-${i + 1}`,
+            title: `${r.appTitle || app.title} review${Number.isNaN(r.rating) ? '' : ` (${r.rating}★)`}`,
+            snippet: truncate(r.text, 300),
+            content: truncate(r.text, 2000),
+            score: r.helpful,
+            source: 'appstore',
+          }));
+        }
+      } catch (err) {
+        signal?.throwIfAborted();
+        logger.warn(TAG, `App store reviews (${tool}) failed for "${query}": ${err.message}`);
+      }
+    }
+
+    logger.success(TAG, `App stores: ${posts.length} critical review(s) for "${query}"`);
+    return posts;
+  },
+};
+
+// ─────────────────────────────────────────────
+// Generic forums
+// ─────────────────────────────────────────────
+
+function configuredForumUrls(runForumUrls) {
+  if (runForumUrls?.length) return runForumUrls;
+  return (process.env.SCOUT_FORUM_URLS ?? '').split(',').map((u) => u.trim()).filter(Boolean);
+}
+
+const forum = {
+  name: 'forum',
+  label: 'Forum',
+
+  async search(query, { signal, forumUrls }) {
+    const posts = [];
+
+    for (const template of configuredForumUrls(forumUrls)) {
+      signal?.throwIfAborted();
+      const url = template.replaceAll('{query}', encodeURIComponent(query));
+
+      try {
+        // Plain fetch first; Bright Data's unlocker for pages that block bots
+        let text = '';
+        let title = '';
+        const res = await httpFetch(url, { headers: { Accept: 'text/html' }, signal }).catch(() => null);
+        if (res?.ok) {
+          const html = await res.text();
+          title = htmlToText(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] ?? '');
+          text = htmlToText(html);
+        } else if (process.env.BRIGHTDATA_API_TOKEN) {
+          text = await scrapeUrl(url, { signal });
+        }
+
+        const complaints = text
+          .split(/\n+/)
+          .map((p) => p.trim())
+          .filter((p) => p.length >= 60 && PAIN_SIGNAL_RE.test(p))
+          .slice(0, FORUM_MAX_PARAGRAPHS);
+
+        if (complaints.length === 0) continue;
+
+        posts.push({
+          url,
+          title: title || new URL(url).hostname,
+          snippet: truncate(complaints[0], 300),
+          content: truncate(complaints.join('\n\n'), 2000),
+          score: complaints.length,
+          source: 'forum',
+        });
+      } catch (err) {
+        signal?.throwIfAborted();
+        logger.warn(TAG, `Forum scrape failed for ${url}: ${err.message}`);
+      }
+    }
+
+    if (posts.length) logger.success(TAG, `Forums: ${posts.length} page(s) with complaints for "${query}"`);
+    return posts;
+  },
+};
+
+// ─────────────────────────────────────────────
+// Registry
+// ─────────────────────────────────────────────
+
+const ADAPTERS = { reddit, hackernews, appstore, forum };
+
+export const SCOUT_SOURCE_NAMES = Object.freeze(Object.keys(ADAPTERS));
+
+export const SOURCE_LABELS = Object.freeze(
+  Object.fromEntries(Object.values(ADAPTERS).map((a) => [a.name, a.label]))
+);
+
+/**
+ * Sources used when a run doesn't choose its own (SCOUT_SOURCES, default all).
+ */
+export function defaultScoutSources() {
+  const configured = (process.env.SCOUT_SOURCES ?? '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => ADAPTERS[s]);
+  return configured.length ? configured : [...SCOUT_SOURCE_NAMES];
+}
+
+/**
+ * Search every selected source for one query. A failing source is logged
+ * and skipped so the others still contribute.
+ *
+ * @param {string} query
+ * @param {{ sources?: string[], forumUrls?: string[], signal?: AbortSignal }} [options]
+ * @returns {Promise<Array<{url, title, content, snippet, score, source}>>}
+ */
+export async function searchAllSources(query, { sources = defaultScoutSources(), forumUrls = [], signal } = {}) {
+  const results = [];
+
+  for (const name of sources) {
+    const adapter = ADAPTERS[name];
+    if (!adapter) continue;
+    try {
+      results.push(...await adapter.search(query, { signal, forumUrls }));
+    } catch (err) {
+      signal?.throwIfAborted();
+      logger.warn(TAG, `Source ${name} failed for "${query}": ${err.message}`);
+    }
+  }
+
+  return dedupeBy(results, (r) => r.url);
+}
+
+/**
+ * Run each source's enrichment pass over its own posts (Reddit bodies and
+ * comments); posts from sources without one pass through unchanged.
+ */
+export async function enrichPosts(posts, { signal } = {}) {
+  const enriched = [];
+
+  for (const name of SCOUT_SOURCE_NAMES) {
+    const own = posts.filter((p) => p.source === name);
+    if (own.length === 0) continue;
+    enriched.push(...(ADAPTERS[name].enrich ? await ADAPTERS[name].enrich(own, { signal }) : own));
+  }
+
+  return enriched;
+}
+
+/**
+ * { reddit: 12, hackernews: 4, … } — for events and the report.
+ */
+export function countBySource(posts) {
+  const counts = {};
+  for (const p of posts) counts[p.source ?? 'unknown'] = (counts[p.source ?? 'unknown'] ?? 0) + 1;
+  return counts;
+}
@@ -0,0 +1,235 @@
+/**
+ * Skill Block output schemas
+ *
+ * The shape each LLM skill block must return, checked at runtime by
+ * llmService.js before anything reaches the graph state or the report.
+ * Keep these in step with the JSON examples in each skill block's prompt —
+ * a field the prompt doesn't ask for must not be required here.
+ */
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const level = { type: 'string', enum: ['high', 'medium', 'low'] };
+const score = { type: 'number', minimum: 1, maximum: 10 };
+const httpUrl = { type: 'string', pattern: '^https?://' };
+
+const quote = {
+  type: 'object',
+  required: ['text'],
+  properties: { text: nonEmptyString, source: { type: 'string' } },
+};
+
+// ─────────────────────────────────────────────
+// Skill Block 1: extractPainPoints
+// ─────────────────────────────────────────────
+export const PAIN_POINT_SCHEMA = {
+  type: 'object',
+  required: ['problem', 'intensity'],
+  properties: {
+    problem: nonEmptyString,
+    verbatim_quote: { type: 'string' },
+    source_url: { type: 'string' },
+    intensity: level,
+    category: { type: 'string', enum: ['workflow', 'cost', 'discovery', 'collaboration', 'other'] },
+    source: { type: 'string' },
+  },
+};
+
+export const PAIN_POINTS_SCHEMA = {
+  type: 'object',
+  required: ['pain_points'],
+  properties: {
+    pain_points: { type: 'array', items: PAIN_POINT_SCHEMA },
+  },
+};
+
+// ─────────────────────────────────────────────
+// Skill Block 2: rankAndSelectProblem
+// ─────────────────────────────────────────────
+export const RANKING_SCHEMA = {
+  type: 'object',
+  required: ['top_problem', 'gap_keyword', 'severity_score'],
+  properties: {
+    top_problem: nonEmptyString,
+    cluster_id: { type: 'string' },
+    gap_keyword: nonEmptyString,
+    // Measured from the problem's cluster after validation — not asked of the model
+    frequency_score: score,
+    severity_score: score,
+    market_size_estimate: { type: 'string' },
+    supporting_quotes: { type: 'array', items: quote },
+    why_this_wins: { type: 'string' },
+    runner_up: { type: ['string', 'null'] },
+    ranked_pain_points: {
+      type: 'array',
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['problem', 'gap_keyword'],
+        properties: {
+          problem: nonEmptyString,
+          cluster_id: { type: 'string' },
+          gap_keyword: nonEmptyString,
+          score,
+          supporting_quotes: { type: 'array', items: quote },
+        },
+      },
+    },
+  },
+};
+
+// ─────────────────────────────────────────────
+// Skill Block 3: analyseCompetitorData
+// ─────────────────────────────────────────────
+export const GAP_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['gap_confirmed', 'confidence', 'gap_summary'],
+  properties: {
+    gap_confirmed: { type: 'boolean' },
+    confidence: level,
+    gap_summary: nonEmptyString,
+    competitors_missing_feature: { type: 'array', items: { type: 'string' } },
+    differentiator: { type: 'string' },
+    market_entry_angle: { type: 'string' },
+  },
+};
+
+// ─────────────────────────────────────────────
+// Skill Block 4: generateOpportunityBrief
+// ─────────────────────────────────────────────
+export const BRIEF_SCHEMA = {
+  type: 'object',
+  required: ['headline', 'problem_statement', 'target_user', 'mvp_features', 'validation_confidence', 'next_steps'],
+  properties: {
+    headline: nonEmptyString,
+    problem_statement: nonEmptyString,
+    target_user: nonEmptyString,
+    market_size_estimate: { type: 'string' },
+    evidence_summary: { type: 'string' },
+    competitor_landscape: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: nonEmptyString, weakness: { type: 'string' } },
+      },
+    },
+    mvp_features: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['feature', 'priority'],
+        properties: {
+          feature: nonEmptyString,
+          why: { type: 'string' },
+          priority: { type: 'string', enum: ['must-have', 'nice-to-have'] },
+        },
+      },
+    },
+    go_to_market_angle: { type: 'string' },
+    pricing_positioning: { type: 'string' },
+    suggested_name: { type: 'string' },
+    one_liner: { type: 'string' },
+    validation_confidence: level,
+    next_steps: { type: 'array', items: nonEmptyString },
+  },
+};
+
+// ─────────────────────────────────────────────
+// Skill Block 5: identifyCompetitors
+// ─────────────────────────────────────────────
+export const COMPETITORS_SCHEMA = {
+  type: 'object',
+  required: ['competitors'],
+  properties: {
+    competitors: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'pricingUrl', 'featuresUrl'],
+        properties: {
+          name: nonEmptyString,
+          pricingUrl: httpUrl,
+          featuresUrl: httpUrl,
+          backup: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+// ─────────────────────────────────────────────
+// Skill Block 8: generateFeatureChecklist
+// ─────────────────────────────────────────────
+export const FEATURE_CHECKLIST_SCHEMA = {
+  type: 'object',
+  required: ['features'],
+  properties: {
+    features: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 8,
+      items: {
+        type: 'object',
+        required: ['id', 'feature'],
+        properties: {
+          id: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' },
+          feature: nonEmptyString,
+          why: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+// ─────────────────────────────────────────────
+// Skill Block 9: judgeFeatureCoverage
+// ─────────────────────────────────────────────
+export const FEATURE_JUDGEMENTS_SCHEMA = {
+  type: 'object',
+  required: ['judgements'],
+  properties: {
+    judgements: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'status'],
+        properties: {
+          id: nonEmptyString,
+          status: { type: 'string', enum: ['present', 'absent', 'unclear'] },
+          excerpt: { type: 'string' },
+          reason: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+// ─────────────────────────────────────────────
+// Skill Block 10: extractPricingPlans
+// ─────────────────────────────────────────────
+const price = { type: ['number', 'null'], minimum: 0 };
+
+export const PRICING_PLANS_SCHEMA = {
+  type: 'object',
+  required: ['plans'],
+  properties: {
+    plans: {
+      type: 'array',
+      maxItems: 8,
+      items: {
+        type: 'object',
+        required: ['name', 'monthly_price', 'annual_price'],
+        properties: {
+          name: nonEmptyString,
+          monthly_price: price,
+          annual_price: price,
+          currency: { type: 'string' },
+          limits: { type: 'array', items: { type: 'string' } },
+          features: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,229 @@
+/**
+ * Subreddit Discovery — find the communities where a niche actually talks
+ *
+ * Global search.json queries miss most of the signal for niches that live in
+ * a handful of dedicated subreddits ("indie podcasters" → r/podcasting,
+ * r/podcast). Discovery ranks candidate subreddits from two signals:
+ *
+ *   1. /subreddits/search.json for the niche — Reddit's own relevance order
+ *   2. the subreddits the early global hits were posted in
+ *
+ * and the targeted crawl then reads each chosen subreddit's top (past year)
+ * and new listings, keeping posts that are on-niche and carry a pain signal.
+ *
+ * Users can pin subreddits (always crawled, ranked first) or exclude them
+ * (never crawled, and their global hits are dropped) at /api/agent/start.
+ *
+ * Config:
+ *   SUBREDDIT_MAX       (default 4)  — subreddits crawled per run, pins included
+ *   SUBREDDIT_MIN_SCORE (default 2)  — discovery score a non-pinned subreddit needs
+ */
+
+import { logger } from '../utils/logger.js';
+import { truncate, fromUnixTime, dedupeBy } from '../utils/helpers.js';
+import { httpGetJSON } from '../utils/httpClient.js';
+import { PAIN_SIGNAL_RE } from './scoutSources.js';
+
+const TAG = 'Subreddits';
+
+const REDDIT_ORIGIN = 'https://www.reddit.com';
+const REDDIT_HEADERS = {
+  'User-Agent': 'MarketGapAgent/1.0 (hackathon research tool)',
+  'Accept': 'application/json',
+};
+
+const SUBREDDIT_MAX = parseInt(process.env.SUBREDDIT_MAX ?? '4', 10);
+const SUBREDDIT_MIN_SCORE = parseFloat(process.env.SUBREDDIT_MIN_SCORE ?? '2');
+
+// Valid subreddit name; "r/" prefixes are stripped before the check
+export const SUBREDDIT_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_]{1,20}$/;
+
+const LISTINGS = [
+  { sort: 'top', query: 't=year&limit=50' },
+  { sort: 'new', query: 'limit=50' },
+];
+const POSTS_PER_SUBREDDIT = 10;
+
+// Words too common to tell a niche apart
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'app', 'apps', 'tool', 'tools', 'software', 'small', 'best']);
+
+/**
+ * "r/Podcasting " → "podcasting" — the canonical key for pins, excludes and
+ * de-duplication. Reddit names are case-insensitive.
+ */
+export function normaliseSubreddit(name) {
+  return String(name ?? '').trim().replace(/^\/?r\//i, '').toLowerCase();
+}
+
+// "indie podcasters" → ['indie', 'podcast'] — stems by prefix so plurals and
+// "-ers" forms still match
+function nicheTerms(niche) {
+  return niche
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length >= 4 && !STOP_WORDS.has(w))
+    .map((w) => w.slice(0, Math.max(4, w.length - 3)));
+}
+
+// A niche with no usable terms ("CRM") can't be checked, so everything passes
+const mentionsNiche = (text, terms) => {
+  const lower = text.toLowerCase();
+  return terms.length === 0 || terms.some((t) => lower.includes(t));
+};
+
+const getJSON = (url, signal) => httpGetJSON(url, { headers: REDDIT_HEADERS, signal });
+
+function subredditOf(post) {
+  return normaliseSubreddit(post.subreddit ?? post.url?.match(/reddit\.com\/r\/([^/]+)/i)?.[1] ?? '');
+}
+
+// ─────────────────────────────────────────────
+// Discovery
+// ─────────────────────────────────────────────
+
+/**
+ * Rank subreddits for a niche.
+ *
+ * Score = 3 × early-hit share + search rank bonus + niche match in name or
+ * description + log10(subscribers) / 2. Pinned subreddits always make the
+ * cut and rank first; excluded and NSFW subreddits never do.
+ *
+ * @param {string} niche
+ * @param {Object} [options]
+ * @param {Array}    [options.seedPosts] - early global-search hits (url, subreddit)
+ * @param {string[]} [options.pinned]
+ * @param {string[]} [options.excluded]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{ name, score, subscribers, hits, pinned, description }>>}
+ */
+export async function discoverSubreddits(niche, { seedPosts = [], pinned = [], excluded = [], signal } = {}) {
+  const pins = pinned.map(normaliseSubreddit);
+  const excludes = new Set(excluded.map(normaliseSubreddit));
+  const terms = nicheTerms(niche);
+  const candidates = new Map(); // name → candidate
+
+  const candidate = (name) => {
+    if (!candidates.has(name)) {
+      candidates.set(name, { name, score: 0, subscribers: 0, hits: 0, pinned: false, description: '' });
+    }
+    return candidates.get(name);
+  };
+
+  // ── 1. Reddit's subreddit search ───────────────────────────────────────
+  try {
+    const url = `${REDDIT_ORIGIN}/subreddits/search.json?q=${encodeURIComponent(niche)}&limit=15&raw_json=1`;
+    const children = (await getJSON(url, signal))?.data?.children ?? [];
+
+    children.forEach(({ data }, rank) => {
+      const name = normaliseSubreddit(data?.display_name);
+      if (!name || data.over18 || data.subreddit_type !== 'public') return;
+      const c = candidate(name);
+      c.displayName = data.display_name;
+      c.subscribers = data.subscribers ?? 0;
+      c.description = truncate(data.public_description ?? '', 160);
+      c.score += 2 * (1 - rank / children.length);
+    });
+  } catch (err) {
+    signal?.throwIfAborted();
+    logger.warn(TAG, `Subreddit search failed for "${niche}": ${err.message}`);
+  }
+
+  // ── 2. Where the early hits were posted ────────────────────────────────
+  const seeded = seedPosts.map(subredditOf).filter(Boolean);
+  for (const name of seeded) candidate(name).hits += 1;
+
+  for (const c of candidates.values()) {
+    if (seeded.length) c.score += 3 * (c.hits / seeded.length);
+    if (mentionsNiche(`${c.name} ${c.description}`, terms)) c.score += 1;
+    if (c.subscribers > 0) c.score += Math.log10(c.subscribers) / 2;
+    c.score = Math.round(c.score * 100) / 100;
+  }
+
+  // ── 3. Pins first, then the best of the rest ───────────────────────────
+  for (const name of pins) {
+    const c = candidate(name);
+    c.pinned = true;
+  }
+
+  const ranked = [...candidates.values()]
+    .filter((c) => !excludes.has(c.name))
+    .filter((c) => c.pinned || c.score >= SUBREDDIT_MIN_SCORE)
+    .sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.score - a.score)
+    .slice(0, Math.max(SUBREDDIT_MAX, pins.length))
+    .map(({ displayName, ...c }) => ({ ...c, name: displayName ?? c.name }));
+
+  logger.success(TAG, `Chose ${ranked.length} subreddit(s) for "${niche}": ${ranked.map((c) => `r/${c.name}`).join(', ') || 'none'}`);
+  return ranked;
+}
+
+// ─────────────────────────────────────────────
+// Targeted crawl
+// ─────────────────────────────────────────────
+
+/**
+ * Read the top and new listings of each subreddit and keep on-niche pain
+ * posts. In a subreddit whose name or description already matches the niche,
+ * every post counts as on-niche; elsewhere the post itself has to mention it.
+ *
+ * @param {Array<{ name, description? }>} subreddits - from discoverSubreddits
+ * @param {string[]} queries - the niche and any broadened scout queries
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Array<{url, title, snippet, content, score, subreddit, source}>>}
+ */
+export async function crawlSubreddits(subreddits, queries, { signal } = {}) {
+  const terms = [...new Set(queries.flatMap(nicheTerms))];
+  const posts = [];
+
+  for (const sub of subreddits) {
+    const dedicated = mentionsNiche(`${sub.name} ${sub.description ?? ''}`, terms);
+    const kept = [];
+
+    for (const { sort, query: params } of LISTINGS) {
+      signal?.throwIfAborted();
+      try {
+        const url = `${REDDIT_ORIGIN}/r/${encodeURIComponent(sub.name)}/${sort}.json?${params}&raw_json=1`;
+        const children = (await getJSON(url, signal))?.data?.children ?? [];
+
+        for (const { data: post } of children) {
+          if (!post?.permalink || post.stickied) continue;
+          if (!post.is_self || ['[deleted]', '[removed]'].includes(post.selftext)) continue;
+
+          const text = `${post.title ?? ''}\n${post.selftext ?? ''}`;
+          if (!PAIN_SIGNAL_RE.test(text)) continue;
+          if (!dedicated && !mentionsNiche(text, terms)) continue;
+
+          kept.push({
+            url: `${REDDIT_ORIGIN}${post.permalink}`.split('?')[0],
+            title: post.title ?? '',
+            snippet: truncate((post.selftext ?? '').trim(), 300),
+            content: truncate((post.selftext ?? '').trim(), 2000),
+            score: post.score ?? 0,
+            subreddit: post.subreddit,
+            num_comments: post.num_comments,
+            created_at: fromUnixTime(post.created_utc),
+            source: 'reddit',
+          });
+        }
+      } catch (err) {
+        signal?.throwIfAborted();
+        logger.warn(TAG, `r/${sub.name}/${sort} failed: ${err.message}`);
+      }
+    }
+
+    // A post can be in both the top and new listings — count it once
+    const top = dedupeBy(kept, (p) => p.url).sort((a, b) => b.score - a.score).slice(0, POSTS_PER_SUBREDDIT);
+    logger.info(TAG, `r/${sub.name}: ${top.length} pain post(s)`);
+    posts.push(...top);
+  }
+
+  return posts;
+}
+
+/**
+ * Drop posts from excluded subreddits (global search hits can land there).
+ */
+export function withoutExcluded(posts, excluded = []) {
+  if (excluded.length === 0) return posts;
+  const excludes = new Set(excluded.map(normaliseSubreddit));
+  return posts.filter((p) => p.source !== 'reddit' || !excludes.has(subredditOf(p)));
+}
@@ -0,0 +1,460 @@
+/**
+ * Competitor Watchlist — scheduled re-verification with change diffs
+ *
+ * A gap confirmed by one run is a snapshot in time: competitors ship. The
+ * watchlist keeps competitors (and the checklist features we care about) in
+ * the run store and re-checks each on its own cron schedule:
+ *
+ *   resolveCompetitor → checkCompetitorGap → extractPricingPlans
+ *                     → judgeFeatureCoverage → snapshot → diff vs previous
+ *
+ * Every check stores a snapshot (page text, pricing plans, feature verdicts,
+ * a reference to its pricing screenshot in the artifact store) and a list of
+ * changes against the previous snapshot — "Buffer added a free tier", "Later
+ * now offers CSV export".
+ *
+ * Run store collections:
+ *   watchlist          → watch items, keyed by item id
+ *   watch-snapshots    → one record per check, keyed by snapshot id
+ *
+ * A snapshot lists every artifact its check saved (`artifactIds`). Pruned
+ * or removed snapshots take those artifacts with them unless another
+ * snapshot or a run report still uses them.
+ *
+ * Config:
+ *   WATCHLIST_SCHEDULER        (default on)        — "off" disables scheduled checks
+ *   WATCHLIST_DEFAULT_SCHEDULE (default 0 9 * * 1) — cron for items added without one
+ *   WATCHLIST_SNAPSHOTS_KEPT   (default 30)        — snapshots kept per item
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { nextCronTime } from '../utils/cron.js';
+import { getRunStore } from './runStore.js';
+import { resolveCompetitor } from './competitorResolver.js';
+import { verifyAllCompetitors } from './actionbookService.js';
+import { scrapeCompetitorPage } from './brightDataService.js';
+import { extractPricingPlans, judgeFeatureCoverage } from './llmService.js';
+import { deleteArtifact } from './artifactStore.js';
+
+const TAG = 'Watchlist';
+
+const ITEMS = 'watchlist';
+const SNAPSHOTS = 'watch-snapshots';
+
+export const DEFAULT_SCHEDULE = process.env.WATCHLIST_DEFAULT_SCHEDULE || '0 9 * * 1';
+const SNAPSHOTS_KEPT = Math.max(2, parseInt(process.env.WATCHLIST_SNAPSHOTS_KEPT ?? '30', 10) || 30);
+const TICK_MS = 60_000;
+const SNAPSHOT_TEXT_MAX_CHARS = 8000;
+const TEXT_SAMPLE_LINES = 5;
+
+// Checks in flight — itemId → AbortController
+const running = new Map();
+
+// Ids arrive from URLs — anything else can't name a record
+const isRecordId = (id) => typeof id === 'string' && /^[A-Za-z0-9-]+$/.test(id);
+
+// ─────────────────────────────────────────────
+// Watch items
+// ─────────────────────────────────────────────
+
+const withRunning = (item) => ({ ...item, running: running.has(item.id) });
+
+export function listWatchItems() {
+  return getRunStore()
+    .list(ITEMS)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(withRunning);
+}
+
+export function getWatchItem(id) {
+  if (!isRecordId(id)) return null;
+  const item = getRunStore().get(ITEMS, id);
+  return item && withRunning(item);
+}
+
+/**
+ * Add a competitor to the watchlist. Input is assumed validated by the route.
+ *
+ * @param {Object} input
+ * @param {string}   input.name
+ * @param {string}   input.pricingUrl
+ * @param {string}   [input.featuresUrl]
+ * @param {string}   [input.backup]
+ * @param {Array<{ id, feature }>} [input.checklist] - features to judge on every check
+ * @param {string}   [input.schedule]                - cron expression
+ * @param {string}   [input.niche]
+ */
+export function addWatchItem({ name, pricingUrl, featuresUrl, backup, checklist = [], schedule = DEFAULT_SCHEDULE, niche = null }) {
+  const now = new Date();
+  const item = {
+    id: uuidv4(),
+    name,
+    niche,
+    pricingUrl,
+    featuresUrl: featuresUrl ?? pricingUrl,
+    backup: backup ?? new URL(pricingUrl).origin,
+    checklist,
+    schedule,
+    createdAt: now.toISOString(),
+    nextRunAt: nextCronTime(schedule, now)?.toISOString() ?? null,
+    lastRunAt: null,
+    lastStatus: null,
+    lastChangeCount: 0,
+  };
+  getRunStore().put(ITEMS, item.id, item);
+  logger.success(TAG, `Watching ${name} (${schedule})`);
+  return withRunning(item);
+}
+
+/**
+ * Remove an item and its history; aborts a check in flight.
+ *
+ * @returns {Promise<boolean>} false when there is no such item
+ */
+export async function removeWatchItem(id) {
+  const store = getRunStore();
+  if (!isRecordId(id) || !store.get(ITEMS, id)) return false;
+
+  running.get(id)?.abort(new Error('Watch item removed'));
+  store.delete(ITEMS, id);
+  await deleteSnapshots(store.list(SNAPSHOTS).filter((s) => s.itemId === id));
+  logger.info(TAG, `Stopped watching ${id}`);
+  return true;
+}
+
+// ─────────────────────────────────────────────
+// Snapshots
+// ─────────────────────────────────────────────
+
+const summariseSnapshot = ({ text, screenshot, ...rest }) => ({ ...rest, screenshot: screenshot && { id: screenshot.id, url: screenshot.url } });
+
+/**
+ * Every item's snapshots from a single pass over the store: itemId → its
+ * snapshots, newest first, without page text or screenshot thumbnails.
+ */
+export function snapshotsByItem() {
+  const byItem = new Map();
+  for (const snapshot of getRunStore().list(SNAPSHOTS)) {
+    if (!byItem.has(snapshot.itemId)) byItem.set(snapshot.itemId, []);
+    byItem.get(snapshot.itemId).push(summariseSnapshot(snapshot));
+  }
+  for (const snapshots of byItem.values()) snapshots.sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+  return byItem;
+}
+
+/**
+ * An item's snapshots, newest first, without page text or screenshot thumbnails.
+ */
+export function listSnapshots(itemId) {
+  return snapshotsByItem().get(itemId) ?? [];
+}
+
+/**
+ * One full snapshot, with its page text. Null when it doesn't belong to the item.
+ */
+export function getSnapshot(itemId, snapshotId) {
+  if (!isRecordId(snapshotId)) return null;
+  const store = getRunStore();
+  const snapshot = store.get(SNAPSHOTS, snapshotId);
+  if (!snapshot || snapshot.itemId !== itemId) return null;
+  return snapshot;
+}
+
+const artifactIdsOfSnapshot = (snapshot) => [...(snapshot.artifactIds ?? []), snapshot.screenshot?.id].filter(Boolean);
+
+// Every artifact a check saved — the snapshot only shows the pricing
+// screenshot, but the full page, crops and step shots were stored too
+const artifactIdsOfResult = (result) => [...new Set([
+  result.screenshot,
+  result.fullPageScreenshot,
+  ...Object.values(result.evidence ?? {}).map((e) => e.screenshot),
+  ...(result.manual?.trace ?? []).map((step) => step.screenshot),
+].map((ref) => ref?.id).filter(Boolean))];
+
+/**
+ * Delete snapshots and the artifacts only they used. Artifact ids are
+ * content hashes, so an unchanged page shares its screenshots with other
+ * snapshots (or with the run report it was watched from) — those stay.
+ */
+async function deleteSnapshots(snapshots) {
+  if (!snapshots.length) return;
+  const store = getRunStore();
+  for (const snapshot of snapshots) store.delete(SNAPSHOTS, snapshot.id);
+
+  const orphans = new Set(snapshots.flatMap(artifactIdsOfSnapshot));
+  for (const kept of store.list(SNAPSHOTS)) {
+    for (const id of artifactIdsOfSnapshot(kept)) orphans.delete(id);
+  }
+  if (orphans.size) {
+    for (const report of store.list('reports')) {
+      const text = JSON.stringify(report);
+      for (const id of orphans) if (text.includes(id)) orphans.delete(id);
+    }
+  }
+
+  for (const id of orphans) await deleteArtifact(id);
+  if (orphans.size) logger.info(TAG, `Deleted ${orphans.size} unreferenced screenshot(s)`);
+}
+
+function pruneSnapshots(itemId) {
+  return deleteSnapshots(listSnapshots(itemId).slice(SNAPSHOTS_KEPT));
+}
+
+// ─────────────────────────────────────────────
+// Diffs
+// ─────────────────────────────────────────────
+
+const price = (value, currency, period) => (value === null || value === undefined ? 'no listed price' : `${value} ${currency}/${period}`);
+
+const hasFreeTier = (plans) => plans.some((p) => p.monthly_price === 0 || p.annual_price === 0);
+
+const meaningfulLines = (text) => new Set(
+  (text ?? '').split('\n').map((l) => l.replace(/\s+/g, ' ').trim()).filter((l) => l.length > 3)
+);
+
+/**
+ * Changes between two snapshots of the same competitor, as
+ * [{ kind, message, ...detail }]. Empty for the first snapshot.
+ *
+ * Kinds: status_changed, free_tier_added, free_tier_removed, plan_added,
+ * plan_removed, price_changed, limits_changed, feature_added,
+ * feature_removed, text_changed.
+ */
+export function diffSnapshots(before, after) {
+  if (!before) return [];
+  const name = after.name;
+  const changes = [];
+
+  if (before.status !== after.status) {
+    changes.push({ kind: 'status_changed', message: `Check status went from ${before.status} to ${after.status}`, before: before.status, after: after.status });
+  }
+  // A failed check says nothing about the competitor's pages
+  if (before.status !== 'ok' || after.status !== 'ok') return changes;
+
+  // ── Pricing plans ───────────────────────────────────────
+  const oldPlans = before.plans ?? [];
+  const newPlans = after.plans ?? [];
+
+  if (oldPlans.length && newPlans.length) {
+    if (!hasFreeTier(oldPlans) && hasFreeTier(newPlans)) changes.push({ kind: 'free_tier_added', message: `${name} added a free tier` });
+    if (hasFreeTier(oldPlans) && !hasFreeTier(newPlans)) changes.push({ kind: 'free_tier_removed', message: `${name} removed its free tier` });
+
+    const byName = (plans) => new Map(plans.map((p) => [p.name.toLowerCase(), p]));
+    const oldByName = byName(oldPlans);
+    const newByName = byName(newPlans);
+
+    for (const [key, plan] of newByName) {
+      const old = oldByName.get(key);
+      if (!old) {
+        changes.push({ kind: 'plan_added', message: `${name} added the "${plan.name}" plan (${price(plan.monthly_price, plan.currency, 'mo')})`, plan: plan.name });
+        continue;
+      }
+      for (const [field, period] of [['monthly_price', 'mo'], ['annual_price', 'yr']]) {
+        if (old[field] !== plan[field]) {
+          changes.push({
+            kind: 'price_changed',
+            message: `${name} changed "${plan.name}" from ${price(old[field], old.currency, period)} to ${price(plan[field], plan.currency, period)}`,
+            plan: plan.name,
+            field,
+            before: old[field],
+            after: plan[field],
+          });
+        }
+      }
+      const added = plan.limits.filter((l) => !old.limits.includes(l));
+      const removed = old.limits.filter((l) => !plan.limits.includes(l));
+      if (added.length || removed.length) {
+        changes.push({
+          kind: 'limits_changed',
+          message: `${name} changed "${plan.name}" limits: ${[...removed.map((l) => `−${l}`), ...added.map((l) => `+${l}`)].join(', ')}`,
+          plan: plan.name,
+          added,
+          removed,
+        });
+      }
+    }
+    for (const [key, plan] of oldByName) {
+      if (!newByName.has(key)) changes.push({ kind: 'plan_removed', message: `${name} dropped the "${plan.name}" plan`, plan: plan.name });
+    }
+  }
+
+  // ── Checklist features ─────────────────────────────────
+  // Unclear verdicts are noise — only a firm present ↔ absent flip counts
+  for (const [id, verdict] of Object.entries(after.gaps ?? {})) {
+    const old = before.gaps?.[id];
+    if (!old || old.status === verdict.status || old.status === 'unclear' || verdict.status === 'unclear') continue;
+    changes.push(verdict.status === 'present'
+      ? { kind: 'feature_added', message: `${name} now offers ${verdict.feature} (gap closed)`, feature: id, excerpt: verdict.excerpt }
+      : { kind: 'feature_removed', message: `${name} no longer lists ${verdict.feature} (gap reopened)`, feature: id });
+  }
+
+  // ── Raw page text ──────────────────────────────────────
+  for (const page of ['pricing', 'features']) {
+    const oldLines = meaningfulLines(before.text?.[page]);
+    const newLines = meaningfulLines(after.text?.[page]);
+    if (oldLines.size === 0 || newLines.size === 0) continue;
+
+    const added = [...newLines].filter((l) => !oldLines.has(l));
+    const removed = [...oldLines].filter((l) => !newLines.has(l));
+    if (added.length || removed.length) {
+      changes.push({
+        kind: 'text_changed',
+        message: `${page[0].toUpperCase()}${page.slice(1)} page text changed: +${added.length} / −${removed.length} lines`,
+        page,
+        added: added.slice(0, TEXT_SAMPLE_LINES),
+        removed: removed.slice(0, TEXT_SAMPLE_LINES),
+      });
+    }
+  }
+
+  return changes;
+}
+
+// ─────────────────────────────────────────────
+// Checks
+// ─────────────────────────────────────────────
+
+export const isCheckRunning = (id) => running.has(id);
+
+/**
+ * Re-verify one watch item now and store the snapshot.
+ * Resolves to the snapshot, or null when the item is gone or already being
+ * checked.
+ */
+export async function runWatchCheck(itemId) {
+  const item = getRunStore().get(ITEMS, itemId);
+  if (!item || running.has(itemId)) return null;
+
+  const controller = new AbortController();
+  const { signal } = controller;
+  running.set(itemId, controller);
+  logger.info(TAG, `Checking ${item.name}`);
+
+  const takenAt = new Date();
+  const snapshot = {
+    id: `${itemId}-${takenAt.getTime()}`,
+    itemId,
+    name: item.name,
+    takenAt: takenAt.toISOString(),
+    status: 'failed',
+    pricingUrl: item.pricingUrl,
+    featuresUrl: item.featuresUrl,
+    text: { pricing: '', features: '' },
+    plans: [],
+    gaps: {},
+    notes: '',
+    screenshot: null,
+    hasScreenshot: false,
+    artifactIds: [],
+  };
+
+  try {
+    const resolved = await resolveCompetitor(item, { signal });
+    snapshot.pricingUrl = resolved.pricingUrl;
+    snapshot.featuresUrl = resolved.featuresUrl;
+
+    if (!resolved.verified) {
+      snapshot.status = 'unverified';
+      snapshot.notes = 'Pricing page could not be verified.';
+    } else {
+      const [result] = await verifyAllCompetitors(
+        (_type, data) => logger.info(TAG, `[${item.name}] ${data.message}`),
+        [resolved],
+        { signal }
+      );
+
+      snapshot.text = {
+        pricing: result.pageText?.pricing ?? '',
+        features: result.pageText?.features ?? '',
+      };
+      if (!snapshot.text.pricing) {
+        const scraped = await scrapeCompetitorPage(resolved.pricingUrl, { signal });
+        if (scraped.success) snapshot.text.pricing = scraped.content.slice(0, SNAPSHOT_TEXT_MAX_CHARS);
+      }
+      snapshot.screenshot = result.screenshot;
+      snapshot.artifactIds = artifactIdsOfResult(result);
+
+      if (snapshot.text.pricing) {
+        const pageText = [snapshot.text.pricing, snapshot.text.features].filter(Boolean).join('\n\n');
+        const [plans, gaps] = await Promise.all([
+          extractPricingPlans(item.name, snapshot.text.pricing, { signal }),
+          judgeFeatureCoverage(item.name, pageText, item.checklist, { signal }),
+        ]);
+        snapshot.plans = plans;
+        snapshot.gaps = gaps;
+        snapshot.status = 'ok';
+      } else {
+        snapshot.notes = result.notes || 'No page text captured.';
+      }
+    }
+  } catch (err) {
+    logger.warn(TAG, `Check failed for ${item.name}: ${err.message}`);
+    snapshot.notes = signal.aborted ? 'Check aborted.' : `Check failed: ${err.message}`;
+  } finally {
+    running.delete(itemId);
+  }
+
+  const store = getRunStore();
+  // Removed while the check was running — nothing to record against
+  if (!store.get(ITEMS, itemId)) return null;
+
+  const previous = listSnapshots(itemId)[0];
+  snapshot.previousId = previous?.id ?? null;
+  snapshot.changes = diffSnapshots(previous && store.get(SNAPSHOTS, previous.id), snapshot);
+  snapshot.hasScreenshot = Boolean(snapshot.screenshot);
+
+  store.put(SNAPSHOTS, snapshot.id, snapshot);
+  await pruneSnapshots(itemId);
+
+  const now = new Date();
+  store.put(ITEMS, itemId, {
+    ...store.get(ITEMS, itemId),
+    lastRunAt: snapshot.takenAt,
+    lastStatus: snapshot.status,
+    lastChangeCount: snapshot.changes.length,
+    nextRunAt: nextCronTime(item.schedule, now)?.toISOString() ?? null,
+  });
+
+  for (const change of snapshot.changes) logger.success(TAG, change.message);
+  logger.info(TAG, `${item.name}: ${snapshot.status}, ${snapshot.changes.length} change(s)`);
+  return snapshot;
+}
+
+// ─────────────────────────────────────────────
+// Scheduler
+// ─────────────────────────────────────────────
+
+let timer = null;
+let ticking = false;
+
+// Due items are checked one at a time — each check drives a browser
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = Date.now();
+    const due = getRunStore().list(ITEMS).filter((item) => item.nextRunAt && Date.parse(item.nextRunAt) <= now);
+    for (const item of due) await runWatchCheck(item.id);
+  } catch (err) {
+    logger.warn(TAG, `Scheduler tick failed: ${err.message}`);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start checking due watch items once a minute. Items whose schedule passed
+ * while the server was down run on the first tick.
+ */
+export function startWatchlistScheduler() {
+  if (timer || (process.env.WATCHLIST_SCHEDULER ?? 'on').toLowerCase() === 'off') return;
+  timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  logger.info(TAG, `Scheduler started (${getRunStore().list(ITEMS).length} watched competitor(s))`);
+}
+
+export function stopWatchlistScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
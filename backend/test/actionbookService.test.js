@@ -0,0 +1,162 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The ActionBook CLI is served from exec fixtures written below; the browser
+// is a stub, so the page logic runs without Chromium. Set before the service
+// loads: replay config is read from the env.
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'actionbook-fixtures-'));
+Object.assign(process.env, { REPLAY_MODE: 'replay', REPLAY_DIR: fixtureDir });
+
+const { checkCompetitorGap } = await import('../services/actionbookService.js');
+
+after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+const JPEG = Buffer.from('ffd8ffe0', 'hex');
+
+function writeCliFixture(args, response) {
+  const request = { cmd: ['actionbook', ...args].join(' ') };
+  const hash = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+  fs.mkdirSync(path.join(fixtureDir, 'exec'), { recursive: true });
+  fs.writeFileSync(path.join(fixtureDir, 'exec', `${hash}-0.json`), JSON.stringify({ channel: 'exec', request, response }));
+}
+
+const SITE = {
+  'https://acme.test/pricing': {
+    text: 'Acme pricing\nStarter $10 per month\nPro $25 per month',
+    selectors: { '[data-billing=annual]': [], '.compare-table': ['Pro includes payment reminders'] },
+  },
+  'https://acme.test/features': {
+    text: 'Acme features\nAutomatic payment reminders\nClient portal',
+    selectors: {},
+  },
+};
+
+/**
+ * Just enough of a Puppeteer page for checkCompetitorGap: pages are plain
+ * text, selectors are a per-URL lookup, and page functions are told apart by
+ * what they read.
+ */
+function stubBrowser({ failNavigation = false } = {}) {
+  const calls = { screenshots: [], clicks: [], contextsClosed: 0 };
+  let current = null;
+
+  const page = {
+    setViewport: async () => {},
+    setUserAgent: async () => {},
+    url: () => current ?? '',
+    goto: async (url) => {
+      if (failNavigation || !SITE[url]) throw new Error(`net::ERR_NAME_NOT_RESOLVED at ${url}`);
+      current = url;
+    },
+    evaluate: async (fn) => {
+      const src = fn.toString();
+      if (src.includes('scrollX')) return { x: 0, y: 0 };
+      if (src.includes('scrollHeight')) return 1600;
+      return SITE[current].text;
+    },
+    screenshot: async (opts) => {
+      calls.screenshots.push(opts);
+      return opts.type === 'jpeg' ? JPEG : PNG;
+    },
+    waitForSelector: async (selector) => {
+      if (!(selector in SITE[current].selectors)) throw new Error(`Waiting for selector \`${selector}\` failed`);
+    },
+    click: async (selector) => calls.clicks.push(selector),
+    $$eval: async (selector, fn) => fn(SITE[current].selectors[selector].map((innerText) => ({ innerText }))),
+    evaluateHandle: async (_fn, phrase) => {
+      const line = SITE[current].text.split('\n').find((l) => l.toLowerCase().includes(phrase.toLowerCase()));
+      return {
+        asElement: () => (line ? { evaluate: async () => line, screenshot: async () => PNG } : null),
+        dispose: async () => {},
+      };
+    },
+  };
+
+  const browser = {
+    createBrowserContext: async () => ({
+      newPage: async () => page,
+      close: async () => { calls.contextsClosed++; },
+    }),
+  };
+  return { getBrowser: async () => browser, calls };
+}
+
+const isDataUrl = (value, mimeType, magic) =>
+  value.startsWith(`data:${mimeType};base64,`) && Buffer.from(value.split(',')[1], 'base64').subarray(0, magic.length).equals(magic);
+
+const acme = {
+  name: 'Acme',
+  pricingUrl: 'https://acme.test/pricing',
+  featuresUrl: 'https://acme.test/features',
+  backup: 'https://acme.test/pricing',
+};
+
+test('checkCompetitorGap runs the manual, captures both pages and crops evidence', { timeout: 20_000 }, async () => {
+  writeCliFixture(['search', 'acme pricing page navigation', '--json'], { stdout: '[{"id":"acme-pricing"}]', stderr: '' });
+  writeCliFixture(['get', 'acme-pricing', '--json'], {
+    stdout: JSON.stringify({
+      id: 'acme-pricing',
+      steps: [
+        { type: 'Click', selector: '#annual-toggle', fallbacks: ['[data-billing=annual]'] },
+        { action: 'get_text', selector: '.compare-table' },
+      ],
+    }),
+    stderr: '',
+  });
+
+  const { getBrowser, calls } = stubBrowser();
+  const events = [];
+  const checklist = [
+    { id: 'reminders', feature: 'payment reminders' },
+    { id: 'starter', feature: 'Starter' },
+    { id: 'payroll', feature: 'payroll' },
+  ];
+  const result = await checkCompetitorGap(acme, (type, data) => events.push(data), { getBrowser, checklist });
+
+  assert.equal(result.success, true, result.notes);
+  assert.deepEqual(calls.clicks, ['[data-billing=annual]']);
+  assert.equal(calls.contextsClosed, 1);
+
+  // Manual trace: stale selector replaced by its fallback, extract feeds the page text
+  assert.deepEqual(result.manual.trace.map((s) => [s.action, s.status, s.usedSelector]), [
+    ['click', 'ok', '[data-billing=annual]'],
+    ['extract', 'ok', '.compare-table'],
+  ]);
+  assert.equal(result.manual.trace[0].fallbackUsed, true);
+  assert.ok(isDataUrl(result.manual.trace[0].screenshot, 'image/jpeg', JPEG));
+  assert.match(result.pageText.pricing, /Starter \$10 per month[\s\S]*Pro includes payment reminders/);
+  assert.match(result.pageText.features, /Client portal/);
+
+  // Captures are typed by the format they were taken in
+  assert.ok(isDataUrl(result.screenshot, 'image/png', PNG));
+  assert.ok(isDataUrl(result.thumbnail, 'image/jpeg', JPEG));
+  assert.ok(isDataUrl(result.fullPageScreenshot, 'image/png', PNG));
+  assert.deepEqual(calls.screenshots.find((s) => s.type === 'jpeg' && s.clip)?.clip, { x: 0, y: 0, width: 1280, height: 800, scale: 0.25 });
+
+  // Evidence comes from whichever page mentions the feature first
+  assert.deepEqual(Object.keys(result.evidence).sort(), ['reminders', 'starter']);
+  assert.equal(result.evidence.starter.page, 'pricing');
+  assert.equal(result.evidence.reminders.page, 'features');
+  assert.equal(result.evidence.reminders.text, 'Automatic payment reminders');
+  assert.ok(isDataUrl(result.evidence.reminders.screenshot, 'image/png', PNG));
+
+  const actions = events.map((e) => e.action);
+  for (const action of ['starting', 'manual', 'step', 'screenshot', 'evidence']) assert.ok(actions.includes(action), action);
+});
+
+test('checkCompetitorGap reports an unreachable site as an unsuccessful check', async () => {
+  const { getBrowser, calls } = stubBrowser({ failNavigation: true });
+  const events = [];
+  const result = await checkCompetitorGap({ ...acme, name: 'Nowhere' }, (type, data) => events.push(data), { getBrowser });
+
+  assert.equal(result.success, false);
+  assert.match(result.notes, /^Could not complete verification: net::ERR_NAME_NOT_RESOLVED/);
+  assert.equal(result.screenshot, null);
+  assert.equal(events.at(-1).action, 'error');
+  assert.equal(calls.contextsClosed, 1);
+});
@@ -0,0 +1,238 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import { setTimeout as delay } from 'timers/promises';
+
+// Runs started through the routes replay a copy of the synthetic-run
+// fixtures and park at the approval checkpoint. Set before the services
+// load: their config is read at import time.
+const backendDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-routes-'));
+const fixtureDir = path.join(tmp, 'fixtures');
+fs.cpSync(path.join(backendDir, 'fixtures/synthetic-run'), fixtureDir, { recursive: true });
+Object.assign(process.env, {
+  REPLAY_MODE: 'replay',
+  REPLAY_DIR: fixtureDir,
+  RUN_STORE: 'memory',
+  ARTIFACT_DIR: path.join(tmp, 'artifacts'),
+  LLM_PROVIDER: 'openai',
+});
+for (const name of ['OPENAI_MODEL', 'OPENAI_EMBEDDING_MODEL', 'LLM_SKILL_MODELS', 'ARTIFACT_STORE']) delete process.env[name];
+
+const { default: agentRoutes } = await import('../routes/agent.js');
+const { getRunStore } = await import('../services/runStore.js');
+
+// The session the fixtures were recorded under
+const SESSION_ID = '25f4a587-c1f7-49ee-8168-415d6a6d1218';
+
+// The recorded run never paused for approval, so it has no fixtures for the
+// two messages an approval adds to the session: the approver's decision and
+// the report update that records it
+function addSessionMessage(role, content) {
+  const request = { op: 'sessions.storeMessage', role, sessionId: SESSION_ID };
+  const hash = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+  const n = fs.readdirSync(path.join(fixtureDir, 'acontext')).filter((f) => f.startsWith(`${hash}-`)).length;
+  const fixture = { channel: 'acontext', request, response: { role, content, createdAt: '2026-10-19T17:43:30.000Z' } };
+  fs.writeFileSync(path.join(fixtureDir, 'acontext', `${hash}-${n}.json`), JSON.stringify(fixture));
+}
+addSessionMessage('user', '[APPROVAL] approve');
+addSessionMessage('assistant', '[DISK:market_gap_report] {}');
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/agent', agentRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}/api/agent`;
+});
+after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const post = (route, body = {}) =>
+  fetch(`${base}/${route}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+const get = async (route) => (await fetch(`${base}/${route}`)).json();
+
+const TERMINAL = ['complete', 'complete_with_warnings', 'insufficient_evidence', 'cancelled', 'error', 'interrupted'];
+
+async function waitForStatus(runId, statuses) {
+  const deadline = Date.now() + 30_000;
+  let status;
+  do {
+    ({ status } = await get(`status/${runId}`));
+    if (statuses.includes(status) || TERMINAL.includes(status)) return status;
+    await delay(25);
+  } while (Date.now() < deadline);
+  return status;
+}
+
+async function startParkedRun(options = {}) {
+  const res = await post('start', {
+    niche: 'freelance invoicing',
+    requireApproval: true,
+    sources: ['reddit'],
+    minPosts: 3,
+    maxScoutRetries: 0,
+    portfolioSize: 1,
+    ...options,
+  });
+  assert.equal(res.status, 202);
+  const { runId } = await res.json();
+  assert.equal(await waitForStatus(runId, ['awaiting_approval']), 'awaiting_approval');
+  return runId;
+}
+
+const INVOICEFLOW = { name: 'InvoiceFlow', pricingUrl: 'http://127.0.0.1:4791/invoiceflow/pricing', featuresUrl: 'http://127.0.0.1:4791/invoiceflow/features' };
+const BILLPILOT = { name: 'BillPilot', pricingUrl: 'http://127.0.0.1:4791/billpilot/pricing', featuresUrl: 'http://127.0.0.1:4791/billpilot/features' };
+
+test('approve rejects unknown runs and malformed decisions without resuming', { timeout: 60_000 }, async () => {
+  assert.equal((await post('approve/no-such-run', { action: 'approve' })).status, 404);
+
+  const runId = await startParkedRun();
+  const cases = [
+    [{ action: 'reject' }, /^action must be one of: approve, runner_up/],
+    [{ gapKeyword: '   ' }, /^gapKeyword must be a non-empty string/],
+    [{ competitors: 'InvoiceFlow' }, /^competitors must be a non-empty array/],
+    // Every proposed competitor removed
+    [{ competitors: [] }, /^competitors must be a non-empty array/],
+    [{ competitors: [INVOICEFLOW, { name: 'BillPilot', pricingUrl: 'ftp://127.0.0.1/pricing' }] }, /^competitors must be/],
+    [{ competitors: [{ ...INVOICEFLOW, featuresUrl: 'features' }] }, /^competitors must be/],
+    [{ competitors: [{ ...INVOICEFLOW, backup: 'javascript:alert(1)' }] }, /^competitors must be/],
+    [{ competitors: [{ ...INVOICEFLOW, name: 'InvoiceFlow; rm -rf ~' }] }, /^competitors must be/],
+    [{ competitors: [{ ...INVOICEFLOW, name: 'x'.repeat(61) }] }, /^competitors must be/],
+  ];
+  for (const [body, error] of cases) {
+    const res = await post(`approve/${runId}`, body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.match((await res.json()).error, error);
+  }
+
+  assert.equal((await get(`status/${runId}`)).status, 'awaiting_approval');
+  assert.ok(!(await get(`events/${runId}`)).events.some((e) => e.type === 'approval_received'));
+});
+
+test('approve continues the run with the edited competitors', { timeout: 60_000 }, async () => {
+  const runId = await startParkedRun();
+
+  // Names are trimmed and a missing backup falls back to the pricing page's origin
+  const res = await post(`approve/${runId}`, {
+    action: 'approve',
+    competitors: [{ ...INVOICEFLOW, name: '  InvoiceFlow ' }, { ...BILLPILOT, name: 'BillPilot\t' }],
+  });
+  assert.equal(res.status, 202);
+  assert.deepEqual(await res.json(), { runId, action: 'approve', message: 'Plan approved — validation continuing' });
+
+  assert.equal(await waitForStatus(runId, []), 'complete');
+  const { events } = await get(`events/${runId}`);
+  assert.equal(events.find((e) => e.type === 'approval_received').action, 'approve');
+  assert.deepEqual(events.find((e) => e.type === 'approval_applied').competitors, ['InvoiceFlow', 'BillPilot']);
+
+  const report = await get(`report/${runId}`);
+  assert.deepEqual(report.competitorResults.map((r) => r.name), ['InvoiceFlow', 'BillPilot']);
+
+  const again = await post(`approve/${runId}`, { action: 'approve' });
+  assert.equal(again.status, 409);
+  assert.equal((await again.json()).error, 'Run is complete — nothing to approve');
+});
+
+test('cancel stops a run parked for approval, once', { timeout: 60_000 }, async () => {
+  assert.equal((await post('cancel/no-such-run')).status, 404);
+
+  const runId = await startParkedRun();
+  const res = await post(`cancel/${runId}`);
+  assert.equal(res.status, 202);
+  assert.deepEqual(await res.json(), { runId, message: 'Cancellation requested' });
+
+  assert.equal((await get(`status/${runId}`)).status, 'cancelled');
+  const { events } = await get(`events/${runId}`);
+  const cancelled = events.at(-1);
+  assert.equal(cancelled.type, 'cancelled');
+  assert.ok(cancelled.taskBlocks.length > 0);
+  assert.ok(cancelled.taskBlocks.every((b) => !['pending', 'running'].includes(b.status)));
+
+  const again = await post(`cancel/${runId}`);
+  assert.equal(again.status, 409);
+  assert.equal((await again.json()).error, 'Run is cancelled — only running or awaiting-approval runs can be cancelled');
+  assert.equal((await post(`approve/${runId}`, { action: 'approve' })).status, 409);
+});
+
+test('start validates and normalises the pinned and excluded subreddits', { timeout: 60_000 }, async () => {
+  const start = (body) => post('start', { niche: 'freelance invoicing', ...body });
+  const cases = [
+    { pinSubreddits: 'r/freelance' },
+    { excludeSubreddits: Array.from({ length: 11 }, (_, i) => `sub${i}`) },
+    { pinSubreddits: ['r/freelance', 'small business'] },
+    { excludeSubreddits: ['r/x'] },
+    { pinSubreddits: [null] },
+  ];
+  for (const body of cases) {
+    const res = await start(body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal((await res.json()).error, 'pinSubreddits and excludeSubreddits must be arrays of at most 10 subreddit names');
+  }
+
+  const both = await start({ pinSubreddits: ['r/Freelance'], excludeSubreddits: ['/r/freelance'] });
+  assert.equal(both.status, 400);
+  assert.equal((await both.json()).error, 'A subreddit cannot be both pinned and excluded');
+
+  const runId = await startParkedRun({ pinSubreddits: ['r/Freelance', ' freelance '] });
+  const { events } = await get(`events/${runId}`);
+  assert.deepEqual(events.find((e) => e.type === 'subreddits_selected').subreddits.map((s) => [s.name, s.pinned]), [['freelance', true]]);
+});
+
+test('resume restarts a failed run at the node that failed', { timeout: 60_000 }, async () => {
+  assert.equal((await post('resume/no-such-run')).status, 404);
+
+  const runId = await startParkedRun();
+  const parked = await post(`resume/${runId}`);
+  assert.equal(parked.status, 409);
+  assert.equal((await parked.json()).error, 'Run is awaiting_approval — only interrupted or failed runs can be resumed');
+
+  // Knock out the approver's message fixture so the approval fails once;
+  // the retry after the resume gets the next one
+  const request = { op: 'sessions.storeMessage', role: 'user', sessionId: SESSION_ID };
+  const hash = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+  const fixture = (n) => path.join(fixtureDir, 'acontext', `${hash}-${n}.json`);
+  fs.renameSync(fixture(1), fixture(2));
+  try {
+    assert.equal((await post(`approve/${runId}`, { action: 'approve' })).status, 202);
+    assert.equal(await waitForStatus(runId, []), 'error');
+
+    const res = await post(`resume/${runId}`);
+    assert.equal(res.status, 202);
+    assert.deepEqual(await res.json(), { runId, resumeFrom: ['approval'], message: 'Agent pipeline resumed' });
+    assert.equal(await waitForStatus(runId, []), 'complete');
+  } finally {
+    fs.renameSync(fixture(2), fixture(1));
+  }
+
+  // The approval was re-applied from the checkpoint, not asked for again
+  const { events } = await get(`events/${runId}`);
+  const afterResume = events.slice(events.findIndex((e) => e.type === 'run_resumed'));
+  assert.ok(!afterResume.some((e) => e.type === 'awaiting_approval'));
+  assert.deepEqual(afterResume.find((e) => e.type === 'approval_applied').competitors, ['InvoiceFlow', 'BillPilot']);
+  assert.deepEqual(afterResume.filter((e) => e.type === 'phase_start').map((e) => e.phase), ['validate', 'brief']);
+
+  const done = await post(`resume/${runId}`);
+  assert.equal(done.status, 409);
+  assert.equal((await done.json()).error, 'Run is complete — only interrupted or failed runs can be resumed');
+});
+
+test('resume refuses a failed run with no checkpoint', async () => {
+  getRunStore().put('runs', 'no-checkpoint', { runId: 'no-checkpoint', status: 'error', niche: 'freelance invoicing', startedAt: new Date().toISOString() });
+
+  const res = await post('resume/no-checkpoint');
+  assert.equal(res.status, 409);
+  assert.equal((await res.json()).error, 'No checkpoint to resume from — start a new run instead');
+  assert.equal((await get('status/no-checkpoint')).status, 'error');
+});
@@ -0,0 +1,49 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// No cache or pacing between probes. Set before the resolver loads: the
+// HTTP client reads its config at import time.
+Object.assign(process.env, { HTTP_CACHE_TTL: '0', HTTP_HOST_MIN_INTERVAL_MS: '0' });
+delete process.env.REPLAY_MODE;
+
+const { resolveCompetitor } = await import('../services/competitorResolver.js');
+
+const nav = '<nav><a href="/">Home</a> <a href="/pricing">Pricing</a> <a href="/features">Features</a></nav>';
+const page = (title, body) => `<html><head><title>${title}</title><script>window.cfg = { promo: "$5 off" };</script></head><body>${nav}${body}</body></html>`;
+
+const SITE = {
+  'https://acme.test': page('Acme', '<h1>Invoicing for freelancers</h1><p>Start your free trial today.</p>'),
+  'https://acme.test/plans': page('Acme pricing', '<h1>Pricing</h1><p>Talk to us about pricing for your team.</p>'),
+  'https://acme.test/pricing': page('Acme pricing', '<h1>Plans</h1><p>Starter $12 per month. Pro $29 per month.</p>'),
+  'https://acme.test/features': page('Acme features', '<h1>Features</h1><ul><li>Payment reminders</li></ul>'),
+};
+
+const realFetch = globalThis.fetch;
+before(() => {
+  globalThis.fetch = async (url) => {
+    const html = SITE[String(url).replace(/\/$/, '')];
+    return html
+      ? new Response(html, { status: 200, headers: { 'content-type': 'text/html' } })
+      : new Response('not found', { status: 404 });
+  };
+});
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('a page that only says "pricing" in its nav, title or heading is not a pricing page', async () => {
+  const resolved = await resolveCompetitor({
+    name: 'Acme',
+    pricingUrl: 'https://acme.test/plans',
+    featuresUrl: 'https://acme.test/features',
+    backup: 'https://acme.test',
+  });
+
+  assert.equal(resolved.verified, true);
+  assert.equal(resolved.pricingUrl, 'https://acme.test/pricing');
+  assert.deepEqual(resolved.resolution.pricing.tried.map((t) => [t.url, t.source, t.reason]), [
+    ['https://acme.test/plans', 'guess', 'no prices or plans on the page'],
+    ['https://acme.test/pricing', 'homepage', null],
+  ]);
+  assert.equal(resolved.featuresUrl, 'https://acme.test/features');
+});
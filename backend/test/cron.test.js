@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCron, isValidCron, nextCronTime } from '../utils/cron.js';
+
+test('parseCron expands ranges, lists and steps', () => {
+  const cron = parseCron('*/15 9-11 1,15 * 1-5');
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hour], [9, 10, 11]);
+  assert.deepEqual([...cron.dayOfMonth], [1, 15]);
+  assert.equal(cron.month.size, 12);
+  assert.equal(cron.anyDayOfMonth, false);
+  assert.equal(cron.anyDayOfWeek, false);
+});
+
+test('parseCron accepts presets and 7 as Sunday', () => {
+  assert.deepEqual([...parseCron('@weekly').dayOfWeek], [0]);
+  assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+});
+
+test('isValidCron rejects malformed expressions', () => {
+  assert.equal(isValidCron('0 * * * *'), true);
+  assert.equal(isValidCron('@daily'), true);
+  assert.equal(isValidCron('0 * * *'), false);
+  assert.equal(isValidCron('60 * * * *'), false);
+  assert.equal(isValidCron('5-1 * * * *'), false);
+  assert.equal(isValidCron('*/0 * * * *'), false);
+  assert.equal(isValidCron('every day'), false);
+});
+
+test('nextCronTime returns the first match strictly after `from`', () => {
+  const from = new Date(2026, 0, 5, 10, 30, 45); // Mon 5 Jan 2026, 10:30:45
+  assert.deepEqual(nextCronTime('*/15 * * * *', from), new Date(2026, 0, 5, 10, 45));
+  assert.deepEqual(nextCronTime('30 10 * * *', from), new Date(2026, 0, 6, 10, 30));
+  assert.deepEqual(nextCronTime('@monthly', from), new Date(2026, 1, 1, 0, 0));
+});
+
+test('nextCronTime matches either day field when both are restricted', () => {
+  const from = new Date(2026, 0, 5, 12, 0); // Monday
+  // The 20th, or any Wednesday — Wednesday 7 Jan comes first
+  assert.deepEqual(nextCronTime('0 0 20 * 3', from), new Date(2026, 0, 7, 0, 0));
+});
+
+test('nextCronTime finds leap days and gives up on impossible dates', () => {
+  assert.deepEqual(nextCronTime('0 0 29 2 *', new Date(2026, 0, 1)), new Date(2028, 1, 29, 0, 0));
+  assert.equal(nextCronTime('0 0 31 2 *', new Date(2026, 0, 1)), null);
+  assert.equal(nextCronTime('0 0 31 2,4,6,9,11 *', new Date(2026, 0, 1)), null);
+});
+
+test('nextCronTime looks far enough ahead for 29 Feb across 2100', () => {
+  assert.deepEqual(nextCronTime('0 0 29 2 *', new Date(2097, 0, 1)), new Date(2104, 1, 29, 0, 0));
+  assert.deepEqual(nextCronTime('0 0 30 2,4 *', new Date(2026, 0, 1)), new Date(2026, 3, 30, 0, 0));
+  // With the day of week restricted too, either day field matches
+  assert.deepEqual(nextCronTime('0 9 31 2 1', new Date(2026, 1, 1)), new Date(2026, 1, 2, 9, 0));
+});
@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Set before the client loads: its config is read at import time
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+Object.assign(process.env, {
+  HTTP_CACHE_DIR: cacheDir,
+  HTTP_CACHE_TTL: '3600',
+  HTTP_CACHE_MAX_ENTRIES: '3',
+  HTTP_HOST_MIN_INTERVAL_MS: '0',
+});
+delete process.env.REPLAY_MODE;
+
+const { httpGetJSON } = await import('../utils/httpClient.js');
+
+const requested = [];
+const realFetch = globalThis.fetch;
+before(() => {
+  globalThis.fetch = async (url) => {
+    requested.push(String(url));
+    return new Response(JSON.stringify({ url: String(url) }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+});
+after(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+// Left behind by earlier runs; mtime is when an entry expires
+function seedEntry(name, expiresInMs) {
+  const file = path.join(cacheDir, `${name}.json`);
+  fs.writeFileSync(file, '{}');
+  const expiresAt = new Date(Date.now() + expiresInMs);
+  fs.utimesSync(file, expiresAt, expiresAt);
+}
+
+test('the first cached response sweeps out expired entries and caps the cache', async () => {
+  seedEntry('expired', -1000);
+  seedEntry('expiring-soon', 10_000);
+  seedEntry('half-hour', 30 * 60_000);
+  seedEntry('two-hours', 2 * 3600_000);
+
+  await httpGetJSON('https://www.reddit.com/search.json?q=invoices');
+
+  const names = fs.readdirSync(cacheDir).sort();
+  assert.equal(names.length, 3);
+  assert.ok(names.includes('half-hour.json'));
+  assert.ok(names.includes('two-hours.json'));
+  assert.ok(!names.includes('expired.json'));
+  assert.ok(!names.includes('expiring-soon.json'));
+});
+
+test('cached responses are served until their TTL runs out', async () => {
+  const url = 'https://hn.algolia.com/api/v1/search?query=invoices';
+  const first = await httpGetJSON(url, { cacheTtl: 60 });
+  const second = await httpGetJSON(url, { cacheTtl: 60 });
+  assert.deepEqual(second, first);
+  assert.equal(requested.filter((u) => u === url).length, 1);
+
+  // Uncached (cacheTtl 0) requests always go out
+  await httpGetJSON(url, { cacheTtl: 0 });
+  assert.equal(requested.filter((u) => u === url).length, 2);
+});
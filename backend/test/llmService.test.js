@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { batchByTokens, mergePainPoints, describeRepair } from '../services/llmService.js';
+
+test('batchByTokens fills each batch up to the token budget', () => {
+  // ~4 chars per token: a 100-token budget holds 400 characters
+  const blocks = Array.from({ length: 5 }, (_, i) => `${i}`.repeat(150));
+  const batches = batchByTokens(blocks, 100);
+  assert.deepEqual(batches.map((b) => b.length), [2, 2, 1]);
+  assert.deepEqual(batches.flat(), blocks);
+});
+
+test('batchByTokens truncates a block over budget and sends it alone', () => {
+  const long = Array.from({ length: 200 }, () => 'word').join(' ');
+  const batches = batchByTokens(['short', long, 'tail'], 100);
+  assert.equal(batches.length, 3);
+  assert.ok(batches[1][0].length <= 401);
+  assert.ok(batches[1][0].endsWith('…'));
+  assert.deepEqual(batchByTokens([], 100), []);
+});
+
+test('mergePainPoints merges the same quote from the same source at its highest intensity', () => {
+  const url = 'https://www.reddit.com/r/saas/comments/abc/';
+  const merged = mergePainPoints([
+    [
+      { problem: 'Exports break', verbatim_quote: 'CSV exports break every week!', source_url: url, intensity: 'low' },
+      { problem: 'Exports are slow', verbatim_quote: 'exports take an hour', source_url: url, intensity: 'medium' },
+    ],
+    [
+      { problem: 'Broken exports', verbatim_quote: 'csv exports break every week', source_url: `${url.toUpperCase()}/`, intensity: 'high' },
+      // Same words, different citation — clustering counts it, so it stays
+      { problem: 'Exports break', verbatim_quote: 'CSV exports break every week!', source_url: 'https://news.ycombinator.com/item?id=1', intensity: 'low' },
+      { problem: 'No audit log', source_url: url, intensity: 'medium' },
+      { problem: 'no audit log.', source_url: url, intensity: 'low' },
+    ],
+  ]);
+
+  assert.equal(merged.length, 4);
+  assert.deepEqual(merged[0], { problem: 'Exports break', verbatim_quote: 'CSV exports break every week!', source_url: url, intensity: 'high' });
+  assert.deepEqual(merged.map((p) => p.problem), ['Exports break', 'Exports are slow', 'Exports break', 'No audit log']);
+  assert.equal(merged[3].intensity, 'medium');
+});
+
+test('describeRepair only mentions repair attempts that were made', () => {
+  assert.equal(describeRepair({ skill: 'rankAndSelectProblem', attempts: 1, repaired: true }), 'rankAndSelectProblem: invalid output repaired after 1 retry');
+  assert.equal(describeRepair({ skill: 'rankAndSelectProblem', attempts: 2, repaired: false }), 'rankAndSelectProblem: output still invalid after 2 repair attempts — using fallback');
+  assert.equal(describeRepair({ skill: 'rankAndSelectProblem', attempts: 1, repaired: false }), 'rankAndSelectProblem: output still invalid after 1 repair attempt — using fallback');
+  // LLM_REPAIR_RETRIES=0
+  assert.equal(describeRepair({ skill: 'rankAndSelectProblem', attempts: 0, repaired: false }), 'rankAndSelectProblem: output invalid and repairs are off — using fallback');
+});
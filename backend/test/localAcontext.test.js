@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.RUN_STORE = 'memory';
+
+const { createLocalAcontextClient } = await import('../services/localAcontext.js');
+const { getRunStore } = await import('../services/runStore.js');
+
+test('messages are appended to the session log, not rewritten into the session', async () => {
+  const { sessions, learningSpaces } = createLocalAcontextClient();
+  const { id } = await sessions.create();
+
+  await sessions.storeMessage(id, { role: 'assistant', content: '[SCOUT] Found 12 posts' });
+  await sessions.storeMessage(id, { role: 'assistant', content: '[BRAIN] Top problem: late invoices' });
+  await sessions.storeMessage(id, { role: 'assistant', content: '[BRIEF] Get paid on time' });
+
+  assert.equal(getRunStore().get('acontext-sessions', id).messages, undefined);
+  assert.equal(getRunStore().readLog('acontext-messages', id).length, 3);
+  assert.deepEqual((await sessions.getMessages(id)).items.map((m) => m.content.slice(0, 7)), ['[SCOUT]', '[BRAIN]', '[BRIEF]']);
+
+  await sessions.flush(id);
+  assert.equal(await sessions.getSessionSummary(id), 'SCOUT: Found 12 posts\nBRAIN: Top problem: late invoices\nBRIEF: Get paid on time');
+
+  const space = await learningSpaces.create();
+  await learningSpaces.learn(space.id, { sessionId: id });
+  const [skill] = await learningSpaces.listSkills(space.id);
+  assert.equal(skill.id, id);
+
+  await assert.rejects(sessions.storeMessage('missing', { content: 'x' }), /session missing not found/);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Set before the interpreter loads: the cap is read at import time
+process.env.MANUAL_MAX_SCREENSHOTS = '2';
+
+const { runManualSteps } = await import('../services/manualInterpreter.js');
+
+const JPEG = Buffer.from('ffd8ffe0', 'hex');
+
+/**
+ * A page whose selectors are a lookup of selector → the innerText of each
+ * match; anything else never appears.
+ */
+function fakePage(selectors, { url = 'https://acme.test/pricing' } = {}) {
+  const calls = { goto: [], clicks: [], screenshots: 0 };
+  let current = url;
+  const page = {
+    url: () => current,
+    goto: async (to) => {
+      calls.goto.push(to);
+      current = to;
+    },
+    waitForSelector: async (selector) => {
+      if (!(selector in selectors)) throw new Error(`Waiting for selector \`${selector}\` failed`);
+    },
+    click: async (selector) => calls.clicks.push(selector),
+    $$: async (selector) => selectors[selector].map((text) => ({ click: async () => calls.clicks.push(`${selector} → ${text}`) })),
+    $$eval: async (selector, fn) => fn(selectors[selector].map((innerText) => ({ innerText }))),
+    screenshot: async () => {
+      calls.screenshots++;
+      return JPEG;
+    },
+  };
+  return { page, calls };
+}
+
+test('step actions are read from any of their aliases and field names', { timeout: 10_000 }, async () => {
+  const { page, calls } = fakePage({
+    '#annual': [],
+    '.faq summary': ['Billing', 'Refunds'],
+    '.compare-table': ['Pro includes payment reminders', ''],
+  });
+  const { trace, extracted, succeeded, failed } = await runManualSteps(page, {
+    id: 'acme-pricing',
+    steps: [
+      { type: 'Tap', css: '#annual' },
+      { op: 'wait-for', target: '.compare-table' },
+      { command: 'Expand All', selector: '.faq summary' },
+      { action: 'Get Text', selector: '.compare-table' },
+      { action: 'goto', href: '/features' },
+      { action: 'hover', selector: '#annual' },
+    ],
+  });
+
+  assert.deepEqual(trace.map((t) => [t.action, t.status]), [
+    ['click', 'ok'],
+    ['wait', 'ok'],
+    ['expand', 'ok'],
+    ['extract', 'ok'],
+    ['navigate', 'ok'],
+    ['hover', 'skipped'],
+  ]);
+  assert.equal(trace[5].error, 'unsupported step');
+  assert.deepEqual([succeeded, failed], [5, 0]);
+
+  assert.deepEqual(calls.clicks, ['#annual', '.faq summary → Billing', '.faq summary → Refunds']);
+  assert.equal(trace[2].detail, 'expanded 2/2');
+  assert.deepEqual(extracted, [{ selector: '.compare-table', text: 'Pro includes payment reminders' }]);
+  // Relative URLs resolve against the current page
+  assert.deepEqual(calls.goto, ['https://acme.test/features']);
+});
+
+test('a stale selector falls back to the listed alternatives, then the step label', async () => {
+  const { page } = fakePage({
+    '.plans-v2': ['Starter $10'],
+    '::-p-text(Compare plans)': ['Compare plans'],
+  });
+  const { trace, extracted } = await runManualSteps(page, {
+    steps: [
+      { action: 'extract', selector: '.plans', fallbacks: ['.pricing-grid'], alternatives: '.plans-v2' },
+      { action: 'extract', selector: '#compare', label: 'Compare plans' },
+      { action: 'extract', selector: '.plans' },
+    ],
+  });
+
+  assert.deepEqual(trace.map((t) => [t.status, t.usedSelector, t.fallbackUsed]), [
+    ['ok', '.plans-v2', true],
+    ['ok', '::-p-text(Compare plans)', true],
+    ['failed', null, undefined],
+  ]);
+  assert.equal(trace[2].error, 'selector not found');
+  assert.deepEqual(extracted.map((e) => e.text), ['Starter $10', 'Compare plans']);
+});
+
+test('a manual is abandoned as stale after 3 failed steps in a row', async () => {
+  const { page } = fakePage({ '.price': ['$10'] });
+  const steps = ['.gone', '.gone', '.price', '.gone', '.gone', '.gone', '.price', '.price']
+    .map((selector) => ({ action: 'extract', selector }));
+  const { trace, succeeded, failed } = await runManualSteps(page, { steps });
+
+  // A success resets the count; the third failure in a row ends the manual
+  assert.deepEqual(trace.map((t) => t.status), ['failed', 'failed', 'ok', 'failed', 'failed', 'failed', 'skipped', 'skipped']);
+  assert.equal(trace[6].error, 'manual looks stale — step not attempted');
+  assert.deepEqual([succeeded, failed], [1, 5]);
+});
+
+test('only page-changing steps are screenshotted, up to MANUAL_MAX_SCREENSHOTS', { timeout: 10_000 }, async () => {
+  const { page, calls } = fakePage({ '#annual': [], '.price': ['$10'] });
+  const seen = [];
+  const { trace } = await runManualSteps(page, {
+    steps: [
+      { action: 'extract', selector: '.price' },
+      { action: 'click', selector: '#annual' },
+      { action: 'click', selector: '#annual' },
+      { action: 'click', selector: '#annual' },
+    ],
+  }, { onStep: (entry) => seen.push(entry.index) });
+
+  assert.equal(calls.screenshots, 2);
+  assert.deepEqual(trace.map((t) => Boolean(t.screenshot)), [false, true, true, false]);
+  assert.equal(trace[1].screenshot, `data:image/jpeg;base64,${JPEG.toString('base64')}`);
+  assert.deepEqual(seen, [0, 1, 2, 3]);
+});
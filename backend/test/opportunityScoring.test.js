@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  OPPORTUNITY_FACTORS,
+  competitorCoverage,
+  isScoringWeights,
+  markSelected,
+  resolveScoringWeights,
+  scoreOpportunities,
+} from '../services/opportunityScoring.js';
+
+const cluster = (id, metrics, members) => ({
+  id,
+  members,
+  metrics: { posts: metrics.mentions, comments: 0, replies: 0, ageDays: null, ...metrics },
+});
+
+const clusters = [
+  cluster('c1', { mentions: 4, upvotes: 120 }, [
+    { problem: 'Late invoices', verbatim_quote: "I'd happily pay for automatic reminders", intensity: 'high' },
+    { problem: 'Late invoices', intensity: 'high' },
+    { problem: 'Late invoices', intensity: 'medium' },
+    { problem: 'Late invoices', intensity: 'medium' },
+  ]),
+  cluster('c2', { mentions: 2, upvotes: 10 }, [
+    { problem: 'Calendar sync', intensity: 'low' },
+    { problem: 'Calendar sync', intensity: 'low' },
+  ]),
+];
+
+const ranking = {
+  top_problem: 'Calendar sync',
+  cluster_id: 'c2',
+  ranked_pain_points: [
+    { problem: 'Calendar sync', cluster_id: 'c2', gap_keyword: 'sync' },
+    { problem: 'Late invoices', cluster_id: 'c1', gap_keyword: 'reminders' },
+  ],
+};
+
+test('candidates are ranked by measured score, not by the model\'s order', () => {
+  const { rows, explanation } = scoreOpportunities(ranking, clusters, { weights: resolveScoringWeights() });
+  assert.deepEqual(rows.map((r) => [r.rank, r.cluster_id, r.candidate]), [[1, 'c1', 1], [2, 'c2', 0]]);
+  assert.match(explanation, /^"Late invoices" scored [\d.]+ vs [\d.]+ for "Calendar sync": ahead on /);
+
+  // Unmeasured factors are left out, so contributions still add up to the score
+  const [best] = rows;
+  assert.equal(best.factors.recency.contribution, null);
+  assert.equal(best.factors.competitor_coverage.contribution, null);
+  const total = OPPORTUNITY_FACTORS.reduce((sum, name) => sum + (best.factors[name].contribution ?? 0), 0);
+  assert.ok(Math.abs(total - best.score) < 0.5);
+  assert.equal(best.factors.frequency.value, 1);
+  assert.equal(best.factors.willingness_to_pay.value, 0.25);
+});
+
+test('competitor coverage counts present/absent judgements of verified competitors', () => {
+  const coverage = competitorCoverage([
+    { verified: true, gaps: { a: { status: 'present' }, b: { status: 'absent' }, c: { status: 'unclear' } } },
+    { verified: true, gaps: { a: { status: 'absent' } } },
+    { verified: false, gaps: { a: { status: 'present' } } },
+  ]);
+  assert.deepEqual(coverage, { offered: 1, judged: 3 });
+  assert.equal(competitorCoverage([{ verified: false, gaps: { a: { status: 'present' } } }]), null);
+
+  const { rows } = scoreOpportunities(ranking, clusters, { coverage: { c1: coverage, c2: { offered: 3, judged: 3 } } });
+  const invoices = rows.find((r) => r.cluster_id === 'c1');
+  assert.equal(invoices.factors.competitor_coverage.value, 0.67);
+  assert.notEqual(invoices.factors.competitor_coverage.contribution, null);
+  assert.equal(rows.find((r) => r.cluster_id === 'c2').factors.competitor_coverage.contribution, 0);
+});
+
+test('competitor coverage is shown but not scored until every candidate has it', () => {
+  const before = scoreOpportunities(ranking, clusters);
+  const { rows } = scoreOpportunities(ranking, clusters, { coverage: { c2: { offered: 0, judged: 4 } } });
+
+  const sync = rows.find((r) => r.cluster_id === 'c2');
+  assert.equal(sync.factors.competitor_coverage.value, 1);
+  assert.equal(sync.factors.competitor_coverage.contribution, null);
+  assert.match(sync.factors.competitor_coverage.detail, /not scored until every candidate is validated/);
+  assert.deepEqual(rows.map((r) => [r.cluster_id, r.score]), before.rows.map((r) => [r.cluster_id, r.score]));
+});
+
+test('weights: overrides merge over the defaults and all-zero is rejected', () => {
+  assert.equal(isScoringWeights({ frequency: 1 }), true);
+  assert.equal(isScoringWeights({ novelty: 1 }), false);
+  assert.equal(isScoringWeights({ frequency: -1 }), false);
+
+  const onlyIntensity = Object.fromEntries(OPPORTUNITY_FACTORS.map((name) => [name, name === 'intensity' ? 1 : 0]));
+  const { rows } = scoreOpportunities(ranking, clusters, { weights: resolveScoringWeights(onlyIntensity) });
+  assert.deepEqual(rows.map((r) => r.score), [75, 0]);
+
+  assert.throws(() => resolveScoringWeights(Object.fromEntries(OPPORTUNITY_FACTORS.map((name) => [name, 0]))), /At least one scoring weight/);
+});
+
+test('markSelected flags the run\'s top problem by cluster', () => {
+  const scoring = markSelected(scoreOpportunities(ranking, clusters), ranking);
+  assert.deepEqual(scoring.rows.map((r) => [r.cluster_id, r.selected]), [['c1', false], ['c2', true]]);
+});
+
+test('a ranking without candidates scores its top problem alone', () => {
+  const { rows, explanation } = scoreOpportunities({ top_problem: 'Late invoices', cluster_id: 'c1' }, clusters);
+  assert.equal(rows.length, 1);
+  assert.match(explanation, /only candidate/);
+});
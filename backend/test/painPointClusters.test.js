@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { clusterPainPoints } from '../services/painPointClusters.js';
+
+const thread = (id, subreddit = 'freelance') => `https://www.reddit.com/r/${subreddit}/comments/${id}/`;
+
+const rawPosts = [
+  { url: thread('a'), subreddit: 'freelance', score: 40, num_comments: 12, comments: [{ url: `${thread('a')}c1/`, score: 9 }] },
+  { url: thread('b', 'smallbusiness'), subreddit: 'smallbusiness', score: 15, num_comments: 3 },
+  { url: 'https://news.ycombinator.com/item?id=1', source: 'hackernews', score: 8, num_comments: 5 },
+];
+
+const painPoints = [
+  { problem: 'Chasing clients for late invoice payments', verbatim_quote: 'I chase late invoices every month', source_url: thread('a'), intensity: 'high', category: 'cost' },
+  { problem: 'Late invoice payments need manual chasing', verbatim_quote: 'no automatic reminders for late invoices', source_url: `${thread('a')}c1/`, intensity: 'medium', category: 'workflow' },
+  { problem: 'Manually chasing late invoice payments', verbatim_quote: 'chasing payments takes days', source_url: thread('b', 'smallbusiness'), intensity: 'low', category: 'workflow' },
+  { problem: 'Calendar sync between tools keeps failing', verbatim_quote: 'my calendar sync broke again', source_url: 'https://news.ycombinator.com/item?id=1', intensity: 'medium', category: 'workflow' },
+];
+
+test('similar pain points share a cluster with measured counts', async () => {
+  const { method, clusters } = await clusterPainPoints(painPoints, rawPosts, { method: 'lexical' });
+  assert.equal(method, 'lexical');
+  assert.equal(clusters.length, 2);
+
+  const [invoices, calendar] = clusters;
+  assert.equal(invoices.id, 'c1');
+  assert.equal(invoices.members.length, 3);
+  assert.equal(invoices.intensity, 'high');
+  assert.equal(invoices.category, 'workflow');
+  assert.deepEqual(invoices.metrics, {
+    mentions: 3,
+    posts: 2,
+    comments: 1,
+    upvotes: 40 + 9 + 15,
+    replies: 12 + 3,
+    ageDays: null,
+    subreddits: ['freelance', 'smallbusiness'],
+    sources: { reddit: 3 },
+  });
+
+  assert.equal(calendar.id, 'c2');
+  assert.equal(calendar.problem, 'Calendar sync between tools keeps failing');
+  assert.deepEqual(calendar.metrics.sources, { hackernews: 1 });
+});
+
+test('no pain points means no clusters', async () => {
+  assert.deepEqual(await clusterPainPoints([], rawPosts, { method: 'lexical' }), { method: 'none', clusters: [] });
+});
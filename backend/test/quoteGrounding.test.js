@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildQuoteCorpus, groundQuote } from '../services/quoteGrounding.js';
+
+const POST = 'https://www.reddit.com/r/freelance/comments/abc/invoicing/';
+const COMMENT = 'https://www.reddit.com/r/freelance/comments/abc/invoicing/c1/';
+const OTHER = 'https://www.reddit.com/r/smallbusiness/comments/xyz/taxes/';
+
+const corpus = buildQuoteCorpus([
+  {
+    url: POST,
+    title: 'Invoicing is killing me',
+    content: 'Every month I spend two full days chasing clients who “forgot” to pay their invoices.',
+    comments: [{ url: COMMENT, body: "Same here — my accounting tool can't send automatic payment reminders at all." }],
+  },
+  { url: OTHER, title: 'Quarterly taxes', content: 'Working out quarterly estimated taxes by hand every single time is miserable.' },
+]);
+
+test('a quote found in the cited post is verified as cited', () => {
+  const grounding = groundQuote('I spend two full days chasing clients who "forgot" to pay', POST, corpus);
+  assert.deepEqual(grounding, { verified: true, score: 1, url: POST, corrected: false });
+});
+
+test('a quote from one of the cited post\'s comments is pinned to the comment', () => {
+  const grounding = groundQuote("my accounting tool can't send automatic payment reminders", POST, corpus);
+  assert.equal(grounding.verified, true);
+  assert.equal(grounding.url, COMMENT);
+  assert.equal(grounding.corrected, true);
+  assert.equal(grounding.cited_url, POST);
+});
+
+test('a quote cited from the wrong post is corrected to where it was found', () => {
+  const grounding = groundQuote('working out quarterly estimated taxes by hand', POST, corpus);
+  assert.deepEqual(grounding, { verified: true, score: 1, url: OTHER, corrected: true, cited_url: POST });
+});
+
+test('small wording differences still match; free-text sources are not corrected', () => {
+  const grounding = groundQuote('Working out quarterly estimated taxes by hand each single time is miserable', 'r/smallbusiness', corpus);
+  assert.equal(grounding.verified, true);
+  assert.equal(grounding.url, OTHER);
+  assert.equal(grounding.corrected, false);
+  assert.ok(grounding.score >= 0.85 && grounding.score < 1);
+});
+
+test('paraphrases and short inexact quotes are unverified', () => {
+  const paraphrase = groundQuote('Getting clients to settle their bills on time takes forever', POST, corpus);
+  assert.equal(paraphrase.verified, false);
+  assert.equal(paraphrase.url, null);
+  assert.equal(groundQuote('chasing late clients', POST, corpus).verified, false);
+  assert.equal(groundQuote('chasing clients', POST, corpus).verified, true);
+});
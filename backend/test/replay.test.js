@@ -0,0 +1,86 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as delay } from 'timers/promises';
+
+// Replays fixtures/synthetic-run — one run from scout to brief, recorded
+// against canned upstreams (see its README). Set before the services load:
+// their config is read at import time.
+const artifactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-artifacts-'));
+Object.assign(process.env, {
+  REPLAY_MODE: 'replay',
+  REPLAY_DIR: 'fixtures/synthetic-run',
+  RUN_STORE: 'memory',
+  ARTIFACT_DIR: artifactDir,
+  LLM_PROVIDER: 'openai',
+});
+// Anything that changes a request would miss its fixture
+for (const name of ['OPENAI_MODEL', 'OPENAI_EMBEDDING_MODEL', 'LLM_SKILL_MODELS', 'ARTIFACT_STORE']) delete process.env[name];
+
+const { startRun, getActiveRun, getRunEvents, TERMINAL_STATUSES } = await import('../services/agentOrchestrator.js');
+const { readReport } = await import('../services/acontextService.js');
+const { readArtifact } = await import('../services/artifactStore.js');
+
+const MAGIC = { 'image/png': '89504e47', 'image/jpeg': 'ffd8ff' };
+const magicOf = (buffer, mimeType) => buffer.subarray(0, MAGIC[mimeType].length / 2).toString('hex') === MAGIC[mimeType];
+
+after(() => fs.rmSync(artifactDir, { recursive: true, force: true }));
+
+async function waitForRun(runId, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const run = getActiveRun(runId);
+    if (TERMINAL_STATUSES.has(run.status)) return run;
+    await delay(50);
+  }
+  throw new Error(`Run ${runId} did not finish within ${timeoutMs}ms`);
+}
+
+test('a recorded run replays to a complete report without touching the network', { timeout: 60_000 }, async () => {
+  const realFetch = globalThis.fetch;
+  const fetched = [];
+  globalThis.fetch = async (url) => {
+    fetched.push(String(url));
+    throw new Error(`Network call during replay: ${url}`);
+  };
+
+  try {
+    const runId = await startRun('freelance invoicing', { sources: ['reddit'], minPosts: 3, maxScoutRetries: 0, portfolioSize: 1 });
+    const run = await waitForRun(runId, 45_000);
+
+    assert.deepEqual(fetched, []);
+    assert.equal(run.status, 'complete', run.error);
+
+    const report = readReport(run.sessionId);
+    assert.equal(report.status, 'complete');
+    assert.equal(report.topProblem.top_problem, 'Chasing late invoice payments with manual reminders');
+    assert.equal(report.opportunityBrief.headline, 'Get paid on time without chasing a single client');
+    assert.ok(report.painPoints.length > 0);
+    assert.ok(report.quoteGrounding.verified > 0);
+    assert.ok(report.opportunityScores.rows.length > 1);
+
+    // Competitor checks come back from the browser channel, screenshots saved as artifacts
+    assert.deepEqual(report.competitorResults.map((c) => [c.name, c.verified, c.success]), [
+      ['InvoiceFlow', true, true],
+      ['BillPilot', true, true],
+    ]);
+    assert.ok(report.competitorResults.every((c) => c.screenshot?.id && c.plans?.length));
+
+    // Stored bytes match the MIME type they are served under
+    for (const { screenshot } of report.competitorResults) {
+      const artifact = await readArtifact(screenshot.id);
+      assert.equal(artifact.mimeType, screenshot.mimeType);
+      assert.ok(magicOf(artifact.buffer, artifact.mimeType), `${screenshot.id} is not ${artifact.mimeType}`);
+      const [, thumbMime, thumbBase64] = screenshot.thumbnail.match(/^data:([^;]+);base64,(.+)$/);
+      assert.ok(magicOf(Buffer.from(thumbBase64, 'base64'), thumbMime), `${screenshot.id} thumbnail is not ${thumbMime}`);
+    }
+
+    const events = getRunEvents(runId).map((e) => e.type);
+    assert.ok(events.includes('browser_action'));
+    assert.equal(events.at(-1), 'done');
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
@@ -0,0 +1,78 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { setTimeout as delay } from 'timers/promises';
+
+// A run killed mid-pipeline resumes from its last checkpoint in a new
+// process. The synthetic-run fixtures stand in for every upstream; runs and
+// checkpoints go to a JSON run store both processes share.
+const backendDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'resume-'));
+Object.assign(process.env, {
+  REPLAY_MODE: 'replay',
+  REPLAY_DIR: 'fixtures/synthetic-run',
+  RUN_STORE: 'json',
+  RUN_STORE_DIR: path.join(tmp, 'store'),
+  ARTIFACT_DIR: path.join(tmp, 'artifacts'),
+  LLM_PROVIDER: 'openai',
+});
+for (const name of ['OPENAI_MODEL', 'OPENAI_EMBEDDING_MODEL', 'LLM_SKILL_MODELS', 'ARTIFACT_STORE']) delete process.env[name];
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Runs the pipeline and exits the moment the plan node starts, like a crash
+// right after brain finished
+const CRASH_AFTER_BRAIN = `
+const { startRun, getActiveRun } = await import('./services/agentOrchestrator.js');
+const runId = await startRun('freelance invoicing', { sources: ['reddit'], minPosts: 3, maxScoutRetries: 0, portfolioSize: 1 });
+getActiveRun(runId).emitter.on('event', (event) => {
+  if (event.type === 'phase_log' && event.message.startsWith('Identifying real competitors')) process.exit(0);
+});
+`;
+
+test('an interrupted run resumes after its last finished node without re-running it', { timeout: 120_000 }, async () => {
+  const child = spawnSync(process.execPath, ['--input-type=module', '-e', CRASH_AFTER_BRAIN], {
+    cwd: backendDir,
+    env: process.env,
+    encoding: 'utf8',
+    timeout: 60_000,
+  });
+  assert.equal(child.status, 0, child.stderr);
+
+  const { markInterruptedRuns, resumeRun, getActiveRun, getRunEvents, TERMINAL_STATUSES } = await import('../services/agentOrchestrator.js');
+  const { getRunStore } = await import('../services/runStore.js');
+  const { readReport } = await import('../services/acontextService.js');
+
+  assert.equal(markInterruptedRuns(), 1);
+  const [{ runId }] = getRunStore().list('runs');
+  assert.equal(getActiveRun(runId).status, 'interrupted');
+
+  // Pruned to the checkpoint after brain
+  const saved = getRunStore().readLog('checkpoints', runId).filter(([kind]) => kind === 'checkpoint');
+  assert.equal(saved.length, 1);
+
+  const resumed = await resumeRun(runId);
+  assert.deepEqual(resumed.resumeFrom, ['plan']);
+
+  const deadline = Date.now() + 60_000;
+  while (!TERMINAL_STATUSES.has(getActiveRun(runId).status) && Date.now() < deadline) await delay(50);
+  const run = getActiveRun(runId);
+  assert.equal(run.status, 'complete', run.error);
+
+  const events = getRunEvents(runId);
+  const afterResume = events.slice(events.findIndex((e) => e.type === 'run_resumed'));
+  const phases = afterResume.filter((e) => e.type === 'phase_start').map((e) => e.phase);
+  assert.deepEqual(phases, ['validate', 'brief']);
+  assert.equal(afterResume.at(-1).type, 'done');
+
+  const report = readReport(run.sessionId);
+  assert.equal(report.topProblem.top_problem, 'Chasing late invoice payments with manual reminders');
+  assert.equal(report.opportunityBrief.headline, 'Get paid on time without chasing a single client');
+
+  // A finished run's thread is gone
+  assert.deepEqual(getRunStore().readLog('checkpoints', runId), []);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateSchema } from '../utils/schema.js';
+
+const POINT = {
+  type: 'object',
+  required: ['problem', 'intensity'],
+  properties: {
+    problem: { type: 'string', minLength: 1 },
+    intensity: { type: 'string', enum: ['high', 'medium', 'low'] },
+    score: { type: 'integer', minimum: 1, maximum: 10 },
+    source_url: { type: ['string', 'null'], pattern: '^https?://' },
+  },
+};
+
+test('a valid value has no errors, and extra properties are allowed', () => {
+  assert.deepEqual(validateSchema(POINT, { problem: 'Exports break', intensity: 'high', score: 7, extra: true }), []);
+  assert.deepEqual(validateSchema(POINT, { problem: 'Exports break', intensity: 'low', source_url: null }), []);
+});
+
+test('errors name the path and the expectation', () => {
+  assert.deepEqual(validateSchema(POINT, { problem: ' ', intensity: 'severe', score: 11, source_url: 'r/saas' }), [
+    '$.problem must be a non-empty string',
+    '$.intensity must be one of "high", "medium", "low" (got "severe")',
+    '$.score must be ≤ 10',
+    '$.source_url must match ^https?:// (got "r/saas")',
+  ]);
+  assert.deepEqual(validateSchema(POINT, {}), ['$.problem is required', '$.intensity is required']);
+});
+
+test('type mismatches stop at the mismatched value', () => {
+  assert.deepEqual(validateSchema(POINT, []), ['$ must be object (got array)']);
+  assert.deepEqual(validateSchema({ type: 'integer' }, 1.5), ['$ must be integer (got number)']);
+  assert.deepEqual(validateSchema({ type: 'number' }, 3), []);
+});
+
+test('array bounds and items are checked', () => {
+  const list = { type: 'array', minItems: 1, maxItems: 2, items: POINT };
+  assert.deepEqual(validateSchema(list, []), ['$ must contain at least 1 item(s)']);
+  assert.deepEqual(validateSchema(list, [{ problem: 'a', intensity: 'high' }, { problem: 'b' }, { problem: 'c', intensity: 'low' }]), [
+    '$ must contain at most 2 item(s)',
+    '$[1].intensity is required',
+  ]);
+});
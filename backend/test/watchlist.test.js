@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Every competitor site is unreachable, so a check ends quickly as
+// 'unverified'. Set before the services load: their config is read at
+// import time.
+const artifactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-artifacts-'));
+Object.assign(process.env, {
+  RUN_STORE: 'memory',
+  ARTIFACT_STORE: 'disk',
+  ARTIFACT_DIR: artifactDir,
+  WATCHLIST_SNAPSHOTS_KEPT: '2',
+  HTTP_CACHE_TTL: '0',
+  HTTP_HOST_MIN_INTERVAL_MS: '0',
+});
+for (const name of ['REPLAY_MODE', 'BRIGHTDATA_API_TOKEN']) delete process.env[name];
+
+const { diffSnapshots, addWatchItem, removeWatchItem, runWatchCheck, listSnapshots } = await import('../services/watchlist.js');
+const { saveArtifact, readArtifact } = await import('../services/artifactStore.js');
+const { getRunStore } = await import('../services/runStore.js');
+
+const realFetch = globalThis.fetch;
+before(() => {
+  globalThis.fetch = async () => new Response('not found', { status: 404 });
+});
+after(() => {
+  globalThis.fetch = realFetch;
+  fs.rmSync(artifactDir, { recursive: true, force: true });
+});
+
+const plan = (name, monthly, limits = []) => ({ name, monthly_price: monthly, annual_price: null, currency: 'USD', limits, features: [] });
+
+const snapshot = (overrides) => ({
+  name: 'Acme',
+  status: 'ok',
+  plans: [],
+  gaps: {},
+  text: { pricing: '', features: '' },
+  ...overrides,
+});
+
+test('diffSnapshots reports plan, price, limit and feature changes', () => {
+  const before = snapshot({
+    plans: [plan('Starter', 10, ['3 clients']), plan('Pro', 25), plan('Legacy', 5)],
+    gaps: {
+      reminders: { feature: 'payment reminders', status: 'absent' },
+      portal: { feature: 'client portal', status: 'unclear' },
+    },
+    text: { pricing: 'Starter $10\nPro $25\nLegacy $5', features: '' },
+  });
+  const after = snapshot({
+    plans: [plan('Free', 0), plan('Starter', 12, ['5 clients']), plan('Pro', 25)],
+    gaps: {
+      reminders: { feature: 'payment reminders', status: 'present', excerpt: 'Automatic reminders' },
+      portal: { feature: 'client portal', status: 'present' },
+    },
+    text: { pricing: 'Free $0\nStarter $12\nPro $25', features: '' },
+  });
+
+  const changes = diffSnapshots(before, after);
+  assert.deepEqual(changes.map((c) => c.kind), [
+    'free_tier_added',
+    'plan_added',
+    'price_changed',
+    'limits_changed',
+    'plan_removed',
+    'feature_added',
+    'text_changed',
+  ]);
+  assert.equal(changes.find((c) => c.kind === 'price_changed').message, 'Acme changed "Starter" from 10 USD/mo to 12 USD/mo');
+  assert.deepEqual(changes.find((c) => c.kind === 'limits_changed').added, ['5 clients']);
+  assert.equal(changes.find((c) => c.kind === 'feature_added').message, 'Acme now offers payment reminders (gap closed)');
+  assert.deepEqual(changes.find((c) => c.kind === 'text_changed').removed, ['Starter $10', 'Legacy $5']);
+});
+
+test('diffSnapshots ignores page content when either check failed', () => {
+  assert.deepEqual(diffSnapshots(null, snapshot({})), []);
+
+  const changes = diffSnapshots(snapshot({ plans: [plan('Pro', 25)] }), snapshot({ status: 'failed', plans: [] }));
+  assert.deepEqual(changes.map((c) => [c.kind, c.before, c.after]), [['status_changed', 'ok', 'failed']]);
+});
+
+const png = (n) => `data:image/png;base64,${Buffer.from([0x89, 0x50, 0x4e, 0x47, n]).toString('base64')}`;
+const artifactExists = async (id) => Boolean(await readArtifact(id));
+
+test('pruned and removed snapshots delete only the screenshots nothing else uses', async () => {
+  const store = getRunStore();
+  const item = addWatchItem({ name: 'Acme', pricingUrl: 'https://acme.test/pricing' });
+
+  const onlyOldest = await saveArtifact(png(1));
+  const shared = await saveArtifact(png(2));
+  const inReport = await saveArtifact(png(3));
+  store.put('reports', 'session-1', { competitorResults: [{ name: 'Acme', screenshot: inReport }] });
+
+  const seed = (n, artifacts) => store.put('watch-snapshots', `${item.id}-${n}`, snapshot({
+    id: `${item.id}-${n}`,
+    itemId: item.id,
+    takenAt: new Date(Date.UTC(2026, 0, n)).toISOString(),
+    screenshot: artifacts[0],
+    artifactIds: artifacts.map((a) => a.id),
+  }));
+  seed(1, [onlyOldest, shared]);
+  seed(2, [inReport]);
+  seed(3, [shared]);
+
+  // A fresh check pushes the two oldest snapshots out (WATCHLIST_SNAPSHOTS_KEPT=2)
+  const latest = await runWatchCheck(item.id);
+  assert.equal(latest.status, 'unverified');
+  assert.deepEqual(listSnapshots(item.id).map((s) => s.id), [latest.id, `${item.id}-3`]);
+
+  assert.equal(await artifactExists(onlyOldest.id), false);
+  assert.equal(fs.existsSync(path.join(artifactDir, onlyOldest.id)), false);
+  assert.equal(await artifactExists(shared.id), true);
+  assert.equal(await artifactExists(inReport.id), true);
+
+  assert.equal(await removeWatchItem(item.id), true);
+  assert.deepEqual(listSnapshots(item.id), []);
+  assert.equal(await artifactExists(shared.id), false);
+  assert.equal(await artifactExists(inReport.id), true);
+  assert.equal(await removeWatchItem(item.id), false);
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+process.env.RUN_STORE = 'memory';
+
+const { default: watchlistRoutes } = await import('../routes/watchlist.js');
+const { getRunStore } = await import('../services/runStore.js');
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/watchlist', watchlistRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}/api/watchlist`;
+});
+after(() => server.close());
+
+const post = (body) => fetch(base, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+test('POST validates the competitor, URLs, checklist and schedule', async () => {
+  const cases = [
+    [{ pricingUrl: 'https://acme.test/pricing' }, /^name must be/],
+    [{ name: 'Acme; rm -rf /', pricingUrl: 'https://acme.test/pricing' }, /^name must be/],
+    [{ name: 'Acme', pricingUrl: 'file:///etc/passwd' }, /^pricingUrl must be/],
+    [{ name: 'Acme', pricingUrl: 'https://acme.test/pricing', featuresUrl: 'nope' }, /^featuresUrl and backup/],
+    [{ name: 'Acme', pricingUrl: 'https://acme.test/pricing', checklist: ['CSV export', 'csv export'] }, /^checklist must be/],
+    [{ name: 'Acme', pricingUrl: 'https://acme.test/pricing', schedule: 'every monday' }, /^schedule must be/],
+    [{ name: 'Acme', pricingUrl: 'https://acme.test/pricing', schedule: '0 0 31 2 *' }, /^schedule never runs/],
+  ];
+  for (const [body, error] of cases) {
+    const res = await post(body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.match((await res.json()).error, error);
+  }
+});
+
+test('watch items can be added, read, diffed and removed', async () => {
+  const created = await post({ name: 'Acme', pricingUrl: 'https://acme.test/pricing', checklist: ['CSV export'], schedule: '@daily' });
+  assert.equal(created.status, 201);
+  const { item } = await created.json();
+  assert.deepEqual(item.checklist, [{ id: 'csv-export', feature: 'CSV export' }]);
+  assert.equal(item.featuresUrl, 'https://acme.test/pricing');
+  assert.ok(Date.parse(item.nextRunAt) > Date.now());
+
+  const { items } = await (await fetch(base)).json();
+  assert.deepEqual(items.map((i) => i.id), [item.id]);
+
+  // Two checks' worth of history
+  const store = getRunStore();
+  const plans = (monthly) => [{ name: 'Pro', monthly_price: monthly, annual_price: null, currency: 'USD', limits: [], features: [] }];
+  const older = { id: `${item.id}-1`, itemId: item.id, name: 'Acme', status: 'ok', takenAt: '2026-01-01T09:00:00.000Z', plans: plans(25), gaps: {}, changes: [] };
+  const newer = { id: `${item.id}-2`, itemId: item.id, name: 'Acme', status: 'ok', takenAt: '2026-01-02T09:00:00.000Z', plans: plans(29), gaps: {}, previousId: older.id };
+  newer.changes = [{ kind: 'price_changed', message: 'Acme changed "Pro" from 25 USD/mo to 29 USD/mo' }];
+  store.put('watch-snapshots', older.id, older);
+  store.put('watch-snapshots', newer.id, newer);
+
+  const detail = await (await fetch(`${base}/${item.id}`)).json();
+  assert.deepEqual(detail.snapshots.map((s) => s.id), [newer.id, older.id]);
+
+  const diff = await (await fetch(`${base}/${item.id}/diff`)).json();
+  assert.deepEqual([diff.from, diff.to, diff.changes.map((c) => c.kind)], [older.id, newer.id, ['price_changed']]);
+  const backwards = await fetch(`${base}/${item.id}/diff?from=${newer.id}&to=${older.id}`);
+  assert.equal(backwards.status, 400);
+
+  const { changes } = await (await fetch(`${base}/changes`)).json();
+  assert.deepEqual(changes.map((c) => [c.snapshotId, c.changes.length]), [[newer.id, 1]]);
+
+  assert.equal((await fetch(`${base}/${item.id}/snapshots/${older.id}`)).status, 200);
+  assert.equal((await fetch(`${base}/${item.id}/snapshots/someone-elses`)).status, 404);
+
+  assert.equal((await fetch(`${base}/${item.id}`, { method: 'DELETE' })).status, 204);
+  assert.equal((await fetch(`${base}/${item.id}`)).status, 404);
+  assert.equal((await fetch(`${base}/${item.id}`, { method: 'DELETE' })).status, 404);
+  assert.equal(store.get('watch-snapshots', older.id), null);
+});
@@ -0,0 +1,149 @@
+/**
+ * Minimal five-field cron expressions for the watchlist scheduler.
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12)
+ *   │ │ │ │ ┌ day of week (0-6, Sunday = 0; 7 is accepted as Sunday)
+ *   * * * * *
+ *
+ * Each field takes `*`, a number, a range `a-b`, a list `a,b,c` and a step
+ * `* /n` or `a-b/n`. Presets: @hourly, @daily, @weekly, @monthly. As in
+ * classic cron, when both day fields are restricted a time matches either.
+ * Times are evaluated in the server's local time zone.
+ */
+
+const PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+// Search horizon for nextCronTime. "29 Feb" can go 8 years without a match
+// (2096 → 2104, as 2100 is no leap year).
+const MAX_LOOKAHEAD_YEARS = 8;
+
+// Longest each month gets, leap years included
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} "${part}"`);
+
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map((n) => parseInt(n, 10));
+    if (to === undefined) to = stepText ? max : from;
+
+    if (step < 1 || from < min || to > max || from > to) {
+      throw new Error(`Invalid ${name} "${part}" — expected values ${min}-${max}`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws with a readable message when invalid.
+ *
+ * @param {string} expression
+ * @returns {{ minute: Set, hour: Set, dayOfMonth: Set, month: Set, dayOfWeek: Set, anyDayOfMonth: boolean, anyDayOfWeek: boolean }}
+ */
+export function parseCron(expression) {
+  const source = PRESETS[String(expression).trim().toLowerCase()] ?? String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression must have 5 fields (got ${parts.length})`);
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*',
+  };
+}
+
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a parsed expression can never match: only the day of month is
+ * restricted and none of its months is long enough ("0 0 31 2 *", "0 0 30 2 *").
+ * A restricted day of week always matches some day of every month.
+ */
+function neverMatches(cron) {
+  if (cron.anyDayOfMonth || !cron.anyDayOfWeek) return false;
+  const firstDay = Math.min(...cron.dayOfMonth);
+  return ![...cron.month].some((month) => MONTH_DAYS[month - 1] >= firstDay);
+}
+
+/**
+ * The first matching time strictly after `from`, or null when the expression
+ * can never match (e.g. "0 0 31 2 *").
+ *
+ * @param {string} expression
+ * @param {Date} [from]
+ * @returns {Date|null}
+ */
+export function nextCronTime(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  if (neverMatches(cron)) return null;
+
+  const t = new Date(from);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const horizon = new Date(t);
+  horizon.setFullYear(horizon.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  while (t < horizon) {
+    if (!cron.month.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    const domMatch = cron.dayOfMonth.has(t.getDate());
+    const dowMatch = cron.dayOfWeek.has(t.getDay());
+    const dayMatch = cron.anyDayOfMonth || cron.anyDayOfWeek ? domMatch && dowMatch : domMatch || dowMatch;
+    if (!dayMatch) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.hour.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return t;
+  }
+  return null;
+}
@@ -1,6 +1,21 @@
 import crypto from 'crypto';
 
-export const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
+/**
+ * Wait `ms` milliseconds. Rejects early with the signal's reason if the
+ * optional AbortSignal fires, so cancelled runs don't sit out polite delays.
+ */
+export const sleep = (ms, signal) => new Promise((res, rej) => {
+  if (signal?.aborted) return rej(signal.reason);
+  const onAbort = () => {
+    clearTimeout(timer);
+    rej(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    res();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
 
 export const hashString = (str) =>
   crypto.createHash('md5').update(str).digest('hex').slice(0, 8);
@@ -13,6 +28,31 @@ export const truncate = (str, maxLen = 500) => {
   return str.slice(0, maxLen).replace(/\s+\S*$/, '') + '…';
 };
 
+/**
+ * Reduce an HTML fragment or page to readable plain text: drops scripts,
+ * styles and tags, turns block boundaries into newlines and decodes the
+ * common entities.
+ */
+export const htmlToText = (html) => {
+  if (!html) return '';
+  return html
+    .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<(br|\/p|\/div|\/li|\/h[1-6]|\/tr|\/blockquote)\s*\/?>/gi, '\n')
+    .replace(/<p[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+};
+
 /**
  * Safely parse JSON — returns null on failure instead of throwing.
  */
@@ -35,6 +75,18 @@ export const extractJson = (str) => {
   return safeJsonParse(match[1]);
 };
 
+/**
+ * Comparison key for a post or comment URL: a trailing slash or case doesn't
+ * make a different page. The query string and fragment stay — Hacker News
+ * items are told apart by ?id=, app store reviews by #review-N.
+ */
+export const urlKey = (url) => String(url ?? '').trim().replace(/\/+$/, '').toLowerCase();
+
+/**
+ * ISO timestamp from a Unix time in seconds (Reddit's created_utc), or null.
+ */
+export const fromUnixTime = (seconds) => (Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000).toISOString() : null);
+
 /**
  * Deduplicate an array by a key function.
  */
@@ -47,3 +99,20 @@ export const dedupeBy = (arr, keyFn) => {
     return true;
   });
 };
+
+/**
+ * Map over items with at most `limit` calls of `fn` in flight.
+ * Results keep the input order.
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+};
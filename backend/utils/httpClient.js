@@ -0,0 +1,266 @@
+/**
+ * Shared HTTP client for the scout services.
+ *
+ * `httpFetch(url, init)` is a drop-in for fetch (it goes through replayFetch,
+ * so record / replay still sees every request) that adds:
+ *
+ *   - per-host concurrency  → at most HTTP_HOST_CONCURRENCY requests in flight
+ *                             per host, started HTTP_HOST_MIN_INTERVAL_MS apart
+ *   - rate-limit awareness  → 429 / 503 are retried after Retry-After or
+ *                             x-ratelimit-reset (exponential backoff when the
+ *                             server says nothing), and a host whose
+ *                             x-ratelimit-remaining hits 0 is paused until its
+ *                             window resets
+ *   - disk response cache   → successful GETs are kept in HTTP_CACHE_DIR for
+ *                             HTTP_CACHE_TTL seconds, so a repeat run on the
+ *                             same niche doesn't refetch Reddit or HN; expired
+ *                             entries are swept out every few minutes, and
+ *                             the cache never keeps more than
+ *                             HTTP_CACHE_MAX_ENTRIES
+ *
+ * The cache is bypassed while REPLAY_MODE is record or replay — fixtures must
+ * see the same requests every time — and replay skips the waits entirely.
+ *
+ * Config:
+ *   HTTP_HOST_CONCURRENCY     (default 2)
+ *   HTTP_HOST_MIN_INTERVAL_MS (default 250)
+ *   HTTP_MAX_RETRIES          (default 3)   — retries after a 429 / 503
+ *   HTTP_CACHE_TTL            (default 3600 seconds, 0 disables the cache)
+ *   HTTP_CACHE_DIR            (default data/http-cache, relative to backend)
+ *   HTTP_CACHE_MAX_ENTRIES    (default 5000)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { sleep } from './helpers.js';
+import { getReplayMode, isReplaying, replayFetch } from './replay.js';
+
+const TAG = 'HTTP';
+
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const intFromEnv = (name, fallback) => {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+const HOST_CONCURRENCY = Math.max(1, intFromEnv('HTTP_HOST_CONCURRENCY', 2));
+const HOST_MIN_INTERVAL_MS = intFromEnv('HTTP_HOST_MIN_INTERVAL_MS', 250);
+const MAX_RETRIES = intFromEnv('HTTP_MAX_RETRIES', 3);
+const CACHE_TTL_SECONDS = intFromEnv('HTTP_CACHE_TTL', 3600);
+const CACHE_MAX_ENTRIES = Math.max(1, intFromEnv('HTTP_CACHE_MAX_ENTRIES', 5000));
+
+const RETRY_STATUSES = new Set([429, 503]);
+const BACKOFF_BASE_MS = 1000;
+const MAX_WAIT_MS = 60_000;
+const CACHE_SWEEP_INTERVAL_MS = 10 * 60_000;
+
+// Response headers worth keeping in the cache
+const CACHED_HEADERS = /^(content-type|x-ratelimit-.*)$/i;
+
+const cacheDir = () => path.resolve(BACKEND_DIR, process.env.HTTP_CACHE_DIR || 'data/http-cache');
+
+// ─────────────────────────────────────────────
+// Per-host scheduling
+// ─────────────────────────────────────────────
+
+const hosts = new Map(); // host → { active, waiters, nextStart, blockedUntil }
+
+function hostState(host) {
+  if (!hosts.has(host)) hosts.set(host, { active: 0, waiters: [], nextStart: 0, blockedUntil: 0 });
+  return hosts.get(host);
+}
+
+// Wait for a free slot; a cancelled run leaves the queue instead of waiting on
+function acquireSlot(h, signal) {
+  signal?.throwIfAborted();
+  if (h.active < HOST_CONCURRENCY) {
+    h.active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      h.waiters.splice(h.waiters.indexOf(grant), 1);
+      reject(signal.reason);
+    };
+    const grant = () => {
+      signal?.removeEventListener('abort', onAbort);
+      h.active++;
+      resolve();
+    };
+    h.waiters.push(grant);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function releaseSlot(h) {
+  h.active--;
+  h.waiters.shift()?.();
+}
+
+// Reserve the next start time for this host, then wait for it
+async function pace(h, host, signal) {
+  if (isReplaying()) return;
+  const now = Date.now();
+  const startAt = Math.max(now, h.nextStart, h.blockedUntil);
+  h.nextStart = startAt + HOST_MIN_INTERVAL_MS;
+  if (startAt - now > 1000) logger.info(TAG, `${host}: waiting ${Math.ceil((startAt - now) / 1000)}s for rate limit`);
+  if (startAt > now) await sleep(startAt - now, signal);
+}
+
+const seconds = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) && n >= 0 ? n * 1000 : null;
+};
+
+// Retry-After is seconds or an HTTP date
+function retryAfterMs(res) {
+  const header = res.headers.get('retry-after');
+  if (!header) return null;
+  const asSeconds = seconds(header);
+  if (asSeconds !== null) return asSeconds;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Reddit: x-ratelimit-remaining (requests left), x-ratelimit-reset (seconds)
+function noteRateLimit(h, res) {
+  const remaining = parseFloat(res.headers.get('x-ratelimit-remaining'));
+  const reset = seconds(res.headers.get('x-ratelimit-reset'));
+  if (Number.isFinite(remaining) && remaining < 1 && reset !== null) {
+    h.blockedUntil = Math.max(h.blockedUntil, Date.now() + Math.min(reset, MAX_WAIT_MS));
+  }
+}
+
+// ─────────────────────────────────────────────
+// Disk cache
+// ─────────────────────────────────────────────
+
+function cacheFile(url) {
+  const key = crypto.createHash('sha256').update(url).digest('hex').slice(0, 32);
+  return path.join(cacheDir(), `${key}.json`);
+}
+
+function readCache(url, ttlSeconds) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(cacheFile(url), 'utf8'));
+    if (entry.url !== url || Date.now() - entry.storedAt > ttlSeconds * 1000) return null;
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+// An entry's mtime is set to when it expires, so a sweep can tell expired
+// entries apart with a stat instead of reading every body
+function writeCache(url, res, body, ttlSeconds) {
+  try {
+    const file = cacheFile(url);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const headers = Object.fromEntries([...res.headers].filter(([name]) => CACHED_HEADERS.test(name)));
+    const tmp = `${file}.${process.pid}.tmp`;
+    const storedAt = Date.now();
+    fs.writeFileSync(tmp, JSON.stringify({ url, status: res.status, headers, body, storedAt }));
+    fs.utimesSync(tmp, new Date(storedAt), new Date(storedAt + ttlSeconds * 1000));
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    logger.warn(TAG, `Could not cache ${url}: ${err.message}`);
+  }
+}
+
+let nextSweepAt = 0; // the first write of the process sweeps what earlier runs left
+
+/**
+ * Delete expired cache entries, then the ones closest to expiring until at
+ * most HTTP_CACHE_MAX_ENTRIES remain. Runs at most every few minutes.
+ */
+async function sweepCache() {
+  const now = Date.now();
+  if (now < nextSweepAt) return;
+  nextSweepAt = now + CACHE_SWEEP_INTERVAL_MS;
+
+  const dir = cacheDir();
+  const entries = [];
+  for (const name of await fs.promises.readdir(dir).catch(() => [])) {
+    if (!name.endsWith('.json')) continue;
+    const stat = await fs.promises.stat(path.join(dir, name)).catch(() => null);
+    if (stat) entries.push({ name, expiresAt: stat.mtimeMs });
+  }
+
+  const live = entries.filter((e) => e.expiresAt > now).sort((a, b) => b.expiresAt - a.expiresAt);
+  const evicted = [...entries.filter((e) => e.expiresAt <= now), ...live.slice(CACHE_MAX_ENTRIES)];
+  for (const { name } of evicted) await fs.promises.rm(path.join(dir, name), { force: true });
+  if (evicted.length) logger.info(TAG, `Evicted ${evicted.length} cached response(s)`);
+}
+
+// ─────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────
+
+/**
+ * fetch with per-host limits, rate-limit backoff and a response cache.
+ *
+ * @param {string|URL} url
+ * @param {RequestInit} [init] - as for fetch; `init.signal` cancels queueing,
+ *                               backoff waits and the request itself
+ * @param {{ cacheTtl?: number }} [options] - cache TTL in seconds for this
+ *                               request (default HTTP_CACHE_TTL, 0 = no cache)
+ * @returns {Promise<Response>}
+ */
+export async function httpFetch(url, init = {}, { cacheTtl = CACHE_TTL_SECONDS } = {}) {
+  const href = String(url);
+  const { signal } = init;
+  const method = (init.method ?? 'GET').toUpperCase();
+  const cacheable = method === 'GET' && cacheTtl > 0 && getReplayMode() === 'off';
+
+  if (cacheable) {
+    const hit = readCache(href, cacheTtl);
+    if (hit) return new Response(hit.body, { status: hit.status, headers: hit.headers });
+  }
+
+  const host = new URL(href).host;
+  const h = hostState(host);
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(h, signal);
+    let res;
+    try {
+      await pace(h, host, signal);
+      res = await replayFetch(href, init);
+    } finally {
+      releaseSlot(h);
+    }
+
+    noteRateLimit(h, res);
+
+    if (RETRY_STATUSES.has(res.status) && attempt < MAX_RETRIES) {
+      const wait = Math.min(
+        retryAfterMs(res) ?? seconds(res.headers.get('x-ratelimit-reset')) ?? BACKOFF_BASE_MS * 2 ** attempt,
+        MAX_WAIT_MS
+      );
+      logger.warn(TAG, `${host} answered ${res.status} — retry ${attempt + 1}/${MAX_RETRIES} in ${Math.ceil(wait / 1000)}s`);
+      h.blockedUntil = Math.max(h.blockedUntil, Date.now() + wait);
+      await res.body?.cancel();
+      continue;
+    }
+
+    if (!cacheable || !res.ok) return res;
+
+    const body = await res.text();
+    writeCache(href, res, body, cacheTtl);
+    await sweepCache().catch((err) => logger.warn(TAG, `Could not sweep the response cache: ${err.message}`));
+    return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+  }
+}
+
+/**
+ * GET a JSON document through httpFetch; throws on a non-2xx status.
+ */
+export async function httpGetJSON(url, { headers, signal, cacheTtl } = {}) {
+  const res = await httpFetch(url, { headers: { Accept: 'application/json', ...headers }, signal }, { cacheTtl });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  return res.json();
+}
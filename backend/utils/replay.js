@@ -0,0 +1,156 @@
+/**
+ * Record / replay harness for external calls.
+ *
+ * REPLAY_MODE selects the behaviour of every wrapped call site:
+ *   off    (default) → call straight through
+ *   record           → call through and write each request/response pair to
+ *                      REPLAY_DIR (default ./fixtures, relative to backend)
+ *   replay           → never touch the network, CLI or browser — serve the
+ *                      recorded response, or fail loudly if none exists
+ *
+ * Fixtures live at <REPLAY_DIR>/<channel>/<hash>-<n>.json where the hash
+ * covers the request and <n> counts repeats of the same request, so a run
+ * that asks the same thing twice gets both answers back in order. Channels:
+ * fetch, mcp, exec, llm, acontext, browser.
+ *
+ * Sequence counters are process-wide: record and replay one run at a time.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+const TAG = 'Replay';
+
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MODES = ['off', 'record', 'replay'];
+
+// Response headers worth keeping for callers that inspect them
+const KEPT_HEADERS = /^(content-type|retry-after|x-ratelimit-.*)$/i;
+
+const sequence = new Map(); // `${channel}/${hash}` → calls seen so far
+let announced = false;
+
+export function getReplayMode() {
+  const mode = (process.env.REPLAY_MODE || 'off').toLowerCase();
+  if (!MODES.includes(mode)) throw new Error(`Unknown REPLAY_MODE "${mode}" — expected one of: ${MODES.join(', ')}`);
+  return mode;
+}
+
+export const isReplaying = () => getReplayMode() === 'replay';
+
+const fixtureDir = () => path.resolve(BACKEND_DIR, process.env.REPLAY_DIR || 'fixtures');
+
+/**
+ * Start numbering repeated requests from zero again. Called at the start of
+ * each run so a recorded run replays from its first fixture.
+ */
+export function resetReplaySequence() {
+  sequence.clear();
+}
+
+// Stable JSON: sorted keys, undefined dropped — so key order never changes the hash
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value).sort()
+        .filter((k) => value[k] !== undefined)
+        .map((k) => [k, canonical(value[k])])
+    );
+  }
+  return value;
+}
+
+function fixtureFile(channel, request) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(canonical(request))).digest('hex').slice(0, 16);
+  const key = `${channel}/${hash}`;
+  const n = sequence.get(key) ?? 0;
+  sequence.set(key, n + 1);
+  return path.join(fixtureDir(), channel, `${hash}-${n}.json`);
+}
+
+/**
+ * Run `call` under the current REPLAY_MODE.
+ *
+ * @param {string}   channel - fixture sub-directory (fetch, mcp, exec, llm, …)
+ * @param {Object}   request - JSON-serialisable description of the call; this
+ *                             is what identifies the fixture, so leave out
+ *                             secrets, AbortSignals and timestamps
+ * @param {Function} call    - performs the real call; must resolve to a
+ *                             JSON-serialisable value
+ * @param {{ signal?: AbortSignal }} [options] - failures after the signal fired
+ *                             are cancellations and are not recorded
+ */
+export async function replayable(channel, request, call, { signal } = {}) {
+  const mode = getReplayMode();
+  if (mode === 'off') return call();
+
+  if (!announced) {
+    announced = true;
+    logger.warn(TAG, `REPLAY_MODE=${mode} — fixtures in ${fixtureDir()}`);
+  }
+
+  const file = fixtureFile(channel, request);
+
+  if (mode === 'replay') {
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      throw new Error(`No recorded ${channel} fixture for ${JSON.stringify(request).slice(0, 200)} (${path.relative(BACKEND_DIR, file)})`);
+    }
+    if (fixture.error) throw Object.assign(new Error(fixture.error.message), { name: fixture.error.name });
+    return fixture.response;
+  }
+
+  // record
+  const write = (entry) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ channel, request, ...entry }, null, 2));
+  };
+
+  try {
+    const response = await call();
+    write({ response });
+    return response;
+  } catch (err) {
+    // Cancellations are not part of the recorded world
+    if (!signal?.aborted && err?.name !== 'AbortError') write({ error: { name: err.name, message: err.message } });
+    throw err;
+  }
+}
+
+/**
+ * Drop-in `fetch` for the scout services. Requests are keyed by method, URL
+ * and body (headers are left out so tokens never reach a fixture); responses
+ * come back as real Response objects in every mode.
+ */
+export async function replayFetch(url, init = {}) {
+  if (getReplayMode() === 'off') return fetch(url, init);
+
+  const request = {
+    method: (init.method ?? 'GET').toUpperCase(),
+    url: String(url),
+    ...(typeof init.body === 'string' ? { body: init.body } : {}),
+  };
+
+  const recorded = await replayable('fetch', request, async () => {
+    const res = await fetch(url, init);
+    return {
+      status: res.status,
+      statusText: res.statusText,
+      headers: Object.fromEntries([...res.headers].filter(([name]) => KEPT_HEADERS.test(name))),
+      body: await res.text(),
+    };
+  }, { signal: init.signal });
+
+  // Null-body statuses reject a body, even an empty string
+  return new Response([204, 205, 304].includes(recorded.status) ? null : recorded.body, {
+    status: recorded.status,
+    statusText: recorded.statusText,
+    headers: recorded.headers,
+  });
+}
@@ -0,0 +1,81 @@
+/**
+ * Minimal runtime schema validation for LLM outputs.
+ *
+ * Schemas are a small JSON Schema subset written as plain objects:
+ *
+ *   { type: 'object', required: ['a'], properties: { a: { type: 'string' } } }
+ *   { type: 'array', items: {...}, minItems: 1, maxItems: 10 }
+ *   { type: 'string', enum: ['high', 'medium', 'low'], minLength: 1, pattern: '^https?://' }
+ *   { type: 'number' | 'integer', minimum: 1, maximum: 10 }
+ *   { type: 'boolean' }
+ *   { type: ['string', 'null'] }          ← union of types
+ *
+ * Unknown properties are allowed — models often add harmless extras.
+ */
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate `value` against `schema`.
+ * Returns a list of human-readable errors (empty when valid), phrased so they
+ * can be fed straight back to the model in a repair prompt.
+ */
+export function validateSchema(schema, value, path = '$') {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (schema.type && !types.some((t) => matchesType(value, t))) {
+    return [`${path} must be ${types.join(' or ')} (got ${typeOf(value)})`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${path} must be a non-empty string` : `${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match ${schema.pattern} (got ${JSON.stringify(value.slice(0, 80))})`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be ≥ ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be ≤ ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must contain at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties ?? {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(propSchema, value[key], `${path}.${key}`));
+    }
+  }
+
+  return errors;
+}
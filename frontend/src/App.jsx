@@ -1,10 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useAgentStream } from './hooks/useAgentStream';
+import { useWatchlist } from './hooks/useWatchlist';
 import { NicheInput } from './components/NicheInput';
 import { MissionControl } from './components/MissionControl';
 import { AgentLog } from './components/AgentLog';
 import { BrowserFeed } from './components/BrowserFeed';
 import { ReportView } from './components/ReportView';
+import { ApprovalPanel } from './components/ApprovalPanel';
+import { WatchlistView } from './components/WatchlistView';
 
 function App() {
   const {
@@ -19,11 +22,18 @@ function App() {
     painPoints,
     topProblem,
     gapAnalysis,
+    approval,
     error,
     stats,
     startAgent,
+    resumeAgent,
+    submitApproval,
+    cancelAgent,
+    runId,
   } = useAgentStream();
 
+  const watchlist = useWatchlist();
+
   const [spaceId, setSpaceId] = useState(null);
 
   // Extract spaceId from taskBlocks when available
@@ -33,8 +43,8 @@ function App() {
     }
   }, [taskBlocks]);
 
-  const handleStart = (niche) => {
-    startAgent(niche);
+  const handleStart = (niche, options) => {
+    startAgent(niche, options);
   };
 
   return (
@@ -44,7 +54,10 @@ function App() {
         {/* Header section - NicheInput when idle, or status when running */}
         <div className="mb-8">
           {status === 'idle' ? (
-            <NicheInput onStart={handleStart} disabled={false} />
+            <>
+              <NicheInput onStart={handleStart} disabled={false} />
+              <WatchlistView watchlist={watchlist} />
+            </>
           ) : (
             <div className="text-center mb-8">
               <div className="inline-flex items-center gap-2 px-3 py-1 rounded-full bg-brand-500/10 border border-brand-500/20 text-brand-400 text-xs font-medium mono mb-4">
@@ -52,13 +65,29 @@ function App() {
                 MARKET GAP AGENT v1.0
               </div>
               <h1 className="text-4xl font-bold text-white mb-3 tracking-tight">
-                {status === 'running' ? 'Agent Running...' : status === 'complete' ? 'Analysis Complete' : status === 'error' ? 'Error' : 'Starting...'}
+                {status === 'running' ? 'Agent Running...' : status === 'awaiting_approval' ? 'Awaiting Your Approval' : status === 'insufficient_evidence' ? 'Not Enough Evidence' : status === 'cancelled' ? 'Run Cancelled' : status === 'complete' ? 'Analysis Complete' : status === 'error' ? 'Error' : 'Starting...'}
               </h1>
               {error && (
                 <div className="mt-4 px-4 py-2 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
                   {error}
                 </div>
               )}
+              {status === 'error' && runId && (
+                <button
+                  onClick={resumeAgent}
+                  className="mt-4 px-4 py-2 rounded-lg bg-brand-500/20 hover:bg-brand-500/30 border border-brand-500/30 text-sm text-brand-400 hover:text-brand-300 transition-all"
+                >
+                  ↻ Resume from last checkpoint
+                </button>
+              )}
+              {(status === 'running' || status === 'awaiting_approval') && runId && (
+                <button
+                  onClick={cancelAgent}
+                  className="mt-4 px-4 py-2 rounded-lg bg-red-500/10 hover:bg-red-500/20 border border-red-500/20 text-sm text-red-400 hover:text-red-300 transition-all"
+                >
+                  ■ Cancel run
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -83,8 +112,11 @@ function App() {
 
               {/* Right column - Browser Feed & Report */}
               <div className="lg:col-span-2 space-y-6">
+                {approval && status === 'awaiting_approval' && (
+                  <ApprovalPanel key={approval.timestamp} approval={approval} onSubmit={submitApproval} />
+                )}
                 <BrowserFeed feed={browserFeed} />
-                <ReportView report={report} screenshots={screenshots} />
+                <ReportView report={report} screenshots={screenshots} onWatch={watchlist.addItem} />
               </div>
             </div>
 
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+
+// Mirrors the server's competitor name check (actionbookService COMPETITOR_NAME_RE)
+const COMPETITOR_NAME_RE = /^[\p{L}\p{N}][\p{L}\p{N} .,&'+()-]{0,59}$/u;
+
+export function ApprovalPanel({ approval, onSubmit }) {
+  const [keyword, setKeyword] = useState(approval.gapKeyword ?? '');
+  const [competitors, setCompetitors] = useState(approval.competitors ?? []);
+  const [draftName, setDraftName] = useState('');
+  const [draftUrl, setDraftUrl] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const ranked = approval.rankedPainPoints ?? [];
+  const keywordEdited = keyword.trim() && keyword.trim() !== approval.gapKeyword;
+  const competitorsEdited = JSON.stringify(competitors) !== JSON.stringify(approval.competitors ?? []);
+  // Every proposed competitor was removed — approving would silently check the proposal instead
+  const competitorsCleared = competitorsEdited && competitors.length === 0;
+
+  const handleAdd = () => {
+    if (!COMPETITOR_NAME_RE.test(draftName.trim()) || !/^https?:\/\//.test(draftUrl.trim())) return;
+    setCompetitors((prev) => [...prev, { name: draftName.trim(), pricingUrl: draftUrl.trim() }]);
+    setDraftName('');
+    setDraftUrl('');
+  };
+
+  const submit = async (action) => {
+    setSubmitting(true);
+    await onSubmit({
+      action,
+      ...(keywordEdited && action === 'approve' ? { gapKeyword: keyword.trim() } : {}),
+      ...(competitorsEdited && competitors.length > 0 ? { competitors } : {}),
+    });
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="glass rounded-2xl p-5 space-y-4 border border-violet-500/30 animate-slide-up">
+      <div className="flex items-center gap-2 pb-3 border-b border-white/5">
+        <span className="text-lg">✋</span>
+        <span className="font-semibold text-slate-200 text-sm">Approve Validation Plan</span>
+        <span className="ml-auto px-2 py-0.5 rounded-full bg-violet-500/20 text-violet-400 text-xs mono">AWAITING APPROVAL</span>
+      </div>
+
+      {/* Ranked problems */}
+      <div className="space-y-1.5">
+        <p className="text-xs text-slate-500 mono uppercase tracking-widest">Ranked Problems</p>
+        {(ranked.length > 0 ? ranked : [{ problem: approval.topProblem?.top_problem, gap_keyword: approval.gapKeyword }]).map((p, i) => (
+          <div
+            key={i}
+            className={`flex items-start gap-2 p-2.5 rounded-lg border ${
+              i === 0 ? 'bg-violet-500/10 border-violet-500/20' : 'bg-white/3 border-white/5'
+            }`}
+          >
+            <span className="text-xs text-violet-400 mono flex-shrink-0">#{i + 1}</span>
+            <div className="min-w-0">
+              <p className="text-xs text-slate-200">{p.problem}</p>
+              {p.gap_keyword && <p className="text-xs text-slate-500 mono">keyword: {p.gap_keyword}</p>}
+            </div>
+            {p.score !== undefined && <span className="ml-auto text-xs text-slate-500 mono">{p.score}/10</span>}
+          </div>
+        ))}
+      </div>
+
+      {/* Gap keyword */}
+      <div className="space-y-1.5">
+        <label className="block text-xs text-slate-500 mono uppercase tracking-widest">Gap Keyword</label>
+        <input
+          type="text"
+          value={keyword}
+          onChange={(e) => setKeyword(e.target.value)}
+          className="w-full bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-white text-xs mono focus:outline-none focus:border-brand-500/50"
+        />
+      </div>
+
+      {/* Competitors */}
+      <div className="space-y-1.5">
+        <p className="text-xs text-slate-500 mono uppercase tracking-widest">Competitors to Verify</p>
+        {competitorsCleared ? (
+          <p className="text-xs text-amber-400">Add at least one competitor to approve — the runner-up finds its own.</p>
+        ) : competitors.length === 0 && (
+          <p className="text-xs text-slate-600">No competitors proposed — defaults will be used.</p>
+        )}
+        {competitors.map((c, i) => (
+          <div key={`${c.name}-${i}`} className="flex items-center gap-2 px-2.5 py-1.5 rounded-lg bg-white/3 border border-white/5">
+            <span className="text-xs text-slate-200">{c.name}</span>
+            <span className="text-xs text-slate-500 mono truncate">{c.pricingUrl}</span>
+            <button
+              onClick={() => setCompetitors((prev) => prev.filter((_, j) => j !== i))}
+              className="ml-auto text-xs text-slate-500 hover:text-red-400"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={draftName}
+            onChange={(e) => setDraftName(e.target.value)}
+            placeholder="Name"
+            className="w-1/3 bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-white text-xs focus:outline-none focus:border-brand-500/50"
+          />
+          <input
+            type="text"
+            value={draftUrl}
+            onChange={(e) => setDraftUrl(e.target.value)}
+            placeholder="https://example.com/pricing"
+            className="flex-1 bg-white/5 border border-white/10 rounded-lg px-3 py-1.5 text-white text-xs mono focus:outline-none focus:border-brand-500/50"
+          />
+          <button
+            onClick={handleAdd}
+            className="px-3 py-1.5 rounded-lg bg-white/5 hover:bg-white/10 border border-white/10 text-xs text-slate-400 hover:text-white transition-all"
+          >
+            Add
+          </button>
+        </div>
+      </div>
+
+      {/* Decision */}
+      <div className="flex gap-2 pt-1">
+        <button
+          onClick={() => submit('approve')}
+          disabled={submitting || competitorsCleared}
+          className="flex-1 py-2 rounded-lg bg-brand-500 hover:bg-brand-600 disabled:bg-slate-700 text-xs font-semibold text-white transition-all"
+        >
+          ✓ Approve & Validate
+        </button>
+        <button
+          onClick={() => submit('runner_up')}
+          disabled={submitting || !approval.runnerUp}
+          title={approval.runnerUp?.problem ?? 'No runner-up available'}
+          className="px-4 py-2 rounded-lg bg-white/5 hover:bg-white/10 border border-white/10 text-xs text-slate-300 disabled:opacity-40 transition-all"
+        >
+          Use Runner-up
+        </button>
+      </div>
+    </div>
+  );
+}
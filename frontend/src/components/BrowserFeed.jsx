@@ -7,11 +7,20 @@ const ACTION_ICONS = {
   screenshot: '📸',
   fallback: '↩',
   error: '✗',
+  manual: '📖',
+  step: '▸',
+  step_failed: '⚠',
+  judged: '⚖',
+  pricing: '💲',
+  resolved: '🔗',
+  unverified: '⊘',
+  evidence: '🔍',
 };
 
 export function BrowserFeed({ feed }) {
   const [activeScreenshot, setActiveScreenshot] = useState(null);
-  const screenshotEvents = feed.filter((e) => e.screenshot);
+  // Screenshots arrive as artifact references; only the pricing-page ones carry a thumbnail
+  const screenshotEvents = feed.filter((e) => e.screenshot?.thumbnail);
 
   return (
     <div className="glass rounded-2xl overflow-hidden animate-fade-in">
@@ -40,7 +49,7 @@ export function BrowserFeed({ feed }) {
                   <span className="text-slate-300 break-all">{entry.message}</span>
                   {entry.screenshot && (
                     <button
-                      onClick={() => setActiveScreenshot(entry.screenshot)}
+                      onClick={() => setActiveScreenshot(entry.screenshot.url)}
                       className="ml-auto flex-shrink-0 px-2 py-0.5 rounded bg-brand-500/20 text-brand-400 text-xs hover:bg-brand-500/30 transition-all"
                     >
                       view
@@ -50,11 +59,13 @@ export function BrowserFeed({ feed }) {
               ))}
             </div>
 
-            {/* Gap summary chips */}
-            {feed.filter((e) => e.data?.hasFreeTier !== undefined).map((e) => (
+            {/* Gap summary chips — one per checklist feature */}
+            {feed.filter((e) => e.action === 'judged' && e.data?.gaps).map((e) => (
               <div key={`gap-${e.id}`} className="flex flex-wrap gap-1.5 animate-slide-up">
                 <span className="text-xs text-slate-500">{e.competitor}:</span>
-                <GapChip label="Free Tier" confirmed={!e.data.hasFreeTier} />
+                {Object.entries(e.data.gaps).map(([id, g]) => (
+                  <GapChip key={id} label={g.feature} status={g.status} excerpt={g.excerpt} />
+                ))}
               </div>
             ))}
           </>
@@ -69,11 +80,11 @@ export function BrowserFeed({ feed }) {
             {screenshotEvents.map((e) => (
               <button
                 key={e.id}
-                onClick={() => setActiveScreenshot(e.screenshot)}
+                onClick={() => setActiveScreenshot(e.screenshot.url)}
                 className="flex-shrink-0 relative group"
               >
                 <img
-                  src={e.screenshot}
+                  src={e.screenshot.thumbnail}
                   alt={`${e.competitor} screenshot`}
                   className="w-24 h-16 object-cover rounded-lg border border-white/10 hover:border-brand-500/50 transition-all"
                 />
@@ -111,16 +122,18 @@ export function BrowserFeed({ feed }) {
   );
 }
 
-function GapChip({ label, confirmed }) {
+const GAP_CHIP_STYLES = {
+  absent: { icon: '✗', className: 'bg-green-500/20 border border-green-500/30 text-green-400' },
+  present: { icon: '✓', className: 'bg-white/5 border border-white/10 text-slate-500' },
+  unclear: { icon: '?', className: 'bg-white/5 border border-dashed border-white/10 text-slate-400' },
+};
+
+// An absent feature is a confirmed gap, so it gets the highlight
+function GapChip({ label, status, excerpt }) {
+  const style = GAP_CHIP_STYLES[status] ?? GAP_CHIP_STYLES.unclear;
   return (
-    <span
-      className={`px-2 py-0.5 rounded text-xs mono ${
-        confirmed
-          ? 'bg-green-500/20 border border-green-500/30 text-green-400'
-          : 'bg-white/5 border border-white/10 text-slate-500'
-      }`}
-    >
-      {confirmed ? `✗ ${label}` : `✓ ${label}`}
+    <span className={`px-2 py-0.5 rounded text-xs mono ${style.className}`} title={excerpt || undefined}>
+      {style.icon} {label}
     </span>
   );
 }
@@ -161,6 +161,8 @@ function TaskBlockRow({ task }) {
     running: 'text-brand-400',
     complete: 'text-green-400',
     error: 'text-red-400',
+    skipped: 'text-slate-600',
+    cancelled: 'text-amber-400',
   };
 
   const dotStyles = {
@@ -168,6 +170,8 @@ function TaskBlockRow({ task }) {
     running: 'bg-brand-400 animate-pulse',
     complete: 'bg-green-400',
     error: 'bg-red-400',
+    skipped: 'bg-slate-700',
+    cancelled: 'bg-amber-400',
   };
 
   const label = TASK_LABELS[task.id] ?? task.id;
@@ -10,9 +10,11 @@ const EXAMPLE_NICHES = [
 
 export function NicheInput({ onStart, disabled }) {
   const [niche, setNiche] = useState('');
+  const [requireApproval, setRequireApproval] = useState(false);
+  const [portfolioSize, setPortfolioSize] = useState(1);
 
   const handleSubmit = () => {
-    if (niche.trim().length >= 3) onStart(niche.trim());
+    if (niche.trim().length >= 3) onStart(niche.trim(), { requireApproval, portfolioSize });
   };
 
   const handleKeyDown = (e) => {
@@ -84,6 +86,30 @@ export function NicheInput({ onStart, disabled }) {
           </button>
         </div>
 
+        {/* Run options */}
+        <label className="mt-3 flex items-center gap-2 text-xs text-slate-400 cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={requireApproval}
+            onChange={(e) => setRequireApproval(e.target.checked)}
+            disabled={disabled}
+            className="accent-sky-500"
+          />
+          Review the top problem and competitors before validation
+        </label>
+        <label className="mt-2 flex items-center gap-2 text-xs text-slate-400 select-none">
+          Validate and brief the top
+          <select
+            value={portfolioSize}
+            onChange={(e) => setPortfolioSize(Number(e.target.value))}
+            disabled={disabled}
+            className="px-1.5 py-0.5 rounded bg-white/5 border border-white/10 text-slate-300"
+          >
+            {[1, 3, 5].map((n) => <option key={n} value={n}>{n}</option>)}
+          </select>
+          {portfolioSize === 1 ? 'problem' : 'problems, side by side'}
+        </label>
+
         {/* Example niches */}
         <div className="mt-4 flex flex-wrap gap-2">
           <span className="text-xs text-slate-500 mr-1 py-1">Try:</span>
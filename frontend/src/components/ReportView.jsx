@@ -1,8 +1,9 @@
 import { useState } from 'react';
 
-export function ReportView({ report, screenshots }) {
+export function ReportView({ report, screenshots, onWatch }) {
   const [activeTab, setActiveTab] = useState('brief');
   const [copied, setCopied] = useState(false);
+  const [activeRank, setActiveRank] = useState(null);
 
   if (!report?.opportunityBrief) {
     return (
@@ -13,7 +14,18 @@ export function ReportView({ report, screenshots }) {
     );
   }
 
-  const brief = report.opportunityBrief;
+  // Portfolio runs carry a brief per opportunity; the report's top-level
+  // fields are the lead's, so single-opportunity runs read them unchanged
+  const briefed = (report.portfolio ?? []).filter((o) => o.opportunityBrief);
+  const opportunity = briefed.find((o) => o.rank === activeRank) ?? briefed[0] ?? null;
+  const brief = opportunity?.opportunityBrief ?? report.opportunityBrief;
+  const topProblem = opportunity?.problem ?? report.topProblem;
+  const competitorResults = opportunity?.competitorResults ?? report.competitorResults;
+  const featureChecklist = opportunity?.featureChecklist ?? report.featureChecklist;
+  const gapAnalysis = opportunity?.gapAnalysis ?? report.gapAnalysis;
+  const shownScreenshots = opportunity
+    ? screenshots?.filter((s) => (s.opportunity ?? opportunity.rank) === opportunity.rank)
+    : screenshots;
 
   const handleExport = () => {
     const json = JSON.stringify(report, null, 2);
@@ -89,9 +101,17 @@ export function ReportView({ report, screenshots }) {
         </div>
       </div>
 
+      {report.portfolioComparison?.length > 1 && (
+        <PortfolioPanel
+          comparison={report.portfolioComparison}
+          activeRank={opportunity?.rank}
+          onSelect={setActiveRank}
+        />
+      )}
+
       {/* Tabs */}
       <div className="flex gap-1 p-1 bg-white/5 rounded-xl">
-        {['brief', 'evidence', 'competitors', 'screenshots'].map((tab) => (
+        {['brief', 'evidence', 'scoring', 'competitors', 'screenshots'].map((tab) => (
           <button
             key={tab}
             onClick={() => setActiveTab(tab)}
@@ -109,9 +129,35 @@ export function ReportView({ report, screenshots }) {
       {/* Tab content */}
       <div className="glass rounded-2xl p-5 min-h-64 animate-fade-in">
         {activeTab === 'brief' && <BriefTab brief={brief} />}
-        {activeTab === 'evidence' && <EvidenceTab brief={brief} painPoints={report.painPoints} />}
-        {activeTab === 'competitors' && <CompetitorsTab brief={brief} competitors={report.competitorResults} gap={report.gapAnalysis} />}
-        {activeTab === 'screenshots' && <ScreenshotsTab screenshots={screenshots} />}
+        {activeTab === 'evidence' && (
+          <EvidenceTab
+            brief={brief}
+            painPoints={report.painPoints}
+            quotes={topProblem?.supporting_quotes}
+            grounding={report.quoteGrounding}
+            clusters={report.painPointClusters}
+            topClusterId={topProblem?.cluster_id}
+            sources={report.sources}
+            subreddits={report.subreddits}
+          />
+        )}
+        {activeTab === 'scoring' && <ScoringTab scoring={report.opportunityScores} />}
+        {activeTab === 'competitors' && (
+          <CompetitorsTab
+            brief={brief}
+            competitors={competitorResults}
+            gap={gapAnalysis}
+            checklist={featureChecklist}
+            onWatch={onWatch && ((c) => onWatch({
+              name: c.name,
+              pricingUrl: c.pricingUrl,
+              featuresUrl: c.featuresUrl,
+              checklist: (featureChecklist ?? []).map(({ id, feature }) => ({ id, feature })),
+              niche: report.niche,
+            }))}
+          />
+        )}
+        {activeTab === 'screenshots' && <ScreenshotsTab screenshots={shownScreenshots} />}
       </div>
     </div>
   );
@@ -154,6 +200,12 @@ function BriefTab({ brief }) {
         <p className="text-slate-300 text-sm leading-relaxed">{brief.go_to_market_angle}</p>
       </Section>
 
+      {brief.pricing_positioning && (
+        <Section title="Pricing Position" icon="💲">
+          <p className="text-slate-300 text-sm leading-relaxed">{brief.pricing_positioning}</p>
+        </Section>
+      )}
+
       <Section title="Next Steps" icon="📋">
         <ol className="space-y-1">
           {(brief.next_steps ?? []).map((step, i) => (
@@ -168,21 +220,161 @@ function BriefTab({ brief }) {
   );
 }
 
-function EvidenceTab({ brief, painPoints }) {
+const SOURCE_LABELS = {
+  reddit: 'Reddit',
+  hackernews: 'Hacker News',
+  appstore: 'App Store',
+  forum: 'Forum',
+};
+
+function SourceBadge({ source }) {
+  return (
+    <span className="text-[10px] mono px-1.5 py-0.5 rounded bg-white/5 border border-white/10 text-slate-400">
+      {SOURCE_LABELS[source] ?? source}
+    </span>
+  );
+}
+
+// A quote with no grounding object predates the check — show it unmarked
+function QuoteMark({ grounding }) {
+  if (!grounding) return null;
+  return grounding.verified ? (
+    <span
+      className="flex-shrink-0 text-[10px] mono px-1.5 py-0.5 rounded bg-green-500/10 border border-green-500/20 text-green-400"
+      title={grounding.corrected ? `Found at a different source than cited (${grounding.cited_url})` : 'Found in the cited source'}
+    >
+      ✓ verified{grounding.corrected ? ' · re-attributed' : ''}
+    </span>
+  ) : (
+    <span
+      className="flex-shrink-0 text-[10px] mono px-1.5 py-0.5 rounded bg-amber-500/10 border border-amber-500/20 text-amber-400"
+      title="Not found in any scouted post — the model may have paraphrased or invented it"
+    >
+      ⚠ unverified
+    </span>
+  );
+}
+
+function EvidenceTab({ brief, painPoints, quotes, grounding, clusters, topClusterId, sources, subreddits }) {
   return (
     <div className="space-y-4">
       <Section title="Evidence Summary" icon="📊">
         <p className="text-slate-300 text-sm leading-relaxed">{brief.evidence_summary}</p>
+        {grounding?.checked > 0 && (
+          <p className="text-xs text-slate-500 mt-3">
+            Quote grounding: <span className="text-slate-300 mono">{Math.round(grounding.rate * 100)}%</span> of {grounding.checked} quote(s) found in the scouted posts
+            {grounding.corrected > 0 && ` · ${grounding.corrected} re-attributed`}
+            {grounding.dropped > 0 && ` · ${grounding.dropped} dropped`}
+          </p>
+        )}
+        {sources && Object.keys(sources).length > 0 && (
+          <div className="flex flex-wrap items-center gap-1.5 mt-3">
+            <span className="text-xs text-slate-500">Posts scouted:</span>
+            {Object.entries(sources).map(([source, count]) => (
+              <span key={source} className="flex items-center gap-1 text-xs text-slate-400">
+                <SourceBadge source={source} /> {count}
+              </span>
+            ))}
+          </div>
+        )}
       </Section>
 
+      {subreddits?.length > 0 && (
+        <Section title="Subreddits Crawled" icon="🎯">
+          <div className="flex flex-wrap gap-1.5">
+            {subreddits.map((s) => (
+              <a
+                key={s.name}
+                href={`https://www.reddit.com/r/${s.name}/`}
+                target="_blank"
+                rel="noreferrer"
+                title={s.description || undefined}
+                className="text-xs mono px-2 py-1 rounded-lg bg-white/3 border border-white/5 text-slate-300 hover:text-brand-400"
+              >
+                r/{s.name}
+                {s.pinned ? ' 📌' : <span className="text-slate-500"> · {s.score}</span>}
+              </a>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      {clusters?.clusters.length > 0 && (
+        <Section title="Problem Clusters" icon="🧩">
+          <p className="text-xs text-slate-500 mb-2">
+            Similar pain points grouped ({clusters.method}); counts are measured from the cited posts and comments.
+          </p>
+          <div className="overflow-x-auto rounded-lg border border-white/5">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500 bg-white/3">
+                  <th className="px-2.5 py-1.5 font-medium">Problem</th>
+                  <th className="px-2.5 py-1.5 font-medium">Mentions</th>
+                  <th className="px-2.5 py-1.5 font-medium">Posts</th>
+                  <th className="px-2.5 py-1.5 font-medium">Comments</th>
+                  <th className="px-2.5 py-1.5 font-medium">Upvotes</th>
+                  <th className="px-2.5 py-1.5 font-medium">Subreddits</th>
+                </tr>
+              </thead>
+              <tbody>
+                {clusters.clusters.map((c) => (
+                  <tr key={c.id} className={`border-t border-white/5 align-top ${c.id === topClusterId ? 'bg-brand-500/10' : ''}`}>
+                    <td className="px-2.5 py-1.5 text-slate-300" title={c.members.map((m) => m.problem).join('\n')}>
+                      {c.problem}
+                      {c.id === topClusterId && <span className="ml-1 text-brand-400">★ top</span>}
+                    </td>
+                    <td className="px-2.5 py-1.5 mono text-slate-200">{c.metrics.mentions}</td>
+                    <td className="px-2.5 py-1.5 mono text-slate-400">{c.metrics.posts}</td>
+                    <td className="px-2.5 py-1.5 mono text-slate-400">{c.metrics.comments}</td>
+                    <td className="px-2.5 py-1.5 mono text-slate-400">{c.metrics.upvotes}</td>
+                    <td className="px-2.5 py-1.5 text-slate-500">{c.metrics.subreddits.map((r) => `r/${r}`).join(', ') || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Section>
+      )}
+
+      {quotes?.length > 0 && (
+        <Section title="Supporting Quotes" icon="❝">
+          <ul className="space-y-2">
+            {quotes.map((q, i) => (
+              <li key={i} className="flex items-start justify-between gap-2 text-xs">
+                <p className="text-slate-300 italic">
+                  "{q.text}"
+                  {q.url ? (
+                    <a href={q.url} target="_blank" rel="noreferrer" className="not-italic text-slate-500 hover:text-brand-400 ml-1">source ↗</a>
+                  ) : (
+                    q.source && <span className="not-italic text-slate-500 ml-1">— {q.source}</span>
+                  )}
+                </p>
+                <QuoteMark grounding={q.grounding} />
+              </li>
+            ))}
+          </ul>
+        </Section>
+      )}
+
       {painPoints?.length > 0 && (
         <Section title="Pain Points Collected" icon="💬">
           <div className="space-y-2 max-h-52 overflow-y-auto">
             {painPoints.slice(0, 10).map((p, i) => (
               <div key={i} className="p-2.5 rounded-lg bg-white/3 border border-white/5">
-                <p className="text-xs text-slate-300">{p.problem || p}</p>
+                <div className="flex items-start justify-between gap-2">
+                  <p className="text-xs text-slate-300">{p.problem || p}</p>
+                  {p.source && <SourceBadge source={p.source} />}
+                </div>
                 {p.verbatim_quote && (
-                  <p className="text-xs text-slate-500 italic mt-1">"{p.verbatim_quote?.slice(0, 120)}"</p>
+                  <div className="flex items-start justify-between gap-2 mt-1">
+                    <p className="text-xs text-slate-500 italic">
+                      "{p.verbatim_quote?.slice(0, 120)}"
+                      {p.grounding?.verified && p.source_url && (
+                        <a href={p.source_url} target="_blank" rel="noreferrer" className="not-italic hover:text-brand-400 ml-1">↗</a>
+                      )}
+                    </p>
+                    <QuoteMark grounding={p.grounding} />
+                  </div>
                 )}
               </div>
             ))}
@@ -193,7 +385,169 @@ function EvidenceTab({ brief, painPoints }) {
   );
 }
 
-function CompetitorsTab({ brief, competitors, gap }) {
+const SCORING_FACTORS = [
+  { key: 'frequency', label: 'Frequency' },
+  { key: 'engagement', label: 'Engagement' },
+  { key: 'intensity', label: 'Intensity' },
+  { key: 'recency', label: 'Recency' },
+  { key: 'willingness_to_pay', label: 'Willingness to pay' },
+  { key: 'competitor_coverage', label: 'Competitor gap' },
+];
+
+function PortfolioPanel({ comparison, activeRank, onSelect }) {
+  return (
+    <div className="glass rounded-2xl p-5">
+      <Section title="Opportunity Portfolio" icon="🗂️">
+        <div className="flex flex-wrap gap-1.5 mb-3">
+          {comparison.map((row) => (
+            <button
+              key={row.rank}
+              onClick={() => onSelect(row.rank)}
+              disabled={!row.headline}
+              className={`px-2.5 py-1 rounded-lg text-xs border transition-all disabled:opacity-40 disabled:cursor-not-allowed ${
+                row.rank === activeRank
+                  ? 'bg-brand-500 border-brand-500 text-white'
+                  : 'bg-white/5 border-white/10 text-slate-400 hover:text-slate-200'
+              }`}
+              title={row.error ?? row.problem}
+            >
+              <span className="mono">#{row.rank}</span> {row.gap_keyword ?? row.problem}
+              <span className={`ml-1 ${row.gap_confirmed ? 'text-green-400' : 'text-slate-500'}`}>{row.gap_confirmed ? '✓' : '✗'}</span>
+            </button>
+          ))}
+        </div>
+
+        <div className="overflow-x-auto rounded-lg border border-white/5">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-slate-500 bg-white/3">
+                <th className="px-2.5 py-1.5 font-medium">#</th>
+                <th className="px-2.5 py-1.5 font-medium">Problem</th>
+                <th className="px-2.5 py-1.5 font-medium">Score</th>
+                <th className="px-2.5 py-1.5 font-medium">Mentions</th>
+                <th className="px-2.5 py-1.5 font-medium">Gap</th>
+                <th className="px-2.5 py-1.5 font-medium">Features missing</th>
+                <th className="px-2.5 py-1.5 font-medium">Verified competitors</th>
+                <th className="px-2.5 py-1.5 font-medium">Brief confidence</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.map((row) => (
+                <tr
+                  key={row.rank}
+                  onClick={() => row.headline && onSelect(row.rank)}
+                  className={`border-t border-white/5 align-top ${row.headline ? 'cursor-pointer' : ''} ${row.rank === activeRank ? 'bg-brand-500/10' : ''}`}
+                >
+                  <td className="px-2.5 py-1.5 mono text-slate-500">{row.rank}</td>
+                  <td className="px-2.5 py-1.5 text-slate-300">
+                    {row.problem}
+                    {row.headline && <div className="text-slate-500 italic">{row.headline}</div>}
+                    {row.error && <div className="text-red-400">{row.error}</div>}
+                  </td>
+                  <td className="px-2.5 py-1.5 mono text-white">{row.opportunity_score ?? '—'}</td>
+                  <td className="px-2.5 py-1.5 mono text-slate-300">{row.mentions ?? '—'}</td>
+                  <td className={`px-2.5 py-1.5 mono ${row.gap_confirmed ? 'text-green-400' : 'text-slate-500'}`}>
+                    {row.gap_confirmed ? '✓ confirmed' : '✗ not confirmed'}
+                    {row.confidence && <span className="text-slate-500"> · {row.confidence}</span>}
+                  </td>
+                  <td className="px-2.5 py-1.5 mono text-slate-300">
+                    {row.features_judged ? `${row.features_missing}/${row.features_judged}` : '—'}
+                  </td>
+                  <td className="px-2.5 py-1.5 mono text-slate-300">{row.competitors_verified}</td>
+                  <td className="px-2.5 py-1.5 mono text-slate-300">{row.validation_confidence ?? '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-slate-600 mt-2">
+          Each opportunity was validated against its own competitors. Pick one to switch the brief, competitors and screenshots below.
+        </p>
+      </Section>
+    </div>
+  );
+}
+
+function ScoringTab({ scoring }) {
+  if (!scoring?.rows?.length) {
+    return <p className="text-slate-600 text-xs mono text-center py-6">No candidate problems were scored for this run.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <Section title="Opportunity Score" icon="⚖️">
+        {scoring.explanation && <p className="text-slate-300 text-sm leading-relaxed">{scoring.explanation}</p>}
+        <div className="flex flex-wrap gap-1.5 mt-3">
+          <span className="text-xs text-slate-500">Weights:</span>
+          {SCORING_FACTORS.map(({ key, label }) => (
+            <span key={key} className="text-xs mono px-2 py-0.5 rounded bg-white/3 border border-white/5 text-slate-400">
+              {label} {scoring.weights?.[key] ?? 0}
+            </span>
+          ))}
+        </div>
+      </Section>
+
+      <Section title="Ranked Candidates" icon="🏁">
+        <div className="overflow-x-auto rounded-lg border border-white/5">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-slate-500 bg-white/3">
+                <th className="px-2.5 py-1.5 font-medium">#</th>
+                <th className="px-2.5 py-1.5 font-medium">Problem</th>
+                <th className="px-2.5 py-1.5 font-medium">Score</th>
+                {SCORING_FACTORS.map(({ key, label }) => (
+                  <th key={key} className="px-2.5 py-1.5 font-medium">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {scoring.rows.map((row) => (
+                <tr key={row.rank} className={`border-t border-white/5 align-top ${row.selected ? 'bg-brand-500/10' : ''}`}>
+                  <td className="px-2.5 py-1.5 mono text-slate-500">{row.rank}</td>
+                  <td className="px-2.5 py-1.5 text-slate-300">
+                    {row.problem}
+                    {row.selected && <span className="ml-1 text-brand-400">★ selected</span>}
+                  </td>
+                  <td className="px-2.5 py-1.5 mono text-white">{row.score ?? '—'}</td>
+                  {SCORING_FACTORS.map(({ key }) => {
+                    const f = row.factors[key];
+                    return (
+                      <td key={key} className="px-2.5 py-1.5 mono" title={f.detail}>
+                        {f.contribution === null ? (
+                          <span className="text-slate-600">—</span>
+                        ) : (
+                          <span className="text-slate-200">{f.contribution}</span>
+                        )}
+                        {f.value !== null && <span className="text-slate-500"> · {f.value}</span>}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-slate-600 mt-2">
+          Each cell is points contributed · the factor's 0–1 value; hover for the measurement. A dash is a factor that couldn't be measured — competitor gap is only known for validated problems.
+        </p>
+      </Section>
+    </div>
+  );
+}
+
+const FEATURE_STATUS = {
+  absent: { icon: '✗', className: 'text-green-400', label: 'missing — gap' },
+  present: { icon: '✓', className: 'text-slate-500', label: 'offered' },
+  unclear: { icon: '?', className: 'text-slate-400', label: 'unclear' },
+};
+
+function CompetitorsTab({ brief, competitors, gap, checklist, onWatch }) {
+  const [watched, setWatched] = useState(() => new Set());
+
+  const watch = async (c) => {
+    if (await onWatch(c)) setWatched((prev) => new Set(prev).add(c.name));
+  };
+
   return (
     <div className="space-y-4">
       {gap && (
@@ -202,6 +556,11 @@ function CompetitorsTab({ brief, competitors, gap }) {
             GAP {gap.gap_confirmed ? 'CONFIRMED' : 'UNCONFIRMED'} · {gap.confidence} confidence
           </p>
           <p className="text-xs text-slate-300">{gap.gap_summary}</p>
+          {gap.unverified_competitors?.length > 0 && (
+            <p className="text-xs text-slate-500 mt-1">
+              Not counted — pricing page could not be verified: {gap.unverified_competitors.join(', ')}
+            </p>
+          )}
         </div>
       )}
 
@@ -219,6 +578,116 @@ function CompetitorsTab({ brief, competitors, gap }) {
         </div>
       </Section>
 
+      {competitors?.some((c) => c.plans?.length) && (
+        <Section title="Pricing Plans" icon="💲">
+          <div className="overflow-x-auto rounded-lg border border-white/5">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500 bg-white/3">
+                  <th className="px-2.5 py-1.5 font-medium">Competitor</th>
+                  <th className="px-2.5 py-1.5 font-medium">Plan</th>
+                  <th className="px-2.5 py-1.5 font-medium">Monthly</th>
+                  <th className="px-2.5 py-1.5 font-medium">Annual</th>
+                  <th className="px-2.5 py-1.5 font-medium">Limits</th>
+                  <th className="px-2.5 py-1.5 font-medium">Features</th>
+                </tr>
+              </thead>
+              <tbody>
+                {competitors.filter((c) => c.plans?.length).flatMap((c) =>
+                  c.plans.map((plan, i) => (
+                    <tr key={`${c.name}-${i}`} className="border-t border-white/5 align-top">
+                      <td className="px-2.5 py-1.5 text-slate-200">{i === 0 ? c.name : ''}</td>
+                      <td className="px-2.5 py-1.5 text-slate-300">{plan.name}</td>
+                      <td className="px-2.5 py-1.5 mono text-slate-300">{formatPrice(plan.monthly_price, plan.currency, 'mo')}</td>
+                      <td className="px-2.5 py-1.5 mono text-slate-300">{formatPrice(plan.annual_price, plan.currency, 'yr')}</td>
+                      <td className="px-2.5 py-1.5 text-slate-400">{(plan.limits ?? []).join(', ') || '—'}</td>
+                      <td className="px-2.5 py-1.5 text-slate-500">{(plan.features ?? []).join(', ') || '—'}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </Section>
+      )}
+
+      {checklist?.length > 0 && competitors?.some((c) => c.verified !== false) && (
+        <Section title="Feature Checklist" icon="⚖">
+          <div className="space-y-2">
+            {checklist.map((f) => (
+              <div key={f.id} className="p-2.5 rounded-lg bg-white/3 border border-white/5">
+                <p className="text-xs font-medium text-slate-200">{f.feature}</p>
+                {f.why && <p className="text-xs text-slate-500 mb-1">{f.why}</p>}
+                <ul className="space-y-0.5">
+                  {competitors.filter((c) => c.verified !== false).map((c) => {
+                    const judged = c.gaps?.[f.id];
+                    const crop = c.evidence?.[f.id]?.screenshot;
+                    const status = FEATURE_STATUS[judged?.status] ?? FEATURE_STATUS.unclear;
+                    return (
+                      <li key={c.name} className="flex items-start gap-2 text-xs mono">
+                        <span className={status.className}>{status.icon}</span>
+                        <span className="text-slate-400 flex-shrink-0">{c.name}</span>
+                        <span className="text-slate-500">{status.label}</span>
+                        {judged?.excerpt && <span className="text-slate-500 italic break-words">“{judged.excerpt}”</span>}
+                        {crop && <ArtifactLink artifact={crop} label="crop" />}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      {competitors?.some((c) => c.manual?.trace?.length) && (
+        <Section title="ActionBook Manual Runs" icon="📖">
+          <div className="space-y-2">
+            {competitors.filter((c) => c.manual?.trace?.length).map((c) => (
+              <div key={c.name} className="p-2.5 rounded-lg bg-white/3 border border-white/5">
+                <p className="text-xs font-medium text-slate-200 mb-1">
+                  {c.name} <span className="text-slate-500 mono">· {c.manual.succeeded ?? 0}/{c.manual.trace.length} steps ok</span>
+                </p>
+                <ol className="space-y-0.5">
+                  {c.manual.trace.map((step) => (
+                    <li key={step.index} className="flex items-start gap-2 text-xs mono">
+                      <span className={step.status === 'ok' ? 'text-green-400' : step.status === 'failed' ? 'text-red-400' : 'text-slate-500'}>
+                        {step.status === 'ok' ? '✓' : step.status === 'failed' ? '✗' : '·'}
+                      </span>
+                      <span className="text-slate-400">{step.action}</span>
+                      <span className="text-slate-500 break-all">
+                        {step.usedSelector ?? step.selector ?? ''}
+                        {step.fallbackUsed ? ' (fallback)' : ''}
+                        {step.error ? ` — ${step.error}` : ''}
+                      </span>
+                      {step.screenshot?.url && <ArtifactLink artifact={step.screenshot} label="shot" />}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      {onWatch && competitors?.some((c) => c.verified !== false) && (
+        <Section title="Keep Watching" icon="👁️">
+          <p className="text-xs text-slate-500 mb-2">Re-check these competitors weekly against the same checklist and keep a history of what changes.</p>
+          <div className="flex flex-wrap gap-1.5">
+            {competitors.filter((c) => c.verified !== false).map((c) => (
+              <button
+                key={c.name}
+                onClick={() => watch(c)}
+                disabled={watched.has(c.name)}
+                className="px-2 py-0.5 rounded bg-brand-500/20 hover:bg-brand-500/30 text-brand-400 text-xs disabled:opacity-50 transition-all"
+              >
+                {watched.has(c.name) ? `✓ Watching ${c.name}` : `+ Watch ${c.name}`}
+              </button>
+            ))}
+          </div>
+        </Section>
+      )}
+
       {gap?.differentiator && (
         <Section title="Your Differentiator" icon="⚡">
           <p className="text-slate-300 text-sm leading-relaxed">{gap.differentiator}</p>
@@ -228,6 +697,26 @@ function CompetitorsTab({ brief, competitors, gap }) {
   );
 }
 
+function ArtifactLink({ artifact, label }) {
+  return (
+    <a
+      href={artifact.url}
+      target="_blank"
+      rel="noreferrer"
+      title={artifact.label || undefined}
+      className="ml-auto flex-shrink-0 px-1.5 rounded bg-brand-500/20 text-brand-400 hover:bg-brand-500/30 transition-all"
+    >
+      {label}
+    </a>
+  );
+}
+
+const SCREENSHOT_KINDS = {
+  viewport: 'Pricing page',
+  full_page: 'Full page',
+  crop: 'Evidence',
+};
+
 function ScreenshotsTab({ screenshots }) {
   const [active, setActive] = useState(null);
 
@@ -235,20 +724,30 @@ function ScreenshotsTab({ screenshots }) {
     <div className="space-y-3">
       <p className="text-xs text-slate-500">
         These screenshots are the "receipts" — evidence that the market gap was verified by actually navigating competitor websites.
+        Evidence crops show the text that mentions each checklist feature.
       </p>
-      {screenshots?.length === 0 ? (
+      {!screenshots?.length ? (
         <p className="text-slate-600 text-sm text-center py-8">No screenshots available.</p>
       ) : (
         <div className="grid grid-cols-3 gap-3">
           {screenshots.map((s, i) => (
             <button
               key={i}
-              onClick={() => setActive(s.screenshot)}
+              onClick={() => setActive(s.screenshot.url)}
+              title={s.text || undefined}
               className="group relative rounded-xl overflow-hidden border border-white/10 hover:border-brand-500/50 transition-all"
             >
-              <img src={s.screenshot} alt={s.name} className="w-full h-28 object-cover" />
+              <img
+                src={s.screenshot.thumbnail ?? s.screenshot.url}
+                alt={`${s.name} — ${s.label ?? 'screenshot'}`}
+                loading="lazy"
+                className={`w-full h-28 ${s.kind === 'crop' ? 'object-contain bg-white/5' : 'object-cover object-top'}`}
+              />
               <div className="absolute inset-0 bg-gradient-to-t from-black/70 via-transparent to-transparent flex items-end p-2">
-                <span className="text-white text-xs font-medium">{s.name}</span>
+                <span className="text-white text-xs font-medium">
+                  {s.name}
+                  <span className="text-slate-300 font-normal"> · {s.kind === 'crop' ? s.label : SCREENSHOT_KINDS[s.kind] ?? 'Screenshot'}</span>
+                </span>
               </div>
               <div className="absolute inset-0 bg-brand-500/20 opacity-0 group-hover:opacity-100 transition-all flex items-center justify-center">
                 <span className="text-white text-xs bg-black/50 px-2 py-1 rounded">View</span>
@@ -260,13 +759,28 @@ function ScreenshotsTab({ screenshots }) {
 
       {active && (
         <div className="fixed inset-0 bg-black/80 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={() => setActive(null)}>
-          <img src={active} alt="Evidence" className="max-w-3xl w-full rounded-xl border border-white/10" onClick={(e) => e.stopPropagation()} />
+          <div className="max-w-3xl w-full max-h-full overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+            <img src={active} alt="Evidence" className="w-full rounded-xl border border-white/10" />
+          </div>
         </div>
       )}
     </div>
   );
 }
 
+// null = no listed price for that billing period ("Contact sales")
+function formatPrice(value, currency = 'USD', period) {
+  if (value === null || value === undefined) return '—';
+  if (value === 0) return 'Free';
+  let amount;
+  try {
+    amount = new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 2 }).format(value);
+  } catch {
+    amount = `${value} ${currency}`; // not an ISO currency code
+  }
+  return `${amount}/${period}`;
+}
+
 function Section({ title, icon, children }) {
   return (
     <div>
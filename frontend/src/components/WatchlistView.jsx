@@ -0,0 +1,203 @@
+import { useState } from 'react';
+
+const SCHEDULES = [
+  { value: '0 9 * * 1', label: 'Weekly (Mon 09:00)' },
+  { value: '0 9 * * *', label: 'Daily (09:00)' },
+  { value: '@hourly', label: 'Hourly' },
+];
+
+const STATUS_STYLES = {
+  ok: 'text-green-400',
+  unverified: 'text-amber-400',
+  failed: 'text-red-400',
+};
+
+// Changes that move the gap picture get the highlight
+const CHANGE_STYLES = {
+  free_tier_added: 'text-amber-300',
+  feature_added: 'text-amber-300',
+  free_tier_removed: 'text-green-400',
+  feature_removed: 'text-green-400',
+};
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+export function WatchlistView({ watchlist }) {
+  const { items, changes, selected, error, addItem, removeItem, runNow, openItem, closeItem } = watchlist;
+
+  return (
+    <div className="w-full max-w-4xl mx-auto mt-10 space-y-4 animate-fade-in">
+      <div className="glass rounded-2xl overflow-hidden">
+        <div className="flex items-center gap-2 px-4 py-3 border-b border-white/5 bg-white/2">
+          <span className="text-sm">👁️</span>
+          <span className="text-xs font-medium text-slate-300">Competitor Watchlist</span>
+          <span className="ml-auto text-xs text-slate-500 mono">{items.length} watched</span>
+        </div>
+
+        <div className="p-4 space-y-4">
+          {error && (
+            <p className="px-3 py-2 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-xs">{error}</p>
+          )}
+
+          <AddWatchForm onAdd={addItem} />
+
+          {items.length === 0 ? (
+            <p className="text-slate-600 text-xs mono text-center py-2">No competitors watched yet.</p>
+          ) : (
+            <div className="space-y-1.5">
+              {items.map((item) => (
+                <div key={item.id} className="flex items-center gap-3 p-2.5 rounded-lg bg-white/3 border border-white/5 text-xs">
+                  <div className="min-w-0">
+                    <p className="text-sm text-slate-200">{item.name}</p>
+                    <p className="text-slate-500 mono truncate">
+                      {item.schedule} · next {formatTime(item.nextRunAt)}
+                      {item.checklist?.length > 0 && ` · ${item.checklist.length} feature(s)`}
+                    </p>
+                  </div>
+                  <div className="ml-auto flex items-center gap-2 flex-shrink-0">
+                    {item.running ? (
+                      <span className="text-brand-400 mono animate-pulse">checking…</span>
+                    ) : (
+                      <span className={`mono ${STATUS_STYLES[item.lastStatus] ?? 'text-slate-500'}`}>
+                        {item.lastStatus ?? 'never run'}
+                        {item.lastChangeCount > 0 && ` · ${item.lastChangeCount} change(s)`}
+                      </span>
+                    )}
+                    <button onClick={() => openItem(item.id)} className="px-2 py-0.5 rounded bg-white/5 hover:bg-white/10 text-slate-300 transition-all">
+                      History
+                    </button>
+                    <button
+                      onClick={() => runNow(item.id)}
+                      disabled={item.running}
+                      className="px-2 py-0.5 rounded bg-brand-500/20 hover:bg-brand-500/30 text-brand-400 disabled:opacity-40 transition-all"
+                    >
+                      Run now
+                    </button>
+                    <button onClick={() => removeItem(item.id)} className="px-2 py-0.5 rounded bg-red-500/10 hover:bg-red-500/20 text-red-400 transition-all">
+                      ✕
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {selected && <SnapshotHistory key={selected.item.id} item={selected.item} snapshots={selected.snapshots} onClose={closeItem} />}
+
+      {changes.length > 0 && (
+        <div className="glass rounded-2xl p-4">
+          <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">Recent Changes</p>
+          <ul className="space-y-1">
+            {changes.flatMap((entry) =>
+              entry.changes.map((change, i) => (
+                <li key={`${entry.snapshotId}-${i}`} className="flex items-start gap-2 text-xs">
+                  <span className="text-slate-600 mono flex-shrink-0">{formatTime(entry.takenAt)}</span>
+                  <span className={CHANGE_STYLES[change.kind] ?? 'text-slate-300'}>{change.message}</span>
+                </li>
+              ))
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AddWatchForm({ onAdd }) {
+  const [name, setName] = useState('');
+  const [pricingUrl, setPricingUrl] = useState('');
+  const [features, setFeatures] = useState('');
+  const [schedule, setSchedule] = useState(SCHEDULES[0].value);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const checklist = features.split(',').map((f) => f.trim()).filter(Boolean);
+    const added = await onAdd({ name: name.trim(), pricingUrl: pricingUrl.trim(), checklist, schedule });
+    if (added) {
+      setName('');
+      setPricingUrl('');
+      setFeatures('');
+    }
+  };
+
+  const inputClass = 'px-2.5 py-1.5 rounded-lg bg-white/5 border border-white/10 text-xs text-slate-200 placeholder-slate-600 focus:outline-none focus:border-brand-500/50';
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-5 gap-2">
+      <input className={inputClass} placeholder="Competitor" value={name} onChange={(e) => setName(e.target.value)} />
+      <input className={`${inputClass} md:col-span-2`} placeholder="https://competitor.com/pricing" value={pricingUrl} onChange={(e) => setPricingUrl(e.target.value)} />
+      <select className={inputClass} value={schedule} onChange={(e) => setSchedule(e.target.value)}>
+        {SCHEDULES.map((s) => (
+          <option key={s.value} value={s.value}>{s.label}</option>
+        ))}
+      </select>
+      <button
+        type="submit"
+        disabled={!name.trim() || !pricingUrl.trim()}
+        className="px-3 py-1.5 rounded-lg bg-brand-500/20 hover:bg-brand-500/30 border border-brand-500/30 text-xs text-brand-400 disabled:opacity-40 transition-all"
+      >
+        + Watch
+      </button>
+      <input
+        className={`${inputClass} md:col-span-5`}
+        placeholder="Features to track, comma-separated (e.g. free tier, CSV export)"
+        value={features}
+        onChange={(e) => setFeatures(e.target.value)}
+      />
+    </form>
+  );
+}
+
+function SnapshotHistory({ item, snapshots, onClose }) {
+  const [screenshot, setScreenshot] = useState(null);
+
+  return (
+    <div className="glass rounded-2xl p-4">
+      <div className="flex items-center mb-3">
+        <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider">{item.name} — History</p>
+        <button onClick={onClose} className="ml-auto text-slate-500 hover:text-white text-xs">✕ Close</button>
+      </div>
+
+      {snapshots.length === 0 ? (
+        <p className="text-slate-600 text-xs mono">No checks yet — use Run now or wait for the schedule.</p>
+      ) : (
+        <ol className="space-y-2">
+          {snapshots.map((s) => (
+            <li key={s.id} className="p-2.5 rounded-lg bg-white/3 border border-white/5 text-xs">
+              <div className="flex items-center gap-2">
+                <span className="text-slate-300 mono">{formatTime(s.takenAt)}</span>
+                <span className={`mono ${STATUS_STYLES[s.status] ?? 'text-slate-500'}`}>{s.status}</span>
+                {s.plans?.length > 0 && <span className="text-slate-500">{s.plans.length} plan(s)</span>}
+                {s.screenshot?.url && (
+                  <button onClick={() => setScreenshot(s.screenshot.url)} className="ml-auto px-2 py-0.5 rounded bg-brand-500/20 text-brand-400 hover:bg-brand-500/30 transition-all">
+                    view
+                  </button>
+                )}
+              </div>
+              {s.notes && <p className="text-slate-500 mt-0.5">{s.notes}</p>}
+              {!s.previousId ? (
+                <p className="text-slate-600 mt-1">Baseline snapshot</p>
+              ) : s.changes?.length > 0 ? (
+                <ul className="mt-1 space-y-0.5">
+                  {s.changes.map((change, i) => (
+                    <li key={i} className={CHANGE_STYLES[change.kind] ?? 'text-slate-300'}>• {change.message}</li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-slate-600 mt-1">No changes since the previous check</p>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {screenshot && (
+        <div className="fixed inset-0 bg-black/80 backdrop-blur-sm z-50 flex items-center justify-center p-4" onClick={() => setScreenshot(null)}>
+          <img src={screenshot} alt={`${item.name} pricing page`} className="max-w-3xl w-full rounded-xl border border-white/10 shadow-2xl" />
+        </div>
+      )}
+    </div>
+  );
+}
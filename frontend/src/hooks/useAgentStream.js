@@ -6,10 +6,13 @@ const API_BASE = '/api/agent';
  * Custom hook that manages the full agent run lifecycle:
  *   - POST /api/agent/start to kick off the pipeline
  *   - GET  /api/agent/stream/:runId via SSE for live events
+ *   - POST /api/agent/resume/:runId to continue an interrupted run
+ *   - POST /api/agent/approve/:runId to answer the approval checkpoint
+ *   - POST /api/agent/cancel/:runId to abort a running run
  *   - Accumulates agent state (logs, task blocks, report) in local state
  */
 export function useAgentStream() {
-  const [status, setStatus] = useState('idle'); // idle | starting | running | complete | error
+  const [status, setStatus] = useState('idle'); // idle | starting | running | awaiting_approval | complete | insufficient_evidence | cancelled | error
   const [runId, setRunId] = useState(null);
   const [sessionId, setSessionId] = useState(null);
   const [logs, setLogs] = useState([]);
@@ -21,10 +24,13 @@ export function useAgentStream() {
   const [painPoints, setPainPoints] = useState([]);
   const [topProblem, setTopProblem] = useState(null);
   const [gapAnalysis, setGapAnalysis] = useState(null);
+  const [approval, setApproval] = useState(null);
   const [error, setError] = useState(null);
   const [stats, setStats] = useState({ postsFound: 0, painPointsFound: 0, competitorsChecked: 0 });
 
   const eventSourceRef = useRef(null);
+  // Competitors are checked in parallel, so count distinct names seen in the feed
+  const competitorsSeenRef = useRef(new Set());
 
   const addLog = useCallback((entry) => {
     setLogs((prev) => [...prev, { id: Date.now() + Math.random(), time: new Date().toLocaleTimeString(), ...entry }]);
@@ -38,6 +44,15 @@ export function useAgentStream() {
         addLog({ level: 'info', phase: 'init', message: event.message });
         break;
 
+      case 'run_resumed':
+        setStatus('running');
+        setError(null);
+        setSessionId(event.sessionId);
+        setTaskBlocks(event.taskBlocks ?? []);
+        if (event.resumeFrom?.[0]) setCurrentPhase(event.resumeFrom[0]);
+        addLog({ level: 'info', phase: 'init', message: event.message });
+        break;
+
       case 'session_created':
         setSessionId(event.sessionId);
         setTaskBlocks(event.taskBlocks ?? []);
@@ -59,12 +74,36 @@ export function useAgentStream() {
 
       case 'search_complete':
         setStats((s) => ({ ...s, postsFound: event.count }));
-        addLog({ level: 'info', phase: 'scout', message: `Bright Data: ${event.message}` });
+        addLog({ level: 'info', phase: 'scout', message: event.message });
         break;
 
       case 'scrape_complete':
         setStats((s) => ({ ...s, postsFound: event.count }));
-        addLog({ level: 'info', phase: 'scout', message: `Scraped ${event.count} Reddit posts` });
+        addLog({ level: 'info', phase: 'scout', message: `Scraped ${event.count} posts` });
+        break;
+
+      case 'scout_retry':
+        addLog({ level: 'warn', phase: 'scout', message: event.message });
+        break;
+
+      case 'subreddits_selected':
+        addLog({ level: 'info', phase: 'scout', message: event.message });
+        break;
+
+      case 'feature_checklist':
+        addLog({ level: 'info', phase: 'validate', message: event.message });
+        break;
+
+      case 'llm_repair':
+        addLog({ level: event.repaired ? 'info' : 'warn', phase: 'llm', message: event.message });
+        break;
+
+      case 'insufficient_evidence':
+        setStatus('insufficient_evidence');
+        setError(event.message);
+        setTaskBlocks(event.taskBlocks ?? []);
+        setCurrentPhase(null);
+        addLog({ level: 'warn', phase: 'scout', message: event.message });
         break;
 
       case 'task_update':
@@ -79,6 +118,22 @@ export function useAgentStream() {
         if (event.preview) setPainPoints(event.preview.map((p) => ({ problem: p })));
         break;
 
+      case 'extraction_progress':
+        addLog({ level: 'info', phase: 'brain', message: event.message });
+        break;
+
+      case 'pain_points_clustered':
+        addLog({ level: 'info', phase: 'brain', message: event.message });
+        break;
+
+      case 'opportunity_scored':
+        addLog({ level: 'info', phase: 'brain', message: event.message });
+        break;
+
+      case 'quote_grounding':
+        addLog({ level: event.unverified ? 'warn' : 'success', phase: 'brain', message: event.message });
+        break;
+
       case 'top_problem_selected':
         setTopProblem(event);
         addLog({
@@ -88,6 +143,23 @@ export function useAgentStream() {
         });
         break;
 
+      case 'awaiting_approval':
+        setStatus('awaiting_approval');
+        setApproval(event);
+        addLog({ level: 'warn', phase: 'brain', message: event.message });
+        break;
+
+      case 'approval_received':
+        setStatus('running');
+        setApproval(null);
+        addLog({ level: 'info', phase: 'validate', message: event.message });
+        break;
+
+      case 'approval_applied':
+        setTopProblem((prev) => ({ ...prev, problem: event.problem, keyword: event.keyword }));
+        addLog({ level: 'success', phase: 'validate', message: event.message });
+        break;
+
       case 'browser_action':
         setBrowserFeed((prev) => [
           ...prev,
@@ -101,16 +173,20 @@ export function useAgentStream() {
             data: event.data ?? null,
           },
         ]);
-        setStats((s) => {
-          const names = new Set([
-            ...Array.from({ length: s.competitorsChecked }, (_, i) => i),
-            event.competitor,
-          ]);
-          return { ...s, competitorsChecked: names.size };
-        });
+        competitorsSeenRef.current.add(event.competitor);
+        setStats((s) => ({ ...s, competitorsChecked: competitorsSeenRef.current.size }));
         addLog({ level: 'info', phase: 'validate', message: `[${event.competitor}] ${event.message}` });
         break;
 
+      case 'opportunity_started':
+      case 'opportunity_ready':
+        addLog({ level: 'info', phase: 'validate', message: event.message });
+        break;
+
+      case 'opportunity_validated':
+        addLog({ level: event.gapConfirmed ? 'success' : 'warn', phase: 'validate', message: event.message });
+        break;
+
       case 'gap_analysis_complete':
         setGapAnalysis(event);
         addLog({
@@ -127,8 +203,24 @@ export function useAgentStream() {
         addLog({ level: 'success', phase: 'brief', message: '📄 Opportunity Brief ready!' });
         break;
 
+      case 'interrupted':
+        setStatus('error');
+        setError(event.message);
+        addLog({ level: 'error', phase: 'error', message: event.message });
+        break;
+
+      case 'cancelled':
+        setStatus('cancelled');
+        setApproval(null);
+        setCurrentPhase(null);
+        if (event.taskBlocks) setTaskBlocks(event.taskBlocks);
+        addLog({ level: 'warn', phase: 'done', message: event.message });
+        eventSourceRef.current?.close();
+        eventSourceRef.current = null;
+        break;
+
       case 'done':
-        setStatus('complete');
+        setStatus((s) => (s === 'error' || s === 'insufficient_evidence' ? s : 'complete'));
         addLog({ level: 'success', phase: 'done', message: `Run complete in ${((event.durationMs ?? 0) / 1000).toFixed(1)}s` });
         // Close the SSE connection — prevents browser EventSource from auto-reconnecting
         // and replaying report_ready + done on every reconnect attempt.
@@ -150,7 +242,29 @@ export function useAgentStream() {
     }
   }, [addLog]);
 
-  const startAgent = useCallback(async (niche) => {
+  const openStream = useCallback((id) => {
+    eventSourceRef.current?.close();
+
+    const es = new EventSource(`${API_BASE}/stream/${id}`);
+    eventSourceRef.current = es;
+
+    es.onmessage = (e) => {
+      try {
+        const event = JSON.parse(e.data);
+        processEvent(event);
+      } catch {
+        // ignore heartbeat comments and parse errors
+      }
+    };
+
+    es.onerror = () => {
+      if (es.readyState === EventSource.CLOSED) {
+        setStatus((s) => (s === 'running' || s === 'starting' ? 'complete' : s));
+      }
+    };
+  }, [processEvent]);
+
+  const startAgent = useCallback(async (niche, options = {}) => {
     setStatus('starting');
     setLogs([]);
     setTaskBlocks([]);
@@ -161,14 +275,16 @@ export function useAgentStream() {
     setPainPoints([]);
     setTopProblem(null);
     setGapAnalysis(null);
+    setApproval(null);
     setError(null);
     setStats({ postsFound: 0, painPointsFound: 0, competitorsChecked: 0 });
+    competitorsSeenRef.current = new Set();
 
     try {
       const res = await fetch(`${API_BASE}/start`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ niche }),
+        body: JSON.stringify({ niche, ...options }),
       });
 
       if (!res.ok) {
@@ -178,30 +294,66 @@ export function useAgentStream() {
 
       const { runId: id } = await res.json();
       setRunId(id);
+      openStream(id);
+    } catch (err) {
+      setStatus('error');
+      setError(err.message);
+    }
+  }, [openStream]);
+
+  const resumeAgent = useCallback(async () => {
+    if (!runId) return;
+    setStatus('starting');
+    setError(null);
+
+    try {
+      const res = await fetch(`${API_BASE}/resume/${runId}`, { method: 'POST' });
 
-      // Open SSE connection
-      const es = new EventSource(`${API_BASE}/stream/${id}`);
-      eventSourceRef.current = es;
-
-      es.onmessage = (e) => {
-        try {
-          const event = JSON.parse(e.data);
-          processEvent(event);
-        } catch {
-          // ignore heartbeat comments and parse errors
-        }
-      };
-
-      es.onerror = () => {
-        if (es.readyState === EventSource.CLOSED) {
-          setStatus((s) => (s === 'running' || s === 'starting' ? 'complete' : s));
-        }
-      };
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.error ?? 'Failed to resume agent');
+      }
+
+      openStream(runId);
     } catch (err) {
       setStatus('error');
       setError(err.message);
     }
-  }, [processEvent]);
+  }, [runId, openStream]);
+
+  const submitApproval = useCallback(async (decision) => {
+    if (!runId) return;
+
+    try {
+      const res = await fetch(`${API_BASE}/approve/${runId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(decision),
+      });
+
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.error ?? 'Failed to submit approval');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [runId]);
+
+  const cancelAgent = useCallback(async () => {
+    if (!runId) return;
+
+    try {
+      const res = await fetch(`${API_BASE}/cancel/${runId}`, { method: 'POST' });
+
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.error ?? 'Failed to cancel agent');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [runId]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -223,8 +375,12 @@ export function useAgentStream() {
     painPoints,
     topProblem,
     gapAnalysis,
+    approval,
     error,
     stats,
     startAgent,
+    resumeAgent,
+    submitApproval,
+    cancelAgent,
   };
 }
@@ -0,0 +1,108 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const API_BASE = '/api/watchlist';
+
+// While a check is running, poll so its snapshot shows up when it lands
+const POLL_MS = 10_000;
+
+async function request(path, init) {
+  const res = await fetch(`${API_BASE}${path}`, init);
+  if (res.status === 204) return null;
+  const body = await res.json();
+  if (!res.ok) throw new Error(body.error ?? `Request failed (${res.status})`);
+  return body;
+}
+
+/**
+ * Competitor watchlist state:
+ *   - GET    /api/watchlist (+ /changes) for the list and the recent-changes feed
+ *   - GET    /api/watchlist/:id for one competitor's snapshot history
+ *   - POST   /api/watchlist to watch a competitor
+ *   - POST   /api/watchlist/:id/run to re-verify now
+ *   - DELETE /api/watchlist/:id to stop watching
+ */
+export function useWatchlist() {
+  const [items, setItems] = useState([]);
+  const [changes, setChanges] = useState([]);
+  const [selected, setSelected] = useState(null); // { item, snapshots }
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [list, recent] = await Promise.all([request(''), request('/changes')]);
+      setItems(list.items);
+      setChanges(recent.changes);
+      setSelected((current) => current && { ...current, item: list.items.find((i) => i.id === current.item.id) ?? current.item });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const openItem = useCallback(async (id) => {
+    try {
+      setSelected(await request(`/${id}`));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const closeItem = useCallback(() => setSelected(null), []);
+
+  const addItem = useCallback(async (body) => {
+    try {
+      await request('', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      await refresh();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, [refresh]);
+
+  const removeItem = useCallback(async (id) => {
+    try {
+      await request(`/${id}`, { method: 'DELETE' });
+      setSelected((current) => (current?.item.id === id ? null : current));
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [refresh]);
+
+  const runNow = useCallback(async (id) => {
+    try {
+      await request(`/${id}/run`, { method: 'POST' });
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [refresh]);
+
+  useEffect(() => {
+    request('')
+      .then((list) => setItems(list.items))
+      .catch((err) => setError(err.message));
+    request('/changes')
+      .then((recent) => setChanges(recent.changes))
+      .catch(() => {});
+  }, []);
+
+  const anyRunning = items.some((i) => i.running);
+  const selectedId = selected?.item.id;
+
+  useEffect(() => {
+    if (!anyRunning) return undefined;
+    const timer = setInterval(async () => {
+      await refresh();
+      if (selectedId) await openItem(selectedId);
+    }, POLL_MS);
+    return () => clearInterval(timer);
+  }, [anyRunning, selectedId, refresh, openItem]);
+
+  return { items, changes, selected, error, addItem, removeItem, runNow, openItem, closeItem };
+}